@@ -16,8 +16,20 @@ const lookupsRoutes = require('./routes/lookupsRoutes');
 const ticketRoutes = require('./routes/ticketRoutes');
 const emailRoutes = require('./routes/emailRoutes');
 const emailTestRoutes = require('./routes/emailTestRoutes');
+const slaRoutes = require('./routes/slaRoutes');
+const escalationRoutes = require('./routes/escalationRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const userAdminRoutes = require('./routes/userAdminRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const authMiddleware = require('./middlewares/authMiddleware');
+const { requirePermission } = require('./middlewares/permissionMiddleware');
 const { init } = require('./config/db'); // Import DB initialization function
 const emailConfig = require('./config/emailConfig'); // Import email configuration
+const { startEscalationScheduler } = require('./services/escalationService'); // Background ticket escalation job
+const { startNotificationDigestScheduler } = require('./services/notificationDigestService'); // Periodic notification digest emails
+const { startMailIngestionScheduler } = require('./services/mailIngestionService'); // Tickets and comments from the IT mailbox
+const { startEmailOutboxScheduler } = require('./services/emailOutboxService'); // Delivers queued outbound email
 
 const app = express();
 
@@ -37,17 +49,20 @@ app.use(bodyParser.urlencoded({ extended: true })); // Parse URL-encoded request
 app.use(session(emailConfig.sessionConfig));
 
 // Optional JWT token decode middleware: Decodes JWT from Authorization header and attaches to req.user
-const jwt = require('jsonwebtoken'); // Import jsonwebtoken library
-app.use((req, res, next) => {
+const { verifyAccessToken } = require('./lib/authSessions'); // Checks the signature and that the session is still live
+const { isApiKey, verifyApiKey } = require('./lib/apiKeys');
+const { scriptJson } = require('./lib/html'); // Embeds the reset token safely in the page's script
+app.use(async (req, res, next) => {
     const authHeader = req.header('Authorization') || req.header('authorization');
     if (!authHeader) return next(); // If no Authorization header, proceed to the next middleware
     const token = authHeader.replace('Bearer ', ''); // Remove "Bearer " prefix
     try {
         // Ensure JWT_SECRET is defined in your .env file
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded; // Attach the decoded payload to req.user
+        const decoded = isApiKey(token) ? await verifyApiKey(token, req.ip || null) : await verifyAccessToken(token);
+        // Users who must change their password only get in through authMiddleware's allowed routes
+        if (!decoded.mustChangePassword) req.user = decoded; // Attach the decoded payload to req.user
     } catch (err) {
-        // Ignore invalid token here; protected routes should use dedicated authMiddleware if needed.
+        // Ignore invalid, revoked or inactive-user tokens here; protected routes should use dedicated authMiddleware if needed.
     }
     return next(); // Proceed to the next middleware
 });
@@ -60,9 +75,15 @@ app.use('/api/lookups', lookupsRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/email-test', emailTestRoutes);
-
-// Debug endpoint: Returns effective environment values for quick verification
-app.get('/api/debug/env', (req, res) => {
+app.use('/api/sla-policies', slaRoutes);
+app.use('/api/escalation-rules', escalationRoutes);
+app.use('/api/business-calendar', calendarRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/users', userAdminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Debug endpoint: Returns effective environment values for quick verification (requires system.debug)
+app.get('/api/debug/env', authMiddleware, requirePermission('system.debug'), (req, res) => {
     res.json({
         APP_URL: process.env.APP_URL || null,
         PORT: process.env.PORT || null,
@@ -71,7 +92,8 @@ app.get('/api/debug/env', (req, res) => {
     });
 });
 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'))); 
+// Attachments in uploads/ are not served statically: they are only available through
+// GET /api/tickets/attachments/:id/download, which checks the user can see the ticket.
 
 // --- Static Files and Frontend (React App) Serving ---
 
@@ -80,19 +102,20 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // of this Node.js server project (where server.js resides).
 app.use(express.static(path.join(__dirname, 'build')));
 
-// Ensure a favicon is served for requests that open raw files (e.g. /uploads/xxx)
+// Ensure a favicon is served for requests that open raw files (e.g. a downloaded attachment)
 // Browsers will request /favicon.ico when opening a direct file URL — redirect/serve
 // the app's help-desk icon so attachment-only pages show the correct favicon.
 app.get('/favicon.ico', (req, res) => {
     return res.sendFile(path.join(__dirname, 'build', 'help-desk-icon-8.ico'));
 });
 
-// Simple server-side reset-password page (fallback)
-// If your frontend doesn't implement a /reset-password page, users can use this
-// HTML page (reached from an emailed link) to set a new password.
+// Simple server-side set/reset-password page (fallback)
+// If your frontend doesn't implement a /set-password page, users can use this
+// HTML page (reached from an emailed invitation or reset link) to choose a password.
+// /reset-password is kept as an alias for older links.
 // This route should come AFTER static files but BEFORE the catch-all frontend route.
-app.get('/reset-password', (req, res) => {
-    const token = req.query.token || ''; // Get the token from the URL query
+app.get(['/set-password', '/reset-password'], (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : ''; // Get the token from the URL query
     res.send(`<!doctype html>
 <html>
     <head>
@@ -103,28 +126,38 @@ app.get('/reset-password', (req, res) => {
     </head>
     <body>
         <div class="card">
-            <h2>Reset your password</h2>
-            <p>Enter a new password for your account.</p>
-            <input id="password" type="password" placeholder="New password (min 8, uppercase, lowercase, number, special char)" />
+            <h2>Set your password</h2>
+            <p>Enter a new password for your account. The link can be used once.</p>
+            <p id="rules" style="color:#6b7280;font-size:13px"></p>
+            <input id="password" type="password" placeholder="New password" />
             <button id="submit">Set new password</button>
             <div class="msg" id="msg"></div>
         </div>
             <script>
-                const token = '${token}';
+                const token = ${scriptJson(token)};
+            // The rules are checked by the API (lib/passwordPolicy); this only describes them
+            fetch('/api/auth/password-policy').then(r => r.json()).then(({ data: p }) => {
+                const rules = [p.minLength + '+ characters'];
+                if (p.requireUppercase) rules.push('uppercase');
+                if (p.requireLowercase) rules.push('lowercase');
+                if (p.requireNumber) rules.push('number');
+                if (p.requireSymbol) rules.push('special character');
+                document.getElementById('rules').innerText = 'Password must contain: ' + rules.join(', ') + ', and not your name or email.';
+            }).catch(() => {});
             document.getElementById('submit').addEventListener('click', async () => {
                 const pw = document.getElementById('password').value;
-                if (!pw || pw.length < 8 || !/[A-Z]/.test(pw) || !/[a-z]/.test(pw) || !/[0-9]/.test(pw) || !/[!@#$%^&*]/.test(pw)) {
-                    document.getElementById('msg').innerText = 'Password must contain: 8+ characters, uppercase, lowercase, number, and special character.';
+                if (!pw) {
+                    document.getElementById('msg').innerText = 'Please enter a new password.';
                     return;
                 }
                 try {
-                    const res = await fetch('/api/auth/reset-password', { // Send POST request to API endpoint
+                    const res = await fetch('/api/auth/set-password', { // Send POST request to API endpoint
                         method: 'POST', headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({ token, password: pw })
                     });
                     const data = await res.json(); // Parse API response as JSON
                     if (res.ok) { // If status code is 200-299
-                        document.getElementById('msg').innerText = data.message || 'Password reset successfully. You can now login.';
+                        document.getElementById('msg').innerText = data.message || 'Password set successfully. You can now login.';
                     } else { // For other status codes (e.g., 400, 401, 500)
                         document.getElementById('msg').innerText = data.message || JSON.stringify(data);
                     }
@@ -175,6 +208,11 @@ init().then(() => {
     // Explicitly bind to '0.0.0.0' so the server is reachable via the host machine's actual IP address.
     // (Some environments/networks might only resolve 'localhost' by default if not specified.)
     app.listen(PORT, '0.0.0.0', () => console.log(`Server running on 0.0.0.0:${PORT}`));
+    // Start background jobs only once the database (and its migrations) are ready
+    startEmailOutboxScheduler();
+    startEscalationScheduler();
+    startNotificationDigestScheduler();
+    startMailIngestionScheduler();
 }).catch(err => {
     console.error('Failed to initialize database:', err); // Log DB initialization failure and exit the process
     process.exit(1);
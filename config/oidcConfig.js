@@ -0,0 +1,55 @@
+/**
+ * Single sign-on configuration (OpenID Connect)
+ * Defaults to the Azure AD app registration already used for Microsoft Graph mail,
+ * so only OIDC_ENABLED=true and the redirect URI in Azure are needed to turn it on.
+ * Any standards-compliant issuer works, e.g. the local mock in scripts/mockOidcIssuer.js.
+ */
+
+require('dotenv').config();
+
+// JSON object from the environment, e.g. OIDC_GROUP_ROLE_MAP={"<group object id>": 3}
+function parseMap(name) {
+    const raw = process.env[name];
+    if (!raw) return {};
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (err) {
+        console.warn(`⚠️  ${name} is not valid JSON; ignoring it`);
+        return {};
+    }
+}
+
+const oidcConfig = {
+    enabled: process.env.OIDC_ENABLED === 'true',
+
+    // Issuer URL; its /.well-known/openid-configuration is used for all other endpoints
+    issuer: process.env.OIDC_ISSUER || `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID}/v2.0`,
+    clientId: process.env.OIDC_CLIENT_ID || process.env.MICROSOFT_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || process.env.MICROSOFT_CLIENT_SECRET,
+
+    // Must be registered with the identity provider
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.APP_URL || 'http://10.1.1.57:3001'}/api/auth/oidc/callback`,
+    scopes: (process.env.OIDC_SCOPES || 'openid profile email').split(/\s+/).filter(Boolean),
+
+    // Where the browser is sent after the callback; the frontend then calls POST /api/auth/oidc/complete
+    postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT || `${process.env.APP_URL || 'http://10.1.1.57:3001'}/login`,
+
+    // Whether the issuer's email claims can be trusted without email_verified. Off for other issuers, where anyone
+    // may be able to register an identity with someone else's address; on for the organisation's own Azure AD
+    // tenant (the default issuer), whose tokens don't carry email_verified but whose addresses the organisation controls.
+    trustEmail: process.env.OIDC_TRUST_EMAIL
+        ? process.env.OIDC_TRUST_EMAIL === 'true'
+        : !process.env.OIDC_ISSUER,
+
+    // Create a user on first sign-in when no account matches the email (otherwise SSO is refused)
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+    defaultRoleId: parseInt(process.env.OIDC_DEFAULT_ROLE_ID || '1'),
+
+    // Directory group id -> roleId / categoryId. The first listed group the user belongs to wins,
+    // so list the most privileged groups first.
+    groupRoleMap: parseMap('OIDC_GROUP_ROLE_MAP'),
+    groupCategoryMap: parseMap('OIDC_GROUP_CATEGORY_MAP')
+};
+
+module.exports = oidcConfig;
@@ -11,19 +11,82 @@ const requiredEnvVars = [
     'DB_PASSWORD',
     'DB_NAME',
     'JWT_SECRET',
-    'MICROSOFT_CLIENT_ID',
-    'MICROSOFT_CLIENT_SECRET',
-    'MICROSOFT_TENANT_ID',
     'SENDER_EMAIL',
     'SENDER_NAME',
     'SESSION_SECRET'
 ];
 
+// Azure app registration: required to send email through Microsoft Graph (MAIL_TRANSPORT=graph, the default).
+// With another transport the server starts without them; mailbox features (/api/email, Graph mail ingestion) then fail when used.
+const graphEnvVars = [
+    'MICROSOFT_CLIENT_ID',
+    'MICROSOFT_CLIENT_SECRET',
+    'MICROSOFT_TENANT_ID'
+];
+
+// Settings required by the other mail transports
+const transportEnvVars = {
+    smtp: ['SMTP_HOST']
+};
+
 const optionalEnvVars = [
     'PORT',
     'APP_URL',
     'NODE_ENV',
-    'MICROSOFT_REDIRECT_URI'
+    'MICROSOFT_REDIRECT_URI',
+    'DB_AUTO_MIGRATE',
+    'ESCALATION_JOB_ENABLED',
+    'ESCALATION_INTERVAL_MINUTES',
+    'NOTIFICATION_DIGEST_ENABLED',
+    'NOTIFICATION_DIGEST_INTERVAL_HOURS',
+    'MAIL_INGEST_ENABLED',
+    'MAIL_INGEST_SOURCE',
+    'MAIL_INGEST_MAILBOX',
+    'MAIL_INGEST_DIRECTORY',
+    'MAIL_INGEST_INTERVAL_MINUTES',
+    'MAIL_INGEST_CATEGORY_ID',
+    'MAIL_INGEST_ALLOW_UNKNOWN_SENDERS',
+    'MAIL_INGEST_MAX_ATTACHMENT_MB',
+    'MAIL_TRANSPORT',
+    'SMTP_HOST',
+    'SMTP_PORT',
+    'SMTP_SECURE',
+    'SMTP_USER',
+    'SMTP_PASSWORD',
+    'MAIL_CAPTURE_DIRECTORY',
+    'EMAIL_OUTBOX_ENABLED',
+    'EMAIL_OUTBOX_INTERVAL_SECONDS',
+    'EMAIL_OUTBOX_BATCH_SIZE',
+    'EMAIL_OUTBOX_MAX_ATTEMPTS',
+    'EMAIL_OUTBOX_RETRY_BASE_SECONDS',
+    'EMAIL_OUTBOX_RETENTION_DAYS',
+    'ACCESS_TOKEN_EXPIRES_IN',
+    'REFRESH_TOKEN_TTL_DAYS',
+    'LOGIN_MAX_ATTEMPTS',
+    'LOGIN_LOCKOUT_MINUTES',
+    'LOGIN_IP_MAX_ATTEMPTS',
+    'LOGIN_IP_WINDOW_MINUTES',
+    'PASSWORD_MIN_LENGTH',
+    'PASSWORD_REQUIRE_UPPERCASE',
+    'PASSWORD_REQUIRE_LOWERCASE',
+    'PASSWORD_REQUIRE_NUMBER',
+    'PASSWORD_REQUIRE_SYMBOL',
+    'PASSWORD_HISTORY_COUNT',
+    'INVITE_TOKEN_TTL_HOURS',
+    'RESET_TOKEN_TTL_MINUTES',
+    'OIDC_ENABLED',
+    'OIDC_ISSUER',
+    'OIDC_CLIENT_ID',
+    'OIDC_CLIENT_SECRET',
+    'OIDC_REDIRECT_URI',
+    'OIDC_POST_LOGIN_REDIRECT',
+    'OIDC_SCOPES',
+    'OIDC_AUTO_PROVISION',
+    'OIDC_DEFAULT_ROLE_ID',
+    'OIDC_GROUP_ROLE_MAP',
+    'OIDC_GROUP_CATEGORY_MAP',
+    'TOTP_ENCRYPTION_KEY',
+    'TOTP_ISSUER'
 ];
 
 function validateEnvironmentVariables() {
@@ -37,6 +100,21 @@ function validateEnvironmentVariables() {
         }
     });
 
+    const mailTransport = (process.env.MAIL_TRANSPORT || 'graph').toLowerCase();
+    if (mailTransport === 'graph') {
+        graphEnvVars.forEach(varName => {
+            if (!process.env[varName]) missingVars.push(varName);
+        });
+    } else {
+        (transportEnvVars[mailTransport] || []).forEach(varName => {
+            if (!process.env[varName]) missingVars.push(varName);
+        });
+        const missingGraph = graphEnvVars.filter(varName => !process.env[varName]);
+        if (missingGraph.length > 0) {
+            warnings.push(`MAIL_TRANSPORT=${mailTransport}: ${missingGraph.join(', ')} not set, so Microsoft Graph mailbox features are unavailable`);
+        }
+    }
+
     // Check optional variables and set defaults
     if (!process.env.PORT) {
         // Default to 3001 (frontend expected to run on :3001)
@@ -89,5 +167,6 @@ validateEnvironmentVariables();
 module.exports = {
     validateEnvironmentVariables,
     requiredEnvVars,
+    graphEnvVars,
     optionalEnvVars
 };
\ No newline at end of file
@@ -0,0 +1,250 @@
+const { getPool } = require('../config/db');
+const { NON_DELEGABLE_PERMISSIONS, generateApiKey } = require('../lib/apiKeys');
+
+const API_KEY_SELECT = `
+    SELECT k.Id, k.Name, k.KeyPrefix, k.CategoryId, c.Name as CategoryName, k.ExpiresAt, k.LastUsedAt, k.LastUsedIp,
+           k.RevokedAt, k.RevokedBy, k.CreatedBy, k.CreatedDate, k.UpdatedBy, k.UpdatedDate,
+           (SELECT GROUP_CONCAT(p.PermissionCode ORDER BY p.PermissionCode) FROM api_key_permission p WHERE p.ApiKeyId = k.Id) as Permissions
+    FROM api_key k
+    LEFT JOIN category c ON k.CategoryId = c.Id
+`;
+
+function formatApiKey(row) {
+    const expired = row.ExpiresAt && new Date(row.ExpiresAt) <= new Date();
+    return {
+        id: row.Id,
+        name: row.Name,
+        keyPrefix: row.KeyPrefix,
+        permissions: row.Permissions ? row.Permissions.split(',') : [],
+        category: row.CategoryId ? { id: row.CategoryId, name: row.CategoryName } : null,
+        status: row.RevokedAt ? 'revoked' : expired ? 'expired' : 'active',
+        expiresAt: row.ExpiresAt,
+        lastUsedAt: row.LastUsedAt,
+        lastUsedIp: row.LastUsedIp,
+        revokedAt: row.RevokedAt,
+        revokedBy: row.RevokedBy,
+        createdBy: row.CreatedBy,
+        createdAt: row.CreatedDate,
+        updatedBy: row.UpdatedBy,
+        updatedAt: row.UpdatedDate
+    };
+}
+
+async function fetchApiKey(db, id) {
+    const [rows] = await db.query(`${API_KEY_SELECT} WHERE k.Id = ? AND k.IsActive = 1`, [parseInt(id)]);
+    return rows[0] || null;
+}
+
+// Check permission codes exist and can be given to a key
+async function resolvePermissions(db, permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        return { error: 'permissions must be a non-empty array of permission codes' };
+    }
+    const codes = [...new Set(permissions.map(p => String(p).trim()))];
+    const blocked = codes.filter(c => NON_DELEGABLE_PERMISSIONS.includes(c));
+    if (blocked.length > 0) {
+        return { error: `API keys cannot be granted: ${blocked.join(', ')}` };
+    }
+    const [known] = await db.query('SELECT Code FROM permission WHERE Code IN (?)', [codes]);
+    const knownCodes = known.map(k => k.Code);
+    const unknown = codes.filter(c => !knownCodes.includes(c));
+    if (unknown.length > 0) {
+        return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+    }
+    return { codes };
+}
+
+// undefined = unchanged, null/'' = no limit
+async function resolveCategory(db, categoryId) {
+    if (categoryId === undefined) return { value: undefined };
+    if (categoryId === null || categoryId === '') return { value: null };
+    const id = Number(categoryId);
+    if (!Number.isInteger(id)) return { error: 'Invalid category ID' };
+    const [rows] = await db.query('SELECT Id FROM category WHERE Id = ? AND IsActive = 1', [id]);
+    if (rows.length === 0) return { error: 'Category not found' };
+    return { value: id };
+}
+
+// undefined = unchanged, null/'' = never expires
+function resolveExpiry(expiresAt) {
+    if (expiresAt === undefined) return { value: undefined };
+    if (expiresAt === null || expiresAt === '') return { value: null };
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) return { error: 'expiresAt must be a valid date' };
+    if (date <= new Date()) return { error: 'expiresAt must be in the future' };
+    return { value: date };
+}
+
+/**
+ * List API keys (the keys themselves are never returned again after creation)
+ * GET /api/api-keys
+ * Query parameters: status (active | all, default active)
+ */
+exports.getApiKeys = async (req, res) => {
+    try {
+        const includeAll = req.query.status === 'all';
+        const where = includeAll
+            ? 'WHERE k.IsActive = 1'
+            : 'WHERE k.IsActive = 1 AND k.RevokedAt IS NULL AND (k.ExpiresAt IS NULL OR k.ExpiresAt > NOW())';
+        const [rows] = await getPool().query(`${API_KEY_SELECT} ${where} ORDER BY k.Name ASC`);
+
+        res.status(200).json({
+            message: 'API keys retrieved successfully',
+            data: rows.map(formatApiKey)
+        });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ message: 'Error fetching API keys', error: error.message });
+    }
+};
+
+/**
+ * Create an API key for a service account. The key is in the response only once.
+ * POST /api/api-keys
+ * Body: { name, permissions: ['ticket.create'], categoryId?, expiresAt? }
+ */
+exports.createApiKey = async (req, res) => {
+    const { name, permissions, categoryId, expiresAt } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+        const permissionResult = await resolvePermissions(connection, permissions);
+        if (permissionResult.error) return res.status(400).json({ message: permissionResult.error });
+        const categoryResult = await resolveCategory(connection, categoryId);
+        if (categoryResult.error) return res.status(400).json({ message: categoryResult.error });
+        const expiryResult = resolveExpiry(expiresAt);
+        if (expiryResult.error) return res.status(400).json({ message: expiryResult.error });
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const { key, prefix, hash } = generateApiKey();
+
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            `INSERT INTO api_key (Name, KeyPrefix, KeyHash, CategoryId, ExpiresAt, CreatedBy, UpdatedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [name.trim(), prefix, hash, categoryResult.value || null, expiryResult.value || null, actor, actor]
+        );
+        await connection.query(
+            'INSERT INTO api_key_permission (ApiKeyId, PermissionCode) VALUES ?',
+            [permissionResult.codes.map(code => [result.insertId, code])]
+        );
+        await connection.commit();
+
+        console.log(`🔑 API key "${name.trim()}" (${prefix}…) created by ${req.user?.email || 'System'}`);
+        res.status(201).json({
+            message: 'API key created successfully. Copy the key now; it will not be shown again',
+            data: { ...formatApiKey(await fetchApiKey(pool, result.insertId)), key }
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error creating API key:', error);
+        res.status(500).json({ message: 'Error creating API key', error: error.message });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Change an API key's name, permissions, category or expiry
+ * PUT /api/api-keys/:id
+ * Body: any of { name, permissions, categoryId, expiresAt }
+ */
+exports.updateApiKey = async (req, res) => {
+    const { id } = req.params;
+    const { name, permissions, categoryId, expiresAt } = req.body;
+
+    if (!id || isNaN(id)) {
+        return res.status(400).json({ message: 'Valid API key ID is required' });
+    }
+
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+        const existing = await fetchApiKey(connection, id);
+        if (!existing) return res.status(404).json({ message: 'API key not found' });
+        if (existing.RevokedAt) return res.status(400).json({ message: 'A revoked API key cannot be changed' });
+
+        const updates = {};
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ message: 'Name cannot be empty' });
+            updates.Name = name.trim();
+        }
+        const categoryResult = await resolveCategory(connection, categoryId);
+        if (categoryResult.error) return res.status(400).json({ message: categoryResult.error });
+        if (categoryResult.value !== undefined) updates.CategoryId = categoryResult.value;
+        const expiryResult = resolveExpiry(expiresAt);
+        if (expiryResult.error) return res.status(400).json({ message: expiryResult.error });
+        if (expiryResult.value !== undefined) updates.ExpiresAt = expiryResult.value;
+
+        let permissionCodes = null;
+        if (permissions !== undefined) {
+            const permissionResult = await resolvePermissions(connection, permissions);
+            if (permissionResult.error) return res.status(400).json({ message: permissionResult.error });
+            permissionCodes = permissionResult.codes;
+        }
+
+        updates.UpdatedBy = req.user?.uid || req.user?.email || 'System';
+        await connection.beginTransaction();
+        await connection.query('UPDATE api_key SET ?, UpdatedDate = NOW() WHERE Id = ?', [updates, existing.Id]);
+        if (permissionCodes) {
+            await connection.query('DELETE FROM api_key_permission WHERE ApiKeyId = ?', [existing.Id]);
+            await connection.query(
+                'INSERT INTO api_key_permission (ApiKeyId, PermissionCode) VALUES ?',
+                [permissionCodes.map(code => [existing.Id, code])]
+            );
+        }
+        await connection.commit();
+
+        res.status(200).json({
+            message: 'API key updated successfully',
+            data: formatApiKey(await fetchApiKey(pool, existing.Id))
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating API key:', error);
+        res.status(500).json({ message: 'Error updating API key', error: error.message });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Revoke an API key; requests using it are refused immediately
+ * PUT /api/api-keys/:id/revoke
+ */
+exports.revokeApiKey = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid API key ID is required' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const pool = getPool();
+        const [result] = await pool.query(
+            'UPDATE api_key SET RevokedAt = NOW(), RevokedBy = ?, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ? AND IsActive = 1 AND RevokedAt IS NULL',
+            [actor, actor, parseInt(id)]
+        );
+        if (result.affectedRows === 0) {
+            const existing = await fetchApiKey(pool, id);
+            return existing
+                ? res.status(400).json({ message: 'API key is already revoked' })
+                : res.status(404).json({ message: 'API key not found' });
+        }
+
+        const apiKey = await fetchApiKey(pool, id);
+        console.log(`🔒 API key "${apiKey.Name}" (${apiKey.KeyPrefix}…) revoked by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: 'API key revoked successfully',
+            data: formatApiKey(apiKey)
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ message: 'Error revoking API key', error: error.message });
+    }
+};
@@ -1,32 +1,44 @@
 const { getPool } = require('../config/db');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { randomUUID, randomBytes } = require('crypto');
 const emailServiceApp = require('../services/emailServiceApp');
+const { getPermissionsForRole } = require('../middlewares/permissionMiddleware');
+const { createSession, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../lib/authSessions');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../lib/loginThrottle');
+const { getPasswordPolicy, checkPasswordPolicy, isRecentPassword, rememberPreviousPassword } = require('../lib/passwordPolicy');
+const oidcConfig = require('../config/oidcConfig');
+const { beginLogin, completeLogin, resolveSsoUser } = require('../lib/oidc');
+const { TOKEN_PURPOSES, issuePasswordToken, findPasswordToken, consumePasswordToken, setPasswordUrl } = require('../lib/passwordTokens');
+const {
+    CHALLENGE_PURPOSES,
+    signChallengeToken,
+    verifyChallengeToken,
+    roleRequiresTwoFactor,
+    twoFactorStepFor,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    remainingRecoveryCodes,
+    disableTwoFactor
+} = require('../lib/twoFactor');
 
 // Note: Microsoft Graph API email service using Application Permissions
 // No user authentication required - uses client credentials flow 
 exports.register = async (req, res) => {
-    const { email: rawEmail, password, name, role, category } = req.body;
+    const { email: rawEmail, password, name, role, category, department } = req.body;
     const email = rawEmail && typeof rawEmail === 'string' ? rawEmail.trim().toLowerCase() : rawEmail;
 
-    // If no password provided, generate a secure random temporary password and email it to the user.
-    // The generated password is returned to the welcome email so the user can sign in and then change it.
-    const generateTempPassword = (length = 12) => {
-        const charset = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()-_=+';
-        // Use crypto.randomBytes for secure randomness
-        const bytes = randomBytes(length);
-        let result = '';
-        for (let i = 0; i < length; i++) {
-            const idx = bytes[i] % charset.length;
-            result += charset[idx];
-        }
-        return result;
-    };
+    // Without a password the user gets a single-use invitation link to choose their own.
+    // A password chosen by an administrator has to be changed at first sign-in.
+    const invite = !(password && typeof password === 'string' && password.trim().length > 0);
 
-    const plainPassword = password && typeof password === 'string' && password.trim().length > 0
-        ? password
-        : generateTempPassword(12);
+    if (!invite) {
+        const policyError = checkPasswordPolicy(password, { name, email });
+        if (policyError) {
+            return res.status(400).json({ message: policyError.error, details: policyError.details });
+        }
+    }
 
     try {
         // Check if user exists
@@ -36,7 +48,8 @@ exports.register = async (req, res) => {
             return res.status(400).json({ message: 'Email already registered' });
         }
 
-    const hashed = await bcrypt.hash(plainPassword, 10);
+    // Invited users get an unguessable placeholder hash until they set a password from the link
+    const hashed = await bcrypt.hash(invite ? randomBytes(32).toString('hex') : password, 10);
         const uid = randomUUID();
 
         // Accept role and category IDs directly from frontend (coerce to Number or null)
@@ -52,12 +65,25 @@ exports.register = async (req, res) => {
             categoryId = Number.isNaN(parsed) ? null : parsed;
         }
 
+        let departmentId = null;
+        if (department !== undefined && department !== null && department !== '') {
+            const parsed = Number(department);
+            departmentId = Number.isNaN(parsed) ? null : parsed;
+        }
+
     // Determine actor for audit columns (if request carried a token and user was decoded)
     const actor = req.user && req.user.uid ? req.user.uid : null;
 
+    // The first account on an empty database registers itself, so its own password needn't be changed
+    const mustChangePassword = !invite && !!actor;
+
     // Insert user with audit columns (CreatedBy, UpdatedBy, IsActive). CreatedDate/UpdatedDate handled by DB defaults.
     // store emails normalized to lower-case to avoid case-sensitivity issues
-    await pool.query('INSERT INTO user (name, uid, email, password, roleId, categoryId, CreatedBy, UpdatedBy, IsActive) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', [name, uid, email, hashed, roleId, categoryId, actor, actor, true]);
+    const [insertResult] = await pool.query(
+        'INSERT INTO user (name, uid, email, password, roleId, categoryId, departmentId, MustChangePassword, CreatedBy, UpdatedBy, IsActive) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [name, uid, email, hashed, roleId, categoryId, departmentId, mustChangePassword, actor, actor, true]
+    );
+    const invitation = invite ? await issuePasswordToken(pool, insertResult.insertId, TOKEN_PURPOSES.INVITE, actor) : null;
 
         // Send registration confirmation email using Microsoft Graph API (Application Permissions)
         try {
@@ -87,9 +113,14 @@ exports.register = async (req, res) => {
             // Send welcome email using application permissions (no interactive auth required)
             // Ensure fallback uses the requested IP:port 10.1.1.57:3001
             const loginUrl = `${process.env.APP_URL || 'http://10.1.1.57:3001'}/login`;
-            // Include the plaintext password in the welcome email so the user can sign in (and change it via Forgot Password)
-            // Pass the actual plaintext used for the account (plainPassword) so the user receives it in the welcome email
-            await emailServiceApp.sendWelcomeEmail(email, name || 'User', { role: roleName, categories: categoryNames, loginUrl, tempPassword: plainPassword });
+            // Passwords are never emailed: invited users get a link to set theirs
+            await emailServiceApp.sendWelcomeEmail(email, name || 'User', {
+                role: roleName,
+                categories: categoryNames,
+                loginUrl,
+                setPasswordUrl: invitation ? setPasswordUrl(invitation.token) : null,
+                expiresAt: invitation ? invitation.expiresAt : null
+            });
             console.log(`📧 Welcome email sent successfully to ${email} from tashini.m@printcare.lk`);
 
         } catch (emailError) {
@@ -98,9 +129,12 @@ exports.register = async (req, res) => {
         }
 
         res.status(201).json({
-            message: 'User registered successfully. Verification email sent.',
+            message: invite
+                ? 'User registered successfully. Invitation email sent.'
+                : 'User registered successfully. Welcome email sent.',
             uid,
-            user: { username: name, email }
+            user: { username: name, email, mustChangePassword },
+            invitationExpiresAt: invitation ? invitation.expiresAt : null
         });
     } catch (error) {
         console.error('Error creating user:', error);
@@ -111,39 +145,123 @@ exports.register = async (req, res) => {
     }
 };
 
+// Compared against when the email is unknown, so both cases take the same bcrypt time
+let dummyPasswordHash = null;
+async function getDummyPasswordHash() {
+    if (!dummyPasswordHash) dummyPasswordHash = await bcrypt.hash(randomBytes(16).toString('hex'), 10);
+    return dummyPasswordHash;
+}
+
+async function notifyAccountLocked(user, email, lockout, ipAddress) {
+    try {
+        await emailServiceApp.sendAccountLockedEmail(email, user.name || 'User', {
+            lockedUntil: lockout.lockedUntil,
+            failedAttempts: lockout.failedAttempts,
+            ipAddress
+        });
+        console.log(`📧 Account locked email sent to ${email}`);
+    } catch (emailError) {
+        console.error(`📧 Failed to send account locked email to ${email}:`, emailError.message);
+    }
+}
+
+// Finish a sign-in: clear failed attempts, start a session and return the tokens
+async function sendLoginSuccess(req, res, pool, user, extra = {}) {
+    await recordLoginSuccess(pool, { user, email: user.email, ipAddress: req.ip || null });
+
+    // Start a server-side session: the access token (with uid, roleId and name for the frontend) carries its id,
+    // and the refresh token is used to get new access tokens from POST /api/auth/refresh
+    const session = await createSession(pool, user, req);
+
+    // Permissions let the frontend decide which actions to show; the API still checks them on every request
+    const permissions = await getPermissionsForRole(user.roleId);
+
+    res.status(200).json({
+        message: 'Login successful',
+        token: session.token,
+        refreshToken: session.refreshToken,
+        user: {
+            uid: user.uid,
+            email: user.email,
+            name: user.name,
+            roleId: user.roleId,
+            permissions,
+            // When set, every other endpoint answers 403 until POST /api/auth/change-password succeeds
+            mustChangePassword: !!user.MustChangePassword
+        },
+        ...extra
+    });
+}
+
+// With 2FA a first factor (password or SSO) only earns a challenge token; the session starts after the second step
+function sendTwoFactorChallenge(res, user, twoFactorStep) {
+    const setup = twoFactorStep === CHALLENGE_PURPOSES.SETUP;
+    return res.status(200).json({
+        message: setup
+            ? 'Two-factor authentication must be set up for your account'
+            : 'Enter the code from your authenticator app',
+        twoFactorRequired: !setup,
+        twoFactorSetupRequired: setup,
+        challengeToken: signChallengeToken(user, twoFactorStep)
+    });
+}
+
 exports.login = async (req, res) => {
     const { email: rawEmail, password } = req.body;
     const email = rawEmail && typeof rawEmail === 'string' ? rawEmail.trim().toLowerCase() : rawEmail;
+    const ipAddress = req.ip || null;
+
+    if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+        return res.status(400).json({ message: 'Email and password are required' });
+    }
 
     try {
     const pool = getPool();
     // Include roleId and name in the select so we can add the user's role and name to the JWT
     // Use case-insensitive match for email
-    const [rows] = await pool.query('SELECT uid, password, roleId, name FROM user WHERE LOWER(email) = LOWER(?)', [email]);
-        if (rows.length === 0) {
+    const [rows] = await pool.query(
+        'SELECT Id, uid, password, roleId, name, IsActive, TotpEnabled, MustChangePassword, FailedLoginCount, LastFailedLoginDate, LockedUntil FROM user WHERE LOWER(email) = LOWER(?)',
+        [email]
+    );
+        const user = rows[0] || null;
+
+        // Refuse before comparing passwords while the account or IP is throttled
+        const blocked = await checkLoginAllowed(pool, { user, email, ipAddress });
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfterSeconds));
+            return res.status(blocked.status).json({ message: blocked.message, retryAfterSeconds: blocked.retryAfterSeconds });
+        }
+
+        const match = await bcrypt.compare(password, user && user.password ? user.password : await getDummyPasswordHash());
+        if (!user || !match) {
+            const failure = await recordLoginFailure(pool, { user, email, ipAddress });
+            if (failure.locked) {
+                console.warn(`🔒 Account ${email} locked until ${failure.lockedUntil.toISOString()} after ${failure.failedAttempts} failed sign-ins (last from ${ipAddress})`);
+                await notifyAccountLocked(user, email, failure, ipAddress);
+            }
             return res.status(400).json({ message: 'Invalid email or password' });
         }
 
-        const user = rows[0];
-        const match = await bcrypt.compare(password, user.password);
-        if (!match) return res.status(400).json({ message: 'Invalid email or password' });
+        // Deactivated users (see PUT /api/users/:id/deactivate) can no longer sign in
+        if (!user.IsActive) return res.status(403).json({ message: 'This account has been deactivated' });
 
-        // Add roleId and name to the token payload so frontend / downstream services can use them
-    const jwtToken = jwt.sign({ uid: user.uid, email, roleId: user.roleId, name: user.name }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        // With 2FA the password only earns a challenge token; the session starts after the second step
+        const twoFactorStep = await twoFactorStepFor(pool, user);
+        if (twoFactorStep) return sendTwoFactorChallenge(res, user, twoFactorStep);
 
-        res.status(200).json({
-            message: 'Login successful',
-            token: jwtToken,
-            user: { uid: user.uid, email, name: user.name, roleId: user.roleId }
-        });
+        await sendLoginSuccess(req, res, pool, { ...user, email });
     } catch (error) {
-        res.status(400).json({
-            message: 'Invalid email or password',
+        console.error('Error during login:', error);
+        res.status(500).json({
+            message: 'Login failed',
             error: error.message || 'Authentication failed'
         });
     }
 };
 
+// Same response whether or not the address has an account, so the endpoint can't be used to probe emails
+const FORGOT_PASSWORD_RESPONSE = { message: 'If an account exists for that email, a password reset link has been sent.' };
+
 exports.forgotPassword = async (req, res) => {
     const { email: rawEmail } = req.body;
     const email = rawEmail && typeof rawEmail === 'string' ? rawEmail.trim().toLowerCase() : rawEmail;
@@ -155,39 +273,35 @@ exports.forgotPassword = async (req, res) => {
 
         const pool = getPool();
         // Check if user exists and get user details
-        const [rows] = await pool.query('SELECT uid, name FROM user WHERE LOWER(email) = LOWER(?)', [email]);
+        const [rows] = await pool.query('SELECT Id, uid, name FROM user WHERE LOWER(email) = LOWER(?) AND IsActive = 1', [email]);
         if (rows.length === 0) {
-            console.log(`� ForgotPassword: email not found: ${email}`);
-            return res.status(400).json({ message: 'Email not found' });
+            console.log(`✉️  ForgotPassword: no active account for ${email}`);
+            return res.status(200).json(FORGOT_PASSWORD_RESPONSE);
         }
 
         const user = rows[0];
         const userName = user.name || 'User';
 
-        // Generate password reset token (JWT short lived)
-        const resetToken = jwt.sign({ email }, process.env.JWT_SECRET, { expiresIn: '1h' });
-        // Ensure reset link uses the requested IP:port 10.1.1.57:3001 by default
-        const resetLink = `${process.env.APP_URL || 'http://10.1.1.57:3001'}/reset-password?token=${resetToken}`;
-        console.log(`✉️  ForgotPassword: generated reset token for ${email} (len=${resetToken.length})`);
+        // Single-use reset token; any earlier unused reset link stops working
+        const { token: resetToken } = await issuePasswordToken(pool, user.Id, TOKEN_PURPOSES.RESET, email);
+        const resetLink = setPasswordUrl(resetToken);
+        console.log(`✉️  ForgotPassword: issued reset token for ${email}`);
 
-        try {
-            // Send password reset email using Microsoft Graph API (Application Permissions)
-            await emailServiceApp.sendPasswordResetEmail(email, userName, resetLink);
-            console.log(`📧 Password reset email sent successfully to ${email}`);
-        } catch (emailError) {
-            console.error(`📧 Failed to send password reset email to ${email}:`, emailError.message);
-            return res.status(500).json({ message: 'Failed to send password reset email', error: emailError.message });
-        }
+        // Send password reset email using Microsoft Graph API (Application Permissions).
+        // Not awaited, so the response time doesn't reveal whether an email was sent.
+        emailServiceApp.sendPasswordResetEmail(email, userName, resetLink)
+            .then(() => console.log(`📧 Password reset email sent successfully to ${email}`))
+            .catch(emailError => console.error(`📧 Failed to send password reset email to ${email}:`, emailError.message));
 
-        res.status(200).json({ message: 'Password reset link sent successfully!' });
+        res.status(200).json(FORGOT_PASSWORD_RESPONSE);
     } catch (error) {
         console.error('Error sending password reset link:', error);
-        res.status(400).json({ message: 'Failed to send password reset link', error: error.message });
+        res.status(500).json({ message: 'Failed to send password reset link', error: error.message });
     }
 };
 
 /**
- * Reset password endpoint
+ * Set a password from an invitation or reset link
  * Expects JSON: { token, password }
  */
 exports.resetPassword = async (req, res) => {
@@ -198,29 +312,475 @@ exports.resetPassword = async (req, res) => {
             return res.status(400).json({ message: 'Token and new password are required' });
         }
 
-        // Verify token
-        let payload;
-        try {
-            payload = jwt.verify(token, process.env.JWT_SECRET);
-        } catch (err) {
-            return res.status(401).json({ message: 'Invalid or expired token' });
+        const pool = getPool();
+        const passwordToken = await findPasswordToken(pool, token);
+        if (!passwordToken) {
+            return res.status(401).json({ message: 'This link is invalid, has expired or has already been used' });
         }
 
-        const email = payload.email;
-        if (!email) return res.status(400).json({ message: 'Invalid token payload' });
+        const policyError = checkPasswordPolicy(password, passwordToken);
+        if (policyError) {
+            return res.status(400).json({ message: policyError.error, details: policyError.details });
+        }
 
-    const pool = getPool();
-    const [rows] = await pool.query('SELECT id FROM user WHERE LOWER(email) = LOWER(?)', [email]);
-        if (rows.length === 0) return res.status(400).json({ message: 'User not found' });
+        // Invited users only have a placeholder password, so there is nothing to compare or remember
+        const invitation = passwordToken.Purpose === TOKEN_PURPOSES.INVITE;
+        const [userRows] = await pool.query('SELECT Id, password FROM user WHERE Id = ?', [passwordToken.UserId]);
+        const user = userRows[0];
+        if (!invitation && await isRecentPassword(pool, user, password)) {
+            return res.status(400).json({ message: 'Choose a password you have not used recently' });
+        }
 
         const hashed = await bcrypt.hash(password, 10);
-    // When resetting via token, set UpdatedBy to the user's email (self-service reset)
-    // Update using case-insensitive match and set UpdatedBy to user's email
-    await pool.query('UPDATE user SET password = ?, UpdatedBy = ? WHERE LOWER(email) = LOWER(?)', [hashed, email, email]);
+        if (!(await consumePasswordToken(pool, passwordToken.Id))) {
+            return res.status(401).json({ message: 'This link is invalid, has expired or has already been used' });
+        }
+
+        if (!invitation) await rememberPreviousPassword(pool, user.Id, user.password);
+        // Self-service: UpdatedBy is the user's email
+        await pool.query(
+            'UPDATE user SET password = ?, MustChangePassword = 0, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?',
+            [hashed, passwordToken.email, passwordToken.UserId]
+        );
+        // Sign out everywhere so a stolen session doesn't outlive the password change
+        await revokeUserSessions(pool, passwordToken.UserId, 'PASSWORD_RESET');
 
-        res.status(200).json({ message: 'Password has been reset successfully' });
+        res.status(200).json({
+            message: invitation
+                ? 'Your password has been set. You can now sign in'
+                : 'Password has been reset successfully'
+        });
     } catch (error) {
         console.error('Error resetting password:', error);
         res.status(500).json({ message: 'Failed to reset password', error: error.message });
     }
 };
+
+/**
+ * The password rules, so forms can show them before submitting
+ */
+exports.getPasswordPolicy = (req, res) => {
+    res.status(200).json({ message: 'Password policy retrieved successfully', data: getPasswordPolicy() });
+};
+
+/**
+ * Change the signed-in user's password
+ * Expects JSON: { currentPassword, newPassword }
+ * Other sessions are signed out; the current one stays signed in.
+ */
+exports.changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        if (!currentPassword || !newPassword || typeof newPassword !== 'string') {
+            return res.status(400).json({ message: 'Current password and new password are required' });
+        }
+
+        const pool = getPool();
+        const [rows] = await pool.query('SELECT Id, name, email, password FROM user WHERE uid = ?', [req.user.uid]);
+        const user = rows[0];
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        if (!(await bcrypt.compare(String(currentPassword), user.password))) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        const policyError = checkPasswordPolicy(newPassword, user);
+        if (policyError) {
+            return res.status(400).json({ message: policyError.error, details: policyError.details });
+        }
+        if (await isRecentPassword(pool, user, newPassword)) {
+            return res.status(400).json({ message: 'Choose a password you have not used recently' });
+        }
+
+        const hashed = await bcrypt.hash(newPassword, 10);
+        await rememberPreviousPassword(pool, user.Id, user.password);
+        await pool.query(
+            'UPDATE user SET password = ?, MustChangePassword = 0, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?',
+            [hashed, req.user.uid, user.Id]
+        );
+        await revokeUserSessions(pool, user.Id, 'PASSWORD_CHANGED', req.user.sid);
+
+        console.log(`🔑 Password changed for ${user.email}`);
+        res.status(200).json({ message: 'Password changed successfully' });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ message: 'Failed to change password', error: error.message });
+    }
+};
+
+/**
+ * Exchange a refresh token for a new access token
+ * Expects JSON: { refreshToken }
+ * The refresh token is rotated: the response carries a new one and the old one stops working.
+ */
+exports.refreshToken = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ message: 'Refresh token is required' });
+        }
+
+        const result = await rotateRefreshToken(refreshToken);
+        if (result.error) {
+            return res.status(401).json({ message: result.error });
+        }
+
+        res.status(200).json({
+            message: 'Token refreshed successfully',
+            token: result.token,
+            refreshToken: result.refreshToken,
+            user: {
+                uid: result.user.uid,
+                email: result.user.email,
+                name: result.user.name,
+                roleId: result.user.roleId,
+                permissions: await getPermissionsForRole(result.user.roleId)
+            }
+        });
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        res.status(500).json({ message: 'Failed to refresh token', error: error.message });
+    }
+};
+
+/**
+ * Sign out of the current session
+ * Requires the access token; the session's access and refresh tokens stop working immediately.
+ */
+exports.logout = async (req, res) => {
+    try {
+        await revokeSession(getPool(), req.user.sid, 'LOGOUT');
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ message: 'Failed to log out', error: error.message });
+    }
+};
+
+/**
+ * Sign out of every session of the current user (e.g. after losing a laptop)
+ */
+exports.logoutAll = async (req, res) => {
+    try {
+        const pool = getPool();
+        const [rows] = await pool.query('SELECT Id FROM user WHERE uid = ?', [req.user.uid]);
+        if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+
+        const revoked = await revokeUserSessions(pool, rows[0].Id, 'LOGOUT_ALL');
+        console.log(`🔒 ${req.user.email} signed out of ${revoked} session(s)`);
+        res.status(200).json({ message: 'Logged out of all sessions successfully', sessionsRevoked: revoked });
+    } catch (error) {
+        console.error('Error logging out of all sessions:', error);
+        res.status(500).json({ message: 'Failed to log out of all sessions', error: error.message });
+    }
+};
+
+// --- Two-factor authentication (TOTP) ---
+
+async function loadTwoFactorUser(pool, uid) {
+    const [rows] = await pool.query(
+        `SELECT Id, uid, email, name, roleId, IsActive, MustChangePassword, TotpSecret, TotpEnabled, TotpLastUsedStep,
+                FailedLoginCount, LastFailedLoginDate, LockedUntil
+         FROM user WHERE uid = ?`,
+        [uid]
+    );
+    return rows[0] || null;
+}
+
+// Enrollment can be done signed in, or during sign-in with the setup challenge token
+async function resolveEnrollingUser(req, pool) {
+    if (req.body && req.body.challengeToken) {
+        const challenge = verifyChallengeToken(req.body.challengeToken, CHALLENGE_PURPOSES.SETUP);
+        if (!challenge) return { error: 'Invalid or expired challenge token' };
+        return { user: await loadTwoFactorUser(pool, challenge.uid), viaChallenge: true };
+    }
+    return { user: await loadTwoFactorUser(pool, req.user.uid), viaChallenge: false };
+}
+
+/**
+ * Second sign-in step for accounts with 2FA
+ * Expects JSON: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+exports.verifyLoginTwoFactor = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const ipAddress = req.ip || null;
+
+    try {
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ message: 'A code or recovery code is required' });
+        }
+        const challenge = verifyChallengeToken(challengeToken, CHALLENGE_PURPOSES.VERIFY);
+        if (!challenge) {
+            return res.status(401).json({ message: 'Invalid or expired challenge token. Please sign in again' });
+        }
+
+        const pool = getPool();
+        const user = await loadTwoFactorUser(pool, challenge.uid);
+        if (!user || !user.IsActive) {
+            return res.status(401).json({ message: 'Invalid or expired challenge token. Please sign in again' });
+        }
+
+        // Wrong codes count as failed sign-ins, so guessing codes is throttled like guessing passwords
+        const blocked = await checkLoginAllowed(pool, { user, email: user.email, ipAddress });
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfterSeconds));
+            return res.status(blocked.status).json({ message: blocked.message, retryAfterSeconds: blocked.retryAfterSeconds });
+        }
+
+        const method = await verifySecondFactor(pool, user, { code, recoveryCode });
+        if (!method) {
+            const failure = await recordLoginFailure(pool, { user, email: user.email, ipAddress });
+            if (failure.locked) {
+                console.warn(`🔒 Account ${user.email} locked after ${failure.failedAttempts} failed two-factor attempts (last from ${ipAddress})`);
+                await notifyAccountLocked(user, user.email, failure, ipAddress);
+            }
+            return res.status(401).json({ message: 'Invalid two-factor code' });
+        }
+
+        const extra = {};
+        if (method === 'recovery_code') {
+            extra.recoveryCodesRemaining = await remainingRecoveryCodes(pool, user.Id);
+            console.log(`🔑 ${user.email} signed in with a recovery code (${extra.recoveryCodesRemaining} left)`);
+        }
+        await sendLoginSuccess(req, res, pool, user, extra);
+    } catch (error) {
+        console.error('Error verifying two-factor code:', error);
+        res.status(500).json({ message: 'Failed to verify two-factor code', error: error.message });
+    }
+};
+
+/**
+ * Two-factor status for the signed-in user
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+    try {
+        const pool = getPool();
+        const user = await loadTwoFactorUser(pool, req.user.uid);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        res.status(200).json({
+            message: 'Two-factor status retrieved successfully',
+            data: {
+                enabled: !!user.TotpEnabled,
+                requiredByRole: await roleRequiresTwoFactor(pool, user.roleId),
+                recoveryCodesRemaining: user.TotpEnabled ? await remainingRecoveryCodes(pool, user.Id) : 0
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({ message: 'Failed to fetch two-factor status', error: error.message });
+    }
+};
+
+/**
+ * Start 2FA enrollment: returns the secret and an otpauth:// URI to show as a QR code
+ * Signed in, or with { challengeToken } from a login that requires 2FA setup
+ */
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const pool = getPool();
+        const { user, error } = await resolveEnrollingUser(req, pool);
+        if (error) return res.status(401).json({ message: error });
+        if (!user || !user.IsActive) return res.status(404).json({ message: 'User not found' });
+        if (user.TotpEnabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const { secret, otpauthUrl } = await startEnrollment(pool, user);
+        res.status(200).json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: { secret, otpauthUrl }
+        });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ message: 'Failed to start two-factor setup', error: error.message });
+    }
+};
+
+/**
+ * Confirm enrollment with the first code: enables 2FA and returns one-time recovery codes.
+ * When enrolling during sign-in ({ challengeToken, code }) the response also carries the session tokens.
+ */
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const pool = getPool();
+        const { user, error, viaChallenge } = await resolveEnrollingUser(req, pool);
+        if (error) return res.status(401).json({ message: error });
+        if (!user || !user.IsActive) return res.status(404).json({ message: 'User not found' });
+        if (user.TotpEnabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.TotpSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(pool, user, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: 'Invalid two-factor code' });
+        }
+
+        console.log(`🔐 Two-factor authentication enabled for ${user.email}`);
+        if (viaChallenge) {
+            return sendLoginSuccess(req, res, pool, user, { recoveryCodes });
+        }
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        res.status(500).json({ message: 'Failed to enable two-factor authentication', error: error.message });
+    }
+};
+
+/**
+ * Turn 2FA off (not allowed when the user's role requires it)
+ * Expects JSON: { code } or { recoveryCode }
+ */
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const pool = getPool();
+        const user = await loadTwoFactorUser(pool, req.user.uid);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        if (!user.TotpEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+        if (await roleRequiresTwoFactor(pool, user.roleId)) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+        }
+        if (!(await verifySecondFactor(pool, user, req.body || {}))) {
+            return res.status(401).json({ message: 'Invalid two-factor code' });
+        }
+
+        await disableTwoFactor(pool, user.Id);
+        console.log(`🔓 Two-factor authentication disabled for ${user.email}`);
+        res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({ message: 'Failed to disable two-factor authentication', error: error.message });
+    }
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * Expects JSON: { code }
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const pool = getPool();
+        const user = await loadTwoFactorUser(pool, req.user.uid);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        if (!user.TotpEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+        if (!req.body.code || !(await verifySecondFactor(pool, user, { code: req.body.code }))) {
+            return res.status(401).json({ message: 'Invalid two-factor code' });
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(pool, user.Id);
+        res.status(200).json({
+            message: 'Recovery codes replaced. Store them somewhere safe; they are shown only once',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ message: 'Failed to regenerate recovery codes', error: error.message });
+    }
+};
+
+// --- Single sign-on (OpenID Connect) ---
+
+// How long the frontend has to collect the tokens after the callback
+const SSO_COMPLETE_WINDOW_MS = 2 * 60 * 1000;
+
+function ssoRedirect(res, params) {
+    const separator = oidcConfig.postLoginRedirect.includes('?') ? '&' : '?';
+    return res.redirect(`${oidcConfig.postLoginRedirect}${separator}${new URLSearchParams(params).toString()}`);
+}
+
+/**
+ * Start SSO: redirects the browser to the identity provider
+ * GET /api/auth/oidc/login?login_hint=<email (optional)>
+ */
+exports.oidcLogin = async (req, res) => {
+    if (!oidcConfig.enabled) {
+        return res.status(404).json({ message: 'Single sign-on is not enabled' });
+    }
+
+    try {
+        const { url, pending } = await beginLogin(req.query.login_hint);
+        req.session.oidc = pending;
+        res.redirect(url);
+    } catch (error) {
+        console.error('Error starting SSO sign-in:', error);
+        res.status(502).json({ message: 'Could not reach the identity provider', error: error.message });
+    }
+};
+
+/**
+ * Redirect target registered with the identity provider.
+ * Verifies the sign-in, then sends the browser back to the frontend, which calls POST /api/auth/oidc/complete.
+ * GET /api/auth/oidc/callback
+ */
+exports.oidcCallback = async (req, res) => {
+    if (!oidcConfig.enabled) {
+        return res.status(404).json({ message: 'Single sign-on is not enabled' });
+    }
+
+    const pending = req.session.oidc;
+    delete req.session.oidc;
+
+    try {
+        if (req.query.error) {
+            console.warn(`🔐 SSO: identity provider returned ${req.query.error}: ${req.query.error_description || ''}`);
+            return ssoRedirect(res, { sso: 'error', message: 'Sign-in was cancelled or refused by the identity provider' });
+        }
+
+        const claims = await completeLogin({ code: req.query.code, state: req.query.state }, pending);
+        const result = await resolveSsoUser(getPool(), claims);
+        if (result.error) {
+            console.warn(`🔐 SSO: refused ${claims.email || claims.preferred_username || claims.sub}: ${result.error}`);
+            return ssoRedirect(res, { sso: 'error', message: result.error });
+        }
+
+        req.session.oidcLogin = { uid: result.user.uid, at: Date.now() };
+        console.log(`🔐 SSO: ${result.user.email} signed in${result.provisioned ? ' (new account)' : ''}`);
+        ssoRedirect(res, { sso: 'success' });
+    } catch (error) {
+        console.error('Error completing SSO sign-in:', error.message);
+        ssoRedirect(res, { sso: 'error', message: 'Single sign-on failed. Please try again' });
+    }
+};
+
+/**
+ * Collect the access and refresh tokens after a successful SSO callback (same browser session)
+ * POST /api/auth/oidc/complete
+ */
+exports.oidcComplete = async (req, res) => {
+    const login = req.session && req.session.oidcLogin;
+    if (req.session) delete req.session.oidcLogin;
+
+    try {
+        if (!login || Date.now() - login.at > SSO_COMPLETE_WINDOW_MS) {
+            return res.status(401).json({ message: 'No single sign-on in progress. Please sign in again' });
+        }
+
+        const pool = getPool();
+        const user = await loadTwoFactorUser(pool, login.uid);
+        if (!user || !user.IsActive) {
+            return res.status(401).json({ message: 'No single sign-on in progress. Please sign in again' });
+        }
+
+        // The identity provider may not enforce a second factor, so enrolled users and roles that require
+        // 2FA go through the same challenge as a password sign-in
+        const twoFactorStep = await twoFactorStepFor(pool, user);
+        if (twoFactorStep) return sendTwoFactorChallenge(res, user, twoFactorStep);
+
+        await sendLoginSuccess(req, res, pool, user, { sso: true });
+    } catch (error) {
+        console.error('Error completing SSO sign-in:', error);
+        res.status(500).json({ message: 'Failed to complete single sign-on', error: error.message });
+    }
+};
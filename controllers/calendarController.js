@@ -0,0 +1,197 @@
+const { getPool } = require('../config/db');
+const { DAY_NAMES, isValidTimezone, timeToMinutes, minutesToTime, formatDateKey } = require('../lib/businessHours');
+
+const HOLIDAY_TYPES = ['PUBLIC', 'POYA', 'COMPANY'];
+
+function formatHoliday(row) {
+    return {
+        id: row.Id,
+        date: formatDateKey(row.HolidayDate),
+        name: row.Name,
+        type: row.Type
+    };
+}
+
+/**
+ * Get the business calendar: timezone, weekly working hours and holidays
+ * GET /api/business-calendar
+ * Query parameters: year (optional, limits the holidays returned)
+ */
+exports.getBusinessCalendar = async (req, res) => {
+    try {
+        const pool = getPool();
+        const { year } = req.query;
+
+        const [calendarRows] = await pool.query('SELECT Name, Timezone, UpdatedBy, UpdatedDate FROM business_calendar WHERE Id = 1');
+        const [hourRows] = await pool.query(
+            'SELECT DayOfWeek, StartTime, EndTime FROM business_hours WHERE IsActive = 1 ORDER BY DayOfWeek, StartTime'
+        );
+
+        let holidayQuery = 'SELECT Id, HolidayDate, Name, Type FROM holiday WHERE IsActive = 1';
+        const holidayParams = [];
+        if (year && !isNaN(year)) {
+            holidayQuery += ' AND YEAR(HolidayDate) = ?';
+            holidayParams.push(parseInt(year));
+        }
+        const [holidayRows] = await pool.query(`${holidayQuery} ORDER BY HolidayDate ASC`, holidayParams);
+
+        const calendar = calendarRows[0] || {};
+        res.status(200).json({
+            message: 'Business calendar retrieved successfully',
+            data: {
+                name: calendar.Name || null,
+                timezone: calendar.Timezone || null,
+                hours: hourRows.map(row => ({
+                    dayOfWeek: row.DayOfWeek,
+                    day: DAY_NAMES[row.DayOfWeek],
+                    start: minutesToTime(timeToMinutes(row.StartTime)),
+                    end: minutesToTime(timeToMinutes(row.EndTime))
+                })),
+                holidays: holidayRows.map(formatHoliday),
+                updatedBy: calendar.UpdatedBy || null,
+                updatedAt: calendar.UpdatedDate || null
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching business calendar:', error);
+        res.status(500).json({ message: 'Error fetching business calendar', error: error.message });
+    }
+};
+
+/**
+ * Update the timezone and/or weekly working hours
+ * PUT /api/business-calendar
+ * Body: { timezone, hours: [{ dayOfWeek (0 = Sunday), start: 'HH:mm', end: 'HH:mm' }] }
+ * When `hours` is given it replaces the whole weekly schedule; days that are left out are non-working days.
+ */
+exports.updateBusinessCalendar = async (req, res) => {
+    const { timezone, hours } = req.body;
+
+    if (timezone !== undefined && (!timezone || !isValidTimezone(timezone))) {
+        return res.status(400).json({ message: 'Invalid timezone. Use an IANA name such as Asia/Colombo' });
+    }
+
+    let windows = null;
+    if (hours !== undefined) {
+        if (!Array.isArray(hours)) {
+            return res.status(400).json({ message: 'hours must be an array' });
+        }
+        windows = [];
+        for (const h of hours) {
+            const dayOfWeek = parseInt(h && h.dayOfWeek);
+            const start = timeToMinutes(h && h.start);
+            const end = timeToMinutes(h && h.end);
+            if (!(dayOfWeek >= 0 && dayOfWeek <= 6) || start === null || end === null || end <= start) {
+                return res.status(400).json({ message: 'Each hours entry needs dayOfWeek (0-6) and start/end times (HH:mm) with end after start' });
+            }
+            const overlaps = windows.some(w => w.dayOfWeek === dayOfWeek && start < w.end && end > w.start);
+            if (overlaps) {
+                return res.status(400).json({ message: `Working hours overlap on ${DAY_NAMES[dayOfWeek]}` });
+            }
+            windows.push({ dayOfWeek, start, end });
+        }
+    }
+
+    const actor = req.user?.uid || req.user?.email || 'System';
+    const connection = await getPool().getConnection();
+    try {
+        await connection.beginTransaction();
+
+        if (timezone !== undefined) {
+            await connection.query('UPDATE business_calendar SET Timezone = ?, UpdatedBy = ? WHERE Id = 1', [timezone, actor]);
+        }
+
+        if (windows) {
+            await connection.query('DELETE FROM business_hours');
+            for (const w of windows) {
+                await connection.query(
+                    'INSERT INTO business_hours (DayOfWeek, StartTime, EndTime, CreatedBy, UpdatedBy) VALUES (?, ?, ?, ?, ?)',
+                    [w.dayOfWeek, minutesToTime(w.start), minutesToTime(w.end), actor, actor]
+                );
+            }
+            await connection.query('UPDATE business_calendar SET UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = 1', [actor]);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating business calendar:', error);
+        return res.status(500).json({ message: 'Error updating business calendar', error: error.message });
+    } finally {
+        connection.release();
+    }
+
+    return exports.getBusinessCalendar(req, res);
+};
+
+/**
+ * Add a holiday (re-adding a removed date restores it)
+ * POST /api/business-calendar/holidays
+ * Body: { date: 'YYYY-MM-DD', name, type: PUBLIC | POYA | COMPANY }
+ */
+exports.addHoliday = async (req, res) => {
+    try {
+        const { date, name } = req.body;
+        const type = req.body.type ? String(req.body.type).trim().toUpperCase() : 'PUBLIC';
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+            return res.status(400).json({ message: 'date is required in YYYY-MM-DD format' });
+        }
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ message: 'Holiday name is required' });
+        }
+        if (!HOLIDAY_TYPES.includes(type)) {
+            return res.status(400).json({ message: `Invalid holiday type. Allowed values: ${HOLIDAY_TYPES.join(', ')}` });
+        }
+
+        const pool = getPool();
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [existing] = await pool.query('SELECT Id FROM holiday WHERE HolidayDate = ? AND IsActive = 1', [date]);
+        if (existing.length > 0) {
+            return res.status(409).json({ message: `A holiday already exists on ${date}` });
+        }
+
+        await pool.query(
+            `INSERT INTO holiday (HolidayDate, Name, Type, CreatedBy, UpdatedBy)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE Name = VALUES(Name), Type = VALUES(Type), UpdatedBy = VALUES(UpdatedBy), IsActive = 1`,
+            [date, name.trim(), type, actor, actor]
+        );
+
+        const [rows] = await pool.query('SELECT Id, HolidayDate, Name, Type FROM holiday WHERE HolidayDate = ?', [date]);
+        res.status(201).json({
+            message: 'Holiday added successfully',
+            data: formatHoliday(rows[0])
+        });
+    } catch (error) {
+        console.error('Error adding holiday:', error);
+        res.status(500).json({ message: 'Error adding holiday', error: error.message });
+    }
+};
+
+/**
+ * Remove a holiday
+ * DELETE /api/business-calendar/holidays/:id
+ */
+exports.deleteHoliday = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid holiday ID is required' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [result] = await getPool().query(
+            'UPDATE holiday SET IsActive = 0, UpdatedBy = ? WHERE Id = ? AND IsActive = 1',
+            [actor, parseInt(id)]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Holiday not found' });
+        }
+
+        res.status(200).json({ message: 'Holiday removed successfully' });
+    } catch (error) {
+        console.error('Error removing holiday:', error);
+        res.status(500).json({ message: 'Error removing holiday', error: error.message });
+    }
+};
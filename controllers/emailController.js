@@ -380,48 +380,6 @@ class EmailController {
             });
         }
     }
-
-    /**
-     * Get available email templates
-     * GET /api/email/templates
-     */
-    async getTemplates(req, res) {
-        try {
-            const templates = [
-                {
-                    name: 'ticket-created',
-                    description: 'Email sent when a new support ticket is created',
-                    requiredFields: ['ticketId', 'userName', 'title', 'severityLevel', 'status']
-                },
-                {
-                    name: 'ticket-updated',
-                    description: 'Email sent when a support ticket is updated',
-                    requiredFields: ['ticketId', 'userName', 'status', 'updatedBy']
-                },
-                {
-                    name: 'welcome',
-                    description: 'Welcome email for new users',
-                    requiredFields: ['userName']
-                }
-            ];
-
-            res.json({
-                success: true,
-                message: 'Available email templates',
-                data: {
-                    templates,
-                    count: templates.length
-                }
-            });
-        } catch (error) {
-            console.error('Error getting templates:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Failed to get templates',
-                error: error.message
-            });
-        }
-    }
 }
 
 module.exports = new EmailController();
\ No newline at end of file
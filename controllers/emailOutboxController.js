@@ -0,0 +1,227 @@
+const { getPool } = require('../config/db');
+const { wakeEmailOutbox } = require('../services/emailOutboxService');
+
+const OUTBOX_STATUSES = ['PENDING', 'SENT', 'FAILED'];
+
+const OUTBOX_SELECT = `
+    SELECT o.Id, o.ToAddress, o.ToName, o.Subject, o.ContentType, o.Status, o.Attempts, o.NextAttemptDate,
+           o.LastStatusCode, o.LastError, o.SentDate, o.CreatedBy, o.CreatedDate, o.UpdatedBy, o.UpdatedDate,
+           (SELECT COUNT(*) FROM email_outbox_attachment a WHERE a.OutboxId = o.Id) as AttachmentCount
+    FROM email_outbox o
+`;
+
+function formatOutboxEmail(row) {
+    return {
+        id: row.Id,
+        to: row.ToAddress,
+        toName: row.ToName,
+        subject: row.Subject,
+        contentType: row.ContentType,
+        status: row.Status,
+        attempts: row.Attempts,
+        nextAttemptAt: row.NextAttemptDate,
+        lastStatusCode: row.LastStatusCode,
+        lastError: row.LastError,
+        sentAt: row.SentDate,
+        attachmentCount: Number(row.AttachmentCount) || 0,
+        createdBy: row.CreatedBy,
+        createdAt: row.CreatedDate,
+        updatedBy: row.UpdatedBy,
+        updatedAt: row.UpdatedDate
+    };
+}
+
+/**
+ * List queued, sent and failed emails (newest first)
+ * GET /api/email/outbox
+ * Query parameters: status (PENDING | SENT | FAILED), to (recipient address contains), search (subject contains), page, limit
+ */
+exports.getOutbox = async (req, res) => {
+    try {
+        const { status, to, search, page = 1, limit = 20 } = req.query;
+
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (status) {
+            const wanted = String(status).toUpperCase();
+            if (!OUTBOX_STATUSES.includes(wanted)) {
+                return res.status(400).json({ message: `Invalid status. Allowed values: ${OUTBOX_STATUSES.join(', ')}` });
+            }
+            whereConditions.push('o.Status = ?');
+            queryParams.push(wanted);
+        }
+        if (to && String(to).trim()) {
+            whereConditions.push('o.ToAddress LIKE ?');
+            queryParams.push(`%${String(to).trim()}%`);
+        }
+        if (search && String(search).trim()) {
+            whereConditions.push('o.Subject LIKE ?');
+            queryParams.push(`%${String(search).trim()}%`);
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (pageNum - 1) * limitNum;
+
+        const pool = getPool();
+        const [countResult] = await pool.query(`SELECT COUNT(*) as total FROM email_outbox o ${whereClause}`, queryParams);
+        const totalItems = countResult[0].total;
+
+        const [rows] = await pool.query(
+            `${OUTBOX_SELECT} ${whereClause} ORDER BY o.CreatedDate DESC, o.Id DESC LIMIT ? OFFSET ?`,
+            [...queryParams, limitNum, offset]
+        );
+
+        const [statusCounts] = await pool.query('SELECT Status, COUNT(*) as total FROM email_outbox GROUP BY Status');
+        const summary = { PENDING: 0, SENT: 0, FAILED: 0 };
+        statusCounts.forEach(r => { summary[r.Status] = Number(r.total); });
+
+        res.status(200).json({
+            message: 'Outbox retrieved successfully',
+            data: {
+                emails: rows.map(formatOutboxEmail),
+                summary,
+                pagination: {
+                    currentPage: pageNum,
+                    totalPages: Math.ceil(totalItems / limitNum),
+                    totalItems: totalItems,
+                    itemsPerPage: limitNum
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching email outbox:', error);
+        res.status(500).json({ message: 'Error fetching email outbox', error: error.message });
+    }
+};
+
+/**
+ * A queued email with its body, attachments and every delivery attempt
+ * GET /api/email/outbox/:id
+ */
+exports.getOutboxEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid email ID is required' });
+        }
+
+        const pool = getPool();
+        const [rows] = await pool.query(`${OUTBOX_SELECT} WHERE o.Id = ?`, [parseInt(id)]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+
+        const [[{ Body }]] = await pool.query('SELECT Body FROM email_outbox WHERE Id = ?', [parseInt(id)]);
+        const [attachments] = await pool.query(
+            `SELECT a.Name, a.ContentType, a.IsInline, c.Size
+             FROM email_outbox_attachment a
+             LEFT JOIN email_attachment_content c ON a.ContentHash = c.ContentHash
+             WHERE a.OutboxId = ?
+             ORDER BY a.Position ASC`,
+            [parseInt(id)]
+        );
+        const [attempts] = await pool.query(
+            'SELECT Outcome, StatusCode, Error, AttemptedDate FROM email_outbox_attempt WHERE OutboxId = ? ORDER BY Id ASC',
+            [parseInt(id)]
+        );
+
+        res.status(200).json({
+            message: 'Email retrieved successfully',
+            data: {
+                ...formatOutboxEmail(rows[0]),
+                body: Body,
+                attachments: attachments.map(a => ({
+                    name: a.Name,
+                    contentType: a.ContentType,
+                    inline: a.IsInline === 1,
+                    size: a.Size
+                })),
+                deliveryAttempts: attempts.map(a => ({
+                    outcome: a.Outcome,
+                    statusCode: a.StatusCode,
+                    error: a.Error,
+                    attemptedAt: a.AttemptedDate
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching outbox email:', error);
+        res.status(500).json({ message: 'Error fetching outbox email', error: error.message });
+    }
+};
+
+/**
+ * Queue a failed email again; it gets a fresh set of attempts
+ * POST /api/email/outbox/:id/resend
+ */
+exports.resendOutboxEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid email ID is required' });
+        }
+
+        const pool = getPool();
+        const [rows] = await pool.query('SELECT Id, ToAddress, Status FROM email_outbox WHERE Id = ?', [parseInt(id)]);
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+        if (rows[0].Status !== 'FAILED') {
+            return res.status(409).json({ message: `Only failed emails can be re-sent; this email is ${rows[0].Status}` });
+        }
+
+        await pool.query(
+            `UPDATE email_outbox SET Status = 'PENDING', Attempts = 0, NextAttemptDate = NOW(), UpdatedBy = ?
+             WHERE Id = ? AND Status = 'FAILED'`,
+            [req.user?.uid || req.user?.email || 'System', rows[0].Id]
+        );
+        wakeEmailOutbox();
+
+        console.log(`🔁 Email ${rows[0].Id} to ${rows[0].ToAddress} queued again by ${req.user?.email || 'System'}`);
+        res.status(200).json({ message: 'Email queued for delivery again', data: { id: rows[0].Id, status: 'PENDING' } });
+    } catch (error) {
+        console.error('Error re-sending outbox email:', error);
+        res.status(500).json({ message: 'Error re-sending outbox email', error: error.message });
+    }
+};
+
+/**
+ * Queue failed emails again: the ones listed, or every failed email
+ * POST /api/email/outbox/resend-failed
+ * Body: { ids?: number[] }
+ */
+exports.resendFailedOutboxEmails = async (req, res) => {
+    try {
+        const { ids } = req.body || {};
+        const params = [req.user?.uid || req.user?.email || 'System'];
+        let idFilter = '';
+
+        if (ids !== undefined) {
+            if (!Array.isArray(ids) || ids.length === 0 || ids.some(i => !Number.isInteger(Number(i)))) {
+                return res.status(400).json({ message: 'ids must be a non-empty array of email IDs' });
+            }
+            idFilter = ' AND Id IN (?)';
+            params.push(ids.map(Number));
+        }
+
+        const [result] = await getPool().query(
+            `UPDATE email_outbox SET Status = 'PENDING', Attempts = 0, NextAttemptDate = NOW(), UpdatedBy = ?
+             WHERE Status = 'FAILED'${idFilter}`,
+            params
+        );
+        if (result.affectedRows > 0) wakeEmailOutbox();
+
+        console.log(`🔁 ${result.affectedRows} failed email(s) queued again by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: `${result.affectedRows} failed email(s) queued for delivery again`,
+            data: { requeued: result.affectedRows }
+        });
+    } catch (error) {
+        console.error('Error re-sending failed emails:', error);
+        res.status(500).json({ message: 'Error re-sending failed emails', error: error.message });
+    }
+};
@@ -0,0 +1,164 @@
+const {
+    getTemplateDefinition,
+    listEmailTemplates,
+    getEmailTemplate,
+    getEmailTemplateVersions,
+    saveEmailTemplateVersion,
+    activateEmailTemplateVersion,
+    previewEmailTemplate
+} = require('../services/emailTemplateService');
+
+// ?version= / { version }: a whole number, 0 being the built-in default
+function parseVersion(value) {
+    if (value === undefined || value === null || value === '') return { version: null };
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) return { error: 'version must be a whole number (0 = built-in default)' };
+    return { version };
+}
+
+/**
+ * List email templates with the version each one uses
+ * GET /api/email/templates
+ */
+exports.getTemplates = async (req, res) => {
+    try {
+        const templates = await listEmailTemplates();
+        res.status(200).json({
+            message: 'Email templates retrieved successfully',
+            data: { templates, count: templates.length }
+        });
+    } catch (error) {
+        console.error('Error fetching email templates:', error);
+        res.status(500).json({ message: 'Error fetching email templates', error: error.message });
+    }
+};
+
+/**
+ * A template's subject, body and variables: the active version, or ?version=N (0 = built-in default)
+ * GET /api/email/templates/:name
+ */
+exports.getTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!getTemplateDefinition(name)) {
+            return res.status(404).json({ message: `Email template '${name}' not found` });
+        }
+        const parsed = parseVersion(req.query.version);
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+        const template = await getEmailTemplate(name, parsed.version);
+        if (!template) {
+            return res.status(404).json({ message: `Email template '${name}' has no version ${parsed.version}` });
+        }
+        res.status(200).json({ message: 'Email template retrieved successfully', data: template });
+    } catch (error) {
+        console.error('Error fetching email template:', error);
+        res.status(500).json({ message: 'Error fetching email template', error: error.message });
+    }
+};
+
+/**
+ * Version history of a template, newest first
+ * GET /api/email/templates/:name/versions
+ */
+exports.getTemplateVersions = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!getTemplateDefinition(name)) {
+            return res.status(404).json({ message: `Email template '${name}' not found` });
+        }
+        const versions = await getEmailTemplateVersions(name);
+        res.status(200).json({ message: 'Email template versions retrieved successfully', data: { name, versions } });
+    } catch (error) {
+        console.error('Error fetching email template versions:', error);
+        res.status(500).json({ message: 'Error fetching email template versions', error: error.message });
+    }
+};
+
+/**
+ * Save a new version of a template; it is used for every email from now on
+ * PUT /api/email/templates/:name
+ * Body: { subject, body, comment? }
+ */
+exports.updateTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { subject, body, comment } = req.body || {};
+        const actor = req.user?.uid || req.user?.email || 'System';
+
+        const result = await saveEmailTemplateVersion(name, { subject, body, comment }, actor);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+
+        console.log(`✉️ Email template '${name}' version ${result.version} saved by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: `Email template '${name}' saved as version ${result.version}`,
+            data: { name, version: result.version, warnings: result.warnings }
+        });
+    } catch (error) {
+        console.error('Error saving email template:', error);
+        res.status(500).json({ message: 'Error saving email template', error: error.message });
+    }
+};
+
+/**
+ * Go back to an earlier version of a template (0 = built-in default)
+ * POST /api/email/templates/:name/rollback
+ * Body: { version }
+ */
+exports.rollbackTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const parsed = parseVersion((req.body || {}).version);
+        if (parsed.error || parsed.version === null) {
+            return res.status(400).json({ message: parsed.error || 'version is required (0 = built-in default)' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const result = await activateEmailTemplateVersion(name, parsed.version, actor);
+        if (result.error) return res.status(result.status).json({ message: result.error });
+
+        console.log(`↩️ Email template '${name}' rolled back to version ${result.version} by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: result.version === 0
+                ? `Email template '${name}' now uses the built-in default`
+                : `Email template '${name}' now uses version ${result.version}`,
+            data: { name, activeVersion: result.version }
+        });
+    } catch (error) {
+        console.error('Error rolling back email template:', error);
+        res.status(500).json({ message: 'Error rolling back email template', error: error.message });
+    }
+};
+
+/**
+ * Render a template with sample ticket data: the active version, or ?version=N.
+ * ?format=html returns the rendered body as a page instead of JSON.
+ * GET /api/email/templates/:name/preview
+ */
+exports.previewTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!getTemplateDefinition(name)) {
+            return res.status(404).json({ message: `Email template '${name}' not found` });
+        }
+        const parsed = parseVersion(req.query.version);
+        if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+        const preview = await previewEmailTemplate(name, parsed.version);
+        if (!preview) {
+            return res.status(404).json({ message: `Email template '${name}' has no version ${parsed.version}` });
+        }
+        if (preview.error) return res.status(preview.status).json({ message: preview.error });
+
+        if (req.query.format === 'html') {
+            return res.status(200).type('html').send(preview.body);
+        }
+        res.status(200).json({
+            message: 'Email template rendered with sample data',
+            data: { name, version: preview.version, subject: preview.subject, body: preview.body }
+        });
+    } catch (error) {
+        console.error('Error previewing email template:', error);
+        res.status(500).json({ message: 'Error previewing email template', error: error.message });
+    }
+};
@@ -24,7 +24,8 @@ exports.testEmailService = async (req, res) => {
             contentType: 'HTML'
         };
 
-        await emailServiceApp.sendEmailAsUser(testEmailData);
+        // Sent directly rather than through the outbox so the response reflects Microsoft Graph's answer
+        await emailServiceApp.sendEmailNow(testEmailData);
         
         res.status(200).json({
             success: true,
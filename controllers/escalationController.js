@@ -0,0 +1,207 @@
+const { getPool } = require('../config/db');
+const { normalizeStatus } = require('../lib/ticketLifecycle');
+
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const TRIGGER_TYPES = ['AGE', 'SLA_AT_RISK', 'SLA_BREACHED'];
+const ACTIONS = ['NOTIFY', 'BUMP_SEVERITY', 'REASSIGN'];
+const CLOSED_STATUSES = ['COMPLETED', 'CLOSED', 'REJECTED'];
+
+function formatRule(row) {
+    return {
+        id: row.Id,
+        name: row.Name,
+        status: row.Status,
+        severityLevel: row.SeverityLevel,
+        triggerType: row.TriggerType,
+        ageMinutes: row.AgeMinutes,
+        action: row.Action,
+        reassignTo: row.ReassignToUserId ? { id: row.ReassignToUserId, name: row.reassignToName || null } : null,
+        escalationCount: row.escalationCount !== undefined ? parseInt(row.escalationCount) : undefined,
+        updatedBy: row.UpdatedBy || row.CreatedBy || null,
+        updatedAt: row.UpdatedDate
+    };
+}
+
+// Validate a rule body (merged over the existing rule for updates); returns { rule } or { error }
+async function validateRule(pool, body, existing = {}) {
+    const pick = (key, column) => (body[key] !== undefined ? body[key] : existing[column]);
+
+    const name = pick('name', 'Name');
+    if (!name || !String(name).trim()) return { error: 'Rule name is required' };
+
+    const rawStatus = pick('status', 'Status');
+    const status = rawStatus ? normalizeStatus(rawStatus) : null;
+    if (rawStatus && (!status || CLOSED_STATUSES.includes(status))) {
+        return { error: 'status must be an open ticket status, or empty to match any open status' };
+    }
+
+    const rawSeverity = pick('severityLevel', 'SeverityLevel');
+    const severityLevel = rawSeverity ? String(rawSeverity).trim().toUpperCase() : null;
+    if (severityLevel && !SEVERITY_LEVELS.includes(severityLevel)) {
+        return { error: `Invalid severityLevel. Allowed values: ${SEVERITY_LEVELS.join(', ')}` };
+    }
+
+    const triggerType = String(pick('triggerType', 'TriggerType') || '').trim().toUpperCase();
+    if (!TRIGGER_TYPES.includes(triggerType)) {
+        return { error: `Invalid triggerType. Allowed values: ${TRIGGER_TYPES.join(', ')}` };
+    }
+
+    let ageMinutes = null;
+    if (triggerType === 'AGE') {
+        ageMinutes = parseInt(pick('ageMinutes', 'AgeMinutes'));
+        if (!Number.isInteger(ageMinutes) || ageMinutes <= 0) {
+            return { error: 'ageMinutes (business minutes) is required for AGE rules' };
+        }
+    }
+
+    const action = String(pick('action', 'Action') || 'NOTIFY').trim().toUpperCase();
+    if (!ACTIONS.includes(action)) {
+        return { error: `Invalid action. Allowed values: ${ACTIONS.join(', ')}` };
+    }
+
+    let reassignToUserId = null;
+    if (action === 'REASSIGN') {
+        reassignToUserId = parseInt(pick('reassignToUserId', 'ReassignToUserId'));
+        if (!Number.isInteger(reassignToUserId)) {
+            return { error: 'reassignToUserId is required for REASSIGN rules' };
+        }
+        const [userRows] = await pool.query('SELECT Id FROM user WHERE Id = ? AND IsActive = 1', [reassignToUserId]);
+        if (userRows.length === 0) return { error: 'Reassign user not found or inactive' };
+    }
+
+    return {
+        rule: { name: String(name).trim(), status, severityLevel, triggerType, ageMinutes, action, reassignToUserId }
+    };
+}
+
+async function fetchRule(pool, id) {
+    const [rows] = await pool.query(
+        `SELECT r.*, u.Name as reassignToName
+         FROM escalation_rule r
+         LEFT JOIN user u ON r.ReassignToUserId = u.Id
+         WHERE r.Id = ?`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Get all active escalation rules
+ * GET /api/escalation-rules
+ */
+exports.getEscalationRules = async (req, res) => {
+    try {
+        const pool = getPool();
+        const [rows] = await pool.query(
+            `SELECT r.*, u.Name as reassignToName,
+                    (SELECT COUNT(*) FROM ticket_escalation x WHERE x.RuleId = r.Id) as escalationCount
+             FROM escalation_rule r
+             LEFT JOIN user u ON r.ReassignToUserId = u.Id
+             WHERE r.IsActive = 1
+             ORDER BY r.Id ASC`
+        );
+
+        res.status(200).json({
+            message: 'Escalation rules retrieved successfully',
+            data: rows.map(formatRule)
+        });
+    } catch (error) {
+        console.error('Error fetching escalation rules:', error);
+        res.status(500).json({ message: 'Error fetching escalation rules', error: error.message });
+    }
+};
+
+/**
+ * Create an escalation rule
+ * POST /api/escalation-rules
+ * Body: { name, status, severityLevel, triggerType (AGE | SLA_AT_RISK | SLA_BREACHED), ageMinutes,
+ *         action (NOTIFY | BUMP_SEVERITY | REASSIGN), reassignToUserId }
+ */
+exports.createEscalationRule = async (req, res) => {
+    try {
+        const pool = getPool();
+        const { rule, error } = await validateRule(pool, req.body || {});
+        if (error) return res.status(400).json({ message: error });
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [result] = await pool.query(
+            `INSERT INTO escalation_rule (Name, Status, SeverityLevel, TriggerType, AgeMinutes, Action, ReassignToUserId, CreatedBy, UpdatedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [rule.name, rule.status, rule.severityLevel, rule.triggerType, rule.ageMinutes, rule.action, rule.reassignToUserId, actor, actor]
+        );
+
+        res.status(201).json({
+            message: 'Escalation rule created successfully',
+            data: formatRule(await fetchRule(pool, result.insertId))
+        });
+    } catch (error) {
+        console.error('Error creating escalation rule:', error);
+        res.status(500).json({ message: 'Error creating escalation rule', error: error.message });
+    }
+};
+
+/**
+ * Update an escalation rule
+ * PUT /api/escalation-rules/:id
+ * Tickets already escalated by this rule are not escalated again by it.
+ */
+exports.updateEscalationRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid escalation rule ID is required' });
+        }
+
+        const pool = getPool();
+        const existing = await fetchRule(pool, parseInt(id));
+        if (!existing || !existing.IsActive) {
+            return res.status(404).json({ message: 'Escalation rule not found' });
+        }
+
+        const { rule, error } = await validateRule(pool, req.body || {}, existing);
+        if (error) return res.status(400).json({ message: error });
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        await pool.query(
+            `UPDATE escalation_rule
+             SET Name = ?, Status = ?, SeverityLevel = ?, TriggerType = ?, AgeMinutes = ?, Action = ?, ReassignToUserId = ?, UpdatedBy = ?
+             WHERE Id = ?`,
+            [rule.name, rule.status, rule.severityLevel, rule.triggerType, rule.ageMinutes, rule.action, rule.reassignToUserId, actor, parseInt(id)]
+        );
+
+        res.status(200).json({
+            message: 'Escalation rule updated successfully',
+            data: formatRule(await fetchRule(pool, parseInt(id)))
+        });
+    } catch (error) {
+        console.error('Error updating escalation rule:', error);
+        res.status(500).json({ message: 'Error updating escalation rule', error: error.message });
+    }
+};
+
+/**
+ * Deactivate an escalation rule
+ * DELETE /api/escalation-rules/:id
+ */
+exports.deleteEscalationRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid escalation rule ID is required' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [result] = await getPool().query(
+            'UPDATE escalation_rule SET IsActive = 0, UpdatedBy = ? WHERE Id = ? AND IsActive = 1',
+            [actor, parseInt(id)]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Escalation rule not found' });
+        }
+
+        res.status(200).json({ message: 'Escalation rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting escalation rule:', error);
+        res.status(500).json({ message: 'Error deleting escalation rule', error: error.message });
+    }
+};
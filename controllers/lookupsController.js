@@ -150,4 +150,317 @@ exports.getIssueTypes = async (req, res) => {
             error: error.message
         });
     }
-};
\ No newline at end of file
+};
+// --- Lookup administration (requires lookup.manage) ---
+
+// Tickets in these statuses keep their lookup values when a lookup is deactivated
+const CLOSED_STATUSES = ['COMPLETED', 'CLOSED', 'REJECTED'];
+
+// ticketColumn: lookups referenced by tickets can't be deactivated while open tickets still use them
+// categoryScoped: names are unique within a category, and a replacement must belong to the same category
+// children: category-scoped types that are deactivated with a category; tickets moved to another category lose them
+const LOOKUPS = {
+    department: { table: 'department', label: 'Department' },
+    company: { table: 'company', label: 'Company' },
+    category: {
+        table: 'category',
+        label: 'Category',
+        ticketColumn: 'CategoryId',
+        children: [
+            { table: 'requesttype', ticketColumn: 'RequestTypeId' },
+            { table: 'issuetype', ticketColumn: 'IssueId' }
+        ]
+    },
+    requestType: { table: 'requesttype', label: 'Request type', ticketColumn: 'RequestTypeId', categoryScoped: true },
+    issueType: { table: 'issuetype', label: 'Issue type', ticketColumn: 'IssueId', categoryScoped: true }
+};
+
+async function fetchLookup(db, lookup, id, forUpdate = false) {
+    const columns = lookup.categoryScoped ? 'Id, Name, CategoryId, IsActive' : 'Id, Name, IsActive';
+    const [rows] = await db.query(
+        `SELECT ${columns} FROM ${lookup.table} WHERE Id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [parseInt(id)]
+    );
+    return rows[0] || null;
+}
+
+// Active lookups must have unique names (within their category for request and issue types)
+async function findDuplicate(db, lookup, name, categoryId, excludeId = null) {
+    let query = `SELECT Id FROM ${lookup.table} WHERE IsActive = 1 AND LOWER(Name) = LOWER(?)`;
+    const params = [name];
+    if (lookup.categoryScoped) {
+        query += ' AND CategoryId <=> ?';
+        params.push(categoryId);
+    }
+    if (excludeId) {
+        query += ' AND Id != ?';
+        params.push(parseInt(excludeId));
+    }
+    const [rows] = await db.query(query, params);
+    return rows.length > 0;
+}
+
+async function validateCategoryId(db, categoryId) {
+    if (categoryId === undefined || categoryId === null || categoryId === '' || isNaN(categoryId)) {
+        return { error: 'Valid categoryId is required' };
+    }
+    const [rows] = await db.query('SELECT Id FROM category WHERE Id = ? AND IsActive = 1', [parseInt(categoryId)]);
+    if (rows.length === 0) return { error: 'Category not found or inactive' };
+    return { value: parseInt(categoryId) };
+}
+
+function validateName(name) {
+    if (!name || typeof name !== 'string' || !name.trim()) return { error: 'Name is required' };
+    if (name.trim().length > 100) return { error: 'Name must be 100 characters or fewer' };
+    return { value: name.trim() };
+}
+
+function formatLookup(lookup, row) {
+    const data = { Id: row.Id, Name: row.Name };
+    if (lookup.categoryScoped) data.CategoryId = row.CategoryId;
+    return data;
+}
+
+/**
+ * Build a create handler for a lookup table
+ * Body: { name } (plus categoryId for request and issue types)
+ */
+function createLookupHandler(key) {
+    const lookup = LOOKUPS[key];
+    return async (req, res) => {
+        try {
+            const pool = getPool();
+            const name = validateName(req.body.name);
+            if (name.error) return res.status(400).json({ message: name.error });
+
+            let categoryId = null;
+            if (lookup.categoryScoped) {
+                const category = await validateCategoryId(pool, req.body.categoryId);
+                if (category.error) return res.status(400).json({ message: category.error });
+                categoryId = category.value;
+            }
+
+            if (await findDuplicate(pool, lookup, name.value, categoryId)) {
+                return res.status(409).json({ message: `${lookup.label} "${name.value}" already exists` });
+            }
+
+            const actor = req.user?.uid || req.user?.email || 'System';
+            const [result] = lookup.categoryScoped
+                ? await pool.query(
+                    `INSERT INTO ${lookup.table} (Name, CategoryId, CreatedBy, UpdatedBy, IsActive) VALUES (?, ?, ?, ?, 1)`,
+                    [name.value, categoryId, actor, actor]
+                )
+                : await pool.query(
+                    `INSERT INTO ${lookup.table} (Name, CreatedBy, UpdatedBy, IsActive) VALUES (?, ?, ?, 1)`,
+                    [name.value, actor, actor]
+                );
+
+            res.status(201).json({
+                message: `${lookup.label} created successfully`,
+                data: formatLookup(lookup, await fetchLookup(pool, lookup, result.insertId))
+            });
+        } catch (error) {
+            console.error(`Error creating ${lookup.table}:`, error);
+            res.status(500).json({ message: `Error creating ${lookup.label.toLowerCase()}`, error: error.message });
+        }
+    };
+}
+
+/**
+ * Build an update handler for a lookup table
+ * Body: { name } (plus optional categoryId for request and issue types; a type open tickets use can't change category)
+ */
+function updateLookupHandler(key) {
+    const lookup = LOOKUPS[key];
+    return async (req, res) => {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(id)) {
+                return res.status(400).json({ message: `Valid ${lookup.label.toLowerCase()} ID is required` });
+            }
+
+            const pool = getPool();
+            const existing = await fetchLookup(pool, lookup, id);
+            if (!existing || !existing.IsActive) {
+                return res.status(404).json({ message: `${lookup.label} not found` });
+            }
+
+            const name = validateName(req.body.name !== undefined ? req.body.name : existing.Name);
+            if (name.error) return res.status(400).json({ message: name.error });
+
+            let categoryId = lookup.categoryScoped ? existing.CategoryId : null;
+            if (lookup.categoryScoped && req.body.categoryId !== undefined) {
+                const category = await validateCategoryId(pool, req.body.categoryId);
+                if (category.error) return res.status(400).json({ message: category.error });
+                categoryId = category.value;
+            }
+
+            if (await findDuplicate(pool, lookup, name.value, categoryId, existing.Id)) {
+                return res.status(409).json({ message: `${lookup.label} "${name.value}" already exists` });
+            }
+
+            const actor = req.user?.uid || req.user?.email || 'System';
+            if (lookup.categoryScoped) {
+                // A type that open tickets use can't move to another category (they'd keep a type of the wrong
+                // category); the check is part of the UPDATE so a ticket created meanwhile is counted too
+                const closedPlaceholders = CLOSED_STATUSES.map(() => '?').join(',');
+                const [result] = await pool.query(
+                    `UPDATE ${lookup.table} SET Name = ?, CategoryId = ?, UpdatedBy = ?, UpdatedDate = NOW()
+                     WHERE Id = ? AND (CategoryId <=> ? OR NOT EXISTS (
+                         SELECT 1 FROM ticket WHERE ${lookup.ticketColumn} = ? AND IsActive = 1 AND Status NOT IN (${closedPlaceholders})
+                     ))`,
+                    [name.value, categoryId, actor, existing.Id, categoryId, existing.Id, ...CLOSED_STATUSES]
+                );
+                if (result.affectedRows === 0) {
+                    const [countRows] = await pool.query(
+                        `SELECT COUNT(*) as total FROM ticket
+                         WHERE ${lookup.ticketColumn} = ? AND IsActive = 1 AND Status NOT IN (${closedPlaceholders})`,
+                        [existing.Id, ...CLOSED_STATUSES]
+                    );
+                    return res.status(409).json({
+                        message: `${lookup.label} is used by ${countRows[0].total} open ticket(s) and can't move to another category`,
+                        openTicketCount: countRows[0].total
+                    });
+                }
+            } else {
+                await pool.query(
+                    `UPDATE ${lookup.table} SET Name = ?, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?`,
+                    [name.value, actor, existing.Id]
+                );
+            }
+
+            res.status(200).json({
+                message: `${lookup.label} updated successfully`,
+                data: formatLookup(lookup, await fetchLookup(pool, lookup, existing.Id))
+            });
+        } catch (error) {
+            console.error(`Error updating ${lookup.table}:`, error);
+            res.status(500).json({ message: `Error updating ${lookup.label.toLowerCase()}`, error: error.message });
+        }
+    };
+}
+
+/**
+ * Build a deactivate handler for a lookup table
+ * Body: { replacementId } - for categories and types that open tickets still use, the open
+ * tickets are moved to the replacement; without one the request is rejected (409).
+ * Deactivating a category also deactivates its request and issue types, and tickets moved to the
+ * replacement category have their request and issue type cleared.
+ */
+function deactivateLookupHandler(key) {
+    const lookup = LOOKUPS[key];
+    return async (req, res) => {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: `Valid ${lookup.label.toLowerCase()} ID is required` });
+        }
+
+        const pool = getPool();
+        const connection = await pool.getConnection();
+        try {
+            // Everything from the open-ticket count to the move runs in one transaction, with the lookup rows and
+            // the counted tickets locked, so a ticket created in between can't be left on the deactivated value
+            await connection.beginTransaction();
+            const existing = await fetchLookup(connection, lookup, id, true);
+            if (!existing || !existing.IsActive) {
+                await connection.rollback();
+                return res.status(404).json({ message: `${lookup.label} not found` });
+            }
+
+            const closedPlaceholders = CLOSED_STATUSES.map(() => '?').join(',');
+            let openTicketCount = 0;
+            if (lookup.ticketColumn) {
+                const [openRows] = await connection.query(
+                    `SELECT Id FROM ticket
+                     WHERE ${lookup.ticketColumn} = ? AND IsActive = 1 AND Status NOT IN (${closedPlaceholders})
+                     FOR UPDATE`,
+                    [existing.Id, ...CLOSED_STATUSES]
+                );
+                openTicketCount = openRows.length;
+            }
+
+            const { replacementId } = req.body || {};
+            let replacement = null;
+            if (openTicketCount > 0) {
+                if (replacementId === undefined || replacementId === null || replacementId === '') {
+                    await connection.rollback();
+                    return res.status(409).json({
+                        message: `${lookup.label} is used by ${openTicketCount} open ticket(s). Provide a replacementId to move them`,
+                        openTicketCount
+                    });
+                }
+                replacement = await fetchLookup(connection, lookup, replacementId, true);
+                if (!replacement || !replacement.IsActive || replacement.Id === existing.Id) {
+                    await connection.rollback();
+                    return res.status(400).json({ message: `Replacement ${lookup.label.toLowerCase()} not found or inactive` });
+                }
+                if (lookup.categoryScoped && replacement.CategoryId !== existing.CategoryId) {
+                    await connection.rollback();
+                    return res.status(400).json({ message: `Replacement ${lookup.label.toLowerCase()} must belong to the same category` });
+                }
+            }
+
+            const actor = req.user?.uid || req.user?.email || 'System';
+            const children = lookup.children || [];
+            if (replacement) {
+                // The old category's request/issue types don't apply in the replacement category
+                const clearChildren = children.map(child => `, ${child.ticketColumn} = NULL`).join('');
+                await connection.query(
+                    `UPDATE ticket SET ${lookup.ticketColumn} = ?${clearChildren}, UpdatedBy = ?, UpdatedDate = NOW()
+                     WHERE ${lookup.ticketColumn} = ? AND IsActive = 1 AND Status NOT IN (${closedPlaceholders})`,
+                    [replacement.Id, actor, existing.Id, ...CLOSED_STATUSES]
+                );
+            }
+            let childrenDeactivated = 0;
+            for (const child of children) {
+                const [childResult] = await connection.query(
+                    `UPDATE ${child.table} SET IsActive = 0, UpdatedBy = ?, UpdatedDate = NOW() WHERE CategoryId = ? AND IsActive = 1`,
+                    [actor, existing.Id]
+                );
+                childrenDeactivated += childResult.affectedRows;
+            }
+            await connection.query(
+                `UPDATE ${lookup.table} SET IsActive = 0, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?`,
+                [actor, existing.Id]
+            );
+            await connection.commit();
+
+            console.log(`✅ ${lookup.label} "${existing.Name}" deactivated by ${actor}${replacement ? `; ${openTicketCount} open ticket(s) moved to "${replacement.Name}"` : ''}${childrenDeactivated > 0 ? `; ${childrenDeactivated} request/issue type(s) deactivated` : ''}`);
+            const data = {
+                ticketsMoved: replacement ? openTicketCount : 0,
+                replacement: replacement ? formatLookup(lookup, replacement) : null
+            };
+            if (lookup.children) data.typesDeactivated = childrenDeactivated;
+            res.status(200).json({
+                message: `${lookup.label} deactivated successfully`,
+                data
+            });
+        } catch (error) {
+            await connection.rollback();
+            console.error(`Error deactivating ${lookup.table}:`, error);
+            res.status(500).json({ message: `Error deactivating ${lookup.label.toLowerCase()}`, error: error.message });
+        } finally {
+            connection.release();
+        }
+    };
+}
+
+exports.createDepartment = createLookupHandler('department');
+exports.updateDepartment = updateLookupHandler('department');
+exports.deactivateDepartment = deactivateLookupHandler('department');
+
+exports.createCompany = createLookupHandler('company');
+exports.updateCompany = updateLookupHandler('company');
+exports.deactivateCompany = deactivateLookupHandler('company');
+
+exports.createCategory = createLookupHandler('category');
+exports.updateCategory = updateLookupHandler('category');
+exports.deactivateCategory = deactivateLookupHandler('category');
+
+exports.createRequestType = createLookupHandler('requestType');
+exports.updateRequestType = updateLookupHandler('requestType');
+exports.deactivateRequestType = deactivateLookupHandler('requestType');
+
+exports.createIssueType = createLookupHandler('issueType');
+exports.updateIssueType = updateLookupHandler('issueType');
+exports.deactivateIssueType = deactivateLookupHandler('issueType');
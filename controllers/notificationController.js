@@ -0,0 +1,156 @@
+const { getPool } = require('../config/db');
+const { getPreferences, setPreferences } = require('../lib/notificationPreferences');
+
+async function findCurrentUserId(db, req) {
+    const [rows] = await db.query('SELECT Id FROM user WHERE uid = ? AND IsActive = 1', [req.user?.uid || null]);
+    return rows.length > 0 ? rows[0].Id : null;
+}
+
+/**
+ * Own notification preferences, one entry per event type and channel (defaults filled in)
+ * GET /api/user/notification-preferences
+ */
+exports.getNotificationPreferences = async (req, res) => {
+    try {
+        const pool = getPool();
+        const userId = await findCurrentUserId(pool, req);
+        if (!userId) return res.status(404).json({ message: 'User not found' });
+
+        res.status(200).json({
+            message: 'Notification preferences retrieved successfully',
+            data: await getPreferences(pool, userId)
+        });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Error fetching notification preferences', error: error.message });
+    }
+};
+
+/**
+ * Change own notification preferences; entries not listed keep their current value
+ * PUT /api/user/notification-preferences
+ * Body: { preferences: [{ eventType, channel, enabled }] }
+ */
+exports.updateNotificationPreferences = async (req, res) => {
+    try {
+        const pool = getPool();
+        const userId = await findCurrentUserId(pool, req);
+        if (!userId) return res.status(404).json({ message: 'User not found' });
+
+        const result = await setPreferences(pool, userId, req.body.preferences, req.user?.uid || req.user?.email || 'System');
+        if (result.error) return res.status(400).json({ message: result.error });
+
+        res.status(200).json({
+            message: 'Notification preferences updated successfully',
+            data: await getPreferences(pool, userId)
+        });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ message: 'Error updating notification preferences', error: error.message });
+    }
+};
+
+/**
+ * Own in-app notifications, newest first
+ * GET /api/user/notifications
+ * Query parameters: unread (true to list unread only), limit (default 50, max 200)
+ */
+exports.getNotifications = async (req, res) => {
+    try {
+        const pool = getPool();
+        const userId = await findCurrentUserId(pool, req);
+        if (!userId) return res.status(404).json({ message: 'User not found' });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const unreadOnly = req.query.unread === 'true';
+        const [rows] = await pool.query(
+            `SELECT n.Id, n.TicketId, CONCAT('TK-', YEAR(t.CreatedDate), '-', LPAD(t.Id, 3, '0')) as ticketNumber,
+                    n.EventType, n.Message, n.ReadAt, n.CreatedDate
+             FROM notification n
+             LEFT JOIN ticket t ON n.TicketId = t.Id
+             WHERE n.UserId = ? AND n.Channel = 'IN_APP'${unreadOnly ? ' AND n.ReadAt IS NULL' : ''}
+             ORDER BY n.CreatedDate DESC, n.Id DESC
+             LIMIT ?`,
+            [userId, limit]
+        );
+        const [[{ unreadCount }]] = await pool.query(
+            "SELECT COUNT(*) as unreadCount FROM notification WHERE UserId = ? AND Channel = 'IN_APP' AND ReadAt IS NULL",
+            [userId]
+        );
+
+        res.status(200).json({
+            message: 'Notifications retrieved successfully',
+            data: {
+                unreadCount,
+                notifications: rows.map(row => ({
+                    id: row.Id,
+                    ticketId: row.TicketId,
+                    ticketNumber: row.ticketNumber,
+                    eventType: row.EventType,
+                    message: row.Message,
+                    read: row.ReadAt !== null,
+                    readAt: row.ReadAt,
+                    createdAt: row.CreatedDate
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Error fetching notifications', error: error.message });
+    }
+};
+
+/**
+ * Mark one in-app notification as read
+ * PUT /api/user/notifications/:id/read
+ */
+exports.markNotificationRead = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid notification ID is required' });
+        }
+
+        const pool = getPool();
+        const userId = await findCurrentUserId(pool, req);
+        if (!userId) return res.status(404).json({ message: 'User not found' });
+
+        const [result] = await pool.query(
+            "UPDATE notification SET ReadAt = COALESCE(ReadAt, NOW()) WHERE Id = ? AND UserId = ? AND Channel = 'IN_APP'",
+            [parseInt(id), userId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        res.status(200).json({ message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ message: 'Error marking notification as read', error: error.message });
+    }
+};
+
+/**
+ * Mark all own in-app notifications as read
+ * PUT /api/user/notifications/read-all
+ */
+exports.markAllNotificationsRead = async (req, res) => {
+    try {
+        const pool = getPool();
+        const userId = await findCurrentUserId(pool, req);
+        if (!userId) return res.status(404).json({ message: 'User not found' });
+
+        const [result] = await pool.query(
+            "UPDATE notification SET ReadAt = NOW() WHERE UserId = ? AND Channel = 'IN_APP' AND ReadAt IS NULL",
+            [userId]
+        );
+
+        res.status(200).json({
+            message: 'Notifications marked as read',
+            data: { updated: result.affectedRows }
+        });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ message: 'Error marking notifications as read', error: error.message });
+    }
+};
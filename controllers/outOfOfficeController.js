@@ -0,0 +1,186 @@
+const { getPool } = require('../config/db');
+const { getActiveDelegators } = require('../lib/delegation');
+
+const WINDOW_SELECT = `
+    SELECT o.Id, o.UserId, u.name as userName, o.DelegateUserId, d.name as delegateName, d.email as delegateEmail,
+           o.StartDate, o.EndDate, o.Note, o.IsActive, o.CreatedBy, o.CreatedDate, o.UpdatedBy, o.UpdatedDate
+    FROM out_of_office o
+    JOIN user u ON o.UserId = u.Id
+    JOIN user d ON o.DelegateUserId = d.Id
+`;
+
+function formatWindow(row) {
+    const now = new Date();
+    let status = 'scheduled';
+    if (!row.IsActive) status = 'cancelled';
+    else if (new Date(row.EndDate) <= now) status = 'ended';
+    else if (new Date(row.StartDate) <= now) status = 'active';
+    return {
+        id: row.Id,
+        user: { id: row.UserId, name: row.userName },
+        delegate: { id: row.DelegateUserId, name: row.delegateName, email: row.delegateEmail },
+        startDate: row.StartDate,
+        endDate: row.EndDate,
+        note: row.Note,
+        status,
+        createdBy: row.CreatedBy,
+        createdAt: row.CreatedDate,
+        updatedBy: row.UpdatedBy,
+        updatedAt: row.UpdatedDate
+    };
+}
+
+async function fetchWindow(db, id) {
+    const [rows] = await db.query(`${WINDOW_SELECT} WHERE o.Id = ?`, [parseInt(id)]);
+    return rows[0] || null;
+}
+
+// The user whose windows are managed: the admin route's :id, otherwise the signed-in user
+async function resolveTargetUser(db, req) {
+    if (req.params.id !== undefined) {
+        if (isNaN(req.params.id)) return { status: 400, error: 'Valid user ID is required' };
+        const [rows] = await db.query('SELECT Id, name FROM user WHERE Id = ? AND IsActive = 1', [parseInt(req.params.id)]);
+        return rows.length > 0 ? { user: rows[0] } : { status: 404, error: 'User not found' };
+    }
+    const [rows] = await db.query('SELECT Id, name FROM user WHERE uid = ? AND IsActive = 1', [req.user?.uid || null]);
+    return rows.length > 0 ? { user: rows[0] } : { status: 404, error: 'User not found' };
+}
+
+/**
+ * List out-of-office windows, and who the user is currently covering for
+ * GET /api/user/out-of-office (own) or GET /api/users/:id/out-of-office (admin)
+ * Query parameters: status (current | all, default current = running and upcoming windows)
+ */
+exports.getOutOfOffice = async (req, res) => {
+    try {
+        const pool = getPool();
+        const target = await resolveTargetUser(pool, req);
+        if (target.error) return res.status(target.status).json({ message: target.error });
+
+        const where = req.query.status === 'all'
+            ? 'WHERE o.UserId = ?'
+            : 'WHERE o.UserId = ? AND o.IsActive = 1 AND o.EndDate > NOW()';
+        const [rows] = await pool.query(`${WINDOW_SELECT} ${where} ORDER BY o.StartDate DESC`, [target.user.Id]);
+        const coveringFor = await getActiveDelegators(pool, target.user.Id);
+
+        res.status(200).json({
+            message: 'Out-of-office windows retrieved successfully',
+            data: {
+                windows: rows.map(formatWindow),
+                coveringFor: coveringFor.map(d => ({ id: d.Id, name: d.name, until: d.until }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching out-of-office windows:', error);
+        res.status(500).json({ message: 'Error fetching out-of-office windows', error: error.message });
+    }
+};
+
+/**
+ * Schedule an out-of-office window with a delegate
+ * POST /api/user/out-of-office (own) or POST /api/users/:id/out-of-office (admin)
+ * Body: { delegateUserId, startDate? (default now), endDate, note? }
+ */
+exports.createOutOfOffice = async (req, res) => {
+    const { delegateUserId, startDate, endDate, note } = req.body;
+
+    if (!delegateUserId || isNaN(delegateUserId)) {
+        return res.status(400).json({ message: 'Valid delegateUserId is required' });
+    }
+    const start = startDate ? new Date(startDate) : new Date();
+    const end = endDate ? new Date(endDate) : null;
+    if (isNaN(start.getTime())) {
+        return res.status(400).json({ message: 'startDate must be a valid date' });
+    }
+    if (!end || isNaN(end.getTime())) {
+        return res.status(400).json({ message: 'endDate is required and must be a valid date' });
+    }
+    if (end <= start || end <= new Date()) {
+        return res.status(400).json({ message: 'endDate must be after startDate and in the future' });
+    }
+    if (note !== undefined && note !== null && String(note).length > 255) {
+        return res.status(400).json({ message: 'note must be 255 characters or fewer' });
+    }
+
+    try {
+        const pool = getPool();
+        const target = await resolveTargetUser(pool, req);
+        if (target.error) return res.status(target.status).json({ message: target.error });
+
+        const delegateId = parseInt(delegateUserId);
+        if (delegateId === target.user.Id) {
+            return res.status(400).json({ message: 'A user cannot delegate to themselves' });
+        }
+        const [delegateRows] = await pool.query('SELECT Id FROM user WHERE Id = ? AND IsActive = 1', [delegateId]);
+        if (delegateRows.length === 0) {
+            return res.status(400).json({ message: 'Delegate not found or inactive' });
+        }
+
+        const [overlapping] = await pool.query(
+            'SELECT Id FROM out_of_office WHERE UserId = ? AND IsActive = 1 AND StartDate < ? AND EndDate > ? LIMIT 1',
+            [target.user.Id, end, start]
+        );
+        if (overlapping.length > 0) {
+            return res.status(409).json({
+                message: 'This user already has an out-of-office window in that period. Cancel it first',
+                conflictingWindowId: overlapping[0].Id
+            });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [result] = await pool.query(
+            `INSERT INTO out_of_office (UserId, DelegateUserId, StartDate, EndDate, Note, CreatedBy, UpdatedBy)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [target.user.Id, delegateId, start, end, note ? String(note).trim() : null, actor, actor]
+        );
+
+        const window = await fetchWindow(pool, result.insertId);
+        console.log(`🏖️ ${window.userName} out of office ${start.toISOString()} - ${end.toISOString()}, delegate ${window.delegateName} (set by ${req.user?.email || 'System'})`);
+        res.status(201).json({
+            message: 'Out-of-office window created successfully',
+            data: formatWindow(window)
+        });
+    } catch (error) {
+        console.error('Error creating out-of-office window:', error);
+        res.status(500).json({ message: 'Error creating out-of-office window', error: error.message });
+    }
+};
+
+/**
+ * Cancel (or end early) an out-of-office window
+ * PUT /api/user/out-of-office/:windowId/cancel (own) or PUT /api/users/:id/out-of-office/:windowId/cancel (admin)
+ */
+exports.cancelOutOfOffice = async (req, res) => {
+    try {
+        const { windowId } = req.params;
+        if (!windowId || isNaN(windowId)) {
+            return res.status(400).json({ message: 'Valid out-of-office window ID is required' });
+        }
+
+        const pool = getPool();
+        const target = await resolveTargetUser(pool, req);
+        if (target.error) return res.status(target.status).json({ message: target.error });
+
+        const existing = await fetchWindow(pool, windowId);
+        if (!existing || existing.UserId !== target.user.Id) {
+            return res.status(404).json({ message: 'Out-of-office window not found' });
+        }
+        if (!existing.IsActive) {
+            return res.status(400).json({ message: 'Out-of-office window is already cancelled' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        await pool.query(
+            'UPDATE out_of_office SET IsActive = 0, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?',
+            [actor, existing.Id]
+        );
+
+        res.status(200).json({
+            message: 'Out-of-office window cancelled successfully',
+            data: formatWindow(await fetchWindow(pool, existing.Id))
+        });
+    } catch (error) {
+        console.error('Error cancelling out-of-office window:', error);
+        res.status(500).json({ message: 'Error cancelling out-of-office window', error: error.message });
+    }
+};
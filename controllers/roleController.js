@@ -0,0 +1,131 @@
+const { getPool } = require('../config/db');
+const { clearPermissionCache } = require('../middlewares/permissionMiddleware');
+
+/**
+ * Get all roles with their granted permissions, plus the list of known permissions
+ * GET /api/roles
+ */
+exports.getRoles = async (req, res) => {
+    try {
+        const pool = getPool();
+        const [roleRows] = await pool.query('SELECT Id, Name, RequireTwoFactor FROM role ORDER BY Id ASC');
+        const [grantRows] = await pool.query('SELECT RoleId, PermissionCode FROM role_permission ORDER BY PermissionCode ASC');
+        const [permissionRows] = await pool.query('SELECT Code, Description FROM permission ORDER BY Code ASC');
+
+        res.status(200).json({
+            message: 'Roles retrieved successfully',
+            data: {
+                roles: roleRows.map(role => ({
+                    id: role.Id,
+                    name: role.Name,
+                    requireTwoFactor: !!role.RequireTwoFactor,
+                    permissions: grantRows.filter(g => g.RoleId === role.Id).map(g => g.PermissionCode)
+                })),
+                permissions: permissionRows.map(p => ({ code: p.Code, description: p.Description }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({ message: 'Error fetching roles', error: error.message });
+    }
+};
+
+/**
+ * Replace the permissions granted to a role
+ * PUT /api/roles/:id/permissions
+ * Body: { permissions: ['ticket.assign', ...] }
+ */
+exports.updateRolePermissions = async (req, res) => {
+    const { id } = req.params;
+    const { permissions } = req.body;
+
+    if (!id || isNaN(id)) {
+        return res.status(400).json({ message: 'Valid role ID is required' });
+    }
+    if (!Array.isArray(permissions)) {
+        return res.status(400).json({ message: 'permissions must be an array of permission codes' });
+    }
+
+    const roleId = parseInt(id);
+    const codes = [...new Set(permissions.map(p => String(p).trim()))];
+
+    // Don't let an administrator remove their own ability to manage roles
+    if (Number(req.user?.roleId) === roleId && !codes.includes('user.manage')) {
+        return res.status(400).json({ message: 'You cannot remove user.manage from your own role' });
+    }
+
+    const pool = getPool();
+    const connection = await pool.getConnection();
+    try {
+        const [roleRows] = await connection.query('SELECT Id FROM role WHERE Id = ?', [roleId]);
+        if (roleRows.length === 0) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        if (codes.length > 0) {
+            const [known] = await connection.query('SELECT Code FROM permission WHERE Code IN (?)', [codes]);
+            const knownCodes = known.map(k => k.Code);
+            const unknown = codes.filter(c => !knownCodes.includes(c));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown permission(s): ${unknown.join(', ')}` });
+            }
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        await connection.beginTransaction();
+        await connection.query('DELETE FROM role_permission WHERE RoleId = ?', [roleId]);
+        if (codes.length > 0) {
+            await connection.query(
+                'INSERT INTO role_permission (RoleId, PermissionCode, CreatedBy) VALUES ?',
+                [codes.map(code => [roleId, code, actor])]
+            );
+        }
+        await connection.commit();
+        clearPermissionCache();
+
+        res.status(200).json({
+            message: 'Role permissions updated successfully',
+            data: { id: roleId, permissions: codes.sort() }
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating role permissions:', error);
+        res.status(500).json({ message: 'Error updating role permissions', error: error.message });
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for every user of a role.
+ * Users without 2FA are asked to enroll at their next sign-in; existing sessions are not affected.
+ * PUT /api/roles/:id/two-factor
+ * Body: { requireTwoFactor: true }
+ */
+exports.updateRoleTwoFactor = async (req, res) => {
+    const { id } = req.params;
+    const { requireTwoFactor } = req.body;
+
+    if (!id || isNaN(id)) {
+        return res.status(400).json({ message: 'Valid role ID is required' });
+    }
+    if (typeof requireTwoFactor !== 'boolean') {
+        return res.status(400).json({ message: 'requireTwoFactor must be true or false' });
+    }
+
+    try {
+        const pool = getPool();
+        const [result] = await pool.query('UPDATE role SET RequireTwoFactor = ? WHERE Id = ?', [requireTwoFactor ? 1 : 0, parseInt(id)]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Role not found' });
+        }
+
+        res.status(200).json({
+            message: 'Role two-factor requirement updated successfully',
+            data: { id: parseInt(id), requireTwoFactor }
+        });
+    } catch (error) {
+        console.error('Error updating role two-factor requirement:', error);
+        res.status(500).json({ message: 'Error updating role two-factor requirement', error: error.message });
+    }
+};
@@ -0,0 +1,190 @@
+const { getPool } = require('../config/db');
+
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+function parseMinutes(v) {
+    const n = parseInt(v);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function formatPolicy(row) {
+    return {
+        id: row.Id,
+        severityLevel: row.SeverityLevel,
+        category: row.CategoryId ? { id: row.CategoryId, name: row.categoryName || null } : null,
+        responseMinutes: row.ResponseMinutes,
+        resolutionMinutes: row.ResolutionMinutes,
+        updatedBy: row.UpdatedBy || row.CreatedBy || null,
+        updatedAt: row.UpdatedDate
+    };
+}
+
+async function findDuplicatePolicy(pool, severityLevel, categoryId) {
+    const [rows] = await pool.query(
+        `SELECT Id FROM sla_policy
+         WHERE IsActive = 1 AND SeverityLevel = ? AND CategoryId <=> ?
+         LIMIT 1`,
+        [severityLevel, categoryId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Get all active SLA policies
+ * GET /api/sla-policies
+ */
+exports.getSlaPolicies = async (req, res) => {
+    try {
+        const pool = getPool();
+        const [rows] = await pool.query(
+            `SELECT p.*, c.Name as categoryName
+             FROM sla_policy p
+             LEFT JOIN category c ON p.CategoryId = c.Id
+             WHERE p.IsActive = 1
+             ORDER BY p.CategoryId IS NULL DESC, c.Name ASC, FIELD(p.SeverityLevel, 'CRITICAL', 'HIGH', 'MEDIUM', 'LOW')`
+        );
+
+        res.status(200).json({
+            message: 'SLA policies retrieved successfully',
+            data: rows.map(formatPolicy)
+        });
+    } catch (error) {
+        console.error('Error fetching SLA policies:', error);
+        res.status(500).json({ message: 'Error fetching SLA policies', error: error.message });
+    }
+};
+
+/**
+ * Create an SLA policy
+ * POST /api/sla-policies
+ * Body: { severityLevel, categoryId (optional, omit for the default policy), responseMinutes, resolutionMinutes }
+ * Targets are business minutes, counted against the business calendar (working hours and holidays).
+ */
+exports.createSlaPolicy = async (req, res) => {
+    try {
+        const { severityLevel, categoryId, responseMinutes, resolutionMinutes } = req.body;
+        const severity = severityLevel ? String(severityLevel).trim().toUpperCase() : null;
+        const response = parseMinutes(responseMinutes);
+        const resolution = parseMinutes(resolutionMinutes);
+        const category = categoryId ? parseInt(categoryId) : null;
+
+        if (!SEVERITY_LEVELS.includes(severity)) {
+            return res.status(400).json({ message: `Invalid severityLevel. Allowed values: ${SEVERITY_LEVELS.join(', ')}` });
+        }
+        if (!response || !resolution) {
+            return res.status(400).json({ message: 'responseMinutes and resolutionMinutes must be positive whole numbers' });
+        }
+        if (response > resolution) {
+            return res.status(400).json({ message: 'responseMinutes cannot be greater than resolutionMinutes' });
+        }
+
+        const pool = getPool();
+        if (category) {
+            const [categoryRows] = await pool.query('SELECT Id FROM category WHERE Id = ? AND IsActive = 1', [category]);
+            if (categoryRows.length === 0) {
+                return res.status(400).json({ message: 'Category not found or inactive' });
+            }
+        }
+        if (await findDuplicatePolicy(pool, severity, category)) {
+            return res.status(409).json({ message: 'An SLA policy already exists for this severity and category' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [result] = await pool.query(
+            `INSERT INTO sla_policy (SeverityLevel, CategoryId, ResponseMinutes, ResolutionMinutes, CreatedBy, UpdatedBy)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [severity, category, response, resolution, actor, actor]
+        );
+
+        const [rows] = await pool.query(
+            `SELECT p.*, c.Name as categoryName FROM sla_policy p LEFT JOIN category c ON p.CategoryId = c.Id WHERE p.Id = ?`,
+            [result.insertId]
+        );
+
+        res.status(201).json({
+            message: 'SLA policy created successfully',
+            data: formatPolicy(rows[0])
+        });
+    } catch (error) {
+        console.error('Error creating SLA policy:', error);
+        res.status(500).json({ message: 'Error creating SLA policy', error: error.message });
+    }
+};
+
+/**
+ * Update the targets of an SLA policy
+ * PUT /api/sla-policies/:id
+ * Body: { responseMinutes, resolutionMinutes }
+ * Only new tickets pick up the new targets; existing due dates are left as they are.
+ */
+exports.updateSlaPolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid SLA policy ID is required' });
+        }
+
+        const pool = getPool();
+        const [existingRows] = await pool.query('SELECT * FROM sla_policy WHERE Id = ? AND IsActive = 1', [parseInt(id)]);
+        if (existingRows.length === 0) {
+            return res.status(404).json({ message: 'SLA policy not found' });
+        }
+        const existing = existingRows[0];
+
+        const response = req.body.responseMinutes !== undefined ? parseMinutes(req.body.responseMinutes) : existing.ResponseMinutes;
+        const resolution = req.body.resolutionMinutes !== undefined ? parseMinutes(req.body.resolutionMinutes) : existing.ResolutionMinutes;
+        if (!response || !resolution) {
+            return res.status(400).json({ message: 'responseMinutes and resolutionMinutes must be positive whole numbers' });
+        }
+        if (response > resolution) {
+            return res.status(400).json({ message: 'responseMinutes cannot be greater than resolutionMinutes' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        await pool.query(
+            'UPDATE sla_policy SET ResponseMinutes = ?, ResolutionMinutes = ?, UpdatedBy = ? WHERE Id = ?',
+            [response, resolution, actor, parseInt(id)]
+        );
+
+        const [rows] = await pool.query(
+            `SELECT p.*, c.Name as categoryName FROM sla_policy p LEFT JOIN category c ON p.CategoryId = c.Id WHERE p.Id = ?`,
+            [parseInt(id)]
+        );
+
+        res.status(200).json({
+            message: 'SLA policy updated successfully',
+            data: formatPolicy(rows[0])
+        });
+    } catch (error) {
+        console.error('Error updating SLA policy:', error);
+        res.status(500).json({ message: 'Error updating SLA policy', error: error.message });
+    }
+};
+
+/**
+ * Deactivate an SLA policy
+ * DELETE /api/sla-policies/:id
+ */
+exports.deleteSlaPolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid SLA policy ID is required' });
+        }
+
+        const pool = getPool();
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const [result] = await pool.query(
+            'UPDATE sla_policy SET IsActive = 0, UpdatedBy = ? WHERE Id = ? AND IsActive = 1',
+            [actor, parseInt(id)]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'SLA policy not found' });
+        }
+
+        res.status(200).json({ message: 'SLA policy deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting SLA policy:', error);
+        res.status(500).json({ message: 'Error deleting SLA policy', error: error.message });
+    }
+};
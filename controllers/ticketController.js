@@ -4,6 +4,55 @@ const fs = require('fs').promises;
 const crypto = require('crypto');
 
 const { normalizeSeverityInput, formatSeverityForFrontend, formatStatusForFrontend } = require('../lib/severity');
+const { TICKET_STATUSES, APPROVAL_DECISION_STATUSES, normalizeStatus, getAllowedTransitions, canTransition, transitionErrorMessage } = require('../lib/ticketLifecycle');
+const { TICKET_EVENT_TYPES, actorFromRequest, recordTicketEvent } = require('../lib/ticketEvents');
+const { applySlaPolicy, applySlaStatusChange, recordFirstResponse, evaluateSla, slaStateCondition } = require('../lib/sla');
+const { getTicketScope, ticketScopeCondition } = require('../lib/ticketVisibility');
+const { apiKeyAllowsCategory } = require('../lib/apiKeys');
+const { onBehalfNote, getActiveDelegate, findApprovalDelegation, getApprovalAuthority, redirectRecipients, redirectEmail } = require('../lib/delegation');
+const { notificationAudience } = require('../lib/notificationPreferences');
+const { ticketVariables, recipientVariables } = require('../services/emailTemplateService');
+const { html } = require('../lib/html');
+const { UPLOADS_DIRECTORY, storedFileName, attachmentDisplayName, contentDisposition } = require('../lib/attachmentFiles');
+
+// Minimal page for approve/reject links opened in a browser (the message may include ticket data)
+function messagePage(message) {
+    return String(html`<html><body><h3>${message}</h3></body></html>`);
+}
+
+// Respond with 409 when a requested status change is not allowed by the ticket lifecycle
+function sendTransitionConflict(res, currentStatus, requestedStatus) {
+    return res.status(409).json({
+        success: false,
+        message: transitionErrorMessage(currentStatus, requestedStatus),
+        data: {
+            currentStatus,
+            requestedStatus,
+            allowedTransitions: getAllowedTransitions(currentStatus)
+        }
+    });
+}
+
+// Approval links sent to the delegate of an absent IT Head carry the delegate's Id
+async function findDelegateApprover(db, userId) {
+    const onBehalfOf = await findApprovalDelegation(db, userId);
+    if (!onBehalfOf) return null;
+    const [rows] = await db.query('SELECT Id, Name, email FROM user WHERE Id = ? AND IsActive = 1', [userId]);
+    if (rows.length === 0) return null;
+    return { id: rows[0].Id, name: rows[0].Name || rows[0].email, onBehalfOf };
+}
+
+// Narrow the recipient lists of a status update email to the people who want this event by email
+async function statusEmailRecipients(db, { ticketId, ticketNumber, eventType, message }, recipients) {
+    const audience = notificationAudience(db, { ticketId, ticketNumber });
+    return {
+        teamUsers: await audience.filter(recipients.teamUsers, eventType, message),
+        itHeadUsers: await audience.filter(recipients.itHeadUsers, eventType, message),
+        creatorEmail: await audience.filterEmail(recipients.creatorEmail, eventType, message),
+        roleOneUsers: await audience.filter(recipients.roleOneUsers, eventType, message),
+        assigneeEmail: await audience.filterEmail(recipients.assigneeEmail, eventType, message)
+    };
+}
 
 /**
  * Create a new ticket with optional file attachments
@@ -32,6 +81,28 @@ exports.createTicket = async (req, res) => {
         
         // Get user info from auth middleware. Prefer storing uid in CreatedBy when available
         const createdBy = req.user?.uid || req.user?.email || req.user?.name || 'System';
+
+        // API keys limited to one category may only create tickets there
+        if (!apiKeyAllowsCategory(req.user, category)) {
+            await connection.rollback();
+            return res.status(403).json({
+                message: `This API key can only create tickets in category ${req.user.apiKeyCategoryId}`
+            });
+        }
+
+        // Share-lock the chosen lookups: a deactivation running now either waits for this ticket and moves it,
+        // or finishes first and the ticket is refused here
+        for (const [table, value, label] of [['category', category, 'Category'], ['requesttype', requestType, 'Request type'], ['issuetype', issueType, 'Issue type']]) {
+            if (!value) continue;
+            const [lookupRows] = await connection.query(
+                `SELECT Id FROM ${table} WHERE Id = ? AND IsActive = 1 LOCK IN SHARE MODE`,
+                [parseInt(value)]
+            );
+            if (lookupRows.length === 0) {
+                await connection.rollback();
+                return res.status(400).json({ message: `${label} not found or inactive` });
+            }
+        }
         
         // Generate an approval token (used in email links) and expiry (24 hours)
         const approvalToken = crypto.randomBytes(24).toString('hex');
@@ -65,6 +136,11 @@ exports.createTicket = async (req, res) => {
     // Normalize severity for DB and insert ticket into database (store approval token & expiry so IT Head can approve/reject via email link)
     const dbSeverity = normalizeSeverityInput(severityLevel);
 
+        // Assignments to someone who is out of office go to their delegate
+        const requestedAssigneeId = assignedTo ? parseInt(assignedTo) : null;
+        const assigneeDelegate = await getActiveDelegate(connection, requestedAssigneeId);
+        const assigneeId = assigneeDelegate ? assigneeDelegate.id : requestedAssigneeId;
+
         const [ticketResult] = await connection.query(
             `INSERT INTO ticket (
                 Name, ContactNumber, Email, AssignerId, IssueId, RequestTypeId, 
@@ -75,7 +151,7 @@ exports.createTicket = async (req, res) => {
                 fullName,
                 contactNumber || null,
                 email || null,
-                assignedTo ? parseInt(assignedTo) : null,
+                assigneeId,
                 issueType ? parseInt(issueType) : null,
                 requestType ? parseInt(requestType) : null,
                 company ? parseInt(company) : null,
@@ -94,23 +170,45 @@ exports.createTicket = async (req, res) => {
         
         const ticketId = ticketResult.insertId;
         
+        const actor = actorFromRequest(req);
+        await recordTicketEvent(connection, {
+            ticketId,
+            eventType: TICKET_EVENT_TYPES.CREATED,
+            newValue: initialStatus,
+            actor
+        });
+        if (assigneeId) {
+            await recordTicketEvent(connection, {
+                ticketId,
+                eventType: TICKET_EVENT_TYPES.ASSIGNED,
+                newValue: assigneeId,
+                note: assigneeDelegate ? `Assigned to ${assigneeDelegate.name} ${onBehalfNote(assigneeDelegate.onBehalfOf)}` : null,
+                actor
+            });
+        }
+        
+        // Start the SLA clock (response and resolution due dates from the matching policy)
+        try {
+            await applySlaPolicy(connection, ticketId, { severityLevel: dbSeverity, categoryId: category });
+        } catch (slaError) {
+            console.error('Error applying SLA policy to ticket:', slaError.message);
+        }
+        
         // Handle file attachments if any
         const attachmentIds = [];
         const emailAttachments = []; // Store file data for email attachments
         if (req.files && req.files.length > 0) {
             // Ensure uploads directory exists
-            const uploadsDir = path.join(__dirname, '..', 'uploads');
             try {
-                await fs.access(uploadsDir);
+                await fs.access(UPLOADS_DIRECTORY);
             } catch {
-                await fs.mkdir(uploadsDir, { recursive: true });
+                await fs.mkdir(UPLOADS_DIRECTORY, { recursive: true });
             }
             
             for (const file of req.files) {
-                // Generate unique filename
-                const timestamp = Date.now();
-                const uniqueName = `${timestamp}_${file.originalname}`;
-                const filePath = path.join(uploadsDir, uniqueName);
+                // Generate unique filename (neutral extension, see lib/attachmentFiles.js)
+                const uniqueName = storedFileName(file.originalname);
+                const filePath = path.join(UPLOADS_DIRECTORY, uniqueName);
                 
                 // Move file to uploads directory
                 await fs.writeFile(filePath, file.buffer);
@@ -171,8 +269,11 @@ exports.createTicket = async (req, res) => {
 
             // Get ticket creator email (robust: try uid -> email raw value -> name)
             let creatorEmail = null;
-            const [categoryTeamUsers] = await connection.query(categoryTeamQuery, [category ? parseInt(category) : null]);
-            const [itHeadUsers] = await connection.query(itHeadQuery);
+            const [categoryTeamRows] = await connection.query(categoryTeamQuery, [category ? parseInt(category) : null]);
+            const [itHeadRows] = await connection.query(itHeadQuery);
+            // Anyone out of office is replaced by their delegate (IT Head approval links then carry the delegate's Id)
+            const categoryTeamUsers = await redirectRecipients(connection, categoryTeamRows);
+            const itHeadUsers = await redirectRecipients(connection, itHeadRows);
             const [roleOneUsersCreate] = await connection.query(roleOneQuery);
 
             console.log(`📋 Email notification recipients found:`);
@@ -275,68 +376,43 @@ exports.createTicket = async (req, res) => {
                     const ticketCreatorEmailToSend = (creatorEmail && email && creatorEmail.toLowerCase() !== email.toLowerCase()) 
                         ? creatorEmail 
                         : null;
+
+                    // Drop anyone who turned these emails off (in-app/digest entries are recorded on the way)
+                    const audience = notificationAudience(connection, { ticketId, ticketNumber });
+                    const createdMessage = `New ticket ${ticketNumber} in ${ticketData.category}`;
+                    const teamRecipients = await audience.filter(categoryTeamUsers, 'TICKET_CREATED', createdMessage);
+                    const itHeadRecipients = isChangeManagementRequest
+                        ? await audience.filter(itHeadUsers_filtered, 'APPROVAL_NEEDED', `${ticketNumber} is waiting for your approval`)
+                        : await audience.filter(itHeadUsers_filtered, 'TICKET_CREATED', createdMessage);
+                    const roleOneRecipients = await audience.filter(roleOneUsersCreate, 'TICKET_CREATED', createdMessage);
+                    const creatorRecipient = await audience.filterEmail(ticketCreatorEmailToSend, 'TICKET_CREATED', createdMessage);
+                    const assigneeRecipient = await audience.filterEmail(ticket.assignedToEmail, 'ASSIGNED_TO_ME', `${ticketNumber} was assigned to you`);
                     
-                    await emailServiceApp.sendTicketCreationEmail(ticketData, categoryTeamUsers, itHeadUsers_filtered, ticketCreatorEmailToSend, emailAttachments, roleOneUsersCreate, ticket.assignedToEmail);
-                    console.log(`📧 Ticket creation emails sent for ticket ${ticketNumber} (${itHeadUsers_filtered.length} IT Head(s), category team, ${ticketCreatorEmailToSend ? 'creator, ' : ''}role 1 users)${emailAttachments.length > 0 ? ` with ${emailAttachments.length} attachment(s)` : ''}`);
+                    await emailServiceApp.sendTicketCreationEmail(ticketData, teamRecipients, itHeadRecipients, creatorRecipient, emailAttachments, roleOneRecipients, assigneeRecipient);
+                    console.log(`📧 Ticket creation emails sent for ticket ${ticketNumber} (${itHeadRecipients.length} IT Head(s), ${teamRecipients.length} team member(s), ${creatorRecipient ? 'creator, ' : ''}${roleOneRecipients.length} role 1 user(s))${emailAttachments.length > 0 ? ` with ${emailAttachments.length} attachment(s)` : ''}`);
                     
                     // Always send confirmation email to the requester (email from form)
                     if (email) {
                         try {
-                            // Determine whether to show Request Type or Issue Type
-                            const hasRequestType = ticket.requestTypeName && String(ticket.requestTypeName).trim().toLowerCase() !== 'n/a';
-                            const hasIssueType = ticket.issueTypeName && String(ticket.issueTypeName).trim().toLowerCase() !== 'n/a';
-                            
-                            const confirmationEmailData = {
-                                to: email,
-                                toName: fullName || 'User',
-                                subject: `Ticket Created Successfully - ${ticketNumber}`,
-                                attachments: emailAttachments,
-                                body: `
-                                    <div style="font-family: 'Inter', 'Segoe UI', Roboto, Arial, sans-serif; background-color:#f0f2f5; padding:30px; line-height:1.6; color:#333;">
-                                        <div style="max-width:640px; margin:0 auto; background:#ffffff; border-radius:12px; box-shadow:0 6px 20px rgba(0,0,0,0.08); overflow:hidden; border:1px solid #e2e8f0;">
-                                            <div style="padding:25px 30px; background:linear-gradient(135deg, #059669 0%, #10b981 100%); color:#ffffff;">
-                                                <h2 style="margin:0; font-size:24px;">Ticket Created Successfully</h2>
-                                            </div>
-                                            <div style="padding:30px;">
-                                                <p style="color:#4a5568; margin:0 0 20px 0; font-size:16px;">Thank you for submitting your ticket. Your request has been received and assigned to our support team.</p>
-                                                
-                                                <div style="background:#f0fdf4; border:1px solid #bbf7d0; padding:20px 25px; border-radius:10px; margin:25px 0;">
-                                                    <h3 style="color:#065f46; margin:0 0 15px 0; font-size:18px;">Ticket Information</h3>
-                                                    <div style="color:#065f46;">
-                                                        <div style="margin-bottom:10px;"><strong>Ticket ID:</strong> ${ticketNumber}</div>
-                                                        <div style="margin-bottom:10px;"><strong>Category:</strong> ${ticket.categoryName || 'Uncategorized'}</div>
-                                                        <div style="margin-bottom:10px;"><strong>Assigned To:</strong> ${ticket.assignedToName || 'Unassigned'}</div>
-                                                        ${ticket.assignedToEmail ? `<div style="margin-bottom:10px;"><strong>Assignee Email:</strong> ${ticket.assignedToEmail}</div>` : ''}
-                                                        ${hasRequestType ? `<div style="margin-bottom:10px;"><strong>Request Type:</strong> ${ticket.requestTypeName}</div>` : (hasIssueType ? `<div style="margin-bottom:10px;"><strong>Issue Type:</strong> ${ticket.issueTypeName}</div>` : '')}
-                                                        <div style="margin-bottom:10px;"><strong>Severity Level:</strong> <span style="background:#fef3c7; color:#92400e; padding:2px 8px; border-radius:4px; font-size:12px;">${formatSeverityForFrontend(dbSeverity)}</span></div>
-                                                        <div style="margin-bottom:10px;"><strong>Status:</strong> <span style="background:${isChangeManagementRequest ? '#fef3c7' : '#e0e7ff'}; color:${isChangeManagementRequest ? '#92400e' : '#3730a3'}; padding:2px 8px; border-radius:4px; font-size:12px;">${isChangeManagementRequest ? 'PENDING APPROVAL' : 'NEW'}</span></div>
-                                                    </div>
-                                                </div>
-                                                
-                                                <div style="background:#f8fafc; border:1px solid #e2e8f0; padding:20px 25px; border-radius:10px; margin:25px 0;">
-                                                    <h4 style="color:#2d3748; margin:0 0 10px 0; font-size:16px;">Description:</h4>
-                                                    <p style="color:#4a5568; margin:0; font-size:14px; white-space:pre-wrap;">${ticket.Description || description || 'No description provided'}</p>
-                                                </div>
-                                                
-                                                <div style="background:#e0f2fe; border:1px solid #81d4fa; padding:20px 25px; border-radius:10px; margin:25px 0;">
-                                                    <h4 style="color:#0277bd; margin:0 0 10px 0; font-size:16px;">Timeline</h4>
-                                                    <div style="color:#0277bd; font-size:14px;">
-                                                        <div style="margin-bottom:5px;"><strong>📅 Created:</strong> ${new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString()}</div>
-                                                        <div style="margin-bottom:5px;"><strong>📋 Assigned on:</strong> ${new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString()}</div>
-                                                        <div><strong>🕐 Last Updated:</strong> ${new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString()}</div>
-                                                    </div>
-                                                </div>
-                                                
-                                                <p style="color:#64748b; margin-top:25px; font-size:14px;">
-                                                    You will receive updates on this ticket via email. If you have any questions, please contact our support team.
-                                                </p>
-                                            </div>
-                                        </div>
-                                    </div>
-                                `,
-                                contentType: 'HTML'
-                            };
-                            await emailServiceApp.sendEmailAsUser(confirmationEmailData);
+                            // Template 'new-ticket-confirmation' (services/emailTemplateService.js)
+                            const now = new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString();
+                            await emailServiceApp.sendTemplateEmail('new-ticket-confirmation', {
+                                ...ticketVariables({
+                                    ticketId: ticketNumber,
+                                    category: ticket.categoryName || 'Uncategorized',
+                                    assignedTo: ticket.assignedToName,
+                                    assignedToEmail: ticket.assignedToEmail || '',
+                                    requestType: ticket.requestTypeName,
+                                    issueType: ticket.issueTypeName,
+                                    severityLevel: formatSeverityForFrontend(dbSeverity),
+                                    status: isChangeManagementRequest ? 'PENDING APPROVAL' : 'NEW',
+                                    description: ticket.Description || description || 'No description provided',
+                                    createdDate: now,
+                                    assignedDate: now,
+                                    lastUpdated: now
+                                }),
+                                recipient: recipientVariables('requester', fullName || 'User', email)
+                            }, { to: email, toName: fullName || 'User', attachments: emailAttachments });
                             console.log(`📧 Confirmation email sent to form email: ${email}`);
                         } catch (confirmEmailError) {
                             console.error(`📧 Failed to send confirmation email to ${email}:`, confirmEmailError.message);
@@ -422,6 +498,15 @@ exports.getTicket = async (req, res) => {
                 t.ActionedBy,
                 t.ActionedDate,
                 t.ActionComments,
+                t.CreatedDate,
+                t.ResponseDueDate,
+                t.ResponseAtRiskDate,
+                t.ResolutionDueDate,
+                t.ResolutionAtRiskDate,
+                t.FirstResponseDate,
+                t.ResolvedDate,
+                t.SlaPausedAt,
+                t.SlaPausedMinutes,
                 actionUser.Name as actionedByName
              FROM ticket t
              LEFT JOIN department d ON t.DepartmentId = d.Id AND d.IsActive = 1
@@ -469,7 +554,7 @@ exports.getTicket = async (req, res) => {
             const path = (attachment.Path || '').toString();
             const parts = path.split('/').filter(Boolean);
             const fileName = parts.length ? parts[parts.length - 1] : '';
-            const originalName = fileName && fileName.includes('_') ? fileName.split('_').slice(1).join('_') : fileName;
+            const originalName = attachmentDisplayName(fileName);
 
             return {
                 id: attachment.Id,
@@ -477,7 +562,9 @@ exports.getTicket = async (req, res) => {
                 fileName: fileName,
                 size: null, // Size not stored in DB, would need file system check
                 mimeType: null, // MIME type not stored in DB
-                url: path
+                // uploads/ is not served publicly; both point at the access-checked download route
+                url: `/api/tickets/attachments/${attachment.Id}/download`,
+                downloadUrl: `/api/tickets/attachments/${attachment.Id}/download`
             };
         });
         
@@ -529,6 +616,7 @@ exports.getTicket = async (req, res) => {
                     actionedDate: ticket.ActionedDate || null,
                     comments: ticket.ActionComments || null
                 },
+                sla: evaluateSla(ticket),
                 attachments: attachments
             }
         };
@@ -547,7 +635,8 @@ exports.getTicket = async (req, res) => {
 
 /**
  * Get all tickets with filtering, pagination, and sorting
- * Query parameters: category, assignedTo, dateFrom, dateTo, page, limit, sort, order
+ * Users without ticket.view_all only get the tickets they raised, their category's tickets and tickets assigned to them.
+ * Query parameters: category, assignedTo, status, slaState (breached|at_risk), dateFrom, dateTo, page, limit, sort, order
  */
 exports.getAllTickets = async (req, res) => {
     try {
@@ -555,6 +644,7 @@ exports.getAllTickets = async (req, res) => {
             category,
             assignedTo,
             status,
+            slaState,
             dateFrom,
             dateTo,
             page = 1,
@@ -563,13 +653,17 @@ exports.getAllTickets = async (req, res) => {
             order = 'desc'
         } = req.query;
 
-        console.log('📋 getAllTickets filters:', { category, assignedTo, status, dateFrom, dateTo });
+        console.log('📋 getAllTickets filters:', { category, assignedTo, status, slaState, dateFrom, dateTo });
 
         const pool = getPool();
         
+        // Only list tickets the user is allowed to see (everything for ticket.view_all)
+        const scope = await getTicketScope(pool, req.user);
+        const scopeCondition = ticketScopeCondition(scope);
+
         // Build WHERE clause with filters
-        let whereConditions = ['t.IsActive = 1'];
-        let queryParams = [];
+        let whereConditions = ['t.IsActive = 1', scopeCondition.sql];
+        let queryParams = [...scopeCondition.params];
         
         if (category) {
             whereConditions.push('t.CategoryId = ?');
@@ -590,6 +684,16 @@ exports.getAllTickets = async (req, res) => {
             queryParams.push(status.toUpperCase());
         }
         
+        if (slaState) {
+            const slaCondition = slaStateCondition(String(slaState).toLowerCase());
+            if (!slaCondition) {
+                return res.status(400).json({
+                    message: 'Invalid slaState. Allowed values: breached, at_risk'
+                });
+            }
+            whereConditions.push(slaCondition);
+        }
+        
         if (dateFrom) {
             whereConditions.push('DATE(t.CreatedDate) >= ?');
             queryParams.push(dateFrom);
@@ -669,7 +773,16 @@ exports.getAllTickets = async (req, res) => {
                 t.Status as status,
                 t.CreatedDate as createdAt,
                 t.UpdatedDate as updatedAt,
-                t.Description as description
+                t.Description as description,
+                t.CreatedDate,
+                t.ResponseDueDate,
+                t.ResponseAtRiskDate,
+                t.ResolutionDueDate,
+                t.ResolutionAtRiskDate,
+                t.FirstResponseDate,
+                t.ResolvedDate,
+                t.SlaPausedAt,
+                t.SlaPausedMinutes
             FROM ticket t
             LEFT JOIN category c ON t.CategoryId = c.Id AND c.IsActive = 1
             LEFT JOIN user u ON t.AssignerId = u.Id AND u.IsActive = 1
@@ -708,7 +821,8 @@ exports.getAllTickets = async (req, res) => {
             status: row.status,
             createdAt: row.createdAt,
             updatedAt: row.updatedAt,
-            description: row.description
+            description: row.description,
+            sla: evaluateSla(row)
         }));
         
         res.status(200).json({
@@ -742,13 +856,14 @@ exports.getAllTickets = async (req, res) => {
 /**
  * Get all tickets related to the logged-in user's category
  * Returns all tickets that belong to the same category as the logged-in user
- * Query parameters: dateFrom, dateTo, page, limit, sort, order
+ * Query parameters: assignedTo, status, slaState (breached|at_risk), dateFrom, dateTo, page, limit, sort, order
  */
 exports.getMyTickets = async (req, res) => {
     try {
         const {
             assignedTo,
             status,
+            slaState,
             dateFrom,
             dateTo,
             page = 1,
@@ -757,7 +872,7 @@ exports.getMyTickets = async (req, res) => {
             order = 'desc'
         } = req.query;
 
-        console.log('📋 getMyTickets filters:', { assignedTo, status, dateFrom, dateTo });
+        console.log('📋 getMyTickets filters:', { assignedTo, status, slaState, dateFrom, dateTo });
 
         const pool = getPool();
         
@@ -806,6 +921,16 @@ exports.getMyTickets = async (req, res) => {
             queryParams.push(status.toUpperCase());
         }
         
+        if (slaState) {
+            const slaCondition = slaStateCondition(String(slaState).toLowerCase());
+            if (!slaCondition) {
+                return res.status(400).json({
+                    message: 'Invalid slaState. Allowed values: breached, at_risk'
+                });
+            }
+            whereConditions.push(slaCondition);
+        }
+        
         if (dateFrom) {
             whereConditions.push('DATE(t.CreatedDate) >= ?');
             queryParams.push(dateFrom);
@@ -897,7 +1022,16 @@ exports.getMyTickets = async (req, res) => {
                 t.CreatedDate as createdAt,
                 t.UpdatedDate as updatedAt,
                 t.Description as description,
-                t.CreatedBy
+                t.CreatedBy,
+                t.CreatedDate,
+                t.ResponseDueDate,
+                t.ResponseAtRiskDate,
+                t.ResolutionDueDate,
+                t.ResolutionAtRiskDate,
+                t.FirstResponseDate,
+                t.ResolvedDate,
+                t.SlaPausedAt,
+                t.SlaPausedMinutes
             FROM ticket t
             LEFT JOIN category c ON t.CategoryId = c.Id AND c.IsActive = 1
             LEFT JOIN user u ON t.AssignerId = u.Id AND u.IsActive = 1
@@ -937,7 +1071,8 @@ exports.getMyTickets = async (req, res) => {
             createdAt: row.createdAt,
             updatedAt: row.updatedAt,
             description: row.description,
-            createdBy: row.CreatedBy
+            createdBy: row.CreatedBy,
+            sla: evaluateSla(row)
         }));
         
         res.status(200).json({
@@ -995,11 +1130,11 @@ exports.updateTicketStatus = async (req, res) => {
         }
         
         // Validate status values
-        const allowedStatuses = ['NEW', 'OPEN', 'PROCESSING', 'COMPLETED', 'ON_HOLD', 'PENDING APPROVAL', 'APPROVED', 'REJECTED', 'CLOSED'];
-        if (!allowedStatuses.includes(statusId.toUpperCase())) {
+        const newStatus = normalizeStatus(statusId);
+        if (!newStatus) {
             return res.status(400).json({
                 success: false,
-                message: `Invalid status. Allowed values: ${allowedStatuses.join(', ')}`
+                message: `Invalid status. Allowed values: ${TICKET_STATUSES.join(', ')}`
             });
         }
         
@@ -1019,7 +1154,6 @@ exports.updateTicketStatus = async (req, res) => {
         }
         
         const currentStatus = ticketRows[0].Status;
-        const newStatus = statusId.toUpperCase();
         
         // Check if status is already the same
         if (currentStatus === newStatus) {
@@ -1034,24 +1168,50 @@ exports.updateTicketStatus = async (req, res) => {
             });
         }
         
+        // Approval decisions carry approver details, so they must go through the approve/reject endpoints
+        if (APPROVAL_DECISION_STATUSES.includes(newStatus)) {
+            return res.status(409).json({
+                success: false,
+                message: `Use the approve/reject endpoints to set a ticket to ${newStatus}`,
+                data: {
+                    currentStatus,
+                    requestedStatus: newStatus,
+                    allowedTransitions: getAllowedTransitions(currentStatus)
+                }
+            });
+        }
+        
+        if (!canTransition(currentStatus, newStatus)) {
+            return sendTransitionConflict(res, currentStatus, newStatus);
+        }
+        
         // Get user info from auth middleware
         const updatedBy = req.user?.name || req.user?.email || 'System';
         
-        // Update the ticket status
+        // Update the ticket status (guarded on the status we validated against, in case it changed meanwhile)
         const [updateResult] = await pool.query(
             `UPDATE ticket 
              SET Status = ?, UpdatedBy = ?, UpdatedDate = NOW() 
-             WHERE Id = ? AND IsActive = 1`,
-            [newStatus, updatedBy, parseInt(ticketId)]
+             WHERE Id = ? AND Status = ? AND IsActive = 1`,
+            [newStatus, updatedBy, parseInt(ticketId), currentStatus]
         );
         
         if (updateResult.affectedRows === 0) {
-            return res.status(404).json({
+            return res.status(409).json({
                 success: false,
-                message: 'Failed to update ticket status'
+                message: 'Ticket status was changed by someone else. Please refresh and try again.'
             });
         }
         
+        await recordTicketEvent(pool, {
+            ticketId,
+            eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+            oldValue: currentStatus,
+            newValue: newStatus,
+            actor: actorFromRequest(req)
+        });
+        await applySlaStatusChange(pool, ticketId, currentStatus, newStatus);
+        
         // Get the updated ticket information
         const [updatedTicketRows] = await pool.query(
             `SELECT 
@@ -1132,12 +1292,13 @@ exports.updateTicketStatus = async (req, res) => {
                     filteredTeamUsers.forEach(member => console.log(`   - ${member.name} (${member.email})`));
                     
                     // Get IT Head
-                    const [itHeadUsers] = await pool.query(`
+                    const [itHeadRows] = await pool.query(`
                         SELECT DISTINCT u.Id, u.email, u.name 
                         FROM user u 
                         WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' 
                         AND u.roleId = 3
                     `);
+                    const itHeadUsers = await redirectRecipients(pool, itHeadRows);
 
                     // Get users with role ID 1 (to be notified on status updates as well)
                     const [roleOneUsersStatusA] = await pool.query(`
@@ -1207,17 +1368,31 @@ exports.updateTicketStatus = async (req, res) => {
                     
                     console.log(`📧 Attempting to send status update emails...`);
                     
+                    const recipients = await statusEmailRecipients(pool, {
+                        ticketId: ticketDetails.Id,
+                        ticketNumber: ticketDetails.ticketNumber,
+                        eventType: 'STATUS_CHANGED',
+                        message: `${ticketDetails.ticketNumber} moved from ${currentStatus} to ${newStatus}`
+                    }, {
+                        // Like the IT Heads, team members and the creator who are out of office are replaced by their delegates
+                        teamUsers: await redirectRecipients(pool, filteredTeamUsers),
+                        itHeadUsers: itHeadUsers_filtered,
+                        creatorEmail: await redirectEmail(pool, ticketCreatorEmail),
+                        roleOneUsers: roleOneUsersStatusA,
+                        assigneeEmail: ticketDetails.assignedToEmail
+                    });
+
                     // Send status update emails
                     await emailServiceApp.sendTicketStatusUpdateEmail(
                         ticketData,
-                        filteredTeamUsers,
-                        itHeadUsers_filtered,
-                        ticketCreatorEmail,
+                        recipients.teamUsers,
+                        recipients.itHeadUsers,
+                        recipients.creatorEmail,
                         currentStatus,
                         newStatus,
                         updatedBy,
-                        roleOneUsersStatusA,
-                        ticketDetails.assignedToEmail
+                        recipients.roleOneUsers,
+                        recipients.assigneeEmail
                     );
                     
                     console.log(`✅ Status update emails sent successfully for ticket ${ticketDetails.ticketNumber} (${currentStatus} → ${newStatus})`);
@@ -1297,10 +1472,11 @@ exports.updateTicketAssignment = async (req, res) => {
         }
         
         const currentAssignerId = ticketRows[0].AssignerId;
-        const newAssignerId = assignToId ? parseInt(assignToId) : null;
+        let newAssignerId = assignToId ? parseInt(assignToId) : null;
         
         // If assignToId is provided, verify the user exists and is active
         let assignedToName = null;
+        let delegation = null;
         if (newAssignerId) {
             const [userRows] = await pool.query(
                 'SELECT Id, Name FROM user WHERE Id = ? AND IsActive = 1',
@@ -1315,6 +1491,14 @@ exports.updateTicketAssignment = async (req, res) => {
             }
             
             assignedToName = userRows[0].Name;
+
+            // Route to the delegate while the chosen user is out of office
+            delegation = await getActiveDelegate(pool, newAssignerId);
+            if (delegation) {
+                console.log(`🔀 Ticket ${ticketId}: ${assignedToName} is out of office, assigning to ${delegation.name}`);
+                newAssignerId = delegation.id;
+                assignedToName = delegation.name;
+            }
         }
         
         // Check if assignment is already the same
@@ -1328,7 +1512,8 @@ exports.updateTicketAssignment = async (req, res) => {
                         id: newAssignerId,
                         name: assignedToName
                     } : null,
-                    previousAssignedTo: currentAssignerId
+                    previousAssignedTo: currentAssignerId,
+                    delegatedFrom: delegation ? { id: delegation.onBehalfOf.id, name: delegation.onBehalfOf.name } : null
                 }
             });
         }
@@ -1351,6 +1536,15 @@ exports.updateTicketAssignment = async (req, res) => {
             });
         }
         
+        await recordTicketEvent(pool, {
+            ticketId,
+            eventType: TICKET_EVENT_TYPES.ASSIGNED,
+            oldValue: currentAssignerId,
+            newValue: newAssignerId,
+            note: delegation ? `Assigned to ${delegation.name} ${onBehalfNote(delegation.onBehalfOf)}` : null,
+            actor: actorFromRequest(req)
+        });
+        
         // Get the updated ticket information
         const [updatedTicketRows] = await pool.query(
             `SELECT 
@@ -1379,9 +1573,14 @@ exports.updateTicketAssignment = async (req, res) => {
                     [newAssignerId]
                 );
                 
-                if (assignedUserRows.length > 0 && assignedUserRows[0].email) {
-                    const assignedUser = assignedUserRows[0];
-                    
+                const assignedUser = assignedUserRows[0] || null;
+                // Also records the in-app/digest notification when the assignee wants one
+                const wantsEmail = assignedUser && await notificationAudience(pool, {
+                    ticketId: updatedTicket.Id,
+                    ticketNumber: updatedTicket.ticketNumber
+                }).filterEmail(assignedUser.email, 'ASSIGNED_TO_ME', `${updatedTicket.ticketNumber} was assigned to you`);
+
+                if (wantsEmail) {
                     // Get comprehensive ticket details for email
                     const [ticketDetailsRows] = await pool.query(`
                         SELECT 
@@ -1416,38 +1615,22 @@ exports.updateTicketAssignment = async (req, res) => {
                     );
                     const attachmentCount = attachmentRows[0].attachmentCount;
                     
-                    // Create simplified assignment notification email content
-                    const assignmentEmailHtml = `
-                        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-                            <h2 style="color: #2c5aa0; text-align: center;">🎯 Ticket Assigned to You</h2>
-                            <p><strong>Hello ${assignedUser.name},</strong></p>
-                            <p>A ticket has been assigned to you: <strong>${updatedTicket.ticketNumber}</strong></p>
-                            <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                                <h3>Ticket Details:</h3>
-                                <p><strong>Category:</strong> ${ticketDetails.categoryName || 'N/A'}</p>
-                                <p><strong>Requester:</strong> ${ticketDetails.fullName || 'N/A'}</p>
-                                <p><strong>Severity Level:</strong> ${ticketDetails.severityLevel || 'N/A'}</p>
-                                <p><strong>Description:</strong> ${ticketDetails.Description || 'No description provided'}</p>
-                                ${attachmentCount > 0 ? `<p><strong>Attachments:</strong> ${attachmentCount} file(s)</p>` : ''}
-                            </div>
-                            <p>Please log into the IT Support system to review full details and update the ticket status.</p>
-                            <p style="color: #6c757d; font-size: 12px;">This is an automated notification from the IT Support System.</p>
-                        </div>
-                    `;
-
-                    // Send assignment notification using Microsoft Graph API
-                    const emailData = {
-                        to: assignedUser.email,
-                        toName: assignedUser.name,
-                        subject: `Ticket Assigned to You: ${updatedTicket.ticketNumber}`,
-                        body: assignmentEmailHtml,
-                        contentType: 'HTML'
-                    };
-
-                    await emailServiceApp.sendEmailAsUser(emailData);
+                    // Assignment notification (template 'ticket-assigned') using Microsoft Graph API
+                    await emailServiceApp.sendTemplateEmail('ticket-assigned', {
+                        ...ticketVariables({
+                            ticketId: updatedTicket.ticketNumber,
+                            category: ticketDetails.categoryName,
+                            requesterName: ticketDetails.fullName || 'N/A',
+                            severityLevel: ticketDetails.severityLevel,
+                            description: ticketDetails.Description || 'No description provided'
+                        }),
+                        attachmentCount,
+                        onBehalfOf: delegation ? delegation.onBehalfOf : null,
+                        recipient: recipientVariables('assignee', assignedUser.name, assignedUser.email)
+                    }, { to: assignedUser.email, toName: assignedUser.name });
                     console.log(`📧 Assignment notification email sent successfully to ${assignedUser.email}`);
                 } else {
-                    console.log('Assigned user email not found or empty');
+                    console.log('Assigned user email not found, or assignment emails turned off');
                 }
             } catch (emailError) {
                 console.error('Error sending assignment notification email:', emailError);
@@ -1466,6 +1649,7 @@ exports.updateTicketAssignment = async (req, res) => {
                     name: updatedTicket.assignedToName
                 } : null,
                 previousAssignedTo: currentAssignerId,
+                delegatedFrom: delegation ? { id: delegation.onBehalfOf.id, name: delegation.onBehalfOf.name } : null,
                 updatedBy: updatedTicket.UpdatedBy,
                 updatedAt: updatedTicket.UpdatedDate
             }
@@ -1520,7 +1704,7 @@ exports.addComment = async (req, res) => {
 
         // Check current ticket status and update if it's NEW
         const [ticketRows] = await pool.query(
-            `SELECT Id, Status FROM ticket WHERE Id = ? AND IsActive = 1`,
+            `SELECT Id, Status, CreatedBy, CONCAT('TK-', YEAR(CreatedDate), '-', LPAD(Id, 3, '0')) as ticketNumber FROM ticket WHERE Id = ? AND IsActive = 1`,
             [parseInt(ticketId)]
         );
 
@@ -1531,7 +1715,21 @@ exports.addComment = async (req, res) => {
         const currentTicket = ticketRows[0];
         let statusUpdated = false;
 
-        if (currentTicket.Status === 'NEW') {
+        const actor = actorFromRequest(req);
+        await recordTicketEvent(pool, {
+            ticketId,
+            eventType: TICKET_EVENT_TYPES.COMMENT_ADDED,
+            newValue: newComment.Id,
+            actor
+        });
+
+        // A comment from anyone other than the requester counts as the first response for the SLA
+        if (currentTicket.CreatedBy !== createdBy) {
+            await recordFirstResponse(pool, ticketId);
+        }
+
+        // The first comment on a NEW ticket means someone has picked it up
+        if (currentTicket.Status === 'NEW' && canTransition(currentTicket.Status, 'PROCESSING')) {
             const updatedBy = req.user?.name || req.user?.email || 'System';
             const [updateResult] = await pool.query(
                 `UPDATE ticket SET Status = 'PROCESSING', UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ? AND Status = 'NEW'`,
@@ -1540,10 +1738,19 @@ exports.addComment = async (req, res) => {
             if (updateResult.affectedRows > 0) {
                 statusUpdated = true;
                 console.log(`✅ Auto-updated ticket ${ticketId} status from NEW to PROCESSING after comment added`);
+                await recordTicketEvent(pool, {
+                    ticketId,
+                    eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+                    oldValue: 'NEW',
+                    newValue: 'PROCESSING',
+                    note: 'Status changed automatically when the first comment was added',
+                    actor
+                });
+                await applySlaStatusChange(pool, ticketId, 'NEW', 'PROCESSING');
             }
 
             if (statusUpdated) {
-                // For debugging, send processing emails synchronously so errors surface immediately
+                // Queue the processing emails (delivered by the outbox worker); a failure here is logged, not returned
                 try {
                     const emailServiceApp = require('../services/emailServiceApp');
 
@@ -1589,9 +1796,10 @@ exports.addComment = async (req, res) => {
                     const filteredTeamUsers = (categoryTeamUsers || []).filter(u => u.email !== (req.user?.email || ''));
 
                     // Get IT Head
-                    const [itHeadUsers] = await pool.query(`
+                    const [itHeadRows] = await pool.query(`
                         SELECT DISTINCT u.Id, u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3
                     `);
+                    const itHeadUsers = await redirectRecipients(pool, itHeadRows);
                     const itHeadUsers_filtered = itHeadUsers.filter(user => user.email);
 
                     // Resolve ticket creator email
@@ -1624,7 +1832,21 @@ exports.addComment = async (req, res) => {
                         requestType: ticketDetails.requestTypeName || 'N/A'
                     };
 
-                    await emailServiceApp.sendTicketStatusUpdateEmail(ticketData, filteredTeamUsers, itHeadUsers_filtered, ticketCreatorEmail, 'NEW', 'PROCESSING', req.user?.name || req.user?.email || 'System', roleOneUsers, ticketDetails.assignedToEmail);
+                    const recipients = await statusEmailRecipients(pool, {
+                        ticketId: parseInt(ticketId),
+                        ticketNumber: ticketData.ticketId,
+                        eventType: 'STATUS_CHANGED',
+                        message: `${ticketData.ticketId} moved from NEW to PROCESSING after a comment`
+                    }, {
+                        // Like the IT Heads, team members and the creator who are out of office are replaced by their delegates
+                        teamUsers: await redirectRecipients(pool, filteredTeamUsers),
+                        itHeadUsers: itHeadUsers_filtered,
+                        creatorEmail: await redirectEmail(pool, ticketCreatorEmail),
+                        roleOneUsers,
+                        assigneeEmail: ticketDetails.assignedToEmail
+                    });
+
+                    await emailServiceApp.sendTicketStatusUpdateEmail(ticketData, recipients.teamUsers, recipients.itHeadUsers, recipients.creatorEmail, 'NEW', 'PROCESSING', req.user?.name || req.user?.email || 'System', recipients.roleOneUsers, recipients.assigneeEmail);
                     console.log(`📧 Processing status emails sent for ticket ${ticketData.ticketId}`);
                 } catch (err) {
                     console.error('❌ Failed to send processing status emails after comment:', err && err.message ? err.message : err);
@@ -1632,6 +1854,24 @@ exports.addComment = async (req, res) => {
             }
         }
 
+        // Tell the assignee and the ticket creator about the comment (in-app/digest; comments send no email of their own)
+        try {
+            const [involvedUsers] = await pool.query(
+                `SELECT a.email, a.name FROM ticket t JOIN user a ON t.AssignerId = a.Id AND a.IsActive = 1 WHERE t.Id = ?
+                 UNION
+                 SELECT email, name FROM user WHERE IsActive = 1 AND (uid = ? OR email = ?)`,
+                [parseInt(ticketId), currentTicket.CreatedBy, currentTicket.CreatedBy]
+            );
+            const { ticketNumber } = currentTicket;
+            await notificationAudience(pool, { ticketId: parseInt(ticketId), ticketNumber }).filter(
+                involvedUsers.filter(u => u.email && u.email !== req.user?.email),
+                'COMMENT_ADDED',
+                `${userName} commented on ${ticketNumber}: ${comment.trim().slice(0, 200)}`
+            );
+        } catch (err) {
+            console.error('❌ Failed to record comment notifications:', err && err.message ? err.message : err);
+        }
+
         return res.status(201).json({
             success: true,
             message: statusUpdated ? 'Comment added successfully and ticket status updated to PROCESSING' : 'Comment added successfully',
@@ -1716,6 +1956,168 @@ exports.getComments = async (req, res) => {
     }
 };
 
+/**
+ * Get the statuses a ticket can move to next
+ * GET /api/tickets/:ticketId/transitions
+ * Lets the frontend decide which status buttons to show
+ */
+exports.getTicketTransitions = async (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        
+        if (!ticketId || isNaN(ticketId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid ticket ID is required'
+            });
+        }
+        
+        const pool = getPool();
+        const [ticketRows] = await pool.query(
+            'SELECT Id, Status FROM ticket WHERE Id = ? AND IsActive = 1',
+            [parseInt(ticketId)]
+        );
+        
+        if (ticketRows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+        
+        const currentStatus = ticketRows[0].Status;
+        
+        res.status(200).json({
+            success: true,
+            data: {
+                ticketId: ticketRows[0].Id,
+                currentStatus,
+                allowedTransitions: getAllowedTransitions(currentStatus).map(status => ({
+                    status,
+                    // APPROVED/REJECTED must be set through the approve/reject endpoints
+                    requiresApproval: APPROVAL_DECISION_STATUSES.includes(status)
+                }))
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error fetching ticket transitions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching ticket transitions',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the activity history of a ticket
+ * GET /api/tickets/:ticketId/history
+ * Returns the ticket_event log merged with the ticket's comments, oldest first
+ */
+exports.getTicketHistory = async (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        
+        if (!ticketId || isNaN(ticketId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid ticket ID is required'
+            });
+        }
+        
+        const pool = getPool();
+        const [ticketRows] = await pool.query(
+            'SELECT Id FROM ticket WHERE Id = ? AND IsActive = 1',
+            [parseInt(ticketId)]
+        );
+        
+        if (ticketRows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+        
+        // Comments appear in the timeline as themselves, so their COMMENT_ADDED events are skipped
+        const [eventRows] = await pool.query(
+            `SELECT Id, EventType, OldValue, NewValue, Note, ActorId, ActorName, CreatedDate
+             FROM ticket_event
+             WHERE TicketId = ? AND EventType <> ?
+             ORDER BY CreatedDate ASC, Id ASC`,
+            [parseInt(ticketId), TICKET_EVENT_TYPES.COMMENT_ADDED]
+        );
+        
+        const [commentRows] = await pool.query(
+            `SELECT Id, Comment, UserId, Name, CreatedDate
+             FROM comment 
+             WHERE TicketId = ? AND IsActive = 1
+             ORDER BY CreatedDate ASC`,
+            [parseInt(ticketId)]
+        );
+        
+        // Assignment events store user Ids; resolve them to names for display
+        const assigneeIds = new Set();
+        eventRows
+            .filter(e => e.EventType === TICKET_EVENT_TYPES.ASSIGNED)
+            .forEach(e => {
+                if (e.OldValue) assigneeIds.add(parseInt(e.OldValue));
+                if (e.NewValue) assigneeIds.add(parseInt(e.NewValue));
+            });
+        const assigneeNames = {};
+        if (assigneeIds.size > 0) {
+            const ids = [...assigneeIds];
+            const [userRows] = await pool.query(
+                `SELECT Id, Name FROM user WHERE Id IN (${ids.map(() => '?').join(',')})`,
+                ids
+            );
+            userRows.forEach(u => { assigneeNames[u.Id] = u.Name; });
+        }
+        const displayValue = (event, value) => {
+            if (value === null || value === undefined) return null;
+            if (event.EventType === TICKET_EVENT_TYPES.ASSIGNED) return assigneeNames[parseInt(value)] || value;
+            return value;
+        };
+        
+        const events = eventRows.map(e => ({
+            type: 'event',
+            id: e.Id,
+            eventType: e.EventType,
+            oldValue: e.OldValue,
+            newValue: e.NewValue,
+            oldDisplay: displayValue(e, e.OldValue),
+            newDisplay: displayValue(e, e.NewValue),
+            note: e.Note,
+            actor: { id: e.ActorId, name: e.ActorName || 'System' },
+            createdAt: e.CreatedDate
+        }));
+        
+        const comments = commentRows.map(c => ({
+            type: 'comment',
+            id: c.Id,
+            comment: c.Comment,
+            actor: { id: c.UserId, name: c.Name || 'Anonymous' },
+            createdAt: c.CreatedDate
+        }));
+        
+        const timeline = events.concat(comments)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        
+        res.status(200).json({
+            success: true,
+            data: timeline
+        });
+        
+    } catch (error) {
+        console.error('Error fetching ticket history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching ticket history',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Bulk update tickets with comments from NEW to PROCESSING status
  * PUT /api/tickets/bulk-update-status
@@ -1727,6 +2129,9 @@ exports.bulkUpdateTicketsWithCommentsToProcessing = async (req, res) => {
         
         // Get user info for the update
         const updatedBy = req.user?.name || req.user?.email || 'System';
+
+        // Only tickets the user can see are moved
+        const scopeCondition = ticketScopeCondition(await getTicketScope(pool, req.user));
         
         // Find all tickets that have comments but still have status 'NEW'
         const [ticketsToUpdate] = await pool.query(`
@@ -1738,8 +2143,9 @@ exports.bulkUpdateTicketsWithCommentsToProcessing = async (req, res) => {
             WHERE t.Status = 'NEW' 
               AND t.IsActive = 1 
               AND c.IsActive = 1
+              AND ${scopeCondition.sql}
             ORDER BY t.Id
-        `);
+        `, scopeCondition.params);
         
         if (ticketsToUpdate.length === 0) {
             return res.status(200).json({
@@ -1766,6 +2172,19 @@ exports.bulkUpdateTicketsWithCommentsToProcessing = async (req, res) => {
         
         console.log(`✅ Bulk updated ${updateResult.affectedRows} tickets from NEW to PROCESSING`);
         
+        const actor = actorFromRequest(req);
+        for (const ticket of ticketsToUpdate) {
+            await recordTicketEvent(pool, {
+                ticketId: ticket.Id,
+                eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+                oldValue: 'NEW',
+                newValue: 'PROCESSING',
+                note: 'Bulk update of commented tickets',
+                actor
+            });
+            await applySlaStatusChange(pool, ticket.Id, 'NEW', 'PROCESSING');
+        }
+        
         res.status(200).json({
             success: true,
             message: `Successfully updated ${updateResult.affectedRows} tickets to PROCESSING status`,
@@ -1804,7 +2223,7 @@ exports.approveTicket = async (req, res) => {
 
         if (!id) {
             const msg = 'Ticket ID is required';
-            if (wantsHtml) return res.status(400).send(`<html><body><h3>${msg}</h3></body></html>`);
+            if (wantsHtml) return res.status(400).send(messagePage(msg));
             return res.status(400).json({ message: msg });
         }
 
@@ -1822,45 +2241,55 @@ exports.approveTicket = async (req, res) => {
 
         if (ticketRows.length === 0) {
             const msg = 'Ticket not found';
-            if (wantsHtml) return res.status(404).send(`<html><body><h3>${msg}</h3></body></html>`);
+            if (wantsHtml) return res.status(404).send(messagePage(msg));
             return res.status(404).json({ message: msg });
         }
 
         const ticket = ticketRows[0];
 
-        // Allow approval if user is IT Head OR a valid token is provided via query string
+        // Allow approval if the user has ticket.approve (or covers for an absent approver) OR a valid token is provided via query string
+        const authority = req.approvalAuthority || await getApprovalAuthority(pool, req.user);
+        const canApprove = authority.allowed;
         let tokenValidated = false;
-        if (req.user?.roleId === 3) {
-            // authenticated IT Head
+        if (canApprove) {
+            // authenticated approver (IT Head)
         } else if (req.query && req.query.token) {
             const providedToken = req.query.token;
             // Validate token and expiry
             if (!ticket.ApprovalToken || ticket.ApprovalToken !== providedToken) {
                 const msg = 'Invalid or expired approval token';
-                if (wantsHtml) return res.status(403).send(`<html><body><h3>${msg}</h3></body></html>`);
+                if (wantsHtml) return res.status(403).send(messagePage(msg));
                 return res.status(403).json({ message: msg });
             }
             const expiry = ticket.TokenExpiry ? new Date(ticket.TokenExpiry) : null;
             if (!expiry || expiry < new Date()) {
                 const msg = 'Approval token expired';
-                if (wantsHtml) return res.status(403).send(`<html><body><h3>${msg}</h3></body></html>`);
+                if (wantsHtml) return res.status(403).send(messagePage(msg));
                 return res.status(403).json({ message: msg });
             }
             tokenValidated = true;
         } else {
-            const msg = 'Only IT Head can approve tickets';
-            if (wantsHtml) return res.status(403).send(`<html><body><h3>${msg}</h3></body></html>`);
+            const msg = 'You do not have permission to approve tickets';
+            if (wantsHtml) return res.status(403).send(messagePage(msg));
             return res.status(403).json({ message: msg });
         }
 
+        // Only tickets awaiting approval can be approved
+        if (!canTransition(ticket.Status, 'APPROVED')) {
+            if (wantsHtml) return res.status(409).send(messagePage(transitionErrorMessage(ticket.Status, 'APPROVED')));
+            return sendTransitionConflict(res, ticket.Status, 'APPROVED');
+        }
+
         // Determine final approver id and name
         let finalApprovedById = null;
         let finalApproverName = 'IT Head';
+        let onBehalfOf = null;
 
-        if (req.user?.roleId === 3) {
-            // authenticated IT Head
+        if (canApprove) {
+            // authenticated IT Head, or their delegate
             finalApprovedById = req.user?.id || null;
             finalApproverName = req.user?.name || req.user?.email || 'IT Head';
+            onBehalfOf = authority.onBehalfOf;
         } else if (tokenValidated) {
             // Token-approved via email link — check if itHeadId parameter was provided in the URL
             const itHeadId = req.query?.itHeadId ? parseInt(req.query.itHeadId) : null;
@@ -1873,11 +2302,18 @@ exports.approveTicket = async (req, res) => {
                 console.log(`📊 Querying IT Head with ID: ${itHeadId}`);
                 const [itHeadRows] = await pool.query(`SELECT Id, Name, email FROM user WHERE Id = ? AND roleId = 3 AND IsActive = 1`, [itHeadId]);
                 console.log(`📊 Query result:`, itHeadRows);
+                // Not an IT Head: the link may have been redirected to someone covering for one
+                const delegateApprover = itHeadRows.length > 0 ? null : await findDelegateApprover(pool, itHeadId);
                 
                 if (itHeadRows && itHeadRows.length > 0) {
                     finalApprovedById = itHeadRows[0].Id;
                     finalApproverName = itHeadRows[0].Name || itHeadRows[0].email || 'IT Head';
                     console.log(`✅ Approval by IT Head ID ${itHeadId}: ${finalApproverName} (ID: ${finalApprovedById})`);
+                } else if (delegateApprover) {
+                    finalApprovedById = delegateApprover.id;
+                    finalApproverName = delegateApprover.name;
+                    onBehalfOf = delegateApprover.onBehalfOf;
+                    console.log(`✅ Approval by ${finalApproverName} (ID: ${finalApprovedById}) ${onBehalfNote(onBehalfOf)}`);
                 } else {
                     // IT Head ID not found or invalid - fall back to first IT Head
                     console.log(`⚠️ IT Head ID ${itHeadId} not found or invalid, using fallback`);
@@ -1898,12 +2334,33 @@ exports.approveTicket = async (req, res) => {
             }
         }
 
+        // Who approved, as shown in notifications, the event log and the response
+        const approvedByLabel = onBehalfOf ? `${finalApproverName} ${onBehalfNote(onBehalfOf)}` : finalApproverName;
+
         // Update ticket approval fields to reflect approval and set Status to APPROVED
-        await pool.query(`
+        const [approveResult] = await pool.query(`
             UPDATE ticket
             SET Status = 'APPROVED', ApprovalStatus = 'Approved', ActionedBy = ?, ActionedDate = NOW(), ActionComments = ?, ApprovalToken = NULL, TokenExpiry = NULL, UpdatedBy = ?, UpdatedDate = NOW()
-            WHERE Id = ?
-        `, [finalApprovedById, comments || null, finalApproverName, id]);
+            WHERE Id = ? AND Status = ?
+        `, [finalApprovedById, comments || null, finalApproverName, id, ticket.Status]);
+
+        // Someone changed the ticket after it was read: nothing was approved, so report the conflict and notify nobody
+        if (approveResult.affectedRows === 0) {
+            const [currentRows] = await pool.query('SELECT Status FROM ticket WHERE Id = ?', [id]);
+            const currentStatus = currentRows.length > 0 ? currentRows[0].Status : ticket.Status;
+            if (wantsHtml) return res.status(409).send(messagePage(transitionErrorMessage(currentStatus, 'APPROVED')));
+            return sendTransitionConflict(res, currentStatus, 'APPROVED');
+        }
+
+        await recordTicketEvent(pool, {
+            ticketId: id,
+            eventType: TICKET_EVENT_TYPES.APPROVED,
+            oldValue: ticket.Status,
+            newValue: 'APPROVED',
+            note: [comments, onBehalfOf ? `Approved by ${approvedByLabel}` : null].filter(Boolean).join('\n') || null,
+            actor: { id: finalApprovedById, uid: req.user?.uid, name: finalApproverName, createdBy: req.user?.uid || finalApproverName }
+        });
+        await applySlaStatusChange(pool, id, ticket.Status, 'APPROVED');
 
         // Notify all relevant parties (creator, assigned user, category team, IT Head)
         try {
@@ -1965,7 +2422,7 @@ exports.approveTicket = async (req, res) => {
                 status: 'APPROVED',
                 createdDate: info.CreatedDate,
                 description: info.Description || '',
-                approverName: finalApproverName,
+                approverName: approvedByLabel,
                 approvalComments: comments || ''
             };
 
@@ -2013,7 +2470,8 @@ exports.approveTicket = async (req, res) => {
 
             // ALL IT Head(s) - Ensure all IT heads with Role=3 receive approval notifications
             try {
-                const [heads] = await pool.query(`SELECT DISTINCT u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3`);
+                const [headRows] = await pool.query(`SELECT DISTINCT u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3`);
+                const heads = await redirectRecipients(pool, headRows);
                 console.log(`🔍 Found ${heads.length} IT Head(s) for approval notifications`);
                 for (const h of heads) {
                     if (h && h.email && h.email.includes('@')) {
@@ -2029,11 +2487,13 @@ exports.approveTicket = async (req, res) => {
 
             // Send approval email to each recipient (avoid duplicates)
             console.log(`📧 Sending approval notifications for ticket ${ticketNumber} - Approved by: ${finalApproverName}`);
-            console.log(`📋 Total recipients for approval notification: ${recipientsMap.size}`);
+            const recipients = await notificationAudience(pool, { ticketId: parseInt(id), ticketNumber })
+                .filter([...recipientsMap.values()], 'STATUS_CHANGED', `${ticketNumber} was approved by ${approvedByLabel}`);
+            console.log(`📋 Total recipients for approval notification: ${recipients.length} of ${recipientsMap.size} after notification preferences`);
             
-            for (const [, r] of recipientsMap) {
+            for (const r of recipients) {
                 try {
-                    await emailServiceApp.sendTicketApprovalEmail(ticketData, r.email, r.name || r.email, finalApproverName, comments || '');
+                    await emailServiceApp.sendTicketApprovalEmail(ticketData, r.email, r.name || r.email, approvedByLabel, comments || '');
                     console.log(`✅ Approval notification sent to ${r.name || r.email} (${r.email}) - Approved by: ${finalApproverName}`);
                 } catch (e) {
                     console.error(`❌ Error sending approval notification to ${r.email}:`, e.message);
@@ -2047,8 +2507,8 @@ exports.approveTicket = async (req, res) => {
         // If request is from the HTML confirmation form, return a friendly HTML page
         if (wantsHtml) {
             const ticketNumber = `TK-${new Date().getFullYear()}-${String(id).padStart(3, '0')}`;
-            const html = `<!doctype html><html><head><meta charset="utf-8"><title>Ticket Approved</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#f8fafc;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;"><h2 style="color:#065f46;">This ticket has been approved</h2><p>Ticket <strong>${ticketNumber}</strong> was approved by <strong>${finalApproverName}</strong>.</p>${comments ? `<p><strong>Comments:</strong> ${comments}</p>` : ''}<p style="color:#64748b;margin-top:12px;">You can close this window.</p></div></body></html>`;
-            return res.status(200).send(html);
+            const page = html`<!doctype html><html><head><meta charset="utf-8"><title>Ticket Approved</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#f8fafc;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;"><h2 style="color:#065f46;">This ticket has been approved</h2><p>Ticket <strong>${ticketNumber}</strong> was approved by <strong>${approvedByLabel}</strong>.</p>${comments && html`<p><strong>Comments:</strong> ${comments}</p>`}<p style="color:#64748b;margin-top:12px;">You can close this window.</p></div></body></html>`;
+            return res.status(200).send(String(page));
         }
 
         res.status(200).json({
@@ -2057,6 +2517,7 @@ exports.approveTicket = async (req, res) => {
                 ticketId: id,
                 status: 'APPROVED',
                 approvedBy: finalApproverName,
+                onBehalfOf: onBehalfOf ? { id: onBehalfOf.id, name: onBehalfOf.name } : null,
                 approvalDate: new Date().toISOString(),
                 comments: comments || null
             }
@@ -2082,13 +2543,13 @@ exports.rejectTicket = async (req, res) => {
 
         if (!id) {
             const msg = 'Ticket ID is required';
-            if (wantsHtml) return res.status(400).send(`<html><body><h3>${msg}</h3></body></html>`);
+            if (wantsHtml) return res.status(400).send(messagePage(msg));
             return res.status(400).json({ message: msg });
         }
 
         if (!reason) {
             const msg = 'Rejection reason is required';
-            if (wantsHtml) return res.status(400).send(`<html><body><h3>${msg}</h3></body></html>`);
+            if (wantsHtml) return res.status(400).send(messagePage(msg));
             return res.status(400).json({ message: msg });
         }
 
@@ -2106,44 +2567,54 @@ exports.rejectTicket = async (req, res) => {
 
         if (ticketRows.length === 0) {
             const msg = 'Ticket not found';
-            if (wantsHtml) return res.status(404).send(`<html><body><h3>${msg}</h3></body></html>`);
+            if (wantsHtml) return res.status(404).send(messagePage(msg));
             return res.status(404).json({ message: msg });
         }
 
         const ticket = ticketRows[0];
 
-        // Allow rejection if user is IT Head OR a valid token is provided via query string
+        // Allow rejection if the user has ticket.approve (or covers for an absent approver) OR a valid token is provided via query string
+        const authority = req.approvalAuthority || await getApprovalAuthority(pool, req.user);
+        const canApprove = authority.allowed;
         let tokenValidated = false;
-        if (req.user?.roleId === 3) {
-            // authenticated IT Head
+        if (canApprove) {
+            // authenticated approver (IT Head)
         } else if (req.query && req.query.token) {
             const providedToken = req.query.token;
             // Validate token and expiry
             if (!ticket.ApprovalToken || ticket.ApprovalToken !== providedToken) {
                 const msg = 'Invalid or expired approval token';
-                if (wantsHtml) return res.status(403).send(`<html><body><h3>${msg}</h3></body></html>`);
+                if (wantsHtml) return res.status(403).send(messagePage(msg));
                 return res.status(403).json({ message: msg });
             }
             const expiry = ticket.TokenExpiry ? new Date(ticket.TokenExpiry) : null;
             if (!expiry || expiry < new Date()) {
                 const msg = 'Approval token expired';
-                if (wantsHtml) return res.status(403).send(`<html><body><h3>${msg}</h3></body></html>`);
+                if (wantsHtml) return res.status(403).send(messagePage(msg));
                 return res.status(403).json({ message: msg });
             }
             tokenValidated = true;
         } else {
-            const msg = 'Only IT Head can reject tickets';
-            if (wantsHtml) return res.status(403).send(`<html><body><h3>${msg}</h3></body></html>`);
+            const msg = 'You do not have permission to reject tickets';
+            if (wantsHtml) return res.status(403).send(messagePage(msg));
             return res.status(403).json({ message: msg });
         }
 
+        // Only tickets awaiting approval can be rejected
+        if (!canTransition(ticket.Status, 'REJECTED')) {
+            if (wantsHtml) return res.status(409).send(messagePage(transitionErrorMessage(ticket.Status, 'REJECTED')));
+            return sendTransitionConflict(res, ticket.Status, 'REJECTED');
+        }
+
         // Determine final rejector id and name
         let finalRejectedById = null;
         let finalRejectorName = 'IT Head';
+        let onBehalfOf = null;
 
-        if (req.user?.roleId === 3) {
+        if (canApprove) {
             finalRejectedById = req.user?.id || null;
             finalRejectorName = req.user?.name || req.user?.email || 'IT Head';
+            onBehalfOf = authority.onBehalfOf;
         } else if (tokenValidated) {
             // Token-rejected via email link — check if itHeadId parameter was provided in the URL
             const itHeadId = req.query?.itHeadId ? parseInt(req.query.itHeadId) : null;
@@ -2151,10 +2622,17 @@ exports.rejectTicket = async (req, res) => {
             if (itHeadId) {
                 // Query the IT Head's details using the provided ID
                 const [itHeadRows] = await pool.query(`SELECT Id, Name, email FROM user WHERE Id = ? AND roleId = 3 AND IsActive = 1`, [itHeadId]);
+                // Not an IT Head: the link may have been redirected to someone covering for one
+                const delegateApprover = itHeadRows.length > 0 ? null : await findDelegateApprover(pool, itHeadId);
                 if (itHeadRows && itHeadRows.length > 0) {
                     finalRejectedById = itHeadRows[0].Id;
                     finalRejectorName = itHeadRows[0].Name || itHeadRows[0].email || 'IT Head';
                     console.log(`✅ Rejection by IT Head ID ${itHeadId}: ${finalRejectorName}`);
+                } else if (delegateApprover) {
+                    finalRejectedById = delegateApprover.id;
+                    finalRejectorName = delegateApprover.name;
+                    onBehalfOf = delegateApprover.onBehalfOf;
+                    console.log(`✅ Rejection by ${finalRejectorName} (ID: ${finalRejectedById}) ${onBehalfNote(onBehalfOf)}`);
                 } else {
                     // IT Head ID not found or invalid - fall back to first IT Head
                     console.log(`⚠️ IT Head ID ${itHeadId} not found or invalid, using fallback`);
@@ -2175,12 +2653,33 @@ exports.rejectTicket = async (req, res) => {
             }
         }
 
+        // Who rejected, as shown in notifications, the event log and the response
+        const rejectedByLabel = onBehalfOf ? `${finalRejectorName} ${onBehalfNote(onBehalfOf)}` : finalRejectorName;
+
         // Update ticket approval fields to reflect rejection and set Status to REJECTED
-        await pool.query(`
+        const [rejectResult] = await pool.query(`
             UPDATE ticket
             SET Status = 'REJECTED', ApprovalStatus = 'Rejected', ActionedBy = ?, ActionedDate = NOW(), ActionComments = ?, ApprovalToken = NULL, TokenExpiry = NULL, UpdatedBy = ?, UpdatedDate = NOW()
-            WHERE Id = ?
-        `, [finalRejectedById, reason || null, finalRejectorName, id]);
+            WHERE Id = ? AND Status = ?
+        `, [finalRejectedById, reason || null, finalRejectorName, id, ticket.Status]);
+
+        // Someone changed the ticket after it was read: nothing was rejected, so report the conflict and notify nobody
+        if (rejectResult.affectedRows === 0) {
+            const [currentRows] = await pool.query('SELECT Status FROM ticket WHERE Id = ?', [id]);
+            const currentStatus = currentRows.length > 0 ? currentRows[0].Status : ticket.Status;
+            if (wantsHtml) return res.status(409).send(messagePage(transitionErrorMessage(currentStatus, 'REJECTED')));
+            return sendTransitionConflict(res, currentStatus, 'REJECTED');
+        }
+
+        await recordTicketEvent(pool, {
+            ticketId: id,
+            eventType: TICKET_EVENT_TYPES.REJECTED,
+            oldValue: ticket.Status,
+            newValue: 'REJECTED',
+            note: [reason, onBehalfOf ? `Rejected by ${rejectedByLabel}` : null].filter(Boolean).join('\n') || null,
+            actor: { id: finalRejectedById, uid: req.user?.uid, name: finalRejectorName, createdBy: req.user?.uid || finalRejectorName }
+        });
+        await applySlaStatusChange(pool, id, ticket.Status, 'REJECTED');
 
         // Notify all relevant parties (creator, assigned user, category team, IT Head) about rejection
         try {
@@ -2242,7 +2741,7 @@ exports.rejectTicket = async (req, res) => {
                 status: 'REJECTED',
                 createdDate: info.CreatedDate,
                 description: info.Description || '',
-                rejectorName: finalRejectorName,
+                rejectorName: rejectedByLabel,
                 rejectionReason: reason || ''
             };
 
@@ -2290,7 +2789,8 @@ exports.rejectTicket = async (req, res) => {
 
             // ALL IT Head(s) - Ensure all IT heads with Role=3 receive rejection notifications
             try {
-                const [heads] = await pool.query(`SELECT DISTINCT u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3`);
+                const [headRows] = await pool.query(`SELECT DISTINCT u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3`);
+                const heads = await redirectRecipients(pool, headRows);
                 console.log(`🔍 Found ${heads.length} IT Head(s) for rejection notifications`);
                 for (const h of heads) {
                     if (h && h.email && h.email.includes('@')) {
@@ -2306,11 +2806,13 @@ exports.rejectTicket = async (req, res) => {
 
             // Send rejection email to each recipient (avoid duplicates)
             console.log(`📧 Sending rejection notifications for ticket ${ticketNumber} - Rejected by: ${finalRejectorName}`);
-            console.log(`📋 Total recipients for rejection notification: ${recipientsMap.size}`);
+            const recipients = await notificationAudience(pool, { ticketId: parseInt(id), ticketNumber })
+                .filter([...recipientsMap.values()], 'STATUS_CHANGED', `${ticketNumber} was rejected by ${rejectedByLabel}`);
+            console.log(`📋 Total recipients for rejection notification: ${recipients.length} of ${recipientsMap.size} after notification preferences`);
             
-            for (const [, r] of recipientsMap) {
+            for (const r of recipients) {
                 try {
-                    await emailServiceApp.sendTicketRejectionEmail(ticketData, r.email, r.name || r.email, finalRejectorName, reason || '');
+                    await emailServiceApp.sendTicketRejectionEmail(ticketData, r.email, r.name || r.email, rejectedByLabel, reason || '');
                     console.log(`✅ Rejection notification sent to ${r.name || r.email} (${r.email}) - Rejected by: ${finalRejectorName}`);
                 } catch (e) {
                     console.error(`❌ Error sending rejection notification to ${r.email}:`, e.message);
@@ -2323,8 +2825,8 @@ exports.rejectTicket = async (req, res) => {
 
         if (wantsHtml) {
             const ticketNumber = `TK-${new Date().getFullYear()}-${String(id).padStart(3, '0')}`;
-            const html = `<!doctype html><html><head><meta charset="utf-8"><title>Ticket Rejected</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#fff5f5;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #f5e6e6;"><h2 style="color:#b91c1c;">This ticket has been rejected</h2><p>Ticket <strong>${ticketNumber}</strong> was rejected by <strong>${finalRejectorName}</strong>.</p>${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}<p style="color:#64748b;margin-top:12px;">You can close this window.</p></div></body></html>`;
-            return res.status(200).send(html);
+            const page = html`<!doctype html><html><head><meta charset="utf-8"><title>Ticket Rejected</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#fff5f5;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #f5e6e6;"><h2 style="color:#b91c1c;">This ticket has been rejected</h2><p>Ticket <strong>${ticketNumber}</strong> was rejected by <strong>${rejectedByLabel}</strong>.</p>${reason && html`<p><strong>Reason:</strong> ${reason}</p>`}<p style="color:#64748b;margin-top:12px;">You can close this window.</p></div></body></html>`;
+            return res.status(200).send(String(page));
         }
 
         res.status(200).json({
@@ -2333,6 +2835,7 @@ exports.rejectTicket = async (req, res) => {
                 ticketId: id,
                 status: 'REJECTED',
                 rejectedBy: finalRejectorName,
+                onBehalfOf: onBehalfOf ? { id: onBehalfOf.id, name: onBehalfOf.name } : null,
                 rejectionDate: new Date().toISOString(),
                 reason: reason
             }
@@ -2364,7 +2867,7 @@ exports.updateTicketToProcessing = async (req, res) => {
         
         // First, verify that the ticket exists and is active
         const [ticketRows] = await pool.query(
-            'SELECT Id, Status, ApprovalStatus FROM ticket WHERE Id = ? AND IsActive = 1',
+            'SELECT Id, Status FROM ticket WHERE Id = ? AND IsActive = 1',
             [parseInt(id)]
         );
         
@@ -2376,22 +2879,6 @@ exports.updateTicketToProcessing = async (req, res) => {
         }
         
         const currentStatus = ticketRows[0].Status;
-        const approvalStatus = ticketRows[0].ApprovalStatus;
-        
-        // // Check if ticket is approved (if approval workflow is enabled)
-        // if (approvalStatus && approvalStatus.toLowerCase() === 'pending') {
-        //     return res.status(400).json({
-        //         success: false,
-        //         message: 'Cannot change status to PROCESSING. Ticket is pending approval.'
-        //     });
-        // }
-        
-        // if (approvalStatus && approvalStatus.toLowerCase() === 'rejected') {
-        //     return res.status(400).json({
-        //         success: false,
-        //         message: 'Cannot change status to PROCESSING. Ticket has been rejected.'
-        //     });
-        // }
         
         // Check if status is already PROCESSING
         if (currentStatus === 'PROCESSING') {
@@ -2406,6 +2893,11 @@ exports.updateTicketToProcessing = async (req, res) => {
             });
         }
         
+        // Enforce the ticket lifecycle (e.g. PENDING APPROVAL and REJECTED tickets cannot be worked on)
+        if (!canTransition(currentStatus, 'PROCESSING')) {
+            return sendTransitionConflict(res, currentStatus, 'PROCESSING');
+        }
+        
         // Get user info from auth middleware
         const updatedBy = req.user?.name || req.user?.email || 'System';
         
@@ -2413,17 +2905,26 @@ exports.updateTicketToProcessing = async (req, res) => {
         const [updateResult] = await pool.query(
             `UPDATE ticket 
              SET Status = 'PROCESSING', UpdatedBy = ?, UpdatedDate = NOW() 
-             WHERE Id = ? AND IsActive = 1`,
-            [updatedBy, parseInt(id)]
+             WHERE Id = ? AND Status = ? AND IsActive = 1`,
+            [updatedBy, parseInt(id), currentStatus]
         );
         
         if (updateResult.affectedRows === 0) {
-            return res.status(404).json({
+            return res.status(409).json({
                 success: false,
-                message: 'Failed to update ticket status'
+                message: 'Ticket status was changed by someone else. Please refresh and try again.'
             });
         }
         
+        await recordTicketEvent(pool, {
+            ticketId: id,
+            eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+            oldValue: currentStatus,
+            newValue: 'PROCESSING',
+            actor: actorFromRequest(req)
+        });
+        await applySlaStatusChange(pool, id, currentStatus, 'PROCESSING');
+        
         // Get the updated ticket information
         const [updatedTicketRows] = await pool.query(
             `SELECT 
@@ -2481,12 +2982,13 @@ exports.updateTicketToProcessing = async (req, res) => {
                 WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' 
                 AND u.categoryId = ?
             `, [ticket.CategoryId]);            // Get IT Head
-            const [itHeadUsers] = await pool.query(`
+            const [itHeadRows] = await pool.query(`
                 SELECT DISTINCT u.email, u.name 
                 FROM user u 
                 WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' 
                 AND u.roleId = 3
             `);
+            const itHeadUsers = await redirectRecipients(pool, itHeadRows);
             // Get users with role ID 1 (to be notified on status updates as well)
             const [roleOneUsersStatusB] = await pool.query(`
                 SELECT DISTINCT u.email, u.name 
@@ -2534,16 +3036,30 @@ exports.updateTicketToProcessing = async (req, res) => {
                 ? creatorEmail 
                 : null;
             
+            const recipients = await statusEmailRecipients(pool, {
+                ticketId: updatedTicket.Id,
+                ticketNumber: updatedTicket.ticketNumber,
+                eventType: 'STATUS_CHANGED',
+                message: `${updatedTicket.ticketNumber} moved from ${currentStatus} to PROCESSING`
+            }, {
+                // Like the IT Heads, team members and the creator who are out of office are replaced by their delegates
+                teamUsers: await redirectRecipients(pool, categoryTeamUsers),
+                itHeadUsers: itHeadUsers_filtered,
+                creatorEmail: await redirectEmail(pool, ticketCreatorEmailToSend),
+                roleOneUsers: roleOneUsersStatusB,
+                assigneeEmail: ticket.assignedToEmail
+            });
+
             await emailServiceApp.sendTicketStatusUpdateEmail(
                 ticketData,
-                categoryTeamUsers,
-                itHeadUsers_filtered,
-                ticketCreatorEmailToSend,
+                recipients.teamUsers,
+                recipients.itHeadUsers,
+                recipients.creatorEmail,
                 currentStatus,
                 'PROCESSING',
                 updatedBy,
-                roleOneUsersStatusB,
-                ticket.assignedToEmail
+                recipients.roleOneUsers,
+                recipients.assigneeEmail
             );
             
             console.log(`📧 Status update emails sent for ticket ${updatedTicket.ticketNumber}`);
@@ -2602,7 +3118,7 @@ exports.updateTicketToCompleted = async (req, res) => {
         
         // First, verify that the ticket exists and is active
         const [ticketRows] = await pool.query(
-            'SELECT Id, Status, ApprovalStatus FROM ticket WHERE Id = ? AND IsActive = 1',
+            'SELECT Id, Status FROM ticket WHERE Id = ? AND IsActive = 1',
             [parseInt(id)]
         );
         
@@ -2614,22 +3130,6 @@ exports.updateTicketToCompleted = async (req, res) => {
         }
         
         const currentStatus = ticketRows[0].Status;
-        const approvalStatus = ticketRows[0].ApprovalStatus;
-        
-        // // Check if ticket is approved (if approval workflow is enabled)
-        // if (approvalStatus && approvalStatus.toLowerCase() === 'pending') {
-        //     return res.status(400).json({
-        //         success: false,
-        //         message: 'Cannot change status to COMPLETED. Ticket is pending approval.'
-        //     });
-        // }
-        
-        // if (approvalStatus && approvalStatus.toLowerCase() === 'rejected') {
-        //     return res.status(400).json({
-        //         success: false,
-        //         message: 'Cannot change status to COMPLETED. Ticket has been rejected.'
-        //     });
-        // }
         
         // Check if status is already COMPLETED
         if (currentStatus === 'COMPLETED') {
@@ -2644,6 +3144,11 @@ exports.updateTicketToCompleted = async (req, res) => {
             });
         }
         
+        // Enforce the ticket lifecycle (e.g. PENDING APPROVAL and REJECTED tickets cannot be worked on)
+        if (!canTransition(currentStatus, 'COMPLETED')) {
+            return sendTransitionConflict(res, currentStatus, 'COMPLETED');
+        }
+        
         // Get user info from auth middleware
         const updatedBy = req.user?.name || req.user?.email || 'System';
         
@@ -2651,17 +3156,26 @@ exports.updateTicketToCompleted = async (req, res) => {
         const [updateResult] = await pool.query(
             `UPDATE ticket 
              SET Status = 'COMPLETED', UpdatedBy = ?, UpdatedDate = NOW() 
-             WHERE Id = ? AND IsActive = 1`,
-            [updatedBy, parseInt(id)]
+             WHERE Id = ? AND Status = ? AND IsActive = 1`,
+            [updatedBy, parseInt(id), currentStatus]
         );
         
         if (updateResult.affectedRows === 0) {
-            return res.status(404).json({
+            return res.status(409).json({
                 success: false,
-                message: 'Failed to update ticket status'
+                message: 'Ticket status was changed by someone else. Please refresh and try again.'
             });
         }
         
+        await recordTicketEvent(pool, {
+            ticketId: id,
+            eventType: TICKET_EVENT_TYPES.STATUS_CHANGED,
+            oldValue: currentStatus,
+            newValue: 'COMPLETED',
+            actor: actorFromRequest(req)
+        });
+        await applySlaStatusChange(pool, id, currentStatus, 'COMPLETED');
+        
         // Get the updated ticket information
         const [updatedTicketRows] = await pool.query(
             `SELECT 
@@ -2721,12 +3235,13 @@ exports.updateTicketToCompleted = async (req, res) => {
             `, [ticket.CategoryId]);
             
             // Get IT Head
-            const [itHeadUsers] = await pool.query(`
+            const [itHeadRows] = await pool.query(`
                 SELECT DISTINCT u.email, u.name 
                 FROM user u 
                 WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' 
                 AND u.roleId = 3
             `);
+            const itHeadUsers = await redirectRecipients(pool, itHeadRows);
 
             // Get users with role ID 1 (to be notified on status updates as well)
             const [roleOneUsersStatusC] = await pool.query(`
@@ -2775,16 +3290,30 @@ exports.updateTicketToCompleted = async (req, res) => {
                 ? creatorEmail 
                 : null;
             
+            const recipients = await statusEmailRecipients(pool, {
+                ticketId: updatedTicket.Id,
+                ticketNumber: updatedTicket.ticketNumber,
+                eventType: 'STATUS_CHANGED',
+                message: `${updatedTicket.ticketNumber} moved from ${currentStatus} to COMPLETED`
+            }, {
+                // Like the IT Heads, team members and the creator who are out of office are replaced by their delegates
+                teamUsers: await redirectRecipients(pool, categoryTeamUsers),
+                itHeadUsers: itHeadUsers_filtered,
+                creatorEmail: await redirectEmail(pool, ticketCreatorEmailToSend),
+                roleOneUsers: roleOneUsersStatusC,
+                assigneeEmail: ticket.assignedToEmail
+            });
+
             await emailServiceApp.sendTicketStatusUpdateEmail(
                 ticketData,
-                categoryTeamUsers,
-                itHeadUsers_filtered,
-                ticketCreatorEmailToSend,
+                recipients.teamUsers,
+                recipients.itHeadUsers,
+                recipients.creatorEmail,
                 currentStatus,
                 'COMPLETED',
                 updatedBy,
-                roleOneUsersStatusC,
-                ticket.assignedToEmail
+                recipients.roleOneUsers,
+                recipients.assigneeEmail
             );
             
             console.log(`📧 Status update emails sent for ticket ${updatedTicket.ticketNumber}`);
@@ -2855,11 +3384,12 @@ exports.downloadAttachment = async (req, res) => {
         }
         
         // Extract original filename from path
-        const filename = path.basename(attachment.Path);
+        const filename = attachmentDisplayName(attachment.Path);
         
-        // Set appropriate headers for file download
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        // Always a download, never rendered by the browser (attachments can come from anyone who emails the mailbox)
+        res.setHeader('Content-Disposition', contentDisposition(filename));
         res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
         
         // Read and send the file
         const fileBuffer = await fs.readFile(filePath);
@@ -2907,7 +3437,7 @@ exports.viewAttachmentPage = async (req, res) => {
             return res.status(404).send('<html><body><h3>File not found on server</h3></body></html>');
         }
 
-        const filename = path.basename(attachment.Path);
+        const filename = attachmentDisplayName(attachment.Path);
         const ext = path.extname(filename).toLowerCase();
 
         // Minimal mime mapping for common types
@@ -2928,15 +3458,15 @@ exports.viewAttachmentPage = async (req, res) => {
             const contentType = mimeMap[ext] || 'application/octet-stream';
             res.setHeader('Content-Type', contentType);
             // Inline so browser will render instead of download
-            res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+            res.setHeader('Content-Disposition', contentDisposition(filename, 'inline'));
 
             const fileBuffer = await fs.readFile(filePath);
             return res.send(fileBuffer);
         }
 
         // For non-viewable types, show a tiny HTML page with a download link
-        const downloadUrl = `/api/tickets/attachments/${attachmentId}/download`;
-        const html = `<!doctype html>
+        const downloadUrl = `/api/tickets/attachments/${encodeURIComponent(attachmentId)}/download`;
+        const page = html`<!doctype html>
             <html>
               <head>
                 <meta charset="utf-8">
@@ -2951,7 +3481,7 @@ exports.viewAttachmentPage = async (req, res) => {
             </html>`;
 
         res.setHeader('Content-Type', 'text/html; charset=utf-8');
-        res.send(html);
+        res.send(String(page));
 
     } catch (error) {
         console.error('Error viewing attachment:', error);
@@ -0,0 +1,686 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { getPool } = require('../config/db');
+const { TICKET_EVENT_TYPES, actorFromRequest, recordTicketEvent } = require('../lib/ticketEvents');
+const { revokeUserSessions } = require('../lib/authSessions');
+const { unlockAccount } = require('../lib/loginThrottle');
+const { disableTwoFactor } = require('../lib/twoFactor');
+const { TOKEN_PURPOSES, issuePasswordToken, setPasswordUrl } = require('../lib/passwordTokens');
+const { parseUserCsv, validateImportRows } = require('../lib/userImport');
+const emailServiceApp = require('../services/emailServiceApp');
+
+// Tickets in these statuses no longer need an assignee when a user leaves
+const CLOSED_STATUSES = ['COMPLETED', 'CLOSED', 'REJECTED'];
+
+const USER_SELECT = `
+    SELECT u.Id, u.uid, u.name, u.email, u.roleId, r.Name as roleName, u.categoryId, c.Name as categoryName,
+           u.departmentId, d.Name as departmentName, u.IsActive, u.LockedUntil, u.TotpEnabled, u.MustChangePassword, u.CreatedBy, u.CreatedDate, u.UpdatedBy, u.UpdatedDate
+    FROM user u
+    LEFT JOIN role r ON u.roleId = r.Id
+    LEFT JOIN category c ON u.categoryId = c.Id
+    LEFT JOIN department d ON u.departmentId = d.Id
+`;
+
+function formatUser(row) {
+    return {
+        id: row.Id,
+        uid: row.uid,
+        name: row.name,
+        email: row.email,
+        role: row.roleId ? { id: row.roleId, name: row.roleName } : null,
+        category: row.categoryId ? { id: row.categoryId, name: row.categoryName } : null,
+        department: row.departmentId ? { id: row.departmentId, name: row.departmentName } : null,
+        isActive: !!row.IsActive,
+        lockedUntil: row.LockedUntil && new Date(row.LockedUntil) > new Date() ? row.LockedUntil : null,
+        twoFactorEnabled: !!row.TotpEnabled,
+        mustChangePassword: !!row.MustChangePassword,
+        createdBy: row.CreatedBy,
+        createdAt: row.CreatedDate,
+        updatedBy: row.UpdatedBy,
+        updatedAt: row.UpdatedDate
+    };
+}
+
+async function fetchUser(db, id) {
+    const [rows] = await db.query(`${USER_SELECT} WHERE u.Id = ?`, [parseInt(id)]);
+    return rows[0] || null;
+}
+
+// Resolve an optional role/category/department id from the body: undefined = unchanged, '' or null = cleared
+async function resolveLookupId(db, table, value, label) {
+    if (value === undefined) return { value: undefined };
+    if (value === null || value === '') return { value: null };
+    const id = Number(value);
+    if (!Number.isInteger(id)) return { error: `Invalid ${label} ID` };
+    const activeFilter = table === 'role' ? '' : ' AND IsActive = 1';
+    const [rows] = await db.query(`SELECT Id FROM ${table} WHERE Id = ?${activeFilter}`, [id]);
+    if (rows.length === 0) return { error: `${label} not found` };
+    return { value: id };
+}
+
+// Queue the invitation emails; the outbox worker paces delivery to stay within the Graph API throttling limits
+async function queueInvitations(invitations) {
+    const loginUrl = `${process.env.APP_URL || 'http://10.1.1.57:3001'}/login`;
+    const failed = [];
+    let sent = 0;
+
+    for (const inv of invitations) {
+        try {
+            await emailServiceApp.sendWelcomeEmail(inv.email, inv.name || 'User', {
+                role: inv.roleName || undefined,
+                categories: inv.categoryName ? [inv.categoryName] : [],
+                loginUrl,
+                setPasswordUrl: setPasswordUrl(inv.token),
+                expiresAt: inv.expiresAt
+            });
+            sent++;
+        } catch (error) {
+            console.error(`📧 Failed to queue invitation to ${inv.email}:`, error.message || error);
+            failed.push({ id: inv.id, email: inv.email, error: error.message || String(error) });
+        }
+    }
+    console.log(`📧 Import invitations: ${sent} of ${invitations.length} queued`);
+    return { sent, failed };
+}
+
+async function findOpenAssignedTickets(db, userId) {
+    const [rows] = await db.query(
+        `SELECT Id, CONCAT('TK-', YEAR(CreatedDate), '-', LPAD(Id, 3, '0')) as ticketNumber, Status
+         FROM ticket
+         WHERE AssignerId = ? AND IsActive = 1 AND Status NOT IN (${CLOSED_STATUSES.map(() => '?').join(',')})
+         ORDER BY Id ASC`,
+        [parseInt(userId), ...CLOSED_STATUSES]
+    );
+    return rows;
+}
+
+async function findReassignCandidates(db, user) {
+    if (!user.categoryId) return [];
+    const [rows] = await db.query(
+        'SELECT Id, Name FROM user WHERE categoryId = ? AND IsActive = 1 AND Id != ? ORDER BY Name ASC',
+        [user.categoryId, user.Id]
+    );
+    return rows.map(r => ({ id: r.Id, name: r.Name }));
+}
+
+/**
+ * List users with paging and search
+ * GET /api/users
+ * Query parameters: search (name or email), roleId, categoryId, departmentId, status (active | inactive | all, default active), page, limit
+ */
+exports.getUsers = async (req, res) => {
+    try {
+        const { search, roleId, categoryId, departmentId, status = 'active', page = 1, limit = 20 } = req.query;
+
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (status === 'active') whereConditions.push('u.IsActive = 1');
+        else if (status === 'inactive') whereConditions.push('u.IsActive = 0');
+        else if (status !== 'all') {
+            return res.status(400).json({ message: 'Invalid status. Allowed values: active, inactive, all' });
+        }
+
+        if (search && String(search).trim()) {
+            whereConditions.push('(u.name LIKE ? OR u.email LIKE ?)');
+            const term = `%${String(search).trim()}%`;
+            queryParams.push(term, term);
+        }
+        if (roleId && !isNaN(roleId)) {
+            whereConditions.push('u.roleId = ?');
+            queryParams.push(parseInt(roleId));
+        }
+        if (categoryId && !isNaN(categoryId)) {
+            whereConditions.push('u.categoryId = ?');
+            queryParams.push(parseInt(categoryId));
+        }
+        if (departmentId && !isNaN(departmentId)) {
+            whereConditions.push('u.departmentId = ?');
+            queryParams.push(parseInt(departmentId));
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const offset = (pageNum - 1) * limitNum;
+
+        const pool = getPool();
+        const [countResult] = await pool.query(`SELECT COUNT(*) as total FROM user u ${whereClause}`, queryParams);
+        const totalItems = countResult[0].total;
+
+        const [rows] = await pool.query(
+            `${USER_SELECT} ${whereClause} ORDER BY u.name ASC LIMIT ? OFFSET ?`,
+            [...queryParams, limitNum, offset]
+        );
+
+        res.status(200).json({
+            message: 'Users retrieved successfully',
+            data: {
+                users: rows.map(formatUser),
+                pagination: {
+                    currentPage: pageNum,
+                    totalPages: Math.ceil(totalItems / limitNum),
+                    totalItems: totalItems,
+                    itemsPerPage: limitNum
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ message: 'Error fetching users', error: error.message });
+    }
+};
+
+/**
+ * Get a single user, including the open tickets assigned to them
+ * GET /api/users/:id
+ */
+exports.getUserById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const pool = getPool();
+        const user = await fetchUser(pool, id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const openTickets = await findOpenAssignedTickets(pool, user.Id);
+        res.status(200).json({
+            message: 'User retrieved successfully',
+            data: {
+                ...formatUser(user),
+                openAssignedTickets: openTickets.map(t => ({ id: t.Id, ticketNumber: t.ticketNumber, status: t.Status }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ message: 'Error fetching user', error: error.message });
+    }
+};
+
+/**
+ * Update a user's name, email, role, category and/or department
+ * PUT /api/users/:id
+ * Body: { name, email, roleId, categoryId, departmentId } (send null to clear the role, category or department)
+ */
+exports.updateUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const pool = getPool();
+        const user = await fetchUser(pool, id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const { name, email: rawEmail, roleId, categoryId, departmentId } = req.body;
+        const updates = [];
+        const params = [];
+
+        if (name !== undefined) {
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                return res.status(400).json({ message: 'Name cannot be empty' });
+            }
+            updates.push('name = ?');
+            params.push(name.trim());
+        }
+
+        if (rawEmail !== undefined) {
+            const email = typeof rawEmail === 'string' ? rawEmail.trim().toLowerCase() : '';
+            if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                return res.status(400).json({ message: 'A valid email address is required' });
+            }
+            const [existing] = await pool.query('SELECT Id FROM user WHERE LOWER(email) = LOWER(?) AND Id != ?', [email, user.Id]);
+            if (existing.length > 0) {
+                return res.status(400).json({ message: 'Email already registered' });
+            }
+            updates.push('email = ?');
+            params.push(email);
+        }
+
+        const role = await resolveLookupId(pool, 'role', roleId, 'Role');
+        if (role.error) return res.status(400).json({ message: role.error });
+        if (role.value !== undefined) {
+            // Keep at least one way back in: an admin cannot change their own role
+            if (user.uid === req.user?.uid && role.value !== user.roleId) {
+                return res.status(400).json({ message: 'You cannot change your own role' });
+            }
+            updates.push('roleId = ?');
+            params.push(role.value);
+        }
+
+        const category = await resolveLookupId(pool, 'category', categoryId, 'Category');
+        if (category.error) return res.status(400).json({ message: category.error });
+        if (category.value !== undefined) {
+            updates.push('categoryId = ?');
+            params.push(category.value);
+        }
+
+        const department = await resolveLookupId(pool, 'department', departmentId, 'Department');
+        if (department.error) return res.status(400).json({ message: department.error });
+        if (department.value !== undefined) {
+            updates.push('departmentId = ?');
+            params.push(department.value);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ message: 'Nothing to update. Provide name, email, roleId, categoryId or departmentId' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        await pool.query(
+            `UPDATE user SET ${updates.join(', ')}, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?`,
+            [...params, actor, user.Id]
+        );
+
+        // Access tokens carry the role, so sign the user out everywhere for the new role to apply
+        if (role.value !== undefined && role.value !== user.roleId) {
+            await revokeUserSessions(pool, user.Id, 'ROLE_CHANGED');
+        }
+
+        console.log(`✅ User ${user.email} updated by ${actor}`);
+        res.status(200).json({
+            message: 'User updated successfully',
+            data: formatUser(await fetchUser(pool, user.Id))
+        });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ message: 'Error updating user', error: error.message });
+    }
+};
+
+/**
+ * Deactivate a user (soft delete through IsActive)
+ * PUT /api/users/:id/deactivate
+ * Body: { reassignToUserId, unassign }
+ * When the user still has open assigned tickets, either reassign them to another active member of the
+ * same category (reassignToUserId) or clear the assignee (unassign: true). Without either the request
+ * is rejected with the open tickets and the reassignment candidates so the caller can choose.
+ */
+exports.deactivateUser = async (req, res) => {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+        return res.status(400).json({ message: 'Valid user ID is required' });
+    }
+
+    const { reassignToUserId, unassign } = req.body || {};
+    const pool = getPool();
+
+    try {
+        const user = await fetchUser(pool, id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.IsActive) {
+            return res.status(400).json({ message: 'User is already inactive' });
+        }
+        if (user.uid === req.user?.uid) {
+            return res.status(400).json({ message: 'You cannot deactivate your own account' });
+        }
+
+        const openTickets = await findOpenAssignedTickets(pool, user.Id);
+
+        let reassignTo = null;
+        if (reassignToUserId !== undefined && reassignToUserId !== null && reassignToUserId !== '') {
+            const candidates = await findReassignCandidates(pool, user);
+            reassignTo = candidates.find(c => c.id === Number(reassignToUserId)) || null;
+            if (!reassignTo) {
+                return res.status(400).json({
+                    message: 'Tickets can only be reassigned to an active member of the same category',
+                    reassignCandidates: candidates
+                });
+            }
+        } else if (openTickets.length > 0 && unassign !== true) {
+            return res.status(409).json({
+                message: `User has ${openTickets.length} open assigned ticket(s). Provide reassignToUserId or set unassign to true`,
+                openTickets: openTickets.map(t => ({ id: t.Id, ticketNumber: t.ticketNumber, status: t.Status })),
+                reassignCandidates: await findReassignCandidates(pool, user)
+            });
+        }
+
+        const actor = actorFromRequest(req);
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            await connection.query(
+                'UPDATE user SET IsActive = 0, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?',
+                [actor.createdBy, user.Id]
+            );
+            await revokeUserSessions(connection, user.Id, 'USER_DEACTIVATED');
+
+            for (const ticket of openTickets) {
+                await connection.query(
+                    'UPDATE ticket SET AssignerId = ?, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ?',
+                    [reassignTo ? reassignTo.id : null, actor.createdBy, ticket.Id]
+                );
+                await recordTicketEvent(connection, {
+                    ticketId: ticket.Id,
+                    eventType: TICKET_EVENT_TYPES.ASSIGNED,
+                    oldValue: user.Id,
+                    newValue: reassignTo ? reassignTo.id : null,
+                    note: `${user.name} was deactivated`,
+                    actor
+                });
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        console.log(`✅ User ${user.email} deactivated by ${actor.createdBy}; ${openTickets.length} open ticket(s) ${reassignTo ? `reassigned to ${reassignTo.name}` : 'unassigned'}`);
+        res.status(200).json({
+            message: 'User deactivated successfully',
+            data: {
+                user: formatUser(await fetchUser(pool, user.Id)),
+                ticketsReassigned: openTickets.length,
+                reassignedTo: reassignTo
+            }
+        });
+    } catch (error) {
+        console.error('Error deactivating user:', error);
+        res.status(500).json({ message: 'Error deactivating user', error: error.message });
+    }
+};
+
+/**
+ * Sign a user out of every session (e.g. a lost laptop)
+ * PUT /api/users/:id/revoke-sessions
+ */
+exports.revokeSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const pool = getPool();
+        const user = await fetchUser(pool, id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const revoked = await revokeUserSessions(pool, user.Id, 'ADMIN_REVOKED');
+        console.log(`🔒 ${revoked} session(s) of ${user.email} revoked by ${req.user?.email || 'System'}`);
+        res.status(200).json({ message: 'User sessions revoked successfully', sessionsRevoked: revoked });
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({ message: 'Error revoking user sessions', error: error.message });
+    }
+};
+
+/**
+ * Clear a temporary lock set after too many failed sign-ins
+ * PUT /api/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const pool = getPool();
+        if (!(await unlockAccount(pool, id))) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const user = await fetchUser(pool, id);
+        console.log(`🔓 Account ${user.email} unlocked by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: 'User unlocked successfully',
+            data: formatUser(user)
+        });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({ message: 'Error unlocking user', error: error.message });
+    }
+};
+
+/**
+ * Remove a user's two-factor enrollment (lost phone and recovery codes). Their sessions are revoked;
+ * if their role requires 2FA they are asked to enroll again at the next sign-in.
+ * PUT /api/users/:id/reset-2fa
+ */
+exports.resetTwoFactor = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const pool = getPool();
+        const user = await fetchUser(pool, id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await disableTwoFactor(pool, user.Id);
+        await revokeUserSessions(pool, user.Id, 'TWO_FACTOR_RESET');
+        console.log(`🔓 Two-factor authentication of ${user.email} reset by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: 'Two-factor authentication reset successfully',
+            data: formatUser(await fetchUser(pool, id))
+        });
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+        res.status(500).json({ message: 'Error resetting two-factor authentication', error: error.message });
+    }
+};
+
+/**
+ * Send a new invitation link (e.g. the first one expired). Earlier unused links stop working.
+ * Refused once the user has set their password from an invitation; they can use Forgot Password instead.
+ * POST /api/users/:id/resend-invitation
+ */
+exports.resendInvitation = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const pool = getPool();
+        const user = await fetchUser(pool, id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (!user.IsActive) {
+            return res.status(400).json({ message: 'User is inactive' });
+        }
+
+        const [used] = await pool.query(
+            "SELECT Id FROM password_token WHERE UserId = ? AND Purpose = ? AND ConsumedReason = 'USED' LIMIT 1",
+            [user.Id, TOKEN_PURPOSES.INVITE]
+        );
+        if (used.length > 0) {
+            return res.status(409).json({ message: 'User has already set their password' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const invitation = await issuePasswordToken(pool, user.Id, TOKEN_PURPOSES.INVITE, actor);
+        await emailServiceApp.sendWelcomeEmail(user.email, user.name || 'User', {
+            role: user.roleName || undefined,
+            categories: user.categoryName ? [user.categoryName] : [],
+            loginUrl: `${process.env.APP_URL || 'http://10.1.1.57:3001'}/login`,
+            setPasswordUrl: setPasswordUrl(invitation.token),
+            expiresAt: invitation.expiresAt
+        });
+
+        console.log(`📧 Invitation re-sent to ${user.email} by ${req.user?.email || 'System'}`);
+        res.status(200).json({
+            message: 'Invitation sent successfully',
+            data: { expiresAt: invitation.expiresAt }
+        });
+    } catch (error) {
+        console.error('Error resending invitation:', error);
+        res.status(500).json({ message: 'Error resending invitation', error: error.message });
+    }
+};
+
+/**
+ * Import users from a CSV file. Every row must be valid or nothing is imported; new users are emailed an invitation link.
+ * POST /api/users/import (multipart/form-data)
+ * Fields: file (CSV with a header row: name, email, role, category, department; names, not ids), dryRun (true = only validate)
+ */
+exports.importUsers = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ message: 'Upload a CSV file in the "file" field' });
+    }
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body?.dryRun ?? req.query.dryRun ?? '').toLowerCase());
+
+    const parsed = parseUserCsv(req.file.buffer);
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+
+    const pool = getPool();
+    let rows;
+    try {
+        rows = await validateImportRows(pool, parsed.rows);
+    } catch (error) {
+        console.error('Error validating user import:', error);
+        return res.status(500).json({ message: 'Error validating user import', error: error.message });
+    }
+
+    const invalidRows = rows.filter(r => r.errors.length > 0).length;
+    const report = {
+        dryRun,
+        totalRows: rows.length,
+        validRows: rows.length - invalidRows,
+        invalidRows,
+        rows: rows.map(r => ({
+            line: r.line,
+            name: r.name,
+            email: r.email,
+            role: r.role,
+            category: r.category,
+            department: r.department,
+            errors: r.errors
+        }))
+    };
+
+    if (dryRun) {
+        return res.status(200).json({
+            message: invalidRows > 0
+                ? `Dry run: ${invalidRows} of ${rows.length} row(s) have errors`
+                : `Dry run: all ${rows.length} row(s) are valid`,
+            data: report
+        });
+    }
+    if (invalidRows > 0) {
+        return res.status(400).json({
+            message: `No users were imported: ${invalidRows} of ${rows.length} row(s) have errors`,
+            data: report
+        });
+    }
+
+    const actor = req.user?.uid || req.user?.email || 'System';
+    const connection = await pool.getConnection();
+    const invitations = [];
+    try {
+        // One unguessable placeholder for the whole import; nobody can sign in with a password until they use their link
+        const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+        await connection.beginTransaction();
+        for (const row of rows) {
+            const [result] = await connection.query(
+                `INSERT INTO user (name, uid, email, password, roleId, categoryId, departmentId, MustChangePassword, CreatedBy, UpdatedBy, IsActive)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, 1)`,
+                [
+                    row.name,
+                    crypto.randomUUID(),
+                    row.email,
+                    placeholderHash,
+                    row.role.id,
+                    row.category ? row.category.id : null,
+                    row.department ? row.department.id : null,
+                    actor,
+                    actor
+                ]
+            );
+            const invitation = await issuePasswordToken(connection, result.insertId, TOKEN_PURPOSES.INVITE, actor);
+            invitations.push({
+                id: result.insertId,
+                line: row.line,
+                name: row.name,
+                email: row.email,
+                roleName: row.role.name,
+                categoryName: row.category ? row.category.name : null,
+                token: invitation.token,
+                expiresAt: invitation.expiresAt
+            });
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'No users were imported: an email in the file was registered while importing. Run the import again' });
+        }
+        console.error('Error importing users:', error);
+        return res.status(500).json({ message: 'Error importing users', error: error.message });
+    } finally {
+        connection.release();
+    }
+
+    console.log(`👥 ${invitations.length} user(s) imported from CSV by ${req.user?.email || 'System'}`);
+    const emails = await queueInvitations(invitations);
+
+    res.status(201).json({
+        message: emails.failed.length > 0
+            ? `Imported ${invitations.length} user(s); ${emails.failed.length} invitation email(s) could not be queued (use resend-invitation)`
+            : `Imported ${invitations.length} user(s) and queued their invitations`,
+        data: {
+            imported: invitations.map(inv => ({ line: inv.line, id: inv.id, name: inv.name, email: inv.email })),
+            invitationsSent: emails.sent,
+            invitationsFailed: emails.failed,
+            invitationExpiresAt: invitations.length > 0 ? invitations[0].expiresAt : null
+        }
+    });
+};
+
+/**
+ * Reactivate a deactivated user
+ * PUT /api/users/:id/activate
+ */
+exports.activateUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!id || isNaN(id)) {
+            return res.status(400).json({ message: 'Valid user ID is required' });
+        }
+
+        const actor = req.user?.uid || req.user?.email || 'System';
+        const pool = getPool();
+        const [result] = await pool.query(
+            'UPDATE user SET IsActive = 1, UpdatedBy = ?, UpdatedDate = NOW() WHERE Id = ? AND IsActive = 0',
+            [actor, parseInt(id)]
+        );
+        if (result.affectedRows === 0) {
+            const user = await fetchUser(pool, id);
+            return user
+                ? res.status(400).json({ message: 'User is already active' })
+                : res.status(404).json({ message: 'User not found' });
+        }
+
+        res.status(200).json({
+            message: 'User activated successfully',
+            data: formatUser(await fetchUser(pool, id))
+        });
+    } catch (error) {
+        console.error('Error activating user:', error);
+        res.status(500).json({ message: 'Error activating user', error: error.message });
+    }
+};
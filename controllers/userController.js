@@ -1,11 +1,15 @@
 const { getPool } = require('../config/db');
+const { getPermissionsForRole } = require('../middlewares/permissionMiddleware');
 
 // Get User Profile
 exports.getUserProfile = async (req, res) => {
     try {
         res.status(200).json({
             message: 'User profile data',
-            user: req.user // Retrieved from authMiddleware
+            user: {
+                ...req.user, // Retrieved from authMiddleware
+                permissions: await getPermissionsForRole(req.user?.roleId)
+            }
         });
     } catch (error) {
         res.status(500).json({ message: 'Failed to get profile', error: error.message });
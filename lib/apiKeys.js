@@ -0,0 +1,89 @@
+// API keys for service accounts
+//
+// Keys look like "itsk_<random>" and are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Only their SHA-256 hash is stored. A verified key becomes req.user with a uid of "apikey:<id>", so
+// CreatedBy/UpdatedBy record the service account, and carries its own permissions instead of a role.
+
+const crypto = require('crypto');
+const { getPool } = require('../config/db');
+
+const API_KEY_PREFIX = 'itsk_';
+
+// Keys can't manage users or other keys
+const NON_DELEGABLE_PERMISSIONS = ['user.manage'];
+
+// LastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new key
+ * @returns {{ key: string, prefix: string, hash: string }} key is shown to the admin once
+ */
+function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+}
+
+function apiKeyActor(apiKeyId) {
+    return `apikey:${apiKeyId}`;
+}
+
+/**
+ * Verify a key and build the request principal. Throws when the key is unknown, revoked or expired.
+ * @returns {Promise<Object>} { uid, name, email, roleId, apiKeyId, apiKeyPermissions, apiKeyCategoryId }
+ */
+async function verifyApiKey(key, ipAddress = null) {
+    const db = getPool();
+    const [rows] = await db.query(
+        `SELECT Id, Name, CategoryId, ExpiresAt, RevokedAt, IsActive, LastUsedAt
+         FROM api_key WHERE KeyHash = ?`,
+        [hashApiKey(key)]
+    );
+    const row = rows[0];
+    if (!row || !row.IsActive || row.RevokedAt) throw new Error('API key is not valid');
+    if (row.ExpiresAt && new Date(row.ExpiresAt) <= new Date()) throw new Error('API key has expired');
+
+    const [permissionRows] = await db.query('SELECT PermissionCode FROM api_key_permission WHERE ApiKeyId = ?', [row.Id]);
+
+    await db.query(
+        `UPDATE api_key SET LastUsedAt = NOW(), LastUsedIp = ?
+         WHERE Id = ? AND (LastUsedAt IS NULL OR LastUsedAt < DATE_SUB(NOW(), INTERVAL ? SECOND))`,
+        [ipAddress, row.Id, LAST_USED_RESOLUTION_SECONDS]
+    );
+
+    return {
+        uid: apiKeyActor(row.Id),
+        name: `${row.Name} (API key)`,
+        email: null,
+        roleId: null,
+        apiKeyId: row.Id,
+        apiKeyPermissions: permissionRows.map(p => p.PermissionCode),
+        apiKeyCategoryId: row.CategoryId || null
+    };
+}
+
+/**
+ * Whether the principal may work in the given category (always true for users and unscoped keys)
+ */
+function apiKeyAllowsCategory(user, categoryId) {
+    if (!user || !user.apiKeyId || !user.apiKeyCategoryId) return true;
+    return Number(categoryId) === Number(user.apiKeyCategoryId);
+}
+
+module.exports = {
+    API_KEY_PREFIX,
+    NON_DELEGABLE_PERMISSIONS,
+    isApiKey,
+    generateApiKey,
+    apiKeyActor,
+    verifyApiKey,
+    apiKeyAllowsCategory
+};
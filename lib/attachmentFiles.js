@@ -0,0 +1,48 @@
+// Where ticket attachments are stored and how they are handed back
+//
+// Files live in uploads/ as <timestamp>_<original name>.upload. The neutral ".upload" extension means nothing in
+// uploads/ looks like a page or script to a web server, whatever the sender called it; the original name is
+// recovered for display and downloads. Attachments are only served by the access-checked download route, as
+// application/octet-stream with Content-Disposition: attachment.
+
+const path = require('path');
+
+const UPLOADS_DIRECTORY = path.join(__dirname, '..', 'uploads');
+const STORED_EXTENSION = '.upload';
+
+/**
+ * File name to store an upload under (the attachments.Path is /uploads/<this>)
+ * @param {string} originalName - name given by the browser or the email
+ */
+function storedFileName(originalName) {
+    const safeName = path.basename(String(originalName || '')).replace(/[^\w.\- ]+/g, '_').slice(-150) || 'attachment';
+    return `${Date.now()}_${safeName}${STORED_EXTENSION}`;
+}
+
+/**
+ * The name the user gave the file, from an attachments.Path ("/uploads/1700000000000_report.pdf.upload" -> "report.pdf").
+ * Older rows without the extension work too.
+ */
+function attachmentDisplayName(storedPath) {
+    let name = path.basename(String(storedPath || ''));
+    if (name.endsWith(STORED_EXTENSION)) name = name.slice(0, -STORED_EXTENSION.length);
+    const match = /^\d+_(.+)$/.exec(name);
+    return match ? match[1] : name;
+}
+
+/**
+ * Content-Disposition header value; the plain filename is ASCII-only, filename* keeps the real name
+ * @param {string} name
+ * @param {string} [type] - 'attachment' (default) or 'inline'
+ */
+function contentDisposition(name, type = 'attachment') {
+    const fallback = String(name).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())}`;
+}
+
+module.exports = {
+    UPLOADS_DIRECTORY,
+    storedFileName,
+    attachmentDisplayName,
+    contentDisposition
+};
@@ -0,0 +1,190 @@
+// Login sessions: access tokens, refresh-token rotation and revocation
+//
+// Every login creates an auth_session row. The short-lived access JWT carries the session id (sid)
+// and is only accepted while that session is live and the user is active. The refresh token is an
+// opaque random string, stored hashed; each refresh marks it used and issues a new one. Presenting a
+// used refresh token again means it was copied, so the whole session is revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPool } = require('../config/db');
+
+function accessTokenExpiresIn() {
+    return process.env.ACCESS_TOKEN_EXPIRES_IN || '1h';
+}
+
+function refreshTokenTtlMs() {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '14');
+    return (Number.isInteger(days) && days > 0 ? days : 14) * 24 * 60 * 60 * 1000;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Sign an access token for a user row ({ uid, email, roleId, name }) within a session
+ */
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { uid: user.uid, email: user.email, roleId: user.roleId, name: user.name, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: accessTokenExpiresIn() }
+    );
+}
+
+async function issueRefreshToken(db, sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await db.query('INSERT INTO refresh_token (SessionId, TokenHash) VALUES (?, ?)', [sessionId, hashToken(refreshToken)]);
+    return refreshToken;
+}
+
+/**
+ * Start a session for a user that just signed in
+ * @param {Object} user - user row with Id, uid, email, roleId, name
+ * @param {Object} req - Express request (user agent and IP are stored for the session list)
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+async function createSession(db, user, req) {
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+    await db.query(
+        'INSERT INTO auth_session (Id, UserId, UserAgent, IpAddress, LastUsedDate, ExpiresAt) VALUES (?, ?, ?, ?, NOW(), ?)',
+        [
+            sessionId,
+            user.Id,
+            req && req.get ? (req.get('user-agent') || '').slice(0, 255) || null : null,
+            req ? req.ip || null : null,
+            expiresAt
+        ]
+    );
+    const refreshToken = await issueRefreshToken(db, sessionId);
+    return { token: signAccessToken(user, sessionId), refreshToken, sessionId };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @returns {Promise<Object>} { token, refreshToken, sessionId, user } or { error } when the token is not accepted
+ */
+async function rotateRefreshToken(refreshToken) {
+    const connection = await getPool().getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+            `SELECT rt.Id, rt.UsedAt, s.Id as SessionId, s.ExpiresAt, s.RevokedAt,
+                    u.Id as UserId, u.uid, u.email, u.roleId, u.name, u.IsActive
+             FROM refresh_token rt
+             JOIN auth_session s ON rt.SessionId = s.Id
+             JOIN user u ON s.UserId = u.Id
+             WHERE rt.TokenHash = ?
+             FOR UPDATE`,
+            [hashToken(refreshToken)]
+        );
+        const row = rows[0];
+        if (!row) {
+            await connection.rollback();
+            return { error: 'Invalid refresh token' };
+        }
+
+        if (row.UsedAt) {
+            // Rotated tokens are never valid again; someone is replaying a copied token
+            await connection.query(
+                "UPDATE auth_session SET RevokedAt = NOW(), RevokedReason = 'REFRESH_TOKEN_REUSE' WHERE Id = ? AND RevokedAt IS NULL",
+                [row.SessionId]
+            );
+            await connection.commit();
+            console.warn(`⚠️ Refresh token reuse detected for session ${row.SessionId} (user ${row.email}); session revoked`);
+            return { error: 'Refresh token has already been used. Please sign in again' };
+        }
+
+        if (row.RevokedAt || new Date(row.ExpiresAt) <= new Date() || !row.IsActive) {
+            await connection.rollback();
+            return { error: 'Session has expired or been revoked. Please sign in again' };
+        }
+
+        await connection.query('UPDATE refresh_token SET UsedAt = NOW() WHERE Id = ?', [row.Id]);
+        await connection.query(
+            'UPDATE auth_session SET LastUsedDate = NOW(), ExpiresAt = ? WHERE Id = ?',
+            [new Date(Date.now() + refreshTokenTtlMs()), row.SessionId]
+        );
+        const newRefreshToken = await issueRefreshToken(connection, row.SessionId);
+        await connection.commit();
+
+        const user = { Id: row.UserId, uid: row.uid, email: row.email, roleId: row.roleId, name: row.name };
+        return {
+            token: signAccessToken(user, row.SessionId),
+            refreshToken: newRefreshToken,
+            sessionId: row.SessionId,
+            user
+        };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Revoke one session (its access and refresh tokens stop working immediately)
+ * @returns {Promise<boolean>} whether a live session was revoked
+ */
+async function revokeSession(db, sessionId, reason = 'LOGOUT') {
+    const [result] = await db.query(
+        'UPDATE auth_session SET RevokedAt = NOW(), RevokedReason = ? WHERE Id = ? AND RevokedAt IS NULL',
+        [reason, sessionId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Revoke every live session of a user
+ * @param {string} [keepSessionId] - leave this session signed in (e.g. the one changing the password)
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeUserSessions(db, userId, reason = 'LOGOUT_ALL', keepSessionId = null) {
+    const [result] = await db.query(
+        'UPDATE auth_session SET RevokedAt = NOW(), RevokedReason = ? WHERE UserId = ? AND RevokedAt IS NULL AND Id != ?',
+        [reason, parseInt(userId), keepSessionId || '']
+    );
+    return result.affectedRows;
+}
+
+/**
+ * Verify an access token: signature and expiry, then that its session is live and the user active.
+ * Throws when the token is not accepted.
+ * @returns {Promise<Object>} decoded token payload
+ */
+async function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded || !decoded.sid) {
+        throw new Error('Token has no session');
+    }
+
+    const [rows] = await getPool().query(
+        `SELECT s.RevokedAt, s.ExpiresAt, u.uid, u.IsActive, u.MustChangePassword
+         FROM auth_session s
+         JOIN user u ON s.UserId = u.Id
+         WHERE s.Id = ?`,
+        [decoded.sid]
+    );
+    const session = rows[0];
+    if (!session || session.uid !== decoded.uid) throw new Error('Session not found');
+    if (session.RevokedAt) throw new Error('Session has been revoked');
+    if (new Date(session.ExpiresAt) <= new Date()) throw new Error('Session has expired');
+    if (!session.IsActive) throw new Error('User is inactive');
+
+    // Read from the user row rather than the token, so it clears as soon as the password is changed
+    decoded.mustChangePassword = !!session.MustChangePassword;
+    return decoded;
+}
+
+module.exports = {
+    signAccessToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    verifyAccessToken
+};
@@ -0,0 +1,181 @@
+// Business-hours calendar: working hours per weekday, timezone and holidays,
+// and date math in "business minutes" (time that falls inside working hours).
+//
+// The calendar is stored in business_calendar (timezone), business_hours (weekly windows)
+// and holiday (non-working dates). Times are interpreted in the calendar timezone.
+
+const DEFAULT_TIMEZONE = 'Asia/Colombo';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Safety limit when walking forward through the calendar (about two years of days)
+const MAX_DAYS_SCANNED = 731;
+
+function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// "08:30" / "08:30:00" -> minutes after midnight
+function timeToMinutes(v) {
+    const m = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(v || '').trim());
+    if (!m) return null;
+    const h = parseInt(m[1]);
+    const min = parseInt(m[2]);
+    if (h > 24 || min > 59 || (h === 24 && min > 0)) return null;
+    return h * 60 + min;
+}
+
+function minutesToTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Calendar date and wall-clock fields of an instant in a timezone
+function zonedParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = type => parseInt(parts.find(p => p.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// Instant at which the wall clock in `timezone` reads the given local date + minutes after midnight
+function zonedTimeToDate(year, month, day, minutes, timezone) {
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+    let guess = wallClockAsUtc;
+    // Two passes settle the offset, including around DST changes
+    for (let i = 0; i < 2; i++) {
+        const p = zonedParts(new Date(guess), timezone);
+        const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+        guess = wallClockAsUtc - offset;
+    }
+    return new Date(guess);
+}
+
+function dateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function formatDateKey(v) {
+    if (v instanceof Date) return dateKey(v.getFullYear(), v.getMonth() + 1, v.getDate());
+    return String(v).slice(0, 10);
+}
+
+/**
+ * Load the business calendar
+ * @returns {Promise<Object>} { timezone, hours: { [dayOfWeek]: [{ start, end }] }, holidays: Set<'YYYY-MM-DD'> }
+ */
+async function loadCalendar(db) {
+    const [calendarRows] = await db.query('SELECT Timezone FROM business_calendar WHERE Id = 1');
+    const [hourRows] = await db.query(
+        'SELECT DayOfWeek, StartTime, EndTime FROM business_hours WHERE IsActive = 1 ORDER BY DayOfWeek, StartTime'
+    );
+    const [holidayRows] = await db.query('SELECT HolidayDate FROM holiday WHERE IsActive = 1');
+
+    const timezone = calendarRows[0] && isValidTimezone(calendarRows[0].Timezone) ? calendarRows[0].Timezone : DEFAULT_TIMEZONE;
+    const hours = {};
+    hourRows.forEach(row => {
+        const start = timeToMinutes(row.StartTime);
+        const end = timeToMinutes(row.EndTime);
+        if (start === null || end === null || end <= start) return;
+        (hours[row.DayOfWeek] = hours[row.DayOfWeek] || []).push({ start, end });
+    });
+
+    return {
+        timezone,
+        hours,
+        holidays: new Set(holidayRows.map(row => formatDateKey(row.HolidayDate)))
+    };
+}
+
+function hasWorkingHours(calendar) {
+    return Object.values(calendar.hours).some(windows => windows.length > 0);
+}
+
+// Working windows (as Date pairs) for each local day, starting with the day containing `from`
+function* workingWindows(calendar, from) {
+    const start = zonedParts(from, calendar.timezone);
+    for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+        const d = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+        const year = d.getUTCFullYear();
+        const month = d.getUTCMonth() + 1;
+        const day = d.getUTCDate();
+        if (calendar.holidays.has(dateKey(year, month, day))) continue;
+        for (const w of calendar.hours[d.getUTCDay()] || []) {
+            yield {
+                start: zonedTimeToDate(year, month, day, w.start, calendar.timezone),
+                end: zonedTimeToDate(year, month, day, w.end, calendar.timezone)
+            };
+        }
+    }
+}
+
+/**
+ * Add business minutes to a date.
+ * Falls back to wall-clock minutes when no working hours are configured.
+ */
+function addBusinessMinutes(calendar, from, minutes) {
+    const start = new Date(from);
+    if (!hasWorkingHours(calendar)) return new Date(start.getTime() + minutes * 60000);
+
+    let remainingMs = Math.max(0, minutes) * 60000;
+    for (const w of workingWindows(calendar, start)) {
+        if (w.end <= start) continue;
+        const segmentStart = w.start > start ? w.start : start;
+        const available = w.end - segmentStart;
+        if (remainingMs <= available) return new Date(segmentStart.getTime() + remainingMs);
+        remainingMs -= available;
+    }
+    return new Date(start.getTime() + minutes * 60000);
+}
+
+/**
+ * Business minutes between two dates (0 when `to` is not after `from`)
+ */
+function businessMinutesBetween(calendar, from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (end <= start) return 0;
+    if (!hasWorkingHours(calendar)) return Math.round((end - start) / 60000);
+
+    let totalMs = 0;
+    for (const w of workingWindows(calendar, start)) {
+        if (w.start >= end) break;
+        if (w.end <= start) continue;
+        const segmentStart = w.start > start ? w.start : start;
+        const segmentEnd = w.end < end ? w.end : end;
+        totalMs += segmentEnd - segmentStart;
+    }
+    return Math.round(totalMs / 60000);
+}
+
+/**
+ * Whether the given instant falls inside working hours
+ */
+function isBusinessTime(calendar, date) {
+    const at = new Date(date);
+    const p = zonedParts(at, calendar.timezone);
+    if (calendar.holidays.has(dateKey(p.year, p.month, p.day))) return false;
+    const minutes = p.hour * 60 + p.minute;
+    const dayOfWeek = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+    return (calendar.hours[dayOfWeek] || []).some(w => minutes >= w.start && minutes < w.end);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    DAY_NAMES,
+    isValidTimezone,
+    timeToMinutes,
+    minutesToTime,
+    formatDateKey,
+    loadCalendar,
+    addBusinessMinutes,
+    businessMinutesBetween,
+    isBusinessTime
+};
@@ -0,0 +1,59 @@
+// Minimal CSV reader (RFC 4180): comma separated, fields optionally quoted with "", doubled quotes inside
+// quoted fields, CRLF or LF line endings. Used for bulk imports, where files come from Excel or Google Sheets.
+
+/**
+ * Split CSV text into records
+ * @param {string} text
+ * @returns {{ records: Array<{ line: number, fields: string[] }> } | { error: string }}
+ *   line is the 1-based line where the record starts; blank lines are skipped
+ */
+function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (inQuotes) return { error: `Unterminated quoted field starting on line ${recordLine}` };
+    if (field !== '' || fields.length > 0) endRecord();
+    return { records };
+}
+
+module.exports = {
+    parseCsv
+};
@@ -0,0 +1,173 @@
+// Out-of-office delegation
+//
+// A user can record an out-of-office window (out_of_office table) naming a delegate. While the window
+// is running, new assignments and notifications for the user go to the delegate, and the delegate
+// may approve or reject tickets on the user's behalf when the user holds ticket.approve.
+// Delegates who are themselves away pass the work on, up to MAX_DELEGATION_HOPS.
+
+const { hasPermission } = require('../middlewares/permissionMiddleware');
+
+const MAX_DELEGATION_HOPS = 3;
+
+const ACTIVE_WINDOW = 'o.IsActive = 1 AND o.StartDate <= NOW() AND o.EndDate > NOW()';
+
+function formatDate(value) {
+    return new Date(value).toISOString().slice(0, 10);
+}
+
+/**
+ * Audit wording for work done for an absent user, e.g. "on behalf of Jane Doe (out of office until 2026-10-25)"
+ * @param {Object} absentee - { name, until }
+ */
+function onBehalfNote(absentee) {
+    return `on behalf of ${absentee.name} (out of office until ${formatDate(absentee.until)})`;
+}
+
+async function findCurrentWindow(db, userId) {
+    const [rows] = await db.query(
+        `SELECT o.UserId, o.DelegateUserId, o.EndDate, u.name as userName, u.email as userEmail,
+                d.name as delegateName, d.email as delegateEmail
+         FROM out_of_office o
+         JOIN user u ON o.UserId = u.Id
+         JOIN user d ON o.DelegateUserId = d.Id AND d.IsActive = 1
+         WHERE o.UserId = ? AND ${ACTIVE_WINDOW}
+         ORDER BY o.StartDate DESC LIMIT 1`,
+        [parseInt(userId)]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Who should receive work for a user right now
+ * @returns {Promise<Object|null>} null when the user is not away, otherwise
+ *   { id, name, email, onBehalfOf: { id, name, email, until } } for the (final) delegate
+ */
+async function getActiveDelegate(db, userId) {
+    if (!userId) return null;
+    const first = await findCurrentWindow(db, userId);
+    if (!first) return null;
+
+    const onBehalfOf = { id: first.UserId, name: first.userName, email: first.userEmail, until: first.EndDate };
+    let delegate = { id: first.DelegateUserId, name: first.delegateName, email: first.delegateEmail };
+    const visited = new Set([Number(userId), delegate.id]);
+
+    for (let hop = 1; hop < MAX_DELEGATION_HOPS; hop++) {
+        const next = await findCurrentWindow(db, delegate.id);
+        if (!next || visited.has(next.DelegateUserId)) break;
+        delegate = { id: next.DelegateUserId, name: next.delegateName, email: next.delegateEmail };
+        visited.add(delegate.id);
+    }
+    return { ...delegate, onBehalfOf };
+}
+
+/**
+ * Users currently away who have (directly or through a chain) handed their work to this user
+ * @returns {Promise<Array>} [{ Id, uid, name, email, roleId, until }]
+ */
+async function getActiveDelegators(db, userId) {
+    const found = new Map();
+    let frontier = [Number(userId)];
+    for (let hop = 0; hop < MAX_DELEGATION_HOPS && frontier.length > 0; hop++) {
+        const [rows] = await db.query(
+            `SELECT u.Id, u.uid, u.name, u.email, u.roleId, o.EndDate as until
+             FROM out_of_office o
+             JOIN user u ON o.UserId = u.Id AND u.IsActive = 1
+             WHERE o.DelegateUserId IN (?) AND ${ACTIVE_WINDOW}`,
+            [frontier]
+        );
+        frontier = [];
+        for (const row of rows) {
+            if (row.Id === Number(userId) || found.has(row.Id)) continue;
+            found.set(row.Id, row);
+            frontier.push(row.Id);
+        }
+    }
+    return [...found.values()];
+}
+
+/**
+ * The absent approver a user is covering for, if any
+ * @returns {Promise<Object|null>} { id, name, email, until }
+ */
+async function findApprovalDelegation(db, userId) {
+    if (!userId) return null;
+    for (const delegator of await getActiveDelegators(db, userId)) {
+        if (await hasPermission({ roleId: delegator.roleId }, 'ticket.approve')) {
+            return { id: delegator.Id, name: delegator.name, email: delegator.email, until: delegator.until };
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether the (decoded JWT) user may approve or reject tickets, in their own right or as a delegate
+ * @returns {Promise<{ allowed: boolean, onBehalfOf: Object|null }>}
+ */
+async function getApprovalAuthority(db, user) {
+    if (await hasPermission(user, 'ticket.approve')) return { allowed: true, onBehalfOf: null };
+    if (!user || !user.uid || user.apiKeyId) return { allowed: false, onBehalfOf: null };
+
+    const [rows] = await db.query('SELECT Id FROM user WHERE uid = ? AND IsActive = 1', [user.uid]);
+    if (rows.length === 0) return { allowed: false, onBehalfOf: null };
+    const onBehalfOf = await findApprovalDelegation(db, rows[0].Id);
+    return { allowed: !!onBehalfOf, onBehalfOf };
+}
+
+/**
+ * Replace recipients who are out of office with their delegates.
+ * Recipients are { email, name, Id? } rows; replaced entries get the delegate's Id/email/name and an
+ * onBehalfOf field. The result is deduplicated by email.
+ */
+async function redirectRecipients(db, recipients) {
+    const list = (recipients || []).filter(r => r && r.email);
+    if (list.length === 0) return [];
+
+    const [away] = await db.query(
+        `SELECT DISTINCT o.UserId, LOWER(u.email) as email
+         FROM out_of_office o
+         JOIN user u ON o.UserId = u.Id
+         WHERE LOWER(u.email) IN (?) AND ${ACTIVE_WINDOW}`,
+        [list.map(r => r.email.toLowerCase())]
+    );
+    const delegates = new Map();
+    for (const row of away) {
+        const delegate = await getActiveDelegate(db, row.UserId);
+        if (delegate && delegate.email) delegates.set(row.email, delegate);
+    }
+
+    const seen = new Set();
+    const result = [];
+    for (const recipient of list) {
+        const delegate = delegates.get(recipient.email.toLowerCase());
+        const entry = delegate
+            ? { ...recipient, Id: delegate.id, email: delegate.email, name: delegate.name, onBehalfOf: delegate.onBehalfOf }
+            : recipient;
+        const key = entry.email.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (delegate) console.log(`📨 Notification for ${recipient.email} redirected to ${delegate.email} (out of office)`);
+        result.push(entry);
+    }
+    return result;
+}
+
+/**
+ * redirectRecipients for a single address (the creator/assignee parameters of the email service)
+ * @returns {Promise<string|null>} the delegate's email, or the address itself
+ */
+async function redirectEmail(db, email) {
+    if (!email) return email;
+    const [recipient] = await redirectRecipients(db, [{ email }]);
+    return recipient ? recipient.email : email;
+}
+
+module.exports = {
+    MAX_DELEGATION_HOPS,
+    onBehalfNote,
+    getActiveDelegate,
+    getActiveDelegators,
+    findApprovalDelegation,
+    getApprovalAuthority,
+    redirectRecipients,
+    redirectEmail
+};
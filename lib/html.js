@@ -0,0 +1,176 @@
+// HTML output helpers used by everything that builds HTML: the email templates, the approve/reject/attachment
+// pages and the set-password page. User input (ticket text, names, comments, reasons, file names, query strings)
+// must go through one of these:
+//
+//   html`<p>${value}</p>`      tagged template; every interpolated value is escaped unless it is SafeHtml
+//   escapeHtml(value)          text for element content or a quoted attribute
+//   richText(value)            ticket descriptions: an allowlisted subset of formatting tags is kept, the rest is escaped
+//   scriptJson(value)          a value embedded in an inline <script>
+//
+// SafeHtml marks markup that has already been escaped or sanitised, so it isn't escaped a second time. Only this
+// module and html`` create it from strings; values from users or the database never are.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+
+    toJSON() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function interpolate(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(interpolate).join('');
+    if (value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template for HTML: html`<strong>${name}</strong>` escapes name. Nested html`` results, richText()
+ * and arrays of them are inserted as they are; null, undefined and false render as nothing, so
+ * ${comments && html`<p>${comments}</p>`} works.
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => {
+        out += interpolate(value) + strings[i + 1];
+    });
+    return new SafeHtml(out);
+}
+
+// Rich text allowed in descriptions: formatting only, no attributes except a link's href
+const RICH_TEXT_TAGS = new Set([
+    'a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'hr', 'i', 'li', 'ol', 'p', 'pre',
+    's', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+const VOID_TAGS = new Set(['br', 'hr']);
+// Dropped together with everything inside them
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'textarea', 'title', 'noscript', 'svg', 'math', 'head']);
+const SAFE_URL = /^(?:https?:|mailto:|[^:]*(?:[/?#]|$))/i;
+
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+// Escape text but keep the character references an editor already produced (&amp;, &nbsp;, &#39; ...)
+function escapeText(text) {
+    return text
+        .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+        .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10) % 0x110000))
+        .replace(/&colon;/gi, ':')
+        .replace(/&tab;|&newline;/gi, '')
+        .replace(/&amp;/gi, '&');
+}
+
+function safeHref(attributes) {
+    const match = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec(attributes);
+    if (!match) return null;
+    // Browsers ignore whitespace and control characters in the scheme ("java\tscript:")
+    const href = decodeEntities(match[1] ?? match[2] ?? match[3]).replace(/[\u0000-\u0020\u007f]+/g, '');
+    return href && SAFE_URL.test(href) ? href : null;
+}
+
+/**
+ * Sanitise rich text (ticket descriptions) down to an allowlisted set of formatting tags. Other tags are removed
+ * (scripts, styles and frames with their content), attributes are dropped except http(s)/mailto/relative link
+ * targets, unclosed tags are closed and anything else that looks like markup is escaped. Plain text is simply
+ * escaped, so line breaks are kept for white-space:pre-wrap.
+ * @param {string} value
+ * @returns {SafeHtml}
+ */
+function richText(value) {
+    if (value instanceof SafeHtml) return value;
+    const source = value === null || value === undefined ? '' : String(value);
+    const out = [];
+    const open = [];
+    let dropUntil = null;
+    let last = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        if (!dropUntil) out.push(escapeText(source.slice(last, match.index)));
+        last = TAG_PATTERN.lastIndex;
+
+        const [, closing, rawName, attributes] = match;
+        if (!rawName) continue; // comment
+        const name = rawName.toLowerCase();
+
+        if (dropUntil) {
+            if (closing && name === dropUntil) dropUntil = null;
+            continue;
+        }
+        if (DROP_CONTENT_TAGS.has(name)) {
+            if (!closing && !/\/\s*$/.test(attributes)) dropUntil = name;
+            continue;
+        }
+        if (!RICH_TEXT_TAGS.has(name)) continue;
+
+        if (VOID_TAGS.has(name)) {
+            if (!closing) out.push(`<${name}>`);
+        } else if (closing) {
+            // Close back to the matching tag; a stray closing tag is ignored
+            const index = open.lastIndexOf(name);
+            if (index !== -1) {
+                while (open.length > index) out.push(`</${open.pop()}>`);
+            }
+        } else if (name === 'a') {
+            const href = safeHref(attributes);
+            out.push(href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">` : '<a>');
+            open.push(name);
+        } else {
+            out.push(`<${name}>`);
+            open.push(name);
+        }
+    }
+    if (!dropUntil) out.push(escapeText(source.slice(last)));
+    while (open.length) out.push(`</${open.pop()}>`);
+
+    return new SafeHtml(out.join(''));
+}
+
+/**
+ * JSON for a value inside an inline <script>: "</script>", "<!--" and line separators can't end the script
+ * @param {*} value
+ * @returns {SafeHtml}
+ */
+function scriptJson(value) {
+    const json = JSON.stringify(value === undefined ? null : value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+    return new SafeHtml(json);
+}
+
+module.exports = {
+    SafeHtml,
+    html,
+    escapeHtml,
+    richText,
+    scriptJson
+};
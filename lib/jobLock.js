@@ -0,0 +1,47 @@
+// One run at a time for the background jobs (escalation, notification digest, mail ingestion, email outbox)
+//
+// Every app instance runs the schedulers. A run is skipped while the previous run of the same job is still going
+// in this process, and a MySQL named lock (GET_LOCK) held on its own connection keeps other instances out.
+
+const { getPool } = require('../config/db');
+
+const runningJobs = new Set();
+
+/**
+ * Whether a run of the job is in progress in this process
+ * @param {string} name - lock name
+ */
+function isJobRunning(name) {
+    return runningJobs.has(name);
+}
+
+/**
+ * Run a job under a named lock
+ * @param {string} name - lock name, e.g. 'itsupport_escalation_job'
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} what fn returned, or null when the job is already running here or in another instance.
+ *   Errors from fn (or from getting the lock) are thrown; the lock and the connection are released either way.
+ */
+async function runWithNamedLock(name, fn) {
+    if (runningJobs.has(name)) return null;
+    runningJobs.add(name);
+    let connection;
+    try {
+        connection = await getPool().getConnection();
+        const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [name]);
+        if (acquired !== 1) return null;
+        try {
+            return await fn();
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+        }
+    } finally {
+        if (connection) connection.release();
+        runningJobs.delete(name);
+    }
+}
+
+module.exports = {
+    isJobRunning,
+    runWithNamedLock
+};
@@ -0,0 +1,167 @@
+// Brute-force protection for sign-in
+//
+// Failed attempts are tracked per account (user.FailedLoginCount / LockedUntil) and per IP address
+// (login_attempt). After the second consecutive failure an account has to wait before the next
+// attempt (1s, 2s, 4s ... capped at 30s); after LOGIN_MAX_ATTEMPTS failures it is locked for
+// LOGIN_LOCKOUT_MINUTES. Unknown emails are throttled the same way from login_attempt, so the
+// responses don't reveal which addresses have accounts. Attempts older than both windows are no
+// longer read and are deleted as new ones are recorded.
+
+// Purge old login_attempt rows at most this often (per process)
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+const PURGE_BATCH_SIZE = 5000;
+
+let lastPurgeAt = 0;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function settings() {
+    return {
+        maxAttempts: envInt('LOGIN_MAX_ATTEMPTS', 5),
+        lockoutMinutes: envInt('LOGIN_LOCKOUT_MINUTES', 15),
+        ipMaxAttempts: envInt('LOGIN_IP_MAX_ATTEMPTS', 20),
+        ipWindowMinutes: envInt('LOGIN_IP_WINDOW_MINUTES', 15)
+    };
+}
+
+// Seconds to wait after the given number of consecutive failures
+function progressiveDelaySeconds(failures) {
+    if (failures < 2) return 0;
+    return Math.min(30, 2 ** (failures - 2));
+}
+
+function tooManyAttempts(retryAfterSeconds) {
+    const seconds = Math.max(1, Math.ceil(retryAfterSeconds));
+    const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+    return {
+        status: 429,
+        retryAfterSeconds: seconds,
+        message: `Too many failed sign-in attempts. Please try again in ${wait}`
+    };
+}
+
+/**
+ * Check whether a sign-in attempt may go ahead
+ * @param {Object|null} user - user row (FailedLoginCount, LastFailedLoginDate, LockedUntil) or null for unknown emails
+ * @returns {Promise<Object|null>} null when allowed, otherwise { status, message, retryAfterSeconds }
+ */
+async function checkLoginAllowed(db, { user, email, ipAddress }) {
+    const config = settings();
+    const now = Date.now();
+
+    if (ipAddress) {
+        const [ipRows] = await db.query(
+            `SELECT COUNT(*) as failures, MIN(CreatedDate) as oldest FROM login_attempt
+             WHERE IpAddress = ? AND Succeeded = 0 AND CreatedDate > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+            [ipAddress, config.ipWindowMinutes]
+        );
+        if (ipRows[0].failures >= config.ipMaxAttempts) {
+            const oldest = new Date(ipRows[0].oldest).getTime();
+            return tooManyAttempts((oldest + config.ipWindowMinutes * 60000 - now) / 1000);
+        }
+    }
+
+    if (user) {
+        if (user.LockedUntil && new Date(user.LockedUntil).getTime() > now) {
+            return tooManyAttempts((new Date(user.LockedUntil).getTime() - now) / 1000);
+        }
+        const delay = progressiveDelaySeconds(user.FailedLoginCount || 0);
+        if (delay > 0 && user.LastFailedLoginDate) {
+            const waitUntil = new Date(user.LastFailedLoginDate).getTime() + delay * 1000;
+            if (waitUntil > now) return tooManyAttempts((waitUntil - now) / 1000);
+        }
+        return null;
+    }
+
+    // Unknown email: mirror the account lockout from the attempt log
+    const [emailRows] = await db.query(
+        `SELECT COUNT(*) as failures, MAX(CreatedDate) as latest FROM login_attempt
+         WHERE Email = ? AND Succeeded = 0 AND CreatedDate > DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [email, config.lockoutMinutes]
+    );
+    const { failures, latest } = emailRows[0];
+    if (failures >= config.maxAttempts) {
+        return tooManyAttempts((new Date(latest).getTime() + config.lockoutMinutes * 60000 - now) / 1000);
+    }
+    const delay = progressiveDelaySeconds(failures);
+    if (delay > 0 && latest) {
+        const waitUntil = new Date(latest).getTime() + delay * 1000;
+        if (waitUntil > now) return tooManyAttempts((waitUntil - now) / 1000);
+    }
+    return null;
+}
+
+// Delete attempts outside both the IP window and the lockout window; a failure here never blocks a sign-in
+async function purgeOldAttempts(db) {
+    if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+    lastPurgeAt = Date.now();
+    const config = settings();
+    try {
+        await db.query(
+            `DELETE FROM login_attempt WHERE CreatedDate < DATE_SUB(NOW(), INTERVAL ? MINUTE) LIMIT ${PURGE_BATCH_SIZE}`,
+            [Math.max(config.ipWindowMinutes, config.lockoutMinutes)]
+        );
+    } catch (err) {
+        console.error('❌ Could not purge old login attempts:', err.message || err);
+    }
+}
+
+/**
+ * Record a failed sign-in and lock the account when it reaches the limit
+ * @returns {Promise<Object>} { locked, lockedUntil, failedAttempts }
+ */
+async function recordLoginFailure(db, { user, email, ipAddress }) {
+    const config = settings();
+    await db.query('INSERT INTO login_attempt (Email, IpAddress, Succeeded) VALUES (?, ?, 0)', [email || null, ipAddress || null]);
+    await purgeOldAttempts(db);
+    if (!user) return { locked: false, lockedUntil: null, failedAttempts: null };
+
+    await db.query(
+        'UPDATE user SET FailedLoginCount = FailedLoginCount + 1, LastFailedLoginDate = NOW() WHERE Id = ?',
+        [user.Id]
+    );
+    const [rows] = await db.query('SELECT FailedLoginCount FROM user WHERE Id = ?', [user.Id]);
+    const failedAttempts = rows[0] ? rows[0].FailedLoginCount : 0;
+
+    if (failedAttempts >= config.maxAttempts) {
+        const lockedUntil = new Date(Date.now() + config.lockoutMinutes * 60000);
+        // The count starts again once the lock expires
+        await db.query('UPDATE user SET LockedUntil = ?, FailedLoginCount = 0 WHERE Id = ?', [lockedUntil, user.Id]);
+        return { locked: true, lockedUntil, failedAttempts };
+    }
+    return { locked: false, lockedUntil: null, failedAttempts };
+}
+
+/**
+ * Record a successful sign-in and clear the account's failure count
+ */
+async function recordLoginSuccess(db, { user, email, ipAddress }) {
+    await db.query('INSERT INTO login_attempt (Email, IpAddress, Succeeded) VALUES (?, ?, 1)', [email || null, ipAddress || null]);
+    await purgeOldAttempts(db);
+    await db.query(
+        'UPDATE user SET FailedLoginCount = 0, LastFailedLoginDate = NULL, LockedUntil = NULL WHERE Id = ?',
+        [user.Id]
+    );
+}
+
+/**
+ * Clear a lock set by failed sign-ins
+ * @returns {Promise<boolean>} whether the user exists
+ */
+async function unlockAccount(db, userId) {
+    const [result] = await db.query(
+        'UPDATE user SET FailedLoginCount = 0, LastFailedLoginDate = NULL, LockedUntil = NULL WHERE Id = ?',
+        [parseInt(userId)]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount
+};
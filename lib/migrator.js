@@ -0,0 +1,202 @@
+// Versioned schema migrations
+//
+// Migrations live in /migrations as `NNN_description.js` files exporting
+// `{ description, up(conn), down(conn) }`. Applied versions are tracked in the
+// `schema_migration` table so each migration runs exactly once per database.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'it_support_schema_migration';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+const createMigrationTable = `
+    CREATE TABLE IF NOT EXISTS \`schema_migration\` (
+      \`Version\` varchar(50) NOT NULL,
+      \`Name\` varchar(255) NOT NULL,
+      \`AppliedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Version\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+/**
+ * Load all migration modules from disk, ordered by version
+ */
+function loadMigrations() {
+    if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+            const mod = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return {
+                version: match[1],
+                name: match[2],
+                description: mod.description || match[2],
+                up: mod.up,
+                down: mod.down
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function getAppliedVersions(conn) {
+    await conn.query(createMigrationTable);
+    const [rows] = await conn.query('SELECT Version FROM schema_migration ORDER BY Version ASC');
+    return new Set(rows.map(r => r.Version));
+}
+
+// Serialize concurrent runners (e.g. two app instances starting together) with a MySQL named lock
+async function withLock(pool, fn) {
+    const conn = await pool.getConnection();
+    try {
+        const [lockRows] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (!lockRows[0] || lockRows[0].acquired !== 1) {
+            throw new Error('Could not acquire schema migration lock');
+        }
+        try {
+            return await fn(conn);
+        } finally {
+            await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        conn.release();
+    }
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {Object} pool - mysql2 pool
+ * @returns {Promise<Array<string>>} Versions that were applied
+ */
+async function migrateUp(pool) {
+    const migrations = loadMigrations();
+    return withLock(pool, async (conn) => {
+        const applied = await getAppliedVersions(conn);
+        const appliedNow = [];
+        for (const migration of migrations) {
+            if (applied.has(migration.version)) continue;
+            console.log(`🗄️  Applying migration ${migration.version}_${migration.name}: ${migration.description}`);
+            // MySQL DDL commits implicitly, so each migration must be safe to re-run if it fails half-way
+            await migration.up(conn);
+            await conn.query('INSERT INTO schema_migration (Version, Name) VALUES (?, ?)', [migration.version, migration.name]);
+            appliedNow.push(migration.version);
+        }
+        if (appliedNow.length === 0) {
+            console.log('✅ Database schema is up to date');
+        } else {
+            console.log(`✅ Applied ${appliedNow.length} migration(s)`);
+        }
+        return appliedNow;
+    });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} pool - mysql2 pool
+ * @param {number} [steps=1] - Number of migrations to roll back
+ * @returns {Promise<Array<string>>} Versions that were rolled back
+ */
+async function migrateDown(pool, steps = 1) {
+    const migrations = loadMigrations();
+    return withLock(pool, async (conn) => {
+        const applied = await getAppliedVersions(conn);
+        const toRollBack = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+        const rolledBack = [];
+        for (const migration of toRollBack) {
+            console.log(`🗄️  Rolling back migration ${migration.version}_${migration.name}`);
+            await migration.down(conn);
+            await conn.query('DELETE FROM schema_migration WHERE Version = ?', [migration.version]);
+            rolledBack.push(migration.version);
+        }
+        return rolledBack;
+    });
+}
+
+/**
+ * List every known migration with its applied state
+ * @param {Object} pool - mysql2 pool
+ */
+async function migrationStatus(pool) {
+    const migrations = loadMigrations();
+    const conn = await pool.getConnection();
+    try {
+        await conn.query(createMigrationTable);
+        const [rows] = await conn.query('SELECT Version, AppliedDate FROM schema_migration');
+        const appliedAt = new Map(rows.map(r => [r.Version, r.AppliedDate]));
+        return migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            description: m.description,
+            applied: appliedAt.has(m.version),
+            appliedDate: appliedAt.get(m.version) || null
+        }));
+    } finally {
+        conn.release();
+    }
+}
+
+// --- Schema introspection helpers used by migrations to stay idempotent on legacy databases ---
+
+async function tableExists(conn, table) {
+    const [rows] = await conn.query(
+        'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? LIMIT 1',
+        [table]
+    );
+    return rows.length > 0;
+}
+
+async function columnExists(conn, table, column) {
+    const [rows] = await conn.query(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? LIMIT 1',
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+async function constraintExists(conn, table, constraint) {
+    const [rows] = await conn.query(
+        'SELECT 1 FROM information_schema.TABLE_CONSTRAINTS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? LIMIT 1',
+        [table, constraint]
+    );
+    return rows.length > 0;
+}
+
+async function indexExists(conn, table, index) {
+    const [rows] = await conn.query(
+        'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1',
+        [table, index]
+    );
+    return rows.length > 0;
+}
+
+async function addColumnIfMissing(conn, table, column, definition) {
+    if (await columnExists(conn, table, column)) return false;
+    await conn.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    return true;
+}
+
+async function dropColumnIfExists(conn, table, column) {
+    if (!(await columnExists(conn, table, column))) return false;
+    await conn.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+    return true;
+}
+
+module.exports = {
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+    tableExists,
+    columnExists,
+    constraintExists,
+    indexExists,
+    addColumnIfMissing,
+    dropColumnIfExists
+};
@@ -0,0 +1,197 @@
+// Minimal MIME reader for inbound email (RFC 5322 / 2045-2047 / 2231): headers with folding and
+// encoded words, nested multiparts, base64 and quoted-printable bodies, charsets and attachments.
+// Used by the .eml drop directory mail source; Graph hands us messages already parsed.
+
+/**
+ * Decode RFC 2047 encoded words, e.g. "=?UTF-8?B?SGVsbG8=?=" -> "Hello"
+ */
+function decodeWords(value) {
+    return String(value || '')
+        // Whitespace between two encoded words is not part of the text
+        .replace(/(=\?[^?]+\?[bBqQ]\?[^?]*\?=)\s+(?==\?[^?]+\?[bBqQ]\?[^?]*\?=)/g, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bBqQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset);
+        });
+}
+
+function decodeCharset(bytes, charset) {
+    try {
+        return new TextDecoder((charset || 'utf-8').trim().toLowerCase()).decode(bytes);
+    } catch {
+        return bytes.toString('utf8');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const source = String(text).replace(/=\r?\n/g, '');
+    const bytes = [];
+    for (let i = 0; i < source.length; i++) {
+        const hex = source.slice(i + 1, i + 3);
+        if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(source.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// Split a raw entity (latin1 string, one char per byte) into lower-cased headers and body
+function splitEntity(raw) {
+    const match = /\r?\n\r?\n/.exec(raw);
+    const headerText = match ? raw.slice(0, match.index) : raw;
+    const body = match ? raw.slice(match.index + match[0].length) : '';
+
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        // Header bytes are usually ASCII; UTF-8 in raw headers is tolerated
+        const value = decodeCharset(Buffer.from(line.slice(colon + 1).trim(), 'latin1'), 'utf-8');
+        if (!(name in headers)) headers[name] = value;
+    });
+    return { headers, body };
+}
+
+/**
+ * Parse a structured header such as Content-Type into its value and parameters
+ * e.g. 'text/plain; charset="utf-8"' -> { value: 'text/plain', params: { charset: 'utf-8' } }
+ */
+function parseHeaderParams(header) {
+    const [value, ...rest] = String(header || '').split(';');
+    const params = {};
+    rest.forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq <= 0) return;
+        let name = part.slice(0, eq).trim().toLowerCase();
+        let paramValue = part.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+        // RFC 2231: filename*=utf-8''na%C3%AFve.txt (continuations are not supported)
+        if (name.endsWith('*')) {
+            name = name.slice(0, -1);
+            const encoded = /^([^']*)'[^']*'(.*)$/.exec(paramValue);
+            if (encoded) {
+                const bytes = Buffer.from(encoded[2].replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+                paramValue = decodeCharset(bytes, encoded[1] || 'utf-8');
+            }
+        }
+        params[name] = decodeWords(paramValue);
+    });
+    return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * First address of an address header: '"Jane Doe" <jane@example.com>' -> { name: 'Jane Doe', address: 'jane@example.com' }
+ */
+function parseAddress(header) {
+    const value = decodeWords(header).trim();
+    const angle = /^(.*?)<([^>]+)>/.exec(value);
+    if (angle) {
+        return { name: angle[1].trim().replace(/^"(.*)"$/, '$1').trim() || null, address: angle[2].trim().toLowerCase() };
+    }
+    const bare = /[^\s,;<>"]+@[^\s,;<>"]+/.exec(value);
+    return { name: null, address: bare ? bare[0].toLowerCase() : null };
+}
+
+function decodeBody(body, transferEncoding) {
+    const encoding = String(transferEncoding || '').trim().toLowerCase();
+    if (encoding === 'base64') return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    if (encoding === 'quoted-printable') return decodeQuotedPrintable(body);
+    return Buffer.from(body, 'latin1');
+}
+
+function collectParts(raw, result, depth) {
+    const { headers, body } = splitEntity(raw);
+    const contentType = parseHeaderParams(headers['content-type'] || 'text/plain');
+    const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+        const delimiter = `--${contentType.params.boundary}`;
+        const sections = body.split(new RegExp(`\\r?\\n?${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+        // sections[0] is the preamble; the part starting with "--" is the epilogue after the closing delimiter
+        sections.slice(1).forEach(section => {
+            if (section.startsWith('--')) return;
+            collectParts(section.replace(/^[ \t]*\r?\n/, ''), result, depth + 1);
+        });
+        return;
+    }
+
+    const content = decodeBody(body, headers['content-transfer-encoding']);
+    const filename = disposition.params.filename || contentType.params.name || null;
+    const isBodyText = ['text/plain', 'text/html'].includes(contentType.value) && disposition.value !== 'attachment' && !filename;
+
+    if (isBodyText) {
+        const text = decodeCharset(content, contentType.params.charset);
+        if (contentType.value === 'text/plain' && result.text === null) result.text = text;
+        else if (contentType.value === 'text/html' && result.html === null) result.html = text;
+        else result.extraText.push(text);
+        return;
+    }
+
+    result.attachments.push({
+        filename: filename || (contentType.value === 'message/rfc822' ? 'forwarded-message.eml' : 'attachment'),
+        contentType: contentType.value,
+        content,
+        size: content.length,
+        inline: disposition.value !== 'attachment' && Boolean(headers['content-id'])
+    });
+}
+
+/**
+ * Parse a raw RFC 5322 message (.eml file)
+ * @param {Buffer|string} source
+ * @returns {{ messageId, inReplyTo, from, subject, date, headers, text, html, attachments }}
+ *   attachments: [{ filename, contentType, content: Buffer, size, inline }]
+ */
+function parseEml(source) {
+    const raw = Buffer.isBuffer(source) ? source.toString('latin1') : Buffer.from(String(source), 'utf8').toString('latin1');
+    const { headers } = splitEntity(raw);
+    const result = { text: null, html: null, extraText: [], attachments: [] };
+    collectParts(raw, result, 0);
+
+    const date = headers.date ? new Date(headers.date) : null;
+    return {
+        messageId: (headers['message-id'] || '').trim() || null,
+        inReplyTo: (headers['in-reply-to'] || '').trim() || null,
+        from: parseAddress(headers.from),
+        subject: decodeWords(headers.subject || '').trim(),
+        date: date && !isNaN(date.getTime()) ? date : null,
+        headers,
+        text: result.text !== null ? result.text : result.extraText.find(t => t) || null,
+        html: result.html,
+        attachments: result.attachments
+    };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Plain text of an HTML email body (for ticket descriptions and comments)
+ */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6]|blockquote)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            return ENTITIES[entity.toLowerCase()] || match;
+        })
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    parseEml,
+    parseAddress,
+    htmlToText
+};
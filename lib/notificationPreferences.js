@@ -0,0 +1,178 @@
+// Personal notification preferences
+//
+// Every user chooses, per event type, which channels they want: EMAIL (sent straight away), IN_APP
+// (listed under /api/user/notifications) and DIGEST (collected and mailed once a day by the digest job).
+// Only explicit choices are stored in notification_preference; anything not stored uses
+// DEFAULT_CHANNELS, so users who never touch their settings keep getting the emails they always did.
+// Comments send no email of their own, so COMMENT_ADDED only offers IN_APP and DIGEST.
+
+const NOTIFICATION_EVENTS = ['TICKET_CREATED', 'ASSIGNED_TO_ME', 'STATUS_CHANGED', 'COMMENT_ADDED', 'APPROVAL_NEEDED'];
+const NOTIFICATION_CHANNELS = ['EMAIL', 'IN_APP', 'DIGEST'];
+const DEFAULT_CHANNELS = { EMAIL: true, IN_APP: true, DIGEST: false };
+
+// Events that don't use every channel
+const EVENT_CHANNELS = {
+    COMMENT_ADDED: ['IN_APP', 'DIGEST']
+};
+
+function channelsFor(eventType) {
+    return EVENT_CHANNELS[eventType] || NOTIFICATION_CHANNELS;
+}
+
+const EVENT_LABELS = {
+    TICKET_CREATED: 'New ticket',
+    ASSIGNED_TO_ME: 'Assigned to you',
+    STATUS_CHANGED: 'Status changed',
+    COMMENT_ADDED: 'New comment',
+    APPROVAL_NEEDED: 'Approval needed'
+};
+
+function isEnabled(stored, eventType, channel) {
+    const key = `${eventType}:${channel}`;
+    return stored.has(key) ? stored.get(key) : DEFAULT_CHANNELS[channel];
+}
+
+async function loadStoredPreferences(db, userIds) {
+    const byUser = new Map(userIds.map(id => [id, new Map()]));
+    if (userIds.length === 0) return byUser;
+    const [rows] = await db.query(
+        'SELECT UserId, EventType, Channel, Enabled FROM notification_preference WHERE UserId IN (?)',
+        [userIds]
+    );
+    rows.forEach(row => byUser.get(row.UserId).set(`${row.EventType}:${row.Channel}`, row.Enabled === 1));
+    return byUser;
+}
+
+/**
+ * Full preference matrix for one user, defaults filled in
+ * @returns {Promise<Array<{ eventType, channel, enabled, isDefault }>>}
+ */
+async function getPreferences(db, userId) {
+    const stored = (await loadStoredPreferences(db, [userId])).get(userId);
+    const preferences = [];
+    NOTIFICATION_EVENTS.forEach(eventType => {
+        channelsFor(eventType).forEach(channel => {
+            preferences.push({
+                eventType,
+                channel,
+                enabled: isEnabled(stored, eventType, channel),
+                isDefault: !stored.has(`${eventType}:${channel}`)
+            });
+        });
+    });
+    return preferences;
+}
+
+/**
+ * Store preference changes for one user
+ * @param {Array<{ eventType, channel, enabled }>} changes
+ * @returns {Promise<{ error?: string }>}
+ */
+async function setPreferences(db, userId, changes, actor) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+        return { error: 'preferences must be a non-empty array of { eventType, channel, enabled }' };
+    }
+    for (const change of changes) {
+        if (!change || !NOTIFICATION_EVENTS.includes(change.eventType)) {
+            return { error: `eventType must be one of: ${NOTIFICATION_EVENTS.join(', ')}` };
+        }
+        if (!NOTIFICATION_CHANNELS.includes(change.channel)) {
+            return { error: `channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+        }
+        if (!channelsFor(change.eventType).includes(change.channel)) {
+            return { error: `${change.eventType} is only available as ${channelsFor(change.eventType).join(' or ')}` };
+        }
+        if (typeof change.enabled !== 'boolean') {
+            return { error: `enabled must be true or false (${change.eventType} / ${change.channel})` };
+        }
+    }
+
+    const values = changes.map(c => [userId, c.eventType, c.channel, c.enabled ? 1 : 0, actor]);
+    await db.query(
+        `INSERT INTO notification_preference (UserId, EventType, Channel, Enabled, UpdatedBy)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE Enabled = VALUES(Enabled), UpdatedBy = VALUES(UpdatedBy), UpdatedDate = NOW()`,
+        [values]
+    );
+    return {};
+}
+
+/**
+ * Recipient filter for one ticket notification dispatch
+ *
+ * filter() keeps the recipients who want the event by email and records IN_APP / DIGEST notifications
+ * for those who want them. Recipients who are not users (e.g. a requester's form email) are always kept.
+ * If preferences cannot be read the recipients are returned unchanged, so a failure never silences mail.
+ *
+ * @param {Object} db - pool or connection (outside any open transaction)
+ * @param {Object} context - { ticketId, ticketNumber }
+ * @example
+ *   const audience = notificationAudience(pool, { ticketId, ticketNumber });
+ *   const team = await audience.filter(teamUsers, 'STATUS_CHANGED', `${ticketNumber} moved to COMPLETED`);
+ *   const creatorEmail = await audience.filterEmail(creator, 'STATUS_CHANGED');
+ */
+function notificationAudience(db, { ticketId = null, ticketNumber = null } = {}) {
+    // One in-app/digest entry per user and event type, however many lists the user appears in
+    const recorded = new Set();
+
+    async function filter(recipients, eventType, message = null) {
+        const list = (recipients || []).filter(r => r && r.email);
+        if (list.length === 0) return [];
+
+        try {
+            const emails = [...new Set(list.map(r => r.email.toLowerCase()))];
+            const [users] = await db.query(
+                'SELECT Id, LOWER(email) as email FROM user WHERE IsActive = 1 AND LOWER(email) IN (?)',
+                [emails]
+            );
+            const userIdByEmail = new Map(users.map(u => [u.email, u.Id]));
+            const preferences = await loadStoredPreferences(db, [...new Set(users.map(u => u.Id))]);
+
+            const text = (message || `${EVENT_LABELS[eventType]}: ${ticketNumber || `ticket #${ticketId}`}`).slice(0, 500);
+            const notifications = [];
+            userIdByEmail.forEach(userId => {
+                const key = `${userId}:${eventType}`;
+                if (recorded.has(key)) return;
+                recorded.add(key);
+                ['IN_APP', 'DIGEST'].forEach(channel => {
+                    if (isEnabled(preferences.get(userId), eventType, channel)) {
+                        notifications.push([userId, ticketId, eventType, channel, text]);
+                    }
+                });
+            });
+            if (notifications.length > 0) {
+                await db.query(
+                    'INSERT INTO notification (UserId, TicketId, EventType, Channel, Message) VALUES ?',
+                    [notifications]
+                );
+            }
+
+            return list.filter(r => {
+                const userId = userIdByEmail.get(r.email.toLowerCase());
+                return userId === undefined
+                    || (channelsFor(eventType).includes('EMAIL') && isEnabled(preferences.get(userId), eventType, 'EMAIL'));
+            });
+        } catch (err) {
+            console.error(`❌ Could not apply notification preferences (${eventType}):`, err.message || err);
+            return list;
+        }
+    }
+
+    // Single-address variant for the creator/assignee parameters of the email service
+    async function filterEmail(email, eventType, message = null) {
+        if (!email) return null;
+        const kept = await filter([{ email }], eventType, message);
+        return kept.length > 0 ? email : null;
+    }
+
+    return { filter, filterEmail };
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_CHANNELS,
+    DEFAULT_CHANNELS,
+    getPreferences,
+    setPreferences,
+    notificationAudience
+};
@@ -0,0 +1,250 @@
+// OpenID Connect sign-in (authorization code flow with PKCE)
+//
+// The browser is sent to the identity provider with a random state, nonce and PKCE challenge kept in
+// the express session. On the callback the code is exchanged for an ID token, whose signature
+// (issuer JWKS), issuer, audience, expiry and nonce are checked before any claim is trusted.
+// The user is then matched by subject or email, or provisioned, and their role and category are
+// taken from the directory groups in the token.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const oidcConfig = require('../config/oidcConfig');
+const { revokeUserSessions } = require('./authSessions');
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+let discoveryCache = null; // { document, fetchedAt }
+let jwksCache = null; // { keys: Map<kid, KeyObject>, fetchedAt }
+
+async function getDiscoveryDocument() {
+    if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_CACHE_MS) {
+        return discoveryCache.document;
+    }
+    const url = `${oidcConfig.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+    if (!data || !data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+        throw new Error(`Incomplete OpenID configuration at ${url}`);
+    }
+    discoveryCache = { document: data, fetchedAt: Date.now() };
+    return data;
+}
+
+async function fetchSigningKeys() {
+    const { jwks_uri: jwksUri } = await getDiscoveryDocument();
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    const keys = new Map();
+    for (const jwk of (data && data.keys) || []) {
+        if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    jwksCache = { keys, fetchedAt: Date.now() };
+    return keys;
+}
+
+// Look up a signing key, refetching the key set once when the kid is unknown (key rotation)
+async function getSigningKey(kid) {
+    if (jwksCache && Date.now() - jwksCache.fetchedAt < DISCOVERY_CACHE_MS && jwksCache.keys.has(kid)) {
+        return jwksCache.keys.get(kid);
+    }
+    const keys = await fetchSigningKeys();
+    return keys.get(kid) || null;
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+/**
+ * Start a sign-in: the values to keep in the session and the URL to redirect the browser to
+ * @param {string} [loginHint] - email to prefill on the provider's sign-in page
+ * @returns {Promise<{ url: string, pending: { state, nonce, codeVerifier, startedAt } }>}
+ */
+async function beginLogin(loginHint) {
+    const { authorization_endpoint: authorizationEndpoint } = await getDiscoveryDocument();
+    const pending = {
+        state: base64url(crypto.randomBytes(24)),
+        nonce: base64url(crypto.randomBytes(24)),
+        codeVerifier: base64url(crypto.randomBytes(32)),
+        startedAt: Date.now()
+    };
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: oidcConfig.clientId,
+        redirect_uri: oidcConfig.redirectUri,
+        scope: oidcConfig.scopes.join(' '),
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(pending.codeVerifier).digest()),
+        code_challenge_method: 'S256'
+    });
+    if (loginHint) params.set('login_hint', String(loginHint));
+    return { url: `${authorizationEndpoint}?${params.toString()}`, pending };
+}
+
+/**
+ * Verify an ID token and return its claims
+ * Throws when the signature, issuer, audience, expiry or nonce don't match.
+ */
+async function verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+        throw new Error('ID token is malformed');
+    }
+    const key = await getSigningKey(decoded.header.kid);
+    if (!key) throw new Error('ID token is signed with an unknown key');
+
+    const { issuer } = await getDiscoveryDocument();
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer,
+        audience: oidcConfig.clientId,
+        clockTolerance: 60
+    });
+    if (!nonce || claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+    return claims;
+}
+
+/**
+ * Finish a sign-in: exchange the authorization code and verify the ID token
+ * @param {Object} pending - values stored by beginLogin
+ * @returns {Promise<Object>} ID token claims
+ */
+async function completeLogin({ code, state }, pending) {
+    if (!pending || !state || state !== pending.state) {
+        throw new Error('Sign-in state does not match; please start again');
+    }
+    if (Date.now() - pending.startedAt > 10 * 60 * 1000) {
+        throw new Error('Sign-in took too long; please start again');
+    }
+    if (!code) throw new Error('No authorization code was returned');
+
+    const { token_endpoint: tokenEndpoint } = await getDiscoveryDocument();
+    const { data } = await axios.post(
+        tokenEndpoint,
+        new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: oidcConfig.redirectUri,
+            client_id: oidcConfig.clientId,
+            client_secret: oidcConfig.clientSecret,
+            code_verifier: pending.codeVerifier
+        }).toString(),
+        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: HTTP_TIMEOUT_MS }
+    );
+    if (!data || !data.id_token) throw new Error('The identity provider did not return an ID token');
+
+    return verifyIdToken(data.id_token, pending.nonce);
+}
+
+// Azure puts the sign-in address in preferred_username/upn when the optional email claim isn't configured
+function emailFromClaims(claims) {
+    const value = claims.email || claims.preferred_username || claims.upn || '';
+    return /^[^@\s]+@[^@\s]+$/.test(value) ? value.trim().toLowerCase() : null;
+}
+
+// An email that may identify an existing account or a new one: verified by the issuer (email_verified on the
+// email claim), or any address when the issuer is trusted (oidcConfig.trustEmail)
+function verifiedEmailFromClaims(claims) {
+    if (oidcConfig.trustEmail) return emailFromClaims(claims);
+    if (claims.email_verified !== true && claims.email_verified !== 'true') return null;
+    return /^[^@\s]+@[^@\s]+$/.test(claims.email || '') ? claims.email.trim().toLowerCase() : null;
+}
+
+// First configured group the user is a member of
+function mapGroups(groups, map) {
+    const memberOf = new Set(groups);
+    const match = Object.keys(map).find(groupId => memberOf.has(groupId));
+    if (match === undefined) return undefined;
+    const id = Number(map[match]);
+    return Number.isInteger(id) ? id : undefined;
+}
+
+/**
+ * Find the user for verified claims (by subject, then by email), or create one.
+ * Directory groups update roleId and categoryId on every sign-in when they map to something.
+ * @returns {Promise<Object>} { user } with the user row, or { error, status }
+ */
+async function resolveSsoUser(db, claims) {
+    const email = emailFromClaims(claims);
+    if (!email) return { status: 403, error: 'Your directory account has no email address' };
+
+    const subject = `${claims.iss}|${claims.sub}`;
+    const groups = Array.isArray(claims.groups) ? claims.groups : [];
+    if (!claims.groups && claims._claim_names && claims._claim_names.groups) {
+        // Azure "group overage": too many groups to fit in the token. Mapping is skipped for this user.
+        console.warn(`⚠️  SSO: groups for ${email} were not included in the ID token (group overage)`);
+    }
+    const roleId = mapGroups(groups, oidcConfig.groupRoleMap);
+    const categoryId = mapGroups(groups, oidcConfig.groupCategoryMap);
+
+    // An identity that is already linked signs in by its subject. Otherwise the email decides which account it is
+    // (or the one to create), so it must be one the issuer has verified: unverified addresses could take over an account.
+    const verifiedEmail = verifiedEmailFromClaims(claims);
+    const [rows] = await db.query(
+        `SELECT Id, uid, email, name, roleId, categoryId, IsActive, OidcSubject, MustChangePassword
+         FROM user WHERE OidcSubject = ? OR LOWER(email) = LOWER(?)
+         ORDER BY OidcSubject = ? DESC LIMIT 1`,
+        [subject, verifiedEmail || '', subject]
+    );
+    let user = rows[0];
+
+    if ((!user || user.OidcSubject !== subject) && !verifiedEmail) {
+        console.warn(`⚠️  SSO: refused ${email} (${subject}): the issuer did not verify the email address`);
+        return { status: 403, error: 'Your directory account has no verified email address. Please ask the IT team for help' };
+    }
+
+    if (user) {
+        if (user.OidcSubject && user.OidcSubject !== subject) {
+            // The email now belongs to a different directory identity; don't take over the account
+            return { status: 403, error: 'This account is linked to a different directory identity' };
+        }
+        if (!user.IsActive) return { status: 403, error: 'This account has been deactivated' };
+
+        const updates = { OidcSubject: subject };
+        if (roleId !== undefined) updates.roleId = roleId;
+        if (categoryId !== undefined) updates.categoryId = categoryId;
+        await db.query('UPDATE user SET ?, LastSsoLoginDate = NOW() WHERE Id = ?', [updates, user.Id]);
+        // Existing sessions' access tokens still carry the old role
+        if (updates.roleId !== undefined && updates.roleId !== user.roleId) {
+            await revokeUserSessions(db, user.Id, 'ROLE_CHANGED');
+        }
+        return { user: { ...user, ...updates } };
+    }
+
+    if (!oidcConfig.autoProvision) {
+        return { status: 403, error: 'No account exists for this email. Please ask the IT team to create one' };
+    }
+
+    // Provisioned users can only sign in through SSO until they reset a password
+    const uid = crypto.randomUUID();
+    const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const name = claims.name || email.split('@')[0];
+    const newRoleId = roleId !== undefined ? roleId : oidcConfig.defaultRoleId;
+    const [result] = await db.query(
+        `INSERT INTO user (name, uid, email, password, roleId, categoryId, OidcSubject, LastSsoLoginDate, CreatedBy, UpdatedBy, IsActive)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), 'SSO', 'SSO', 1)`,
+        [name, uid, email, placeholderHash, newRoleId, categoryId !== undefined ? categoryId : null, subject]
+    );
+    console.log(`👤 SSO: provisioned ${email} with roleId ${newRoleId}`);
+    user = {
+        Id: result.insertId,
+        uid,
+        email,
+        name,
+        roleId: newRoleId,
+        categoryId: categoryId !== undefined ? categoryId : null,
+        IsActive: 1,
+        MustChangePassword: 0
+    };
+    return { user, provisioned: true };
+}
+
+module.exports = {
+    beginLogin,
+    completeLogin,
+    verifyIdToken,
+    resolveSsoUser
+};
@@ -0,0 +1,116 @@
+// Password policy shared by registration, set/reset password and change password
+//
+// Rules come from the environment so they can be tightened without a release:
+//   PASSWORD_MIN_LENGTH (default 8)
+//   PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_LOWERCASE, PASSWORD_REQUIRE_NUMBER, PASSWORD_REQUIRE_SYMBOL (default true)
+//   PASSWORD_HISTORY_COUNT (default 5): the current and previous passwords that can't be reused; 0 turns the check off
+
+const bcrypt = require('bcrypt');
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function envFlag(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return !['false', '0', 'no'].includes(String(value).toLowerCase());
+}
+
+/**
+ * The active rules (also served to the frontend by GET /api/auth/password-policy)
+ */
+function getPasswordPolicy() {
+    return {
+        minLength: Math.max(1, envInt('PASSWORD_MIN_LENGTH', 8)),
+        requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+        requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+        requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+        requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', true),
+        historyCount: envInt('PASSWORD_HISTORY_COUNT', 5)
+    };
+}
+
+// Parts of the user's name and email that must not appear in the password (3+ characters)
+function personalTerms({ name, email } = {}) {
+    const terms = [];
+    if (email && typeof email === 'string') {
+        terms.push(email.split('@')[0]);
+    }
+    if (name && typeof name === 'string') {
+        terms.push(...name.split(/[\s._-]+/));
+    }
+    return terms.map(t => t.toLowerCase()).filter(t => t.length >= 3);
+}
+
+/**
+ * Check a password against the rules
+ * @param {Object} [user] - { name, email } of the account the password is for
+ * @returns {Object|null} null when it passes, otherwise { error, details: [...] }
+ */
+function checkPasswordPolicy(password, user = {}) {
+    if (typeof password !== 'string') {
+        return { error: 'Password is required', details: [] };
+    }
+
+    const policy = getPasswordPolicy();
+    const details = [];
+    if (password.length < policy.minLength) details.push(`Use at least ${policy.minLength} characters`);
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) details.push('Add an uppercase letter');
+    if (policy.requireLowercase && !/[a-z]/.test(password)) details.push('Add a lowercase letter');
+    if (policy.requireNumber && !/[0-9]/.test(password)) details.push('Add a number');
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) details.push('Add a special character');
+
+    const lowered = password.toLowerCase();
+    if (personalTerms(user).some(term => lowered.includes(term))) {
+        details.push("Don't use your name or email address");
+    }
+
+    if (details.length === 0) return null;
+    return { error: `Password does not meet the requirements: ${details.join('; ')}`, details };
+}
+
+/**
+ * Whether a password matches the current one or one of the recent ones in password_history
+ * @param {Object} user - user row with Id and password (current hash)
+ */
+async function isRecentPassword(db, user, password) {
+    const { historyCount } = getPasswordPolicy();
+    if (historyCount === 0) return false;
+
+    if (user.password && await bcrypt.compare(password, user.password)) return true;
+    if (historyCount === 1) return false;
+
+    const [rows] = await db.query(
+        'SELECT PasswordHash FROM password_history WHERE UserId = ? ORDER BY Id DESC LIMIT ?',
+        [user.Id, historyCount - 1]
+    );
+    for (const row of rows) {
+        if (await bcrypt.compare(password, row.PasswordHash)) return true;
+    }
+    return false;
+}
+
+/**
+ * Keep the hash being replaced, then drop entries beyond the history size
+ */
+async function rememberPreviousPassword(db, userId, previousHash) {
+    const { historyCount } = getPasswordPolicy();
+    if (!previousHash || historyCount < 2) return;
+
+    await db.query('INSERT INTO password_history (UserId, PasswordHash) VALUES (?, ?)', [userId, previousHash]);
+    await db.query(
+        `DELETE FROM password_history WHERE UserId = ? AND Id NOT IN (
+            SELECT Id FROM (SELECT Id FROM password_history WHERE UserId = ? ORDER BY Id DESC LIMIT ?) recent
+         )`,
+        [userId, userId, historyCount - 1]
+    );
+}
+
+module.exports = {
+    getPasswordPolicy,
+    checkPasswordPolicy,
+    isRecentPassword,
+    rememberPreviousPassword
+};
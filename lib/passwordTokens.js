@@ -0,0 +1,92 @@
+// Invitation and password reset links
+//
+// Tokens are random strings sent by email; only their SHA-256 hash is stored (password_token).
+// A token works once: consuming it sets ConsumedAt. Issuing a new token for the same user and
+// purpose supersedes the older unused ones, so only the latest link in the inbox works.
+
+const crypto = require('crypto');
+
+const TOKEN_PURPOSES = {
+    INVITE: 'INVITE', // new account: the user chooses their first password
+    RESET: 'RESET' // forgot password
+};
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// Invitations: INVITE_TOKEN_TTL_HOURS (default 72). Resets: RESET_TOKEN_TTL_MINUTES (default 60).
+function tokenTtlMs(purpose) {
+    return purpose === TOKEN_PURPOSES.INVITE
+        ? envInt('INVITE_TOKEN_TTL_HOURS', 72) * 60 * 60 * 1000
+        : envInt('RESET_TOKEN_TTL_MINUTES', 60) * 60 * 1000;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a new token for a user, superseding their unused tokens of the same purpose
+ * @returns {Promise<{ token: string, expiresAt: Date }>} the raw token (only ever sent by email)
+ */
+async function issuePasswordToken(db, userId, purpose, createdBy = null) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + tokenTtlMs(purpose));
+
+    await db.query(
+        `UPDATE password_token SET ConsumedAt = NOW(), ConsumedReason = 'SUPERSEDED'
+         WHERE UserId = ? AND Purpose = ? AND ConsumedAt IS NULL`,
+        [userId, purpose]
+    );
+    await db.query(
+        'INSERT INTO password_token (UserId, Purpose, TokenHash, ExpiresAt, CreatedBy) VALUES (?, ?, ?, ?, ?)',
+        [userId, purpose, hashToken(token), expiresAt, createdBy]
+    );
+    return { token, expiresAt };
+}
+
+/**
+ * Look up an unused, unexpired token
+ * @returns {Promise<Object|null>} { Id, Purpose, ExpiresAt, UserId, uid, email, name, IsActive } or null
+ */
+async function findPasswordToken(db, token) {
+    if (!token || typeof token !== 'string') return null;
+    const [rows] = await db.query(
+        `SELECT t.Id, t.Purpose, t.ExpiresAt, u.Id as UserId, u.uid, u.email, u.name, u.IsActive
+         FROM password_token t
+         JOIN user u ON t.UserId = u.Id
+         WHERE t.TokenHash = ? AND t.ConsumedAt IS NULL AND t.ExpiresAt > NOW()`,
+        [hashToken(token)]
+    );
+    const row = rows[0];
+    return row && row.IsActive ? row : null;
+}
+
+/**
+ * Mark a token as used. Conditional, so two concurrent requests can't both use it.
+ * @returns {Promise<boolean>} whether this call consumed it
+ */
+async function consumePasswordToken(db, tokenId) {
+    const [result] = await db.query(
+        "UPDATE password_token SET ConsumedAt = NOW(), ConsumedReason = 'USED' WHERE Id = ? AND ConsumedAt IS NULL",
+        [tokenId]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Link for invitation and reset emails (the same page handles both)
+ */
+function setPasswordUrl(token) {
+    return `${process.env.APP_URL || 'http://10.1.1.57:3001'}/set-password?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    TOKEN_PURPOSES,
+    setPasswordUrl,
+    issuePasswordToken,
+    findPasswordToken,
+    consumePasswordToken
+};
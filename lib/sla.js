@@ -0,0 +1,233 @@
+// SLA helpers: policy lookup, due-date calculation, ON_HOLD pause/resume and breach evaluation
+//
+// Each ticket gets a first-response and a resolution due date from the matching sla_policy
+// (category-specific policy first, then the severity default). Targets are counted in business
+// minutes (lib/businessHours). While a ticket is ON_HOLD the clock is paused (SlaPausedAt) and
+// the business time that was left is carried over when the ticket resumes.
+
+const { loadCalendar, addBusinessMinutes, businessMinutesBetween } = require('./businessHours');
+
+const SLA_STATES = ['on_track', 'at_risk', 'breached', 'met'];
+
+// A target is "at risk" once less than this share of its (business-time) window is left
+const AT_RISK_RATIO = 0.25;
+
+// Statuses that mean nobody from IT has responded yet
+const AWAITING_RESPONSE_STATUSES = ['NEW', 'OPEN', 'PENDING APPROVAL'];
+
+// Statuses that stop the resolution clock
+const RESOLVED_STATUSES = ['COMPLETED', 'CLOSED', 'REJECTED'];
+
+/**
+ * Find the active SLA policy for a severity, preferring a category-specific one
+ * @returns {Promise<Object|null>} sla_policy row
+ */
+async function findSlaPolicy(db, severityLevel, categoryId) {
+    const [rows] = await db.query(
+        `SELECT Id, SeverityLevel, CategoryId, ResponseMinutes, ResolutionMinutes
+         FROM sla_policy
+         WHERE IsActive = 1 AND SeverityLevel = ? AND (CategoryId = ? OR CategoryId IS NULL)
+         ORDER BY CategoryId IS NULL ASC
+         LIMIT 1`,
+        [severityLevel, categoryId ? parseInt(categoryId) : null]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Calculate the due and at-risk dates for a policy starting at the given time
+ * @param {Object} calendar - from loadCalendar()
+ */
+function calculateDueDates(calendar, policy, startDate) {
+    const atRiskMinutes = minutes => Math.floor(minutes * (1 - AT_RISK_RATIO));
+    return {
+        responseDueDate: addBusinessMinutes(calendar, startDate, policy.ResponseMinutes),
+        responseAtRiskDate: addBusinessMinutes(calendar, startDate, atRiskMinutes(policy.ResponseMinutes)),
+        resolutionDueDate: addBusinessMinutes(calendar, startDate, policy.ResolutionMinutes),
+        resolutionAtRiskDate: addBusinessMinutes(calendar, startDate, atRiskMinutes(policy.ResolutionMinutes))
+    };
+}
+
+/**
+ * Pick the SLA policy for a ticket and store its due dates.
+ * Returns the policy used, or null when no policy matches (the ticket then has no SLA).
+ * @param {Object} db - mysql2 pool or transaction connection
+ * @param {number} ticketId
+ * @param {Object} options - { severityLevel, categoryId, startDate }
+ */
+async function applySlaPolicy(db, ticketId, { severityLevel, categoryId, startDate = new Date() }) {
+    const policy = await findSlaPolicy(db, severityLevel, categoryId);
+    if (!policy) {
+        await db.query(
+            `UPDATE ticket
+             SET SlaPolicyId = NULL, ResponseDueDate = NULL, ResponseAtRiskDate = NULL, ResolutionDueDate = NULL, ResolutionAtRiskDate = NULL
+             WHERE Id = ?`,
+            [parseInt(ticketId)]
+        );
+        return null;
+    }
+
+    const calendar = await loadCalendar(db);
+    const due = calculateDueDates(calendar, policy, startDate);
+    await db.query(
+        `UPDATE ticket
+         SET SlaPolicyId = ?, ResponseDueDate = ?, ResponseAtRiskDate = ?, ResolutionDueDate = ?, ResolutionAtRiskDate = ?
+         WHERE Id = ?`,
+        [policy.Id, due.responseDueDate, due.responseAtRiskDate, due.resolutionDueDate, due.resolutionAtRiskDate, parseInt(ticketId)]
+    );
+    return policy;
+}
+
+/**
+ * Mark the first response on a ticket (no-op when one is already recorded)
+ */
+async function recordFirstResponse(db, ticketId) {
+    try {
+        await db.query(
+            'UPDATE ticket SET FirstResponseDate = NOW() WHERE Id = ? AND FirstResponseDate IS NULL',
+            [parseInt(ticketId)]
+        );
+    } catch (err) {
+        console.error(`❌ Failed to record first response for ticket ${ticketId}:`, err.message || err);
+    }
+}
+
+// Re-plan the due dates after ON_HOLD: whatever business time was left at the pause starts again now
+async function resumeSlaClock(db, ticketId) {
+    const [rows] = await db.query(
+        `SELECT SlaPausedAt, ResponseDueDate, ResponseAtRiskDate, ResolutionDueDate, ResolutionAtRiskDate, FirstResponseDate
+         FROM ticket WHERE Id = ?`,
+        [parseInt(ticketId)]
+    );
+    const ticket = rows[0];
+    if (!ticket || !ticket.SlaPausedAt) return;
+
+    const calendar = await loadCalendar(db);
+    const now = new Date();
+    const pausedAt = new Date(ticket.SlaPausedAt);
+    const shift = date => (date ? addBusinessMinutes(calendar, now, businessMinutesBetween(calendar, pausedAt, date)) : date);
+    const responseOpen = !ticket.FirstResponseDate;
+
+    await db.query(
+        `UPDATE ticket
+         SET ResponseDueDate = ?, ResponseAtRiskDate = ?, ResolutionDueDate = ?, ResolutionAtRiskDate = ?,
+             SlaPausedMinutes = SlaPausedMinutes + ?, SlaPausedAt = NULL
+         WHERE Id = ? AND SlaPausedAt IS NOT NULL`,
+        [
+            responseOpen ? shift(ticket.ResponseDueDate) : ticket.ResponseDueDate,
+            responseOpen ? shift(ticket.ResponseAtRiskDate) : ticket.ResponseAtRiskDate,
+            shift(ticket.ResolutionDueDate),
+            shift(ticket.ResolutionAtRiskDate),
+            businessMinutesBetween(calendar, pausedAt, now),
+            parseInt(ticketId)
+        ]
+    );
+}
+
+/**
+ * Keep the SLA clock in step with a status change.
+ * Call after the ticket status has been updated. Failures are logged and never fail the status change.
+ * @param {Object} db - mysql2 pool or connection
+ * @param {number} ticketId
+ * @param {string} oldStatus
+ * @param {string} newStatus
+ */
+async function applySlaStatusChange(db, ticketId, oldStatus, newStatus) {
+    try {
+        if (oldStatus === 'ON_HOLD' && newStatus !== 'ON_HOLD') {
+            await resumeSlaClock(db, ticketId);
+        }
+        if (newStatus === 'ON_HOLD') {
+            await db.query('UPDATE ticket SET SlaPausedAt = NOW() WHERE Id = ? AND SlaPausedAt IS NULL', [parseInt(ticketId)]);
+        }
+
+        if (!AWAITING_RESPONSE_STATUSES.includes(newStatus)) {
+            await recordFirstResponse(db, ticketId);
+        }
+
+        if (RESOLVED_STATUSES.includes(newStatus)) {
+            await db.query('UPDATE ticket SET ResolvedDate = NOW() WHERE Id = ? AND ResolvedDate IS NULL', [parseInt(ticketId)]);
+        } else if (RESOLVED_STATUSES.includes(oldStatus)) {
+            // Reopened: the resolution clock runs again against the original due date
+            await db.query('UPDATE ticket SET ResolvedDate = NULL WHERE Id = ?', [parseInt(ticketId)]);
+        }
+    } catch (err) {
+        console.error(`❌ Failed to update SLA clock for ticket ${ticketId} (${oldStatus} → ${newStatus}):`, err.message || err);
+    }
+}
+
+function evaluateTarget(dueDate, atRiskDate, doneDate, pausedAt, now) {
+    if (!dueDate) return null;
+    const due = new Date(dueDate);
+    const at = new Date(doneDate || pausedAt || now);
+    let state;
+    if (at > due) {
+        state = 'breached';
+    } else if (doneDate) {
+        state = 'met';
+    } else {
+        state = !pausedAt && atRiskDate && at >= new Date(atRiskDate) ? 'at_risk' : 'on_track';
+    }
+    return {
+        dueDate: due,
+        completedAt: doneDate || null,
+        state
+    };
+}
+
+/**
+ * Work out the SLA state of a ticket row.
+ * Expects the ticket columns ResponseDueDate, ResponseAtRiskDate, ResolutionDueDate, ResolutionAtRiskDate,
+ * FirstResponseDate, ResolvedDate and SlaPausedAt. Returns null for tickets without an SLA.
+ */
+function evaluateSla(row, now = new Date()) {
+    if (!row || (!row.ResponseDueDate && !row.ResolutionDueDate)) return null;
+
+    const response = evaluateTarget(row.ResponseDueDate, row.ResponseAtRiskDate, row.FirstResponseDate, row.SlaPausedAt, now);
+    const resolution = evaluateTarget(row.ResolutionDueDate, row.ResolutionAtRiskDate, row.ResolvedDate, row.SlaPausedAt, now);
+    const states = [response, resolution].filter(Boolean).map(t => t.state);
+
+    let state = 'on_track';
+    if (states.includes('breached')) state = 'breached';
+    else if (states.includes('at_risk')) state = 'at_risk';
+    else if (resolution && resolution.state === 'met') state = 'met';
+
+    return {
+        state,
+        paused: !!row.SlaPausedAt,
+        pausedMinutes: row.SlaPausedMinutes || 0,
+        response,
+        resolution
+    };
+}
+
+/**
+ * SQL condition matching tickets in the given SLA state ('breached' or 'at_risk').
+ * Mirrors evaluateSla so list filters and displayed states agree.
+ * @returns {string|null} condition, or null for an unsupported state
+ */
+function slaStateCondition(state, alias = 't') {
+    const a = alias;
+    const breached = `((${a}.ResponseDueDate IS NOT NULL AND COALESCE(${a}.FirstResponseDate, ${a}.SlaPausedAt, NOW()) > ${a}.ResponseDueDate)
+        OR (${a}.ResolutionDueDate IS NOT NULL AND COALESCE(${a}.ResolvedDate, ${a}.SlaPausedAt, NOW()) > ${a}.ResolutionDueDate))`;
+    const atRisk = (atRiskDate, done) => `(${a}.${atRiskDate} IS NOT NULL AND ${a}.${done} IS NULL AND ${a}.SlaPausedAt IS NULL
+        AND NOW() >= ${a}.${atRiskDate})`;
+
+    if (state === 'breached') return breached;
+    if (state === 'at_risk') {
+        return `(NOT ${breached} AND (${atRisk('ResponseAtRiskDate', 'FirstResponseDate')} OR ${atRisk('ResolutionAtRiskDate', 'ResolvedDate')}))`;
+    }
+    return null;
+}
+
+module.exports = {
+    SLA_STATES,
+    AT_RISK_RATIO,
+    findSlaPolicy,
+    calculateDueDates,
+    applySlaPolicy,
+    recordFirstResponse,
+    applySlaStatusChange,
+    evaluateSla,
+    slaStateCondition
+};
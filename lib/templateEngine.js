@@ -0,0 +1,219 @@
+// Logic-less template language for the admin-editable email templates
+//
+//   {{name}}, {{ticket.category}}      the value, HTML-escaped (missing values render as nothing)
+//   {{#if name}} … {{else}} … {{/if}}  truthy check; empty strings, 0, null and empty lists are false
+//   {{#unless name}} … {{/unless}}     the opposite of #if ({{else}} allowed too)
+//   {{#each list}} … {{/each}}         repeat for every item: {{this}}, {{this.field}} or just {{field}},
+//                                      and {{@index}} (0-based), {{@number}} (1-based), {{@first}}, {{@last}}
+//   {{! comment }}                     dropped from the output
+//
+// There are no expressions, helpers or raw-HTML tags, so a template can't run code or inject markup:
+// the HTML comes from the template author and every value is escaped, apart from SafeHtml values the
+// application already sanitised (lib/html.js, e.g. a ticket's rich-text description). Lookups only follow
+// a value's own properties. Subjects are rendered as text: values aren't escaped, but line breaks are collapsed.
+
+const { SafeHtml, escapeHtml } = require('./html');
+
+const PATH_PATTERN = /^(?:this|@index|@number|@first|@last|[A-Za-z_][\w-]*)(?:\.[A-Za-z_][\w-]*)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function lineAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Parse a template
+ * @param {string} source
+ * @returns {{ template: Array } | { error: string }} template is the node list render() takes;
+ *   errors name the offending tag and its line
+ */
+function compile(source) {
+    const text = String(source || '');
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+    let last = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const append = node => {
+        const block = current();
+        (block.inElse ? block.otherwise : block.children).push(node);
+    };
+
+    while ((match = tagPattern.exec(text)) !== null) {
+        if (match.index > last) append({ type: 'text', value: text.slice(last, match.index) });
+        last = tagPattern.lastIndex;
+
+        const line = lineAt(text, match.index);
+        const tag = match[1].trim();
+
+        if (tag.startsWith('{')) {
+            return { error: `Raw HTML tags ({{{ }}}) aren't supported (line ${line}); values are always escaped` };
+        }
+        if (tag.startsWith('!')) continue;
+
+        if (tag.startsWith('#')) {
+            const [keyword, path, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!BLOCKS.includes(keyword)) {
+                return { error: `Unknown block {{#${keyword}}} on line ${line}. Use #if, #unless or #each` };
+            }
+            if (!path || rest.length > 0 || !PATH_PATTERN.test(path)) {
+                return { error: `{{#${keyword}}} on line ${line} needs exactly one variable name` };
+            }
+            const block = { type: keyword, path, line, children: [], otherwise: [], inElse: false };
+            append(block);
+            stack.push(block);
+            continue;
+        }
+
+        if (tag === 'else') {
+            const block = current();
+            if (block === root || block.type === 'each') {
+                return { error: `{{else}} on line ${line} must be inside {{#if}} or {{#unless}}` };
+            }
+            if (block.inElse) return { error: `Second {{else}} on line ${line} for the {{#${block.type}}} on line ${block.line}` };
+            block.inElse = true;
+            continue;
+        }
+
+        if (tag.startsWith('/')) {
+            const keyword = tag.slice(1).trim();
+            const block = current();
+            if (block === root) return { error: `{{/${keyword}}} on line ${line} has no matching opening block` };
+            if (block.type !== keyword) {
+                return { error: `{{/${keyword}}} on line ${line} closes the {{#${block.type}}} opened on line ${block.line}` };
+            }
+            stack.pop();
+            continue;
+        }
+
+        if (!PATH_PATTERN.test(tag)) {
+            return { error: `Unsupported tag {{${tag}}} on line ${line}. Templates can only insert variables like {{ticketId}}` };
+        }
+        append({ type: 'value', path: tag });
+    }
+
+    if (stack.length > 1) {
+        const open = current();
+        return { error: `{{#${open.type} ${open.path}}} opened on line ${open.line} is never closed` };
+    }
+    if (last < text.length) append({ type: 'text', value: text.slice(last) });
+    return { template: root.children };
+}
+
+function ownProperty(value, key) {
+    if (value === null || value === undefined || FORBIDDEN_KEYS.has(key)) return undefined;
+    if (typeof value !== 'object') return undefined;
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}
+
+// scopes: innermost last; each scope is { data, loop? }
+function lookup(scopes, path) {
+    const [head, ...rest] = path.split('.');
+    const scope = scopes[scopes.length - 1];
+    let value;
+
+    if (head.startsWith('@')) {
+        const loop = scope.loop;
+        if (!loop) return undefined;
+        value = { '@index': loop.index, '@number': loop.index + 1, '@first': loop.index === 0, '@last': loop.index === loop.count - 1 }[head];
+    } else if (head === 'this') {
+        value = scope.data;
+    } else {
+        // Nearest scope that has the name, so loop items can use outer variables too
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const found = ownProperty(scopes[i].data, head);
+            if (found !== undefined) {
+                value = found;
+                break;
+            }
+        }
+    }
+
+    for (const key of rest) value = ownProperty(value, key);
+    return value;
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value instanceof SafeHtml) return value.value.length > 0;
+    return !!value;
+}
+
+function toText(value) {
+    if (value === null || value === undefined || typeof value === 'function') return '';
+    if (value instanceof Date) return isNaN(value) ? '' : value.toLocaleString();
+    if (Array.isArray(value)) return value.map(toText).join(', ');
+    if (typeof value === 'object') return '';
+    return String(value);
+}
+
+function renderNodes(nodes, scopes, mode, out) {
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out.push(node.value);
+        } else if (node.type === 'value') {
+            const found = lookup(scopes, node.path);
+            if (found instanceof SafeHtml) {
+                out.push(mode === 'text' ? found.value.replace(/<[^>]*>/g, '').replace(/\s*[\r\n]+\s*/g, ' ') : found.value);
+                continue;
+            }
+            const value = toText(found);
+            out.push(mode === 'text' ? value.replace(/\s*[\r\n]+\s*/g, ' ') : escapeHtml(value));
+        } else if (node.type === 'each') {
+            const list = lookup(scopes, node.path);
+            if (!Array.isArray(list)) continue;
+            list.forEach((item, index) => {
+                renderNodes(node.children, scopes.concat({ data: item, loop: { index, count: list.length } }), mode, out);
+            });
+        } else {
+            const truthy = isTruthy(lookup(scopes, node.path));
+            const show = node.type === 'if' ? truthy : !truthy;
+            renderNodes(show ? node.children : node.otherwise, scopes, mode, out);
+        }
+    }
+}
+
+/**
+ * Render a compiled template
+ * @param {Array} template - from compile()
+ * @param {Object} data - the variables
+ * @param {Object} [options] - { mode: 'html' (default, values escaped) | 'text' (subjects) }
+ * @returns {string}
+ */
+function render(template, data, options = {}) {
+    const out = [];
+    renderNodes(template, [{ data: data || {} }], options.mode === 'text' ? 'text' : 'html', out);
+    return out.join('');
+}
+
+/**
+ * Variable names a template uses (the first segment of each path, without this/@ names)
+ * @param {Array} template - from compile()
+ * @returns {string[]}
+ */
+function variableNames(template) {
+    const names = new Set();
+    const walk = (nodes, depth) => {
+        nodes.forEach(node => {
+            if (node.type === 'text') return;
+            const head = node.path.split('.')[0];
+            // Inside #each a bare name may be a field of the item, so only top-level names are reported
+            if (depth === 0 && head !== 'this' && !head.startsWith('@')) names.add(head);
+            if (node.children) {
+                walk(node.children, depth + (node.type === 'each' ? 1 : 0));
+                walk(node.otherwise, depth);
+            }
+        });
+    };
+    walk(template, 0);
+    return [...names];
+}
+
+module.exports = {
+    compile,
+    render,
+    variableNames
+};
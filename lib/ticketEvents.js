@@ -0,0 +1,70 @@
+// Ticket activity log helpers
+//
+// Every change to a ticket's status, assignee or approval state is appended to `ticket_event`
+// (rows are never updated or deleted) so the full history can be reconstructed.
+
+const TICKET_EVENT_TYPES = {
+    CREATED: 'CREATED',
+    STATUS_CHANGED: 'STATUS_CHANGED',
+    ASSIGNED: 'ASSIGNED',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    COMMENT_ADDED: 'COMMENT_ADDED',
+    SEVERITY_CHANGED: 'SEVERITY_CHANGED',
+    ESCALATED: 'ESCALATED'
+};
+
+/**
+ * Build the actor for an event from the authenticated request user
+ * @param {Object} req - Express request (req.user set by auth middleware)
+ */
+function actorFromRequest(req) {
+    const user = req && req.user ? req.user : {};
+    return {
+        id: user.id || null,
+        uid: user.uid || null,
+        name: user.name || user.email || 'System',
+        createdBy: user.uid || user.email || user.name || 'System'
+    };
+}
+
+function toValue(v) {
+    if (v === undefined || v === null || v === '') return null;
+    return String(v).slice(0, 255);
+}
+
+/**
+ * Append an event to the ticket activity log.
+ * Pass the transaction connection when the change is part of a transaction, otherwise the pool.
+ * Logging failures are reported but never fail the ticket operation itself.
+ * @param {Object} db - mysql2 pool or connection
+ * @param {Object} event - { ticketId, eventType, oldValue, newValue, note, actor }
+ *   actor is { id, uid, name, createdBy }; when only the uid is known the user Id is looked up
+ */
+async function recordTicketEvent(db, { ticketId, eventType, oldValue = null, newValue = null, note = null, actor = {} }) {
+    try {
+        await db.query(
+            `INSERT INTO ticket_event (TicketId, EventType, OldValue, NewValue, Note, ActorId, ActorName, CreatedBy)
+             VALUES (?, ?, ?, ?, ?, COALESCE(?, (SELECT u.Id FROM user u WHERE u.uid = ? LIMIT 1)), ?, ?)`,
+            [
+                parseInt(ticketId),
+                eventType,
+                toValue(oldValue),
+                toValue(newValue),
+                note || null,
+                actor.id || null,
+                actor.uid || null,
+                actor.name || 'System',
+                actor.createdBy || actor.name || 'System'
+            ]
+        );
+    } catch (err) {
+        console.error(`❌ Failed to record ${eventType} event for ticket ${ticketId}:`, err && err.message ? err.message : err);
+    }
+}
+
+module.exports = {
+    TICKET_EVENT_TYPES,
+    actorFromRequest,
+    recordTicketEvent
+};
@@ -0,0 +1,56 @@
+// Ticket status lifecycle: the single definition of which status changes are legal
+//
+//   NEW -> OPEN -> PROCESSING -> ON_HOLD / COMPLETED -> CLOSED
+//   PENDING APPROVAL -> APPROVED (-> OPEN / PROCESSING) | REJECTED (-> CLOSED)
+
+const TICKET_STATUSES = ['NEW', 'OPEN', 'PROCESSING', 'COMPLETED', 'ON_HOLD', 'PENDING APPROVAL', 'APPROVED', 'REJECTED', 'CLOSED'];
+
+const STATUS_TRANSITIONS = {
+    'NEW': ['OPEN', 'PROCESSING', 'CLOSED'],
+    'OPEN': ['PROCESSING', 'CLOSED'],
+    'PROCESSING': ['ON_HOLD', 'COMPLETED'],
+    'ON_HOLD': ['PROCESSING', 'COMPLETED'],
+    'COMPLETED': ['CLOSED', 'PROCESSING'],
+    'CLOSED': [],
+    'PENDING APPROVAL': ['APPROVED', 'REJECTED'],
+    'APPROVED': ['OPEN', 'PROCESSING'],
+    'REJECTED': ['CLOSED']
+};
+
+// Statuses that record an IT Head decision; these are only reachable through the approve/reject endpoints
+const APPROVAL_DECISION_STATUSES = ['APPROVED', 'REJECTED'];
+
+function normalizeStatus(v) {
+    if (!v) return null;
+    const s = String(v).trim().toUpperCase().replace(/\s+/g, ' ');
+    // Accept "ON HOLD" / "PENDING_APPROVAL" spellings from the frontend
+    if (s === 'ON HOLD') return 'ON_HOLD';
+    if (s === 'PENDING_APPROVAL') return 'PENDING APPROVAL';
+    return TICKET_STATUSES.includes(s) ? s : null;
+}
+
+function getAllowedTransitions(currentStatus) {
+    const from = normalizeStatus(currentStatus);
+    return from ? STATUS_TRANSITIONS[from].slice() : [];
+}
+
+function canTransition(currentStatus, nextStatus) {
+    const to = normalizeStatus(nextStatus);
+    return !!to && getAllowedTransitions(currentStatus).includes(to);
+}
+
+function transitionErrorMessage(currentStatus, nextStatus) {
+    const allowed = getAllowedTransitions(currentStatus);
+    return `Cannot change ticket status from ${currentStatus} to ${nextStatus}. ` +
+        (allowed.length ? `Allowed next statuses: ${allowed.join(', ')}` : `${currentStatus} is a final status`);
+}
+
+module.exports = {
+    TICKET_STATUSES,
+    STATUS_TRANSITIONS,
+    APPROVAL_DECISION_STATUSES,
+    normalizeStatus,
+    getAllowedTransitions,
+    canTransition,
+    transitionErrorMessage
+};
@@ -0,0 +1,101 @@
+// Row-level ticket visibility
+//
+// Users with ticket.view_all (IT Heads and Ticket Creators by default) see every ticket.
+// Everyone else sees the tickets they raised (CreatedBy or matching Email), the tickets of
+// their own category (as getMyTickets lists them) and tickets assigned to them.
+// A user covering for someone who is out of office (lib/delegation) also sees what that person sees.
+// An API key scoped to a category only reaches tickets of that category, whatever its permissions.
+// Tickets outside a user's scope are reported as "not found" so their existence isn't leaked.
+
+const { hasPermission } = require('../middlewares/permissionMiddleware');
+const { getActiveDelegators } = require('./delegation');
+
+/**
+ * Resolve what the (decoded JWT or API key) user is allowed to see
+ * @returns {Promise<Object>} { all: true } or { all: false, uid, email, userId, categoryId, delegatorIds },
+ *   plus apiKeyCategoryId for a category-scoped API key
+ */
+async function getTicketScope(db, user) {
+    const scope = await permittedScope(db, user);
+    if (user?.apiKeyCategoryId) scope.apiKeyCategoryId = user.apiKeyCategoryId;
+    return scope;
+}
+
+async function permittedScope(db, user) {
+    if (await hasPermission(user, 'ticket.view_all')) return { all: true };
+
+    const scope = { all: false, uid: user?.uid || null, email: user?.email || null, userId: null, categoryId: null, delegatorIds: [] };
+    if (scope.uid) {
+        const [rows] = await db.query('SELECT Id, email, categoryId FROM user WHERE uid = ? AND IsActive = 1', [scope.uid]);
+        if (rows.length > 0) {
+            scope.userId = rows[0].Id;
+            scope.email = rows[0].email || scope.email;
+            scope.categoryId = rows[0].categoryId || null;
+        }
+    }
+    if (scope.userId) {
+        const delegators = await getActiveDelegators(db, scope.userId);
+        for (const delegator of delegators) {
+            if (await hasPermission({ roleId: delegator.roleId }, 'ticket.view_all')) return { all: true };
+        }
+        scope.delegatorIds = delegators.map(d => d.Id);
+    }
+    return scope;
+}
+
+/**
+ * SQL condition limiting tickets to a scope
+ * @returns {{ sql: string, params: Array }} condition to AND into a WHERE clause
+ */
+function ticketScopeCondition(scope, alias = 't') {
+    const condition = permittedCondition(scope, alias);
+    if (!scope.apiKeyCategoryId) return condition;
+    return { sql: `(${condition.sql} AND ${alias}.CategoryId = ?)`, params: [...condition.params, scope.apiKeyCategoryId] };
+}
+
+function permittedCondition(scope, alias) {
+    if (scope.all) return { sql: '1 = 1', params: [] };
+
+    const clauses = [];
+    const params = [];
+    if (scope.uid) {
+        clauses.push(`${alias}.CreatedBy = ?`);
+        params.push(scope.uid);
+    }
+    if (scope.email) {
+        clauses.push(`LOWER(${alias}.Email) = LOWER(?)`);
+        params.push(scope.email);
+    }
+    if (scope.categoryId) {
+        clauses.push(`${alias}.CategoryId = ?`);
+        params.push(scope.categoryId);
+    }
+    if (scope.userId) {
+        clauses.push(`${alias}.AssignerId = ?`);
+        params.push(scope.userId);
+    }
+    if (scope.delegatorIds && scope.delegatorIds.length > 0) {
+        clauses.push(`${alias}.AssignerId IN (?)`);
+        params.push(scope.delegatorIds);
+    }
+
+    return clauses.length > 0 ? { sql: `(${clauses.join(' OR ')})`, params } : { sql: '1 = 0', params: [] };
+}
+
+/**
+ * Whether an active ticket exists and is visible within the scope
+ */
+async function canViewTicket(db, scope, ticketId) {
+    const condition = ticketScopeCondition(scope);
+    const [rows] = await db.query(
+        `SELECT t.Id FROM ticket t WHERE t.Id = ? AND t.IsActive = 1 AND ${condition.sql}`,
+        [parseInt(ticketId), ...condition.params]
+    );
+    return rows.length > 0;
+}
+
+module.exports = {
+    getTicketScope,
+    ticketScopeCondition,
+    canViewTicket
+};
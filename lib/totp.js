@@ -0,0 +1,148 @@
+// Time-based one-time passwords (RFC 6238, compatible with Google/Microsoft Authenticator)
+//
+// Codes are computed locally from a shared secret, so no SMS provider or network access is needed.
+// Secrets are stored encrypted (AES-256-GCM) with a key from TOTP_ENCRYPTION_KEY (falls back to JWT_SECRET).
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret (base32, 160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(binary).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Check a code against the secret.
+ * @param {number|null} lastUsedStep - step of the last accepted code; it and older steps are refused (no replay)
+ * @returns {number|null} the matching time step, or null when the code is not valid
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+        const expected = codeForStep(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return step;
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (render it as a QR code on the enrollment screen)
+ */
+function provisioningUri(secret, accountName, issuer = process.env.TOTP_ISSUER || 'IT Support System') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function encryptionKey() {
+    const source = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+    return crypto.createHash('sha256').update(source).digest();
+}
+
+/**
+ * Encrypt a secret for storage: "iv.tag.ciphertext" (base64url)
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate one-time recovery codes (shown to the user once; store only their hashes)
+ * @returns {string[]} codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(6).toString('hex').slice(0, 10);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,159 @@
+// Two-factor sign-in helpers: challenge tokens, enrollment and code checks (TOTP or recovery code)
+//
+// When a user has 2FA enabled, or their role requires it, a correct password only earns a short-lived
+// challenge token. The access and refresh tokens are issued once the second step succeeds.
+
+const jwt = require('jsonwebtoken');
+const {
+    generateSecret,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('./totp');
+
+const CHALLENGE_PURPOSES = {
+    VERIFY: '2fa_verify', // enter a code for an enrolled account
+    SETUP: '2fa_setup' // role requires 2FA but the user hasn't enrolled yet
+};
+
+// Challenge tokens carry no session id or email, so they can't be used as access or reset tokens
+function signChallengeToken(user, purpose) {
+    return jwt.sign(
+        { uid: user.uid, purpose },
+        process.env.JWT_SECRET,
+        { expiresIn: purpose === CHALLENGE_PURPOSES.SETUP ? '15m' : '5m' }
+    );
+}
+
+/**
+ * Verify a challenge token for the given purpose
+ * @returns {Object|null} { uid, purpose } or null when invalid or expired
+ */
+function verifyChallengeToken(token, purpose) {
+    try {
+        const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+        return decoded && decoded.uid && decoded.purpose === purpose ? decoded : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+async function roleRequiresTwoFactor(db, roleId) {
+    if (!roleId) return false;
+    const [rows] = await db.query('SELECT RequireTwoFactor FROM role WHERE Id = ?', [roleId]);
+    return !!(rows[0] && rows[0].RequireTwoFactor);
+}
+
+/**
+ * What the user still has to do after a correct password
+ * @returns {Promise<string|null>} CHALLENGE_PURPOSES.VERIFY, CHALLENGE_PURPOSES.SETUP or null
+ */
+async function twoFactorStepFor(db, user) {
+    if (user.TotpEnabled) return CHALLENGE_PURPOSES.VERIFY;
+    if (await roleRequiresTwoFactor(db, user.roleId)) return CHALLENGE_PURPOSES.SETUP;
+    return null;
+}
+
+/**
+ * Start (or restart) enrollment: store a new, not yet enabled secret
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+async function startEnrollment(db, user) {
+    const secret = generateSecret();
+    await db.query(
+        'UPDATE user SET TotpSecret = ?, TotpEnabled = 0, TotpLastUsedStep = NULL WHERE Id = ?',
+        [encryptSecret(secret), user.Id]
+    );
+    return { secret, otpauthUrl: provisioningUri(secret, user.email) };
+}
+
+async function replaceRecoveryCodes(db, userId) {
+    const codes = generateRecoveryCodes();
+    await db.query('DELETE FROM user_recovery_code WHERE UserId = ?', [userId]);
+    await db.query(
+        'INSERT INTO user_recovery_code (UserId, CodeHash) VALUES ?',
+        [codes.map(code => [userId, hashRecoveryCode(code)])]
+    );
+    return codes;
+}
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @returns {Promise<string[]|null>} fresh recovery codes, or null when the code is wrong
+ */
+async function confirmEnrollment(db, user, code) {
+    if (!user.TotpSecret) return null;
+    const step = verifyTotp(decryptSecret(user.TotpSecret), code);
+    if (step === null) return null;
+
+    await db.query(
+        'UPDATE user SET TotpEnabled = 1, TotpEnabledDate = NOW(), TotpLastUsedStep = ? WHERE Id = ?',
+        [step, user.Id]
+    );
+    return replaceRecoveryCodes(db, user.Id);
+}
+
+/**
+ * Check a second factor for an enrolled user: a TOTP code or an unused recovery code
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' when accepted, otherwise null
+ */
+async function verifySecondFactor(db, user, { code, recoveryCode }) {
+    if (!user.TotpEnabled || !user.TotpSecret) return null;
+
+    if (code) {
+        const step = verifyTotp(decryptSecret(user.TotpSecret), code, user.TotpLastUsedStep);
+        if (step === null) return null;
+        // Conditional update so the same code can't be used twice by concurrent requests
+        const [result] = await db.query(
+            'UPDATE user SET TotpLastUsedStep = ? WHERE Id = ? AND (TotpLastUsedStep IS NULL OR TotpLastUsedStep < ?)',
+            [step, user.Id, step]
+        );
+        return result.affectedRows > 0 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const [result] = await db.query(
+            'UPDATE user_recovery_code SET UsedAt = NOW() WHERE UserId = ? AND CodeHash = ? AND UsedAt IS NULL',
+            [user.Id, hashRecoveryCode(recoveryCode)]
+        );
+        return result.affectedRows > 0 ? 'recovery_code' : null;
+    }
+
+    return null;
+}
+
+async function remainingRecoveryCodes(db, userId) {
+    const [rows] = await db.query(
+        'SELECT COUNT(*) as remaining FROM user_recovery_code WHERE UserId = ? AND UsedAt IS NULL',
+        [userId]
+    );
+    return rows[0].remaining;
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ */
+async function disableTwoFactor(db, userId) {
+    await db.query(
+        'UPDATE user SET TotpSecret = NULL, TotpEnabled = 0, TotpEnabledDate = NULL, TotpLastUsedStep = NULL WHERE Id = ?',
+        [userId]
+    );
+    await db.query('DELETE FROM user_recovery_code WHERE UserId = ?', [userId]);
+}
+
+module.exports = {
+    CHALLENGE_PURPOSES,
+    signChallengeToken,
+    verifyChallengeToken,
+    roleRequiresTwoFactor,
+    twoFactorStepFor,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    remainingRecoveryCodes,
+    disableTwoFactor
+};
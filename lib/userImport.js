@@ -0,0 +1,131 @@
+// Bulk user import from CSV
+//
+// The file needs a header row; columns may come in any order and are matched case-insensitively:
+// name, email, role (required) and category, department (optional). Role, category and department are
+// given by name and resolved against the lookup tables. Passwords are never imported: every new user
+// gets an invitation link to choose their own.
+
+const { parseCsv } = require('./csv');
+
+const IMPORT_COLUMNS = ['name', 'email', 'role', 'category', 'department'];
+const REQUIRED_COLUMNS = ['name', 'email', 'role'];
+const MAX_IMPORT_ROWS = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Read the uploaded CSV into rows keyed by column name
+ * @param {Buffer|string} content
+ * @returns {{ rows: Array<{ line: number, values: Object }> } | { error: string }}
+ */
+function parseUserCsv(content) {
+    const parsed = parseCsv(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.records.length === 0) return { error: 'The file is empty' };
+
+    const [header, ...records] = parsed.records;
+    const columns = header.fields.map(f => f.trim().toLowerCase());
+    const unknown = columns.filter(c => !IMPORT_COLUMNS.includes(c));
+    if (unknown.length > 0) {
+        return { error: `Unknown column(s): ${unknown.join(', ')}. Allowed columns: ${IMPORT_COLUMNS.join(', ')}` };
+    }
+    const missing = REQUIRED_COLUMNS.filter(c => !columns.includes(c));
+    if (missing.length > 0) return { error: `Missing required column(s): ${missing.join(', ')}` };
+    const duplicated = columns.filter((c, i) => columns.indexOf(c) !== i);
+    if (duplicated.length > 0) return { error: `Column(s) appear more than once: ${[...new Set(duplicated)].join(', ')}` };
+
+    if (records.length === 0) return { error: 'The file has a header row but no users' };
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: `A file can contain at most ${MAX_IMPORT_ROWS} users (this one has ${records.length})` };
+    }
+
+    const rows = records.map(record => {
+        const values = {};
+        columns.forEach((column, i) => {
+            values[column] = (record.fields[i] || '').trim();
+        });
+        return { line: record.line, values, extraFields: record.fields.length > columns.length };
+    });
+    return { rows };
+}
+
+// Lookup names (lower-cased) to the matching rows, so ambiguous names can be reported
+async function loadLookup(db, table, activeOnly) {
+    const [rows] = await db.query(`SELECT Id, Name FROM ${table}${activeOnly ? ' WHERE IsActive = 1' : ''}`);
+    const byName = new Map();
+    rows.forEach(row => {
+        const key = String(row.Name || '').trim().toLowerCase();
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push({ id: row.Id, name: row.Name });
+    });
+    return byName;
+}
+
+function resolveName(lookup, value, label, errors) {
+    if (!value) return null;
+    const matches = lookup.get(value.toLowerCase()) || [];
+    if (matches.length === 0) {
+        errors.push(`Unknown ${label} "${value}"`);
+        return null;
+    }
+    if (matches.length > 1) {
+        errors.push(`The ${label} name "${value}" matches more than one ${label}; rename one of them first`);
+        return null;
+    }
+    return matches[0];
+}
+
+/**
+ * Validate parsed rows and resolve role/category/department names
+ * @returns {Promise<Array>} [{ line, name, email, role, category, department, errors: string[] }]
+ *   role/category/department are { id, name } or null
+ */
+async function validateImportRows(db, rows) {
+    const roles = await loadLookup(db, 'role', false);
+    const categories = await loadLookup(db, 'category', true);
+    const departments = await loadLookup(db, 'department', true);
+
+    const emails = rows.map(r => r.values.email.toLowerCase()).filter(Boolean);
+    const registered = new Set();
+    if (emails.length > 0) {
+        const [existing] = await db.query('SELECT LOWER(email) as email FROM user WHERE LOWER(email) IN (?)', [emails]);
+        existing.forEach(row => registered.add(row.email));
+    }
+
+    const firstLineByEmail = new Map();
+    return rows.map(({ line, values, extraFields }) => {
+        const errors = [];
+        const name = values.name;
+        const email = values.email.toLowerCase();
+
+        if (extraFields) errors.push('Row has more fields than the header');
+        if (!name) errors.push('Name is required');
+        else if (name.length > 255) errors.push('Name must be 255 characters or fewer');
+
+        if (!email) {
+            errors.push('Email is required');
+        } else if (!EMAIL_PATTERN.test(email)) {
+            errors.push(`"${values.email}" is not a valid email address`);
+        } else if (registered.has(email)) {
+            errors.push('Email already registered');
+        } else if (firstLineByEmail.has(email)) {
+            errors.push(`Duplicate email (also on line ${firstLineByEmail.get(email)})`);
+        } else {
+            firstLineByEmail.set(email, line);
+        }
+
+        if (!values.role) errors.push('Role is required');
+        const role = resolveName(roles, values.role, 'role', errors);
+        const category = resolveName(categories, values.category, 'category', errors);
+        const department = resolveName(departments, values.department, 'department', errors);
+
+        return { line, name, email, role, category, department, errors };
+    });
+}
+
+module.exports = {
+    IMPORT_COLUMNS,
+    MAX_IMPORT_ROWS,
+    parseUserCsv,
+    validateImportRows
+};
@@ -0,0 +1,33 @@
+// approvalMiddleware.js
+// Allows approve/reject for users with ticket.approve and for delegates covering an absent approver (lib/delegation).
+// Use after authMiddleware, e.g. router.put('/:id/approve', authMiddleware, requireApprovalAuthority, approveTicket)
+
+const { getPool } = require('../config/db');
+const { getApprovalAuthority } = require('../lib/delegation');
+
+/**
+ * Middleware setting req.approvalAuthority ({ allowed, onBehalfOf }) or refusing the request
+ */
+async function requireApprovalAuthority(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+    try {
+        const authority = await getApprovalAuthority(getPool(), req.user);
+        if (!authority.allowed) {
+            return res.status(403).json({
+                message: 'You do not have permission to perform this action',
+                requiredPermission: 'ticket.approve'
+            });
+        }
+        req.approvalAuthority = authority;
+        return next();
+    } catch (error) {
+        console.error('Error checking approval authority:', error);
+        return res.status(500).json({ message: 'Error checking permissions', error: error.message });
+    }
+}
+
+module.exports = {
+    requireApprovalAuthority
+};
@@ -1,25 +1,47 @@
 // authMiddleware.js
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../lib/authSessions');
+const { isApiKey, verifyApiKey } = require('../lib/apiKeys');
 
-// Verify the token
-module.exports = (req, res, next) => {
+// Routes a user who must change their password can still use
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/change-password', '/api/auth/logout', '/api/auth/logout-all', '/api/user/profile'];
+
+// Verify the token (signature, expiry, and that its session is live and the user still active)
+module.exports = async (req, res, next) => {
     const token = req.header('Authorization') && req.header('Authorization').replace('Bearer ', '');
+    const apiKey = req.header('X-API-Key') || (isApiKey(token) ? token : null);
+
+    // Service accounts authenticate with an API key instead of a user token
+    if (apiKey) {
+        try {
+            req.user = await verifyApiKey(apiKey, req.ip || null);
+        } catch (error) {
+            return res.status(401).json({ message: 'API key is not valid' });
+        }
+        return next();
+    }
 
     if (!token) {
         return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
+    let decoded;
     try {
         // Verify the token and get user data
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        // Attach decoded payload to req.user. Also provide a convenience `role` field if roleId exists.
-        req.user = decoded; // Add the decoded user data to object
-        if (decoded && typeof decoded.roleId !== 'undefined') {
-            // keep both names available for convenience
-            req.user.role = decoded.roleId;
-        }
-        next();
+        decoded = await verifyAccessToken(token);
     } catch (error) {
-        res.status(401).json({ message: 'Token is not valid' });
+        return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    // Attach decoded payload to req.user. Also provide a convenience `role` field if roleId exists.
+    req.user = decoded; // Add the decoded user data to object
+    if (decoded && typeof decoded.roleId !== 'undefined') {
+        // keep both names available for convenience
+        req.user.role = decoded.roleId;
+    }
+
+    // Accounts created with an administrator-chosen password are held here until the user sets their own
+    if (decoded.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.baseUrl + req.path)) {
+        return res.status(403).json({ message: 'You must change your password before continuing', mustChangePassword: true });
     }
+    next();
 };
@@ -0,0 +1,80 @@
+// permissionMiddleware.js
+// Role-based authorization: permissions are granted to roles in the role_permission table.
+// Use after authMiddleware, e.g. router.put('/:id/assign', authMiddleware, requirePermission('ticket.assign'), handler)
+
+const { getPool } = require('../config/db');
+
+// Role permissions are cached briefly so each request doesn't hit the database
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, byRole: new Map() };
+
+async function loadRolePermissions() {
+    if (Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.byRole;
+
+    const [rows] = await getPool().query('SELECT RoleId, PermissionCode FROM role_permission');
+    const byRole = new Map();
+    rows.forEach(row => {
+        if (!byRole.has(row.RoleId)) byRole.set(row.RoleId, new Set());
+        byRole.get(row.RoleId).add(row.PermissionCode);
+    });
+    cache = { loadedAt: Date.now(), byRole };
+    return byRole;
+}
+
+// Call after changing role_permission so the change applies immediately
+function clearPermissionCache() {
+    cache = { loadedAt: 0, byRole: new Map() };
+}
+
+/**
+ * Permission codes granted to a role
+ * @returns {Promise<string[]>}
+ */
+async function getPermissionsForRole(roleId) {
+    if (roleId === undefined || roleId === null) return [];
+    const byRole = await loadRolePermissions();
+    return [...(byRole.get(Number(roleId)) || [])].sort();
+}
+
+/**
+ * Whether the (decoded JWT) user has the given permission.
+ * API keys (see lib/apiKeys) carry their own permissions instead of a role.
+ */
+async function hasPermission(user, permission) {
+    if (user && Array.isArray(user.apiKeyPermissions)) return user.apiKeyPermissions.includes(permission);
+    if (!user || user.roleId === undefined || user.roleId === null) return false;
+    const byRole = await loadRolePermissions();
+    const granted = byRole.get(Number(user.roleId));
+    return !!granted && granted.has(permission);
+}
+
+/**
+ * Middleware allowing the request when the user has any of the given permissions
+ * @param {...string} permissions
+ */
+function requirePermission(...permissions) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'No token, authorization denied' });
+        }
+        try {
+            for (const permission of permissions) {
+                if (await hasPermission(req.user, permission)) return next();
+            }
+            return res.status(403).json({
+                message: 'You do not have permission to perform this action',
+                requiredPermission: permissions.length === 1 ? permissions[0] : permissions
+            });
+        } catch (error) {
+            console.error('Error checking permissions:', error);
+            return res.status(500).json({ message: 'Error checking permissions', error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    requirePermission,
+    hasPermission,
+    getPermissionsForRole,
+    clearPermissionCache
+};
@@ -0,0 +1,73 @@
+// ticketAccessMiddleware.js
+// Enforces row-level ticket visibility (lib/ticketVisibility) on routes that address a single ticket.
+// Use after authMiddleware, e.g. router.get('/:ticketId', authMiddleware, requireTicketAccess('ticketId'), getTicket)
+
+const { getPool } = require('../config/db');
+const { getTicketScope, canViewTicket } = require('../lib/ticketVisibility');
+
+function sendNotFound(res, message) {
+    return res.status(404).json({ success: false, message });
+}
+
+async function checkTicket(req, res, next, ticketId, notFoundMessage) {
+    try {
+        const pool = getPool();
+        req.ticketScope = req.ticketScope || await getTicketScope(pool, req.user);
+        if (!(await canViewTicket(pool, req.ticketScope, ticketId))) {
+            return sendNotFound(res, notFoundMessage);
+        }
+        return next();
+    } catch (error) {
+        console.error('Error checking ticket access:', error);
+        return res.status(500).json({ message: 'Error checking ticket access', error: error.message });
+    }
+}
+
+/**
+ * Middleware allowing the request only when the ticket in req.params[param] is visible to the user
+ * @param {string} param - route parameter holding the ticket id
+ */
+function requireTicketAccess(param = 'ticketId') {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'No token, authorization denied' });
+        }
+        const ticketId = req.params[param];
+        if (!ticketId || isNaN(ticketId)) {
+            return res.status(400).json({ success: false, message: 'Valid ticket ID is required' });
+        }
+        return checkTicket(req, res, next, ticketId, 'Ticket not found');
+    };
+}
+
+/**
+ * Middleware allowing the request only when the attachment in req.params[param] belongs to a visible ticket
+ * @param {string} param - route parameter holding the attachment id
+ */
+function requireAttachmentAccess(param = 'attachmentId') {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'No token, authorization denied' });
+        }
+        const attachmentId = req.params[param];
+        if (!attachmentId || isNaN(attachmentId)) {
+            return res.status(400).json({ success: false, message: 'Valid attachment ID is required' });
+        }
+        try {
+            const [rows] = await getPool().query(
+                'SELECT TicketId FROM attachments WHERE Id = ? AND IsActive = 1',
+                [parseInt(attachmentId)]
+            );
+            if (rows.length === 0) return sendNotFound(res, 'Attachment not found');
+            return checkTicket(req, res, next, rows[0].TicketId, 'Attachment not found');
+        } catch (error) {
+            console.error('Error checking attachment access:', error);
+            return res.status(500).json({ message: 'Error checking ticket access', error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    requireTicketAccess,
+    requireAttachmentAccess
+};
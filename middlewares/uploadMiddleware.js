@@ -0,0 +1,44 @@
+// uploadMiddleware.js
+// Multer setups for multipart uploads. Files are kept in memory; handlers decide where they end up.
+// e.g. router.post('/', authMiddleware, upload.array('attachments', 10), createTicket)
+
+const multer = require('multer');
+
+// Ticket attachments: up to 10 files of 10MB each
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024,
+        files: 10
+    }
+});
+
+// A single CSV file for bulk imports
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const isCsv = /\.csv$/i.test(file.originalname || '') || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+        if (isCsv) return cb(null, true);
+        const error = new Error('Only .csv files can be imported');
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+    }
+});
+
+// Turn upload errors (size/count limits, wrong file type) into 400 responses; register after the routes
+function uploadErrorHandler(error, req, res, next) {
+    if (error && error.code && (error.code.startsWith('LIMIT_') || error.code === 'UNSUPPORTED_FILE_TYPE')) {
+        return res.status(400).json({ message: error.message });
+    }
+    next(error);
+}
+
+module.exports = {
+    upload,
+    csvUpload,
+    uploadErrorHandler
+};
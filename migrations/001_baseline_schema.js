@@ -0,0 +1,122 @@
+// Baseline schema: lookup tables, users, tickets and attachments.
+// Uses CREATE TABLE IF NOT EXISTS so it can be recorded against databases that were created by hand.
+
+const { columnExists, addColumnIfMissing } = require('../lib/migrator');
+
+const auditColumns = `
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) DEFAULT '1',`;
+
+const lookupTable = (name, extraColumns = '', extraKeys = '') => `
+    CREATE TABLE IF NOT EXISTS \`${name}\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`Name\` varchar(100) NOT NULL,${extraColumns}${auditColumns}
+      PRIMARY KEY (\`Id\`)${extraKeys}
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const categoryScopedColumns = `
+      \`CategoryId\` int DEFAULT NULL,`;
+const categoryScopedKeys = `,
+      INDEX \`idx_category_id\` (\`CategoryId\`)`;
+
+const createUserTable = `
+    CREATE TABLE IF NOT EXISTS \`user\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`uid\` varchar(128) DEFAULT NULL,
+      \`Name\` varchar(255) DEFAULT NULL,
+      \`email\` varchar(255) DEFAULT NULL,
+      \`password\` varchar(255) DEFAULT NULL,
+      \`roleId\` int DEFAULT NULL,
+      \`categoryId\` int DEFAULT NULL,${auditColumns}
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_user_uid\` (\`uid\`),
+      UNIQUE KEY \`uq_user_email\` (\`email\`),
+      CONSTRAINT \`fk_user_role\` FOREIGN KEY (\`roleId\`) REFERENCES \`role\` (\`Id\`) ON DELETE SET NULL ON UPDATE CASCADE,
+      CONSTRAINT \`fk_user_category\` FOREIGN KEY (\`categoryId\`) REFERENCES \`category\` (\`Id\`) ON DELETE SET NULL ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createTicketTable = `
+    CREATE TABLE IF NOT EXISTS \`ticket\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`Name\` varchar(150) NOT NULL,
+      \`ContactNumber\` varchar(50) DEFAULT NULL,
+      \`AssignerId\` int DEFAULT NULL,
+      \`IssueId\` int DEFAULT NULL,
+      \`RequestTypeId\` int DEFAULT NULL,
+      \`CompanyId\` int DEFAULT NULL,
+      \`DepartmentId\` int DEFAULT NULL,
+      \`Description\` text DEFAULT NULL,
+      \`CategoryId\` int DEFAULT NULL,
+      \`Status\` enum('OPEN','IN_PROGRESS','RESOLVED','CLOSED') DEFAULT 'OPEN',
+      \`SeverityLevel\` enum('LOW','MEDIUM','HIGH','CRITICAL') DEFAULT 'LOW',${auditColumns}
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_ticket_category\` (\`CategoryId\`),
+      INDEX \`idx_ticket_assigner\` (\`AssignerId\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createAttachmentsTable = `
+    CREATE TABLE IF NOT EXISTS \`attachments\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`Path\` varchar(255) NOT NULL,
+      \`TicketId\` int NOT NULL,${auditColumns}
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_ticket_id\` (\`TicketId\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+// Role ids are referenced directly in the controllers (e.g. roleId 3 = IT Head), so seed them with fixed ids
+const seedRoles = `
+    INSERT IGNORE INTO \`role\` (\`Id\`, \`Name\`, \`CreatedBy\`) VALUES
+      (1, 'Ticket Creator', 'System'),
+      (2, 'IT Team Member', 'System'),
+      (3, 'IT Head', 'System')
+`;
+
+module.exports = {
+    description: 'Create lookup, user, ticket and attachment tables',
+
+    async up(conn) {
+        await conn.query(lookupTable('role'));
+        await conn.query(lookupTable('category'));
+        await conn.query(lookupTable('department'));
+        await conn.query(lookupTable('company'));
+        await conn.query(lookupTable('requesttype', categoryScopedColumns, categoryScopedKeys));
+        await conn.query(lookupTable('issuetype', categoryScopedColumns, categoryScopedKeys));
+        await conn.query(seedRoles);
+
+        // Databases created by the old init() have snake_case role/category columns on user
+        if (await columnExists(conn, 'user', 'role_id') && !(await columnExists(conn, 'user', 'roleId'))) {
+            await conn.query('ALTER TABLE `user` RENAME COLUMN `role_id` TO `roleId`');
+        }
+        if (await columnExists(conn, 'user', 'category_id') && !(await columnExists(conn, 'user', 'categoryId'))) {
+            await conn.query('ALTER TABLE `user` RENAME COLUMN `category_id` TO `categoryId`');
+        }
+        await conn.query(createUserTable);
+        await addColumnIfMissing(conn, 'user', 'CreatedBy', 'varchar(150) DEFAULT NULL');
+        await addColumnIfMissing(conn, 'user', 'CreatedDate', 'datetime DEFAULT CURRENT_TIMESTAMP');
+        await addColumnIfMissing(conn, 'user', 'UpdatedBy', 'varchar(150) DEFAULT NULL');
+        await addColumnIfMissing(conn, 'user', 'UpdatedDate', 'datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+        await addColumnIfMissing(conn, 'user', 'IsActive', "tinyint(1) DEFAULT '1'");
+
+        await conn.query(createTicketTable);
+        await conn.query(createAttachmentsTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `attachments`');
+        await conn.query('DROP TABLE IF EXISTS `ticket`');
+        await conn.query('DROP TABLE IF EXISTS `user`');
+        await conn.query('DROP TABLE IF EXISTS `issuetype`');
+        await conn.query('DROP TABLE IF EXISTS `requesttype`');
+        await conn.query('DROP TABLE IF EXISTS `company`');
+        await conn.query('DROP TABLE IF EXISTS `department`');
+        await conn.query('DROP TABLE IF EXISTS `category`');
+        await conn.query('DROP TABLE IF EXISTS `role`');
+    }
+};
@@ -0,0 +1,40 @@
+// Requester email and approval workflow columns on ticket
+// (replaces the old database_migration_add_approval_columns.sql script)
+
+const { addColumnIfMissing, dropColumnIfExists, constraintExists } = require('../lib/migrator');
+
+module.exports = {
+    description: 'Add requester Email and approval workflow columns to ticket',
+
+    async up(conn) {
+        await addColumnIfMissing(conn, 'ticket', 'Email', 'varchar(255) DEFAULT NULL AFTER `ContactNumber`');
+        await addColumnIfMissing(conn, 'ticket', 'ApprovalStatus', "enum('Pending','Approved','Rejected') DEFAULT 'Pending' AFTER `Status`");
+        await addColumnIfMissing(conn, 'ticket', 'ActionedBy', 'int DEFAULT NULL AFTER `ApprovalStatus`');
+        await addColumnIfMissing(conn, 'ticket', 'ActionedDate', 'datetime DEFAULT NULL AFTER `ActionedBy`');
+        await addColumnIfMissing(conn, 'ticket', 'ActionComments', 'text DEFAULT NULL AFTER `ActionedDate`');
+        await addColumnIfMissing(conn, 'ticket', 'ApprovalToken', 'varchar(255) DEFAULT NULL UNIQUE AFTER `ActionComments`');
+        await addColumnIfMissing(conn, 'ticket', 'TokenExpiry', 'datetime DEFAULT NULL AFTER `ApprovalToken`');
+
+        if (!(await constraintExists(conn, 'ticket', 'fk_ticket_actioned_by'))) {
+            await conn.query(`
+                ALTER TABLE \`ticket\`
+                ADD CONSTRAINT \`fk_ticket_actioned_by\`
+                FOREIGN KEY (\`ActionedBy\`) REFERENCES \`user\` (\`Id\`)
+                ON DELETE SET NULL
+            `);
+        }
+    },
+
+    async down(conn) {
+        if (await constraintExists(conn, 'ticket', 'fk_ticket_actioned_by')) {
+            await conn.query('ALTER TABLE `ticket` DROP FOREIGN KEY `fk_ticket_actioned_by`');
+        }
+        await dropColumnIfExists(conn, 'ticket', 'TokenExpiry');
+        await dropColumnIfExists(conn, 'ticket', 'ApprovalToken');
+        await dropColumnIfExists(conn, 'ticket', 'ActionComments');
+        await dropColumnIfExists(conn, 'ticket', 'ActionedDate');
+        await dropColumnIfExists(conn, 'ticket', 'ActionedBy');
+        await dropColumnIfExists(conn, 'ticket', 'ApprovalStatus');
+        await dropColumnIfExists(conn, 'ticket', 'Email');
+    }
+};
@@ -0,0 +1,35 @@
+// Ticket status values used by the approval workflow
+// (replaces the old database_migration_update_status_enum.sql script)
+
+module.exports = {
+    description: 'Extend ticket Status enum with workflow statuses',
+
+    async up(conn) {
+        // Widen first so legacy values survive, map them onto the new lifecycle, then narrow
+        await conn.query(`
+            ALTER TABLE \`ticket\`
+            MODIFY COLUMN \`Status\` enum('NEW','OPEN','PROCESSING','COMPLETED','ON_HOLD','PENDING APPROVAL','APPROVED','REJECTED','CLOSED','IN_PROGRESS','RESOLVED') DEFAULT 'NEW'
+        `);
+        await conn.query("UPDATE `ticket` SET `Status` = 'PROCESSING' WHERE `Status` = 'IN_PROGRESS'");
+        await conn.query("UPDATE `ticket` SET `Status` = 'COMPLETED' WHERE `Status` = 'RESOLVED'");
+        await conn.query(`
+            ALTER TABLE \`ticket\`
+            MODIFY COLUMN \`Status\` enum('NEW','OPEN','PROCESSING','COMPLETED','ON_HOLD','PENDING APPROVAL','APPROVED','REJECTED','CLOSED') DEFAULT 'NEW'
+        `);
+    },
+
+    async down(conn) {
+        await conn.query(`
+            ALTER TABLE \`ticket\`
+            MODIFY COLUMN \`Status\` enum('NEW','OPEN','PROCESSING','COMPLETED','ON_HOLD','PENDING APPROVAL','APPROVED','REJECTED','CLOSED','IN_PROGRESS','RESOLVED') DEFAULT 'OPEN'
+        `);
+        await conn.query("UPDATE `ticket` SET `Status` = 'OPEN' WHERE `Status` IN ('NEW', 'PENDING APPROVAL', 'APPROVED')");
+        await conn.query("UPDATE `ticket` SET `Status` = 'IN_PROGRESS' WHERE `Status` IN ('PROCESSING', 'ON_HOLD')");
+        await conn.query("UPDATE `ticket` SET `Status` = 'RESOLVED' WHERE `Status` = 'COMPLETED'");
+        await conn.query("UPDATE `ticket` SET `Status` = 'CLOSED' WHERE `Status` = 'REJECTED'");
+        await conn.query(`
+            ALTER TABLE \`ticket\`
+            MODIFY COLUMN \`Status\` enum('OPEN','IN_PROGRESS','RESOLVED','CLOSED') DEFAULT 'OPEN'
+        `);
+    }
+};
@@ -0,0 +1,30 @@
+// Ticket comments (used by addComment / getComments)
+
+const createCommentTable = `
+    CREATE TABLE IF NOT EXISTS \`comment\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`TicketId\` int NOT NULL,
+      \`Comment\` text NOT NULL,
+      \`UserId\` int DEFAULT NULL,
+      \`Name\` varchar(255) DEFAULT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) DEFAULT '1',
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_comment_ticket\` (\`TicketId\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create comment table',
+
+    async up(conn) {
+        await conn.query(createCommentTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `comment`');
+    }
+};
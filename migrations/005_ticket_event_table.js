@@ -0,0 +1,30 @@
+// Append-only ticket activity log (status, assignment, approval and comment events)
+
+const createTicketEventTable = `
+    CREATE TABLE IF NOT EXISTS \`ticket_event\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`TicketId\` int NOT NULL,
+      \`EventType\` varchar(50) NOT NULL,
+      \`OldValue\` varchar(255) DEFAULT NULL,
+      \`NewValue\` varchar(255) DEFAULT NULL,
+      \`Note\` text DEFAULT NULL,
+      \`ActorId\` int DEFAULT NULL,
+      \`ActorName\` varchar(255) DEFAULT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime(3) DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_ticket_event_ticket\` (\`TicketId\`, \`CreatedDate\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create ticket_event audit log table',
+
+    async up(conn) {
+        await conn.query(createTicketEventTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `ticket_event`');
+    }
+};
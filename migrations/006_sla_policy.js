@@ -0,0 +1,69 @@
+// SLA policies (first-response / resolution targets per severity, optionally per category)
+// and the SLA tracking columns on ticket
+
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('../lib/migrator');
+
+const createSlaPolicyTable = `
+    CREATE TABLE IF NOT EXISTS \`sla_policy\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`SeverityLevel\` enum('LOW','MEDIUM','HIGH','CRITICAL') NOT NULL,
+      \`CategoryId\` int DEFAULT NULL,
+      \`ResponseMinutes\` int NOT NULL,
+      \`ResolutionMinutes\` int NOT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) DEFAULT '1',
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_sla_policy_lookup\` (\`SeverityLevel\`, \`CategoryId\`),
+      CONSTRAINT \`fk_sla_policy_category\` FOREIGN KEY (\`CategoryId\`) REFERENCES \`category\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+// Default targets for all categories (minutes)
+const seedDefaultPolicies = `
+    INSERT INTO \`sla_policy\` (\`SeverityLevel\`, \`CategoryId\`, \`ResponseMinutes\`, \`ResolutionMinutes\`, \`CreatedBy\`) VALUES
+      ('CRITICAL', NULL, 30, 240, 'System'),
+      ('HIGH', NULL, 60, 480, 'System'),
+      ('MEDIUM', NULL, 240, 1440, 'System'),
+      ('LOW', NULL, 480, 2880, 'System')
+`;
+
+module.exports = {
+    description: 'Create sla_policy table and add SLA tracking columns to ticket',
+
+    async up(conn) {
+        await conn.query(createSlaPolicyTable);
+        const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM `sla_policy`');
+        if (count === 0) {
+            await conn.query(seedDefaultPolicies);
+        }
+
+        await addColumnIfMissing(conn, 'ticket', 'SlaPolicyId', 'int DEFAULT NULL');
+        await addColumnIfMissing(conn, 'ticket', 'ResponseDueDate', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'ticket', 'ResolutionDueDate', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'ticket', 'FirstResponseDate', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'ticket', 'ResolvedDate', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'ticket', 'SlaPausedAt', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'ticket', 'SlaPausedMinutes', 'int NOT NULL DEFAULT 0');
+
+        if (!(await indexExists(conn, 'ticket', 'idx_ticket_resolution_due'))) {
+            await conn.query('ALTER TABLE `ticket` ADD INDEX `idx_ticket_resolution_due` (`ResolutionDueDate`)');
+        }
+    },
+
+    async down(conn) {
+        if (await indexExists(conn, 'ticket', 'idx_ticket_resolution_due')) {
+            await conn.query('ALTER TABLE `ticket` DROP INDEX `idx_ticket_resolution_due`');
+        }
+        await dropColumnIfExists(conn, 'ticket', 'SlaPausedMinutes');
+        await dropColumnIfExists(conn, 'ticket', 'SlaPausedAt');
+        await dropColumnIfExists(conn, 'ticket', 'ResolvedDate');
+        await dropColumnIfExists(conn, 'ticket', 'FirstResponseDate');
+        await dropColumnIfExists(conn, 'ticket', 'ResolutionDueDate');
+        await dropColumnIfExists(conn, 'ticket', 'ResponseDueDate');
+        await dropColumnIfExists(conn, 'ticket', 'SlaPolicyId');
+        await conn.query('DROP TABLE IF EXISTS `sla_policy`');
+    }
+};
@@ -0,0 +1,95 @@
+// Business calendar used for SLA due dates: timezone, weekly working hours and holidays.
+// Also stores the "at risk" point of each SLA target, since it is measured in business time too.
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/migrator');
+
+const auditColumns = `
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) DEFAULT '1',`;
+
+const createBusinessCalendarTable = `
+    CREATE TABLE IF NOT EXISTS \`business_calendar\` (
+      \`Id\` int NOT NULL,
+      \`Name\` varchar(100) NOT NULL,
+      \`Timezone\` varchar(64) NOT NULL,${auditColumns}
+      PRIMARY KEY (\`Id\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createBusinessHoursTable = `
+    CREATE TABLE IF NOT EXISTS \`business_hours\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`DayOfWeek\` tinyint NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+      \`StartTime\` time NOT NULL,
+      \`EndTime\` time NOT NULL,${auditColumns}
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_business_hours_day\` (\`DayOfWeek\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createHolidayTable = `
+    CREATE TABLE IF NOT EXISTS \`holiday\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`HolidayDate\` date NOT NULL,
+      \`Name\` varchar(150) NOT NULL,
+      \`Type\` enum('PUBLIC','POYA','COMPANY') NOT NULL DEFAULT 'PUBLIC',${auditColumns}
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_holiday_date\` (\`HolidayDate\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+// Office hours: Monday to Friday, 08:30 - 17:00 Sri Lanka time
+const seedCalendar = `
+    INSERT IGNORE INTO \`business_calendar\` (\`Id\`, \`Name\`, \`Timezone\`, \`CreatedBy\`) VALUES
+      (1, 'Office hours', 'Asia/Colombo', 'System')
+`;
+const seedBusinessHours = `
+    INSERT INTO \`business_hours\` (\`DayOfWeek\`, \`StartTime\`, \`EndTime\`, \`CreatedBy\`) VALUES
+      (1, '08:30:00', '17:00:00', 'System'),
+      (2, '08:30:00', '17:00:00', 'System'),
+      (3, '08:30:00', '17:00:00', 'System'),
+      (4, '08:30:00', '17:00:00', 'System'),
+      (5, '08:30:00', '17:00:00', 'System')
+`;
+
+module.exports = {
+    description: 'Create business calendar, business hours and holiday tables',
+
+    async up(conn) {
+        await conn.query(createBusinessCalendarTable);
+        await conn.query(createBusinessHoursTable);
+        await conn.query(createHolidayTable);
+
+        await conn.query(seedCalendar);
+        const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM `business_hours`');
+        if (count === 0) {
+            await conn.query(seedBusinessHours);
+        }
+
+        await addColumnIfMissing(conn, 'ticket', 'ResponseAtRiskDate', 'datetime DEFAULT NULL AFTER `ResponseDueDate`');
+        await addColumnIfMissing(conn, 'ticket', 'ResolutionAtRiskDate', 'datetime DEFAULT NULL AFTER `ResolutionDueDate`');
+
+        // Tickets that already have due dates: at risk once the last quarter of the window starts
+        await conn.query(`
+            UPDATE \`ticket\`
+            SET \`ResponseAtRiskDate\` = DATE_SUB(\`ResponseDueDate\`, INTERVAL FLOOR(TIMESTAMPDIFF(SECOND, \`CreatedDate\`, \`ResponseDueDate\`) * 0.25) SECOND)
+            WHERE \`ResponseDueDate\` IS NOT NULL AND \`ResponseAtRiskDate\` IS NULL
+        `);
+        await conn.query(`
+            UPDATE \`ticket\`
+            SET \`ResolutionAtRiskDate\` = DATE_SUB(\`ResolutionDueDate\`, INTERVAL FLOOR(TIMESTAMPDIFF(SECOND, \`CreatedDate\`, \`ResolutionDueDate\`) * 0.25) SECOND)
+            WHERE \`ResolutionDueDate\` IS NOT NULL AND \`ResolutionAtRiskDate\` IS NULL
+        `);
+    },
+
+    async down(conn) {
+        await dropColumnIfExists(conn, 'ticket', 'ResolutionAtRiskDate');
+        await dropColumnIfExists(conn, 'ticket', 'ResponseAtRiskDate');
+        await conn.query('DROP TABLE IF EXISTS `holiday`');
+        await conn.query('DROP TABLE IF EXISTS `business_hours`');
+        await conn.query('DROP TABLE IF EXISTS `business_calendar`');
+    }
+};
@@ -0,0 +1,65 @@
+// Escalation rules for the background escalation job, and the log of escalations already done
+// (one row per ticket and rule, so a ticket is never escalated twice by the same rule)
+
+const auditColumns = `
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) DEFAULT '1',`;
+
+const createEscalationRuleTable = `
+    CREATE TABLE IF NOT EXISTS \`escalation_rule\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`Name\` varchar(150) NOT NULL,
+      \`Status\` varchar(30) DEFAULT NULL COMMENT 'NULL matches any open status',
+      \`SeverityLevel\` enum('LOW','MEDIUM','HIGH','CRITICAL') DEFAULT NULL COMMENT 'NULL matches any severity',
+      \`TriggerType\` enum('AGE','SLA_AT_RISK','SLA_BREACHED') NOT NULL,
+      \`AgeMinutes\` int DEFAULT NULL COMMENT 'Business minutes in the current status (AGE rules)',
+      \`Action\` enum('NOTIFY','BUMP_SEVERITY','REASSIGN') NOT NULL DEFAULT 'NOTIFY',
+      \`ReassignToUserId\` int DEFAULT NULL,${auditColumns}
+      PRIMARY KEY (\`Id\`),
+      CONSTRAINT \`fk_escalation_rule_user\` FOREIGN KEY (\`ReassignToUserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createTicketEscalationTable = `
+    CREATE TABLE IF NOT EXISTS \`ticket_escalation\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`TicketId\` int NOT NULL,
+      \`RuleId\` int NOT NULL,
+      \`Action\` varchar(30) NOT NULL,
+      \`Details\` varchar(500) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_ticket_escalation\` (\`TicketId\`, \`RuleId\`),
+      CONSTRAINT \`fk_ticket_escalation_ticket\` FOREIGN KEY (\`TicketId\`) REFERENCES \`ticket\` (\`Id\`) ON DELETE CASCADE,
+      CONSTRAINT \`fk_ticket_escalation_rule\` FOREIGN KEY (\`RuleId\`) REFERENCES \`escalation_rule\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const seedRules = `
+    INSERT INTO \`escalation_rule\` (\`Name\`, \`Status\`, \`SeverityLevel\`, \`TriggerType\`, \`AgeMinutes\`, \`Action\`, \`CreatedBy\`) VALUES
+      ('Critical ticket not picked up', 'NEW', 'CRITICAL', 'AGE', 60, 'NOTIFY', 'System'),
+      ('High ticket not picked up', 'NEW', 'HIGH', 'AGE', 240, 'NOTIFY', 'System'),
+      ('Medium ticket waiting a full day', 'NEW', 'MEDIUM', 'AGE', 510, 'BUMP_SEVERITY', 'System'),
+      ('SLA breached', NULL, NULL, 'SLA_BREACHED', NULL, 'NOTIFY', 'System')
+`;
+
+module.exports = {
+    description: 'Create escalation_rule and ticket_escalation tables',
+
+    async up(conn) {
+        await conn.query(createEscalationRuleTable);
+        await conn.query(createTicketEscalationTable);
+        const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM `escalation_rule`');
+        if (count === 0) {
+            await conn.query(seedRules);
+        }
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `ticket_escalation`');
+        await conn.query('DROP TABLE IF EXISTS `escalation_rule`');
+    }
+};
@@ -0,0 +1,78 @@
+// Role-based permissions. The seeded grants match what each role does today:
+//   1 Ticket Creator  - raise tickets, comment, see the full ticket list
+//   2 IT Team Member  - work tickets in their category (status, assignment, comments)
+//   3 IT Head         - everything, including approvals and administration
+
+const createPermissionTable = `
+    CREATE TABLE IF NOT EXISTS \`permission\` (
+      \`Code\` varchar(50) NOT NULL,
+      \`Description\` varchar(255) NOT NULL,
+      PRIMARY KEY (\`Code\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createRolePermissionTable = `
+    CREATE TABLE IF NOT EXISTS \`role_permission\` (
+      \`RoleId\` int NOT NULL,
+      \`PermissionCode\` varchar(50) NOT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`RoleId\`, \`PermissionCode\`),
+      CONSTRAINT \`fk_role_permission_role\` FOREIGN KEY (\`RoleId\`) REFERENCES \`role\` (\`Id\`) ON DELETE CASCADE,
+      CONSTRAINT \`fk_role_permission_code\` FOREIGN KEY (\`PermissionCode\`) REFERENCES \`permission\` (\`Code\`) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const PERMISSIONS = [
+    ['ticket.create', 'Raise new tickets'],
+    ['ticket.view_all', 'List all tickets across categories'],
+    ['ticket.comment', 'Add comments to tickets'],
+    ['ticket.update_status', 'Change ticket status'],
+    ['ticket.assign', 'Assign or reassign tickets'],
+    ['ticket.approve', 'Approve or reject tickets awaiting approval'],
+    ['user.manage', 'Create users and manage roles and permissions'],
+    ['lookup.manage', 'Manage departments, companies, categories, request and issue types'],
+    ['sla.manage', 'Manage SLA policies, the business calendar and escalation rules'],
+    ['email.send', 'Send emails and read the support mailbox through the API'],
+    ['system.debug', 'Use diagnostic and email test endpoints']
+];
+
+const ROLE_PERMISSIONS = {
+    1: ['ticket.create', 'ticket.view_all', 'ticket.comment', 'email.send'],
+    2: ['ticket.create', 'ticket.comment', 'ticket.update_status', 'ticket.assign', 'email.send'],
+    3: PERMISSIONS.map(([code]) => code)
+};
+
+module.exports = {
+    description: 'Create permission and role_permission tables with default grants',
+
+    async up(conn) {
+        await conn.query(createPermissionTable);
+        await conn.query(createRolePermissionTable);
+
+        await conn.query(
+            'INSERT IGNORE INTO `permission` (`Code`, `Description`) VALUES ?',
+            [PERMISSIONS]
+        );
+
+        const grants = [];
+        Object.entries(ROLE_PERMISSIONS).forEach(([roleId, codes]) => {
+            codes.forEach(code => grants.push([parseInt(roleId), code, 'System']));
+        });
+        // Only grant to roles that exist (hand-built databases may not have all three)
+        const [roles] = await conn.query('SELECT `Id` FROM `role`');
+        const roleIds = new Set(roles.map(r => r.Id));
+        const rows = grants.filter(([roleId]) => roleIds.has(roleId));
+        if (rows.length > 0) {
+            await conn.query(
+                'INSERT IGNORE INTO `role_permission` (`RoleId`, `PermissionCode`, `CreatedBy`) VALUES ?',
+                [rows]
+            );
+        }
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `role_permission`');
+        await conn.query('DROP TABLE IF EXISTS `permission`');
+    }
+};
@@ -0,0 +1,48 @@
+// Server-side login sessions and their refresh tokens.
+// Access tokens carry the session id (sid) so a session can be revoked before the JWT expires.
+// Refresh tokens are stored as SHA-256 hashes and rotated on every use; a used token that is
+// presented again marks the session as compromised and revokes it.
+
+const createAuthSessionTable = `
+    CREATE TABLE IF NOT EXISTS \`auth_session\` (
+      \`Id\` char(36) NOT NULL,
+      \`UserId\` int NOT NULL,
+      \`UserAgent\` varchar(255) DEFAULT NULL,
+      \`IpAddress\` varchar(64) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`LastUsedDate\` datetime DEFAULT NULL,
+      \`ExpiresAt\` datetime NOT NULL,
+      \`RevokedAt\` datetime DEFAULT NULL,
+      \`RevokedReason\` varchar(50) DEFAULT NULL,
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_auth_session_user\` (\`UserId\`, \`RevokedAt\`),
+      CONSTRAINT \`fk_auth_session_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createRefreshTokenTable = `
+    CREATE TABLE IF NOT EXISTS \`refresh_token\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`SessionId\` char(36) NOT NULL,
+      \`TokenHash\` char(64) NOT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UsedAt\` datetime DEFAULT NULL COMMENT 'Set when the token is rotated; presenting it again is reuse',
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_refresh_token_hash\` (\`TokenHash\`),
+      CONSTRAINT \`fk_refresh_token_session\` FOREIGN KEY (\`SessionId\`) REFERENCES \`auth_session\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create auth_session and refresh_token tables for refresh tokens and session revocation',
+
+    async up(conn) {
+        await conn.query(createAuthSessionTable);
+        await conn.query(createRefreshTokenTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `refresh_token`');
+        await conn.query('DROP TABLE IF EXISTS `auth_session`');
+    }
+};
@@ -0,0 +1,36 @@
+// Failed sign-in tracking for brute-force protection.
+// login_attempt keeps recent attempts (per email and IP address; lib/loginThrottle.js deletes old ones); the user columns hold the
+// consecutive failure count and the temporary lock set after too many failures.
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/migrator');
+
+const createLoginAttemptTable = `
+    CREATE TABLE IF NOT EXISTS \`login_attempt\` (
+      \`Id\` bigint NOT NULL AUTO_INCREMENT,
+      \`Email\` varchar(255) DEFAULT NULL,
+      \`IpAddress\` varchar(64) DEFAULT NULL,
+      \`Succeeded\` tinyint(1) NOT NULL DEFAULT '0',
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_login_attempt_email\` (\`Email\`, \`CreatedDate\`),
+      INDEX \`idx_login_attempt_ip\` (\`IpAddress\`, \`CreatedDate\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create login_attempt table and add failed-login lockout columns to user',
+
+    async up(conn) {
+        await conn.query(createLoginAttemptTable);
+        await addColumnIfMissing(conn, 'user', 'FailedLoginCount', 'int NOT NULL DEFAULT 0');
+        await addColumnIfMissing(conn, 'user', 'LastFailedLoginDate', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'user', 'LockedUntil', 'datetime DEFAULT NULL');
+    },
+
+    async down(conn) {
+        await dropColumnIfExists(conn, 'user', 'LockedUntil');
+        await dropColumnIfExists(conn, 'user', 'LastFailedLoginDate');
+        await dropColumnIfExists(conn, 'user', 'FailedLoginCount');
+        await conn.query('DROP TABLE IF EXISTS `login_attempt`');
+    }
+};
@@ -0,0 +1,39 @@
+// TOTP two-factor authentication: per-user secret and recovery codes, and a per-role requirement.
+// TotpSecret is encrypted (lib/totp) and only counts once TotpEnabled is set after the first code is verified.
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/migrator');
+
+const createRecoveryCodeTable = `
+    CREATE TABLE IF NOT EXISTS \`user_recovery_code\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`UserId\` int NOT NULL,
+      \`CodeHash\` char(64) NOT NULL,
+      \`UsedAt\` datetime DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_recovery_code_user\` (\`UserId\`, \`CodeHash\`),
+      CONSTRAINT \`fk_recovery_code_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Add TOTP two-factor columns, recovery codes and the per-role 2FA requirement',
+
+    async up(conn) {
+        await addColumnIfMissing(conn, 'user', 'TotpSecret', 'varchar(255) DEFAULT NULL');
+        await addColumnIfMissing(conn, 'user', 'TotpEnabled', "tinyint(1) NOT NULL DEFAULT '0'");
+        await addColumnIfMissing(conn, 'user', 'TotpEnabledDate', 'datetime DEFAULT NULL');
+        await addColumnIfMissing(conn, 'user', 'TotpLastUsedStep', 'bigint DEFAULT NULL');
+        await addColumnIfMissing(conn, 'role', 'RequireTwoFactor', "tinyint(1) NOT NULL DEFAULT '0'");
+        await conn.query(createRecoveryCodeTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `user_recovery_code`');
+        await dropColumnIfExists(conn, 'role', 'RequireTwoFactor');
+        await dropColumnIfExists(conn, 'user', 'TotpLastUsedStep');
+        await dropColumnIfExists(conn, 'user', 'TotpEnabledDate');
+        await dropColumnIfExists(conn, 'user', 'TotpEnabled');
+        await dropColumnIfExists(conn, 'user', 'TotpSecret');
+    }
+};
@@ -0,0 +1,36 @@
+// Single-use invitation and password reset tokens, and the flag that forces a password change.
+// Only a SHA-256 hash of each token is stored; ConsumedAt is set when it is used, after which it is refused.
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../lib/migrator');
+
+const createPasswordTokenTable = `
+    CREATE TABLE IF NOT EXISTS \`password_token\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`UserId\` int NOT NULL,
+      \`Purpose\` enum('INVITE','RESET') NOT NULL,
+      \`TokenHash\` char(64) NOT NULL,
+      \`ExpiresAt\` datetime NOT NULL,
+      \`ConsumedAt\` datetime DEFAULT NULL,
+      \`ConsumedReason\` varchar(50) DEFAULT NULL COMMENT 'USED, or SUPERSEDED when a newer token was issued',
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_password_token_hash\` (\`TokenHash\`),
+      INDEX \`idx_password_token_user\` (\`UserId\`, \`Purpose\`, \`ConsumedAt\`),
+      CONSTRAINT \`fk_password_token_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create password_token for invitation/reset links and add user.MustChangePassword',
+
+    async up(conn) {
+        await conn.query(createPasswordTokenTable);
+        await addColumnIfMissing(conn, 'user', 'MustChangePassword', "tinyint(1) NOT NULL DEFAULT '0'");
+    },
+
+    async down(conn) {
+        await dropColumnIfExists(conn, 'user', 'MustChangePassword');
+        await conn.query('DROP TABLE IF EXISTS `password_token`');
+    }
+};
@@ -0,0 +1,26 @@
+// Previous password hashes, so the password policy can refuse recently used passwords.
+// Only the most recent PASSWORD_HISTORY_COUNT entries per user are kept (lib/passwordPolicy prunes older ones).
+
+const createPasswordHistoryTable = `
+    CREATE TABLE IF NOT EXISTS \`password_history\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`UserId\` int NOT NULL,
+      \`PasswordHash\` varchar(255) NOT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP COMMENT 'When this password was replaced',
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_password_history_user\` (\`UserId\`, \`Id\`),
+      CONSTRAINT \`fk_password_history_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create password_history for the password reuse check',
+
+    async up(conn) {
+        await conn.query(createPasswordHistoryTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `password_history`');
+    }
+};
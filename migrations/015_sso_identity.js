@@ -0,0 +1,25 @@
+// Link users to their single sign-on identity.
+// OidcSubject is "<issuer>|<sub>" from the ID token, so an account stays tied to one directory identity
+// even if the email address is later reused.
+
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('../lib/migrator');
+
+module.exports = {
+    description: 'Add user.OidcSubject and LastSsoLoginDate for OpenID Connect sign-in',
+
+    async up(conn) {
+        await addColumnIfMissing(conn, 'user', 'OidcSubject', 'varchar(255) DEFAULT NULL');
+        await addColumnIfMissing(conn, 'user', 'LastSsoLoginDate', 'datetime DEFAULT NULL');
+        if (!(await indexExists(conn, 'user', 'uq_user_oidc_subject'))) {
+            await conn.query('ALTER TABLE `user` ADD UNIQUE INDEX `uq_user_oidc_subject` (`OidcSubject`)');
+        }
+    },
+
+    async down(conn) {
+        if (await indexExists(conn, 'user', 'uq_user_oidc_subject')) {
+            await conn.query('ALTER TABLE `user` DROP INDEX `uq_user_oidc_subject`');
+        }
+        await dropColumnIfExists(conn, 'user', 'LastSsoLoginDate');
+        await dropColumnIfExists(conn, 'user', 'OidcSubject');
+    }
+};
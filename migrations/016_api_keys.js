@@ -0,0 +1,50 @@
+// API keys for service accounts (monitoring tools, scripts).
+// Only a SHA-256 hash of each key is stored; KeyPrefix is the visible start of the key so admins can tell keys apart.
+// A key has its own permissions (api_key_permission, like role_permission) and can be limited to one category.
+
+const createApiKeyTable = `
+    CREATE TABLE IF NOT EXISTS \`api_key\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`Name\` varchar(100) NOT NULL,
+      \`KeyPrefix\` varchar(16) NOT NULL,
+      \`KeyHash\` char(64) NOT NULL,
+      \`CategoryId\` int DEFAULT NULL COMMENT 'When set, tickets can only be created in this category',
+      \`ExpiresAt\` datetime DEFAULT NULL,
+      \`LastUsedAt\` datetime DEFAULT NULL,
+      \`LastUsedIp\` varchar(64) DEFAULT NULL,
+      \`RevokedAt\` datetime DEFAULT NULL,
+      \`RevokedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) NOT NULL DEFAULT '1',
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_api_key_hash\` (\`KeyHash\`),
+      CONSTRAINT \`fk_api_key_category\` FOREIGN KEY (\`CategoryId\`) REFERENCES \`category\` (\`Id\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createApiKeyPermissionTable = `
+    CREATE TABLE IF NOT EXISTS \`api_key_permission\` (
+      \`ApiKeyId\` int NOT NULL,
+      \`PermissionCode\` varchar(50) NOT NULL,
+      PRIMARY KEY (\`ApiKeyId\`, \`PermissionCode\`),
+      CONSTRAINT \`fk_api_key_permission_key\` FOREIGN KEY (\`ApiKeyId\`) REFERENCES \`api_key\` (\`Id\`) ON DELETE CASCADE,
+      CONSTRAINT \`fk_api_key_permission_code\` FOREIGN KEY (\`PermissionCode\`) REFERENCES \`permission\` (\`Code\`) ON DELETE CASCADE ON UPDATE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create api_key and api_key_permission for service accounts',
+
+    async up(conn) {
+        await conn.query(createApiKeyTable);
+        await conn.query(createApiKeyPermissionTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `api_key_permission`');
+        await conn.query('DROP TABLE IF EXISTS `api_key`');
+    }
+};
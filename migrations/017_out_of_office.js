@@ -0,0 +1,36 @@
+// Out-of-office windows. While a window is running, new assignments for the user go to the delegate,
+// the delegate may approve on the user's behalf and notifications for the user are sent to the delegate.
+// Windows are cancelled by setting IsActive = 0 so the history of who covered for whom is kept.
+
+const createOutOfOfficeTable = `
+    CREATE TABLE IF NOT EXISTS \`out_of_office\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`UserId\` int NOT NULL,
+      \`DelegateUserId\` int NOT NULL,
+      \`StartDate\` datetime NOT NULL,
+      \`EndDate\` datetime NOT NULL,
+      \`Note\` varchar(255) DEFAULT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      \`IsActive\` tinyint(1) NOT NULL DEFAULT '1',
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_out_of_office_user\` (\`UserId\`, \`StartDate\`, \`EndDate\`),
+      INDEX \`idx_out_of_office_delegate\` (\`DelegateUserId\`, \`StartDate\`, \`EndDate\`),
+      CONSTRAINT \`fk_out_of_office_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE,
+      CONSTRAINT \`fk_out_of_office_delegate\` FOREIGN KEY (\`DelegateUserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create out_of_office for delegation while users are away',
+
+    async up(conn) {
+        await conn.query(createOutOfOfficeTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `out_of_office`');
+    }
+};
@@ -0,0 +1,27 @@
+// Department of each user, so users can be onboarded per company/department (bulk CSV import).
+
+const { addColumnIfMissing, dropColumnIfExists, constraintExists } = require('../lib/migrator');
+
+module.exports = {
+    description: 'Add user.departmentId',
+
+    async up(conn) {
+        await addColumnIfMissing(conn, 'user', 'departmentId', 'int DEFAULT NULL AFTER `categoryId`');
+
+        if (!(await constraintExists(conn, 'user', 'fk_user_department'))) {
+            await conn.query(`
+                ALTER TABLE \`user\`
+                ADD CONSTRAINT \`fk_user_department\`
+                FOREIGN KEY (\`departmentId\`) REFERENCES \`department\` (\`Id\`)
+                ON DELETE SET NULL ON UPDATE CASCADE
+            `);
+        }
+    },
+
+    async down(conn) {
+        if (await constraintExists(conn, 'user', 'fk_user_department')) {
+            await conn.query('ALTER TABLE `user` DROP FOREIGN KEY `fk_user_department`');
+        }
+        await dropColumnIfExists(conn, 'user', 'departmentId');
+    }
+};
@@ -0,0 +1,48 @@
+// Personal notification preferences per user, event type and channel, plus the in-app/digest notifications
+// they produce. Only explicit choices are stored; missing rows fall back to the defaults in
+// lib/notificationPreferences (email and in-app on, digest off).
+
+const createNotificationPreferenceTable = `
+    CREATE TABLE IF NOT EXISTS \`notification_preference\` (
+      \`UserId\` int NOT NULL,
+      \`EventType\` enum('TICKET_CREATED','ASSIGNED_TO_ME','STATUS_CHANGED','COMMENT_ADDED','APPROVAL_NEEDED') NOT NULL,
+      \`Channel\` enum('EMAIL','IN_APP','DIGEST') NOT NULL,
+      \`Enabled\` tinyint(1) NOT NULL DEFAULT '1',
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`UserId\`, \`EventType\`, \`Channel\`),
+      CONSTRAINT \`fk_notification_preference_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createNotificationTable = `
+    CREATE TABLE IF NOT EXISTS \`notification\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`UserId\` int NOT NULL,
+      \`TicketId\` int DEFAULT NULL,
+      \`EventType\` enum('TICKET_CREATED','ASSIGNED_TO_ME','STATUS_CHANGED','COMMENT_ADDED','APPROVAL_NEEDED') NOT NULL,
+      \`Channel\` enum('IN_APP','DIGEST') NOT NULL,
+      \`Message\` varchar(500) NOT NULL,
+      \`ReadAt\` datetime DEFAULT NULL,
+      \`DigestSentAt\` datetime DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_notification_user\` (\`UserId\`, \`Channel\`, \`ReadAt\`),
+      INDEX \`idx_notification_digest\` (\`Channel\`, \`DigestSentAt\`),
+      CONSTRAINT \`fk_notification_user\` FOREIGN KEY (\`UserId\`) REFERENCES \`user\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create notification_preference and notification',
+
+    async up(conn) {
+        await conn.query(createNotificationPreferenceTable);
+        await conn.query(createNotificationTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `notification`');
+        await conn.query('DROP TABLE IF EXISTS `notification_preference`');
+    }
+};
@@ -0,0 +1,34 @@
+// Log of messages read from the IT mailbox by the mail ingestion job. The unique MessageId stops a message
+// from being turned into a ticket twice when marking it as read (or moving the .eml file) fails.
+
+const createInboundEmailTable = `
+    CREATE TABLE IF NOT EXISTS \`inbound_email\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`Source\` varchar(20) NOT NULL,
+      \`MessageId\` varchar(255) NOT NULL,
+      \`FromAddress\` varchar(255) DEFAULT NULL,
+      \`Subject\` varchar(255) DEFAULT NULL,
+      \`Outcome\` enum('TICKET_CREATED','COMMENT_ADDED','IGNORED','FAILED') NOT NULL,
+      \`TicketId\` int DEFAULT NULL,
+      \`CommentId\` int DEFAULT NULL,
+      \`Error\` varchar(500) DEFAULT NULL,
+      \`Attempts\` int NOT NULL DEFAULT '1',
+      \`ReceivedDate\` datetime DEFAULT NULL,
+      \`ProcessedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_inbound_email_message\` (\`MessageId\`),
+      INDEX \`idx_inbound_email_ticket\` (\`TicketId\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create inbound_email for email-to-ticket ingestion',
+
+    async up(conn) {
+        await conn.query(createInboundEmailTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `inbound_email`');
+    }
+};
@@ -0,0 +1,102 @@
+// Outbound email queue. emailServiceApp writes one email_outbox row per recipient and the outbox worker
+// delivers it, retrying with backoff; every delivery attempt is logged in email_outbox_attempt.
+// Attachment bytes are stored once per content hash (email_attachment_content) because the same files -
+// the inline logo, a ticket's attachments - go out to many recipients.
+// Adds the email.manage permission (inspect and re-send queued email), granted to IT Heads.
+
+const createEmailOutboxTable = `
+    CREATE TABLE IF NOT EXISTS \`email_outbox\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`ToAddress\` varchar(255) NOT NULL,
+      \`ToName\` varchar(255) DEFAULT NULL,
+      \`Subject\` varchar(500) NOT NULL,
+      \`Body\` mediumtext NOT NULL,
+      \`ContentType\` varchar(10) NOT NULL DEFAULT 'HTML',
+      \`SaveToSentItems\` tinyint(1) NOT NULL DEFAULT '1',
+      \`Status\` enum('PENDING','SENT','FAILED') NOT NULL DEFAULT 'PENDING',
+      \`Attempts\` int NOT NULL DEFAULT '0',
+      \`NextAttemptDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`LastStatusCode\` int DEFAULT NULL,
+      \`LastError\` varchar(1000) DEFAULT NULL,
+      \`SentDate\` datetime DEFAULT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_email_outbox_due\` (\`Status\`, \`NextAttemptDate\`),
+      INDEX \`idx_email_outbox_to\` (\`ToAddress\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createEmailAttachmentContentTable = `
+    CREATE TABLE IF NOT EXISTS \`email_attachment_content\` (
+      \`ContentHash\` char(64) NOT NULL,
+      \`Content\` longblob NOT NULL,
+      \`Size\` int NOT NULL,
+      \`LastUsedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`ContentHash\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createEmailOutboxAttachmentTable = `
+    CREATE TABLE IF NOT EXISTS \`email_outbox_attachment\` (
+      \`OutboxId\` int NOT NULL,
+      \`Position\` int NOT NULL,
+      \`Name\` varchar(255) NOT NULL,
+      \`ContentType\` varchar(100) DEFAULT NULL,
+      \`ContentId\` varchar(100) DEFAULT NULL,
+      \`IsInline\` tinyint(1) NOT NULL DEFAULT '0',
+      \`ContentHash\` char(64) NOT NULL,
+      PRIMARY KEY (\`OutboxId\`, \`Position\`),
+      INDEX \`idx_email_outbox_attachment_hash\` (\`ContentHash\`),
+      CONSTRAINT \`fk_email_outbox_attachment_outbox\` FOREIGN KEY (\`OutboxId\`) REFERENCES \`email_outbox\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createEmailOutboxAttemptTable = `
+    CREATE TABLE IF NOT EXISTS \`email_outbox_attempt\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`OutboxId\` int NOT NULL,
+      \`Outcome\` enum('SENT','RETRY','THROTTLED','FAILED') NOT NULL,
+      \`StatusCode\` int DEFAULT NULL,
+      \`Error\` varchar(1000) DEFAULT NULL,
+      \`AttemptedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      INDEX \`idx_email_outbox_attempt_outbox\` (\`OutboxId\`),
+      CONSTRAINT \`fk_email_outbox_attempt_outbox\` FOREIGN KEY (\`OutboxId\`) REFERENCES \`email_outbox\` (\`Id\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const IT_HEAD_ROLE_ID = 3;
+
+module.exports = {
+    description: 'Create email_outbox, its attachment and attempt tables, and the email.manage permission',
+
+    async up(conn) {
+        await conn.query(createEmailOutboxTable);
+        await conn.query(createEmailAttachmentContentTable);
+        await conn.query(createEmailOutboxAttachmentTable);
+        await conn.query(createEmailOutboxAttemptTable);
+
+        await conn.query(
+            'INSERT IGNORE INTO `permission` (`Code`, `Description`) VALUES (?, ?)',
+            ['email.manage', 'Inspect the outbound email queue and re-send failed emails']
+        );
+        const [roles] = await conn.query('SELECT `Id` FROM `role` WHERE `Id` = ?', [IT_HEAD_ROLE_ID]);
+        if (roles.length > 0) {
+            await conn.query(
+                'INSERT IGNORE INTO `role_permission` (`RoleId`, `PermissionCode`, `CreatedBy`) VALUES (?, ?, ?)',
+                [IT_HEAD_ROLE_ID, 'email.manage', 'System']
+            );
+        }
+    },
+
+    async down(conn) {
+        await conn.query("DELETE FROM `permission` WHERE `Code` = 'email.manage'");
+        await conn.query('DROP TABLE IF EXISTS `email_outbox_attempt`');
+        await conn.query('DROP TABLE IF EXISTS `email_outbox_attachment`');
+        await conn.query('DROP TABLE IF EXISTS `email_attachment_content`');
+        await conn.query('DROP TABLE IF EXISTS `email_outbox`');
+    }
+};
@@ -0,0 +1,54 @@
+// Administrator-edited email templates. The built-in templates (templates/email) stay the defaults;
+// every edit is stored as a new row in email_template_version and email_template.ActiveVersion says which
+// version is sent (0 = the built-in default), so rolling back is just pointing at an older version.
+// Managed with the existing email.manage permission.
+
+const createEmailTemplateTable = `
+    CREATE TABLE IF NOT EXISTS \`email_template\` (
+      \`Name\` varchar(100) NOT NULL,
+      \`ActiveVersion\` int NOT NULL DEFAULT '0',
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      \`UpdatedBy\` varchar(150) DEFAULT NULL,
+      \`UpdatedDate\` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Name\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+const createEmailTemplateVersionTable = `
+    CREATE TABLE IF NOT EXISTS \`email_template_version\` (
+      \`Id\` int NOT NULL AUTO_INCREMENT,
+      \`TemplateName\` varchar(100) NOT NULL,
+      \`Version\` int NOT NULL,
+      \`Subject\` varchar(500) NOT NULL,
+      \`Body\` mediumtext NOT NULL,
+      \`Comment\` varchar(255) DEFAULT NULL,
+      \`CreatedBy\` varchar(150) DEFAULT NULL,
+      \`CreatedDate\` datetime DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (\`Id\`),
+      UNIQUE KEY \`uq_email_template_version\` (\`TemplateName\`, \`Version\`),
+      CONSTRAINT \`fk_email_template_version_template\` FOREIGN KEY (\`TemplateName\`) REFERENCES \`email_template\` (\`Name\`) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create email_template and email_template_version for versioned, editable email templates',
+
+    async up(conn) {
+        await conn.query(createEmailTemplateTable);
+        await conn.query(createEmailTemplateVersionTable);
+        await conn.query(
+            'UPDATE `permission` SET `Description` = ? WHERE `Code` = ?',
+            ['Inspect the outbound email queue, re-send failed emails and edit email templates', 'email.manage']
+        );
+    },
+
+    async down(conn) {
+        await conn.query(
+            'UPDATE `permission` SET `Description` = ? WHERE `Code` = ?',
+            ['Inspect the outbound email queue and re-send failed emails', 'email.manage']
+        );
+        await conn.query('DROP TABLE IF EXISTS `email_template_version`');
+        await conn.query('DROP TABLE IF EXISTS `email_template`');
+    }
+};
@@ -0,0 +1,23 @@
+// When each periodic background job last ran, so a job with a long interval (the notification digest runs once a
+// day) is due by the clock rather than by how long the current process has been up; restarts neither postpone
+// nor repeat it.
+
+const createScheduledJobRunTable = `
+    CREATE TABLE IF NOT EXISTS \`scheduled_job_run\` (
+      \`JobName\` varchar(100) NOT NULL,
+      \`LastRunDate\` datetime NOT NULL,
+      PRIMARY KEY (\`JobName\`)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+`;
+
+module.exports = {
+    description: 'Create scheduled_job_run to record when periodic jobs last ran',
+
+    async up(conn) {
+        await conn.query(createScheduledJobRunTable);
+    },
+
+    async down(conn) {
+        await conn.query('DROP TABLE IF EXISTS `scheduled_job_run`');
+    }
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { getApiKeys, createApiKey, updateApiKey, revokeApiKey } = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+// API keys for service accounts - Protected routes (require user.manage)
+router.get('/', authMiddleware, requirePermission('user.manage'), getApiKeys);
+router.post('/', authMiddleware, requirePermission('user.manage'), createApiKey);
+router.put('/:id', authMiddleware, requirePermission('user.manage'), updateApiKey);
+router.put('/:id/revoke', authMiddleware, requirePermission('user.manage'), revokeApiKey);
+
+module.exports = router;
@@ -1,18 +1,87 @@
 const express = require('express');
-const { register, login, forgotPassword, resetPassword } = require('../controllers/authController');
+const { getPool } = require('../config/db');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const {
+    register,
+    login,
+    verifyLoginTwoFactor,
+    refreshToken,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    getPasswordPolicy,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    oidcLogin,
+    oidcCallback,
+    oidcComplete
+} = require('../controllers/authController');
 
 const router = express.Router();
 
+// Registering users requires user.manage, except for the very first account on an empty database
+const canRegister = async (req, res, next) => {
+    try {
+        const [[{ userCount }]] = await getPool().query('SELECT COUNT(*) AS userCount FROM user');
+        if (userCount === 0) return next();
+    } catch (error) {
+        console.error('Error checking user count for registration:', error);
+        return res.status(500).json({ message: 'Error checking registration access', error: error.message });
+    }
+    return authMiddleware(req, res, () => requirePermission('user.manage')(req, res, next));
+};
+
+// 2FA enrollment works signed in, or mid-login with the challenge token (the controller checks it)
+const authOrSetupChallenge = (req, res, next) => {
+    if (req.body && req.body.challengeToken) return next();
+    return authMiddleware(req, res, next);
+};
+
 // Register Route
-router.post('/register', register);
+router.post('/register', canRegister, register);
 
 // Login Route
 router.post('/login', login);
 
+// Second sign-in step when 2FA is enabled (expects JSON { challengeToken, code } or { challengeToken, recoveryCode })
+router.post('/login/2fa', verifyLoginTwoFactor);
+
+// Single sign-on with Azure AD or another OpenID Connect provider (see config/oidcConfig.js)
+router.get('/oidc/login', oidcLogin);
+router.get('/oidc/callback', oidcCallback);
+router.post('/oidc/complete', oidcComplete);
+
+// Exchange a refresh token for a new access token (expects JSON { refreshToken })
+router.post('/refresh', refreshToken);
+
+// Revoke the current session, or every session of the user
+router.post('/logout', authMiddleware, logout);
+router.post('/logout-all', authMiddleware, logoutAll);
+
+// Two-factor authentication (TOTP authenticator apps)
+router.get('/2fa', authMiddleware, getTwoFactorStatus);
+router.post('/2fa/setup', authOrSetupChallenge, setupTwoFactor);
+router.post('/2fa/enable', authOrSetupChallenge, enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, regenerateRecoveryCodes);
+
 // Forgot Password
 router.post('/forgot-password', forgotPassword);
 
-// Reset Password (expects JSON { token, password })
+// Set a password from an invitation or reset link (expects JSON { token, password })
+router.post('/set-password', resetPassword);
 router.post('/reset-password', resetPassword);
 
+// Password rules for set/change password forms
+router.get('/password-policy', getPasswordPolicy);
+
+// Change the signed-in user's password (expects JSON { currentPassword, newPassword })
+router.post('/change-password', authMiddleware, changePassword);
+
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { getBusinessCalendar, updateBusinessCalendar, addHoliday, deleteHoliday } = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Business hours and holidays - Protected routes (changes require sla.manage)
+router.get('/', authMiddleware, getBusinessCalendar);
+router.put('/', authMiddleware, requirePermission('sla.manage'), updateBusinessCalendar);
+router.post('/holidays', authMiddleware, requirePermission('sla.manage'), addHoliday);
+router.delete('/holidays/:id', authMiddleware, requirePermission('sla.manage'), deleteHoliday);
+
+module.exports = router;
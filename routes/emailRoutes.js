@@ -6,7 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const emailController = require('../controllers/emailController');
+const emailOutboxController = require('../controllers/emailOutboxController');
+const emailTemplateController = require('../controllers/emailTemplateController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
 
 // Public routes (no authentication required for email service setup)
 
@@ -31,53 +34,126 @@ router.get('/callback', emailController.handleCallback);
  */
 router.get('/status', emailController.checkAuthStatus);
 
-/**
- * @route   GET /api/email/templates
- * @desc    Get available email templates
- * @access  Public
- */
-router.get('/templates', emailController.getTemplates);
-
 // Protected routes (require user authentication)
 
 /**
  * @route   POST /api/email/send
  * @desc    Send a single email
- * @access  Private (requires user authentication)
+ * @access  Private (requires email.send permission)
  * @body    { to, subject, body, contentType?, cc?, bcc?, toName?, saveToSentItems? }
  */
-router.post('/send', authMiddleware, emailController.sendEmail);
+router.post('/send', authMiddleware, requirePermission('email.send'), emailController.sendEmail);
 
 /**
  * @route   POST /api/email/send-template
  * @desc    Send email using predefined templates
- * @access  Private (requires user authentication)
+ * @access  Private (requires email.send permission)
  * @body    { template, to, data }
  */
-router.post('/send-template', authMiddleware, emailController.sendTemplateEmail);
+router.post('/send-template', authMiddleware, requirePermission('email.send'), emailController.sendTemplateEmail);
 
 /**
  * @route   POST /api/email/ticket-notification
  * @desc    Send ticket-related notification emails
- * @access  Private (requires user authentication)
+ * @access  Private (requires email.send permission)
  * @body    { ticketId, userEmail, userName, title?, severityLevel?, status?, type?, comments?, updatedBy? }
  */
-router.post('/ticket-notification', authMiddleware, emailController.sendTicketNotification);
+router.post('/ticket-notification', authMiddleware, requirePermission('email.send'), emailController.sendTicketNotification);
 
 /**
  * @route   GET /api/email/messages/:count?
  * @desc    Get email messages from mailbox
- * @access  Private (requires user authentication)
+ * @access  Private (requires email.send permission)
  * @param   count - Number of messages to retrieve (default: 10, max: 100)
  */
-router.get('/messages/:count', authMiddleware, emailController.getEmails);
-router.get('/messages', authMiddleware, emailController.getEmails);
+router.get('/messages/:count', authMiddleware, requirePermission('email.send'), emailController.getEmails);
+router.get('/messages', authMiddleware, requirePermission('email.send'), emailController.getEmails);
 
 /**
  * @route   POST /api/email/logout
  * @desc    Clear email service session
- * @access  Private (requires user authentication)
+ * @access  Private (requires email.send permission)
+ */
+router.post('/logout', authMiddleware, requirePermission('email.send'), emailController.logout);
+
+// Outbound email queue (administration)
+
+/**
+ * @route   GET /api/email/outbox
+ * @desc    List queued, sent and failed emails with a count per status
+ * @access  Private (requires email.manage permission)
+ * @query   status?, to?, search?, page?, limit?
+ */
+router.get('/outbox', authMiddleware, requirePermission('email.manage'), emailOutboxController.getOutbox);
+
+/**
+ * @route   POST /api/email/outbox/resend-failed
+ * @desc    Queue failed emails for delivery again (all of them, or the ids given)
+ * @access  Private (requires email.manage permission)
+ * @body    { ids? }
+ */
+router.post('/outbox/resend-failed', authMiddleware, requirePermission('email.manage'), emailOutboxController.resendFailedOutboxEmails);
+
+/**
+ * @route   GET /api/email/outbox/:id
+ * @desc    Get a queued email with its attachments and delivery attempts
+ * @access  Private (requires email.manage permission)
+ */
+router.get('/outbox/:id', authMiddleware, requirePermission('email.manage'), emailOutboxController.getOutboxEmail);
+
+/**
+ * @route   POST /api/email/outbox/:id/resend
+ * @desc    Queue a failed email for delivery again
+ * @access  Private (requires email.manage permission)
+ */
+router.post('/outbox/:id/resend', authMiddleware, requirePermission('email.manage'), emailOutboxController.resendOutboxEmail);
+
+// Email templates (administration)
+
+/**
+ * @route   GET /api/email/templates
+ * @desc    List email templates with the version each one uses
+ * @access  Private (requires email.manage permission)
+ */
+router.get('/templates', authMiddleware, requirePermission('email.manage'), emailTemplateController.getTemplates);
+
+/**
+ * @route   GET /api/email/templates/:name
+ * @desc    Get a template's subject, body and variables (active version, or ?version=N; 0 = built-in default)
+ * @access  Private (requires email.manage permission)
+ * @query   version?
+ */
+router.get('/templates/:name', authMiddleware, requirePermission('email.manage'), emailTemplateController.getTemplate);
+
+/**
+ * @route   GET /api/email/templates/:name/versions
+ * @desc    Get the version history of a template
+ * @access  Private (requires email.manage permission)
+ */
+router.get('/templates/:name/versions', authMiddleware, requirePermission('email.manage'), emailTemplateController.getTemplateVersions);
+
+/**
+ * @route   GET /api/email/templates/:name/preview
+ * @desc    Render a template with sample ticket data (?format=html returns the body as a page)
+ * @access  Private (requires email.manage permission)
+ * @query   version?, format?
+ */
+router.get('/templates/:name/preview', authMiddleware, requirePermission('email.manage'), emailTemplateController.previewTemplate);
+
+/**
+ * @route   PUT /api/email/templates/:name
+ * @desc    Save a new version of a template and start using it
+ * @access  Private (requires email.manage permission)
+ * @body    { subject, body, comment? }
+ */
+router.put('/templates/:name', authMiddleware, requirePermission('email.manage'), emailTemplateController.updateTemplate);
+
+/**
+ * @route   POST /api/email/templates/:name/rollback
+ * @desc    Switch a template back to an earlier version (0 = built-in default)
+ * @access  Private (requires email.manage permission)
+ * @body    { version }
  */
-router.post('/logout', authMiddleware, emailController.logout);
+router.post('/templates/:name/rollback', authMiddleware, requirePermission('email.manage'), emailTemplateController.rollbackTemplate);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const emailTestController = require('../controllers/emailTestController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
 
-// Test routes for debugging email functionality
-router.post('/test-email', emailTestController.testEmailService);
-router.post('/test-status-email', emailTestController.testStatusUpdateEmail);
+// Test routes for debugging email functionality (require system.debug)
+router.post('/test-email', authMiddleware, requirePermission('system.debug'), emailTestController.testEmailService);
+router.post('/test-status-email', authMiddleware, requirePermission('system.debug'), emailTestController.testStatusUpdateEmail);
 
 module.exports = router;
\ No newline at end of file
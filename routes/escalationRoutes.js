@@ -0,0 +1,14 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { getEscalationRules, createEscalationRule, updateEscalationRule, deleteEscalationRule } = require('../controllers/escalationController');
+
+const router = express.Router();
+
+// Escalation rules - Protected routes (changes require sla.manage)
+router.get('/', authMiddleware, getEscalationRules);
+router.post('/', authMiddleware, requirePermission('sla.manage'), createEscalationRule);
+router.put('/:id', authMiddleware, requirePermission('sla.manage'), updateEscalationRule);
+router.delete('/:id', authMiddleware, requirePermission('sla.manage'), deleteEscalationRule);
+
+module.exports = router;
@@ -2,6 +2,14 @@ const express = require('express');
 const { getDepartments } = require('../controllers/lookupsController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const { getCompanies, getCategories, getRequestTypes, getIssueTypes } = require('../controllers/lookupsController');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const {
+    createDepartment, updateDepartment, deactivateDepartment,
+    createCompany, updateCompany, deactivateCompany,
+    createCategory, updateCategory, deactivateCategory,
+    createRequestType, updateRequestType, deactivateRequestType,
+    createIssueType, updateIssueType, deactivateIssueType
+} = require('../controllers/lookupsController');
 
 const router = express.Router();
 
@@ -22,4 +30,28 @@ router.get('/request-types/:categoryId', authMiddleware, getRequestTypes);
 // Supports both query string (?categoryId=3) and route param (/issue-types/3)
 router.get('/issue-types/:categoryId', authMiddleware, getIssueTypes);
 
-module.exports = router;
\ No newline at end of file
+// Lookup administration - Protected routes (require lookup.manage)
+// Deactivating a category or type that open tickets still use needs { replacementId } in the body
+const canManage = [authMiddleware, requirePermission('lookup.manage')];
+
+router.post('/departments', ...canManage, createDepartment);
+router.put('/departments/:id', ...canManage, updateDepartment);
+router.put('/departments/:id/deactivate', ...canManage, deactivateDepartment);
+
+router.post('/companies', ...canManage, createCompany);
+router.put('/companies/:id', ...canManage, updateCompany);
+router.put('/companies/:id/deactivate', ...canManage, deactivateCompany);
+
+router.post('/categories', ...canManage, createCategory);
+router.put('/categories/:id', ...canManage, updateCategory);
+router.put('/categories/:id/deactivate', ...canManage, deactivateCategory);
+
+router.post('/request-types', ...canManage, createRequestType);
+router.put('/request-types/:id', ...canManage, updateRequestType);
+router.put('/request-types/:id/deactivate', ...canManage, deactivateRequestType);
+
+router.post('/issue-types', ...canManage, createIssueType);
+router.put('/issue-types/:id', ...canManage, updateIssueType);
+router.put('/issue-types/:id/deactivate', ...canManage, deactivateIssueType);
+
+module.exports = router;
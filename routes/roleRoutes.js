@@ -0,0 +1,13 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { getRoles, updateRolePermissions, updateRoleTwoFactor } = require('../controllers/roleController');
+
+const router = express.Router();
+
+// Roles and permissions - Protected routes (require user.manage)
+router.get('/', authMiddleware, requirePermission('user.manage'), getRoles);
+router.put('/:id/permissions', authMiddleware, requirePermission('user.manage'), updateRolePermissions);
+router.put('/:id/two-factor', authMiddleware, requirePermission('user.manage'), updateRoleTwoFactor);
+
+module.exports = router;
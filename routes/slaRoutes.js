@@ -0,0 +1,14 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { getSlaPolicies, createSlaPolicy, updateSlaPolicy, deleteSlaPolicy } = require('../controllers/slaController');
+
+const router = express.Router();
+
+// SLA policies - Protected routes (changes require sla.manage)
+router.get('/', authMiddleware, getSlaPolicies);
+router.post('/', authMiddleware, requirePermission('sla.manage'), createSlaPolicy);
+router.put('/:id', authMiddleware, requirePermission('sla.manage'), updateSlaPolicy);
+router.delete('/:id', authMiddleware, requirePermission('sla.manage'), deleteSlaPolicy);
+
+module.exports = router;
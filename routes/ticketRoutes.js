@@ -1,6 +1,10 @@
 const express = require('express');
-const multer = require('multer');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { upload, uploadErrorHandler } = require('../middlewares/uploadMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { requireTicketAccess, requireAttachmentAccess } = require('../middlewares/ticketAccessMiddleware');
+const { requireApprovalAuthority } = require('../middlewares/approvalMiddleware');
+const { html } = require('../lib/html');
 const {
     createTicket,
     getTicket,
@@ -10,6 +14,8 @@ const {
     updateTicketAssignment,
     addComment,
     getComments,
+    getTicketTransitions,
+    getTicketHistory,
     bulkUpdateTicketsWithCommentsToProcessing,
     approveTicket,
     rejectTicket,
@@ -22,37 +28,32 @@ const {
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: 10 * 1024 * 1024,
-        files: 10
-    }
-});
 
 // Routes
+// Ticket lists are limited to what the user may see; single-ticket routes 404 for tickets outside that scope
 router.get('/', authMiddleware, getAllTickets);
 router.get('/my-tickets', authMiddleware, getMyTickets);
-router.put('/bulk-update-status', authMiddleware, bulkUpdateTicketsWithCommentsToProcessing);
+router.put('/bulk-update-status', authMiddleware, requirePermission('ticket.update_status'), bulkUpdateTicketsWithCommentsToProcessing);
 
-router.post('/', authMiddleware, upload.array('attachments', 10), createTicket);
+router.post('/', authMiddleware, requirePermission('ticket.create'), upload.array('attachments', 10), createTicket);
 
 // Download an attachment by id (must come before the '/:ticketId' route to avoid param shadowing)
-router.get('/attachments/:attachmentId/download', authMiddleware, downloadAttachment);
-
-router.get('/:ticketId', authMiddleware, getTicket);
-router.put('/:ticketId/status', authMiddleware, updateTicketStatus);
-router.put('/:ticketId/assign', authMiddleware, updateTicketAssignment);
-router.put('/:id/processing', authMiddleware, updateTicketToProcessing);
-router.put('/:id/complete', authMiddleware, updateTicketToCompleted);
-router.post('/:ticketId/comments', authMiddleware, addComment);
-router.get('/:ticketId/comments', authMiddleware, getComments);
+router.get('/attachments/:attachmentId/download', authMiddleware, requireAttachmentAccess('attachmentId'), downloadAttachment);
+
+router.get('/:ticketId', authMiddleware, requireTicketAccess('ticketId'), getTicket);
+router.put('/:ticketId/status', authMiddleware, requirePermission('ticket.update_status'), requireTicketAccess('ticketId'), updateTicketStatus);
+router.put('/:ticketId/assign', authMiddleware, requirePermission('ticket.assign'), requireTicketAccess('ticketId'), updateTicketAssignment);
+router.put('/:id/processing', authMiddleware, requirePermission('ticket.update_status'), requireTicketAccess('id'), updateTicketToProcessing);
+router.put('/:id/complete', authMiddleware, requirePermission('ticket.update_status'), requireTicketAccess('id'), updateTicketToCompleted);
+router.post('/:ticketId/comments', authMiddleware, requirePermission('ticket.comment'), requireTicketAccess('ticketId'), addComment);
+router.get('/:ticketId/comments', authMiddleware, requireTicketAccess('ticketId'), getComments);
+router.get('/:ticketId/transitions', authMiddleware, requireTicketAccess('ticketId'), getTicketTransitions);
+router.get('/:ticketId/history', authMiddleware, requireTicketAccess('ticketId'), getTicketHistory);
  
 
-// Protected API endpoints for approve/reject (for authenticated IT Head)
-router.put('/:id/approve', authMiddleware, approveTicket);
-router.put('/:id/reject', authMiddleware, rejectTicket);
+// Protected API endpoints for approve/reject (for authenticated IT Head, or their delegate while they are out of office)
+router.put('/:id/approve', authMiddleware, requireApprovalAuthority, requireTicketAccess('id'), approveTicket);
+router.put('/:id/reject', authMiddleware, requireApprovalAuthority, requireTicketAccess('id'), rejectTicket);
 
 // GET approval page (confirmation UI) - optional public page used by email link
 const { getPool } = require('../config/db');
@@ -76,8 +77,8 @@ router.get('/:id/approve', async (req, res) => {
                 if (u && u.length > 0) actionerName = u[0].Name;
             }
             const statusLabel = ticket.ApprovalStatus || 'Processed';
-            const html = `<!doctype html><html><head><meta charset="utf-8"><title>Ticket ${statusLabel}</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;"><h2>Ticket ${statusLabel}</h2><p>This ticket has been <strong>${statusLabel}</strong>${actionerName ? ` by <strong>${actionerName}</strong>` : ''}.</p></div></body></html>`;
-            return res.send(html);
+            const page = html`<!doctype html><html><head><meta charset="utf-8"><title>Ticket ${statusLabel}</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;"><h2>Ticket ${statusLabel}</h2><p>This ticket has been <strong>${statusLabel}</strong>${actionerName && html` by <strong>${actionerName}</strong>`}.</p></div></body></html>`;
+            return res.send(String(page));
         }
 
         // Validate token
@@ -87,8 +88,8 @@ router.get('/:id/approve', async (req, res) => {
         if (!expiry || expiry < new Date()) return res.status(403).send(`<html><body><h3>Approval token expired</h3></body></html>`);
 
         // Build action URL preserving both token and itHeadId
-        const actionUrl = `/api/tickets/${id}/approve?token=${encodeURIComponent(token)}${itHeadId ? `&itHeadId=${encodeURIComponent(itHeadId)}` : ''}`;
-        const page = `<!doctype html><html><head><meta charset="utf-8"><title>Approve Ticket</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#f8fafc;">
+        const actionUrl = `/api/tickets/${encodeURIComponent(id)}/approve?token=${encodeURIComponent(token)}${itHeadId ? `&itHeadId=${encodeURIComponent(itHeadId)}` : ''}`;
+        const page = html`<!doctype html><html><head><meta charset="utf-8"><title>Approve Ticket</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#f8fafc;">
             <div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;">
                 <h2>Approve Ticket</h2>
                 <p>You're about to approve <strong>TK-${new Date().getFullYear()}-${String(id).padStart(3,'0')}</strong>.</p>
@@ -98,7 +99,7 @@ router.get('/:id/approve', async (req, res) => {
                     <div style="margin-top:12px;"><button type="submit" style="background:#059669;color:#fff;padding:10px 16px;border:none;border-radius:6px;">Confirm Approval</button></div>
                 </form>
             </div></body></html>`;
-        res.send(page);
+        res.send(String(page));
     } catch (err) {
         console.error(err);
         res.status(500).send('Error loading approval page');
@@ -124,8 +125,8 @@ router.get('/:id/reject', async (req, res) => {
                 if (u && u.length > 0) actionerName = u[0].Name;
             }
             const statusLabel = ticket.ApprovalStatus || 'Processed';
-            const html = `<!doctype html><html><head><meta charset="utf-8"><title>Ticket ${statusLabel}</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;"><h2>Ticket ${statusLabel}</h2><p>This ticket has been <strong>${statusLabel}</strong>${actionerName ? ` by <strong>${actionerName}</strong>` : ''}.</p></div></body></html>`;
-            return res.send(html);
+            const page = html`<!doctype html><html><head><meta charset="utf-8"><title>Ticket ${statusLabel}</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;"><div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;"><h2>Ticket ${statusLabel}</h2><p>This ticket has been <strong>${statusLabel}</strong>${actionerName && html` by <strong>${actionerName}</strong>`}.</p></div></body></html>`;
+            return res.send(String(page));
         }
 
         // Validate token
@@ -135,8 +136,8 @@ router.get('/:id/reject', async (req, res) => {
         if (!expiry || expiry < new Date()) return res.status(403).send(`<html><body><h3>Rejection token expired</h3></body></html>`);
 
         // Build action URL preserving both token and itHeadId
-        const actionUrl = `/api/tickets/${id}/reject?token=${encodeURIComponent(token)}${itHeadId ? `&itHeadId=${encodeURIComponent(itHeadId)}` : ''}`;
-        const page = `<!doctype html><html><head><meta charset="utf-8"><title>Reject Ticket</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#fff5f5;">
+        const actionUrl = `/api/tickets/${encodeURIComponent(id)}/reject?token=${encodeURIComponent(token)}${itHeadId ? `&itHeadId=${encodeURIComponent(itHeadId)}` : ''}`;
+        const page = html`<!doctype html><html><head><meta charset="utf-8"><title>Reject Ticket</title></head><body style="font-family:Arial,Helvetica,sans-serif;max-width:700px;margin:40px auto;background:#fff5f5;">
             <div style="background:#fff;border-radius:8px;padding:24px;border:1px solid #e6edf3;">
                 <h2>Reject Ticket</h2>
                 <p>You're about to reject <strong>TK-${new Date().getFullYear()}-${String(id).padStart(3,'0')}</strong>.</p>
@@ -146,14 +147,14 @@ router.get('/:id/reject', async (req, res) => {
                     <div style="margin-top:12px;"><button type="submit" style="background:#dc2626;color:#fff;padding:10px 16px;border:none;border-radius:6px;">Confirm Rejection</button></div>
                 </form>
             </div></body></html>`;
-        res.send(page);
+        res.send(String(page));
     } catch (err) {
         console.error(err);
         res.status(500).send('Error loading rejection page');
     }
 });
 
-// POST handlers — forward to controller (controller handles token-based approvals too)
+// POST handlers — forward to controller (controller handles token-based approvals and checks ticket.approve otherwise)
 router.post('/:id/approve', async (req, res, next) => {
     try {
         await approveTicket(req, res);
@@ -171,12 +172,7 @@ router.post('/:id/reject', async (req, res, next) => {
 });
 
 // Multer/file upload error handler
-router.use((error, req, res, next) => {
-    if (error && error.code && error.code.startsWith('LIMIT_')) {
-        return res.status(400).json({ message: error.message });
-    }
-    next(error);
-});
+router.use(uploadErrorHandler);
 
 module.exports = router;
 
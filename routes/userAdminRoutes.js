@@ -0,0 +1,30 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
+const { csvUpload, uploadErrorHandler } = require('../middlewares/uploadMiddleware');
+const { register } = require('../controllers/authController');
+const { getUsers, getUserById, updateUser, deactivateUser, activateUser, revokeSessions, unlockUser, resetTwoFactor, resendInvitation, importUsers } = require('../controllers/userAdminController');
+const { getOutOfOffice, createOutOfOffice, cancelOutOfOffice } = require('../controllers/outOfOfficeController');
+
+const router = express.Router();
+
+// User administration - Protected routes (require user.manage)
+router.get('/', authMiddleware, requirePermission('user.manage'), getUsers);
+router.post('/', authMiddleware, requirePermission('user.manage'), register);
+router.post('/import', authMiddleware, requirePermission('user.manage'), csvUpload.single('file'), importUsers);
+router.get('/:id', authMiddleware, requirePermission('user.manage'), getUserById);
+router.put('/:id', authMiddleware, requirePermission('user.manage'), updateUser);
+router.put('/:id/deactivate', authMiddleware, requirePermission('user.manage'), deactivateUser);
+router.put('/:id/activate', authMiddleware, requirePermission('user.manage'), activateUser);
+router.put('/:id/revoke-sessions', authMiddleware, requirePermission('user.manage'), revokeSessions);
+router.put('/:id/unlock', authMiddleware, requirePermission('user.manage'), unlockUser);
+router.put('/:id/reset-2fa', authMiddleware, requirePermission('user.manage'), resetTwoFactor);
+router.post('/:id/resend-invitation', authMiddleware, requirePermission('user.manage'), resendInvitation);
+router.get('/:id/out-of-office', authMiddleware, requirePermission('user.manage'), getOutOfOffice);
+router.post('/:id/out-of-office', authMiddleware, requirePermission('user.manage'), createOutOfOffice);
+router.put('/:id/out-of-office/:windowId/cancel', authMiddleware, requirePermission('user.manage'), cancelOutOfOffice);
+
+// Upload (CSV import) error handler
+router.use(uploadErrorHandler);
+
+module.exports = router;
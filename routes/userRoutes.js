@@ -1,13 +1,34 @@
 const express = require('express');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { requirePermission } = require('../middlewares/permissionMiddleware');
 const { getUserProfile, sendContactUsForm, getUsersByCategory} = require('../controllers/userController');
+const { getOutOfOffice, createOutOfOffice, cancelOutOfOffice } = require('../controllers/outOfOfficeController');
+const {
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+} = require('../controllers/notificationController');
 
 const router = express.Router();
 
 // Protected route (Only logged-in users can access this)
 router.get('/profile', authMiddleware, getUserProfile);
 
-// Get users by category - Protected route
-router.get('/category/:categoryId/users', authMiddleware, getUsersByCategory);
+// Get users by category (assignee picker) - Requires ticket.assign
+router.get('/category/:categoryId/users', authMiddleware, requirePermission('ticket.assign'), getUsersByCategory);
+
+// Own out-of-office windows and delegate - Protected routes
+router.get('/out-of-office', authMiddleware, getOutOfOffice);
+router.post('/out-of-office', authMiddleware, createOutOfOffice);
+router.put('/out-of-office/:windowId/cancel', authMiddleware, cancelOutOfOffice);
+
+// Own notification preferences and in-app notifications - Protected routes
+router.get('/notification-preferences', authMiddleware, getNotificationPreferences);
+router.put('/notification-preferences', authMiddleware, updateNotificationPreferences);
+router.get('/notifications', authMiddleware, getNotifications);
+router.put('/notifications/read-all', authMiddleware, markAllNotificationsRead);
+router.put('/notifications/:id/read', authMiddleware, markNotificationRead);
 
 module.exports = router;
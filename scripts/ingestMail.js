@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Run the email-to-ticket ingestion once (same as one run of the background job)
+ *
+ * Usage:
+ *   npm run ingest-mail
+ *   MAIL_INGEST_SOURCE=directory MAIL_INGEST_DIRECTORY=./mail-drop npm run ingest-mail
+ */
+
+const { init, getPool } = require('../config/db');
+const { runMailIngestion } = require('../services/mailIngestionService');
+
+async function main() {
+    await init({ migrate: false });
+    const pool = getPool();
+
+    try {
+        const counts = await runMailIngestion();
+        const summary = Object.entries(counts).map(([outcome, count]) => `${outcome}: ${count}`).join(', ');
+        console.log(summary ? `✅ Mail ingested (${summary})` : 'ℹ️ No new mail');
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Mail ingestion failed:', err.message || err);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   npm run migrate                 Apply all pending migrations
+ *   npm run migrate -- status       List migrations and whether they are applied
+ *   npm run migrate -- down [steps] Roll back the last <steps> migrations (default 1)
+ */
+
+const { init, getPool } = require('../config/db');
+const { migrateUp, migrateDown, migrationStatus } = require('../lib/migrator');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    await init({ migrate: false });
+    const pool = getPool();
+
+    try {
+        if (command === 'up') {
+            await migrateUp(pool);
+        } else if (command === 'down') {
+            const steps = arg ? parseInt(arg) : 1;
+            if (isNaN(steps) || steps < 1) throw new Error('Steps must be a positive number');
+            const rolledBack = await migrateDown(pool, steps);
+            console.log(rolledBack.length ? `✅ Rolled back: ${rolledBack.join(', ')}` : 'ℹ️ Nothing to roll back');
+        } else if (command === 'status') {
+            const migrations = await migrationStatus(pool);
+            migrations.forEach(m => {
+                console.log(`${m.applied ? '✅' : '⏳'} ${m.version}_${m.name} - ${m.description}${m.appliedDate ? ` (applied ${new Date(m.appliedDate).toISOString()})` : ''}`);
+            });
+        } else {
+            throw new Error(`Unknown command '${command}'. Use up, down [steps] or status.`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Migration failed:', err.message || err);
+    process.exit(1);
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Local mock OpenID Connect issuer for trying single sign-on without Azure AD
+ *
+ * Usage:
+ *   npm run mock-oidc
+ *
+ * Then start the API with:
+ *   OIDC_ENABLED=true
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=mock-client
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *
+ * and open /api/auth/oidc/login. The mock signs everyone in without a prompt as
+ * MOCK_OIDC_EMAIL (default it.head@example.com), or as ?login_hint=<email> on the login URL.
+ * MOCK_OIDC_GROUPS is a comma-separated list of group ids put in the token's groups claim.
+ * Only for local development: it accepts any client secret and keeps codes in memory.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '4010');
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'mock-client';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'it.head@example.com';
+const GROUPS = (process.env.MOCK_OIDC_GROUPS || '').split(',').map(g => g.trim()).filter(Boolean);
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const pendingCodes = new Map(); // code -> { email, nonce, codeChallenge, redirectUri, expiresAt }
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(data)));
+        req.on('error', reject);
+    });
+}
+
+function authorize(url, res) {
+    const params = url.searchParams;
+    if (params.get('client_id') !== CLIENT_ID) {
+        return sendJson(res, 400, { error: 'unauthorized_client' });
+    }
+    const code = crypto.randomBytes(16).toString('hex');
+    pendingCodes.set(code, {
+        email: params.get('login_hint') || DEFAULT_EMAIL,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+        expiresAt: Date.now() + 60000
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state') || '');
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+}
+
+async function token(req, res) {
+    const body = await readBody(req);
+    const pending = pendingCodes.get(body.get('code'));
+    pendingCodes.delete(body.get('code'));
+
+    if (!pending || pending.expiresAt < Date.now() || body.get('redirect_uri') !== pending.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (pending.codeChallenge && challenge !== pending.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+        {
+            sub: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 32),
+            email: pending.email,
+            email_verified: true,
+            preferred_username: pending.email,
+            name: pending.email.split('@')[0].replace(/[._]/g, ' '),
+            groups: GROUPS,
+            nonce: pending.nonce
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '10m' }
+    );
+    sendJson(res, 200, { token_type: 'Bearer', id_token: idToken, access_token: crypto.randomBytes(16).toString('hex'), expires_in: 600 });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, ISSUER);
+    try {
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                jwks_uri: `${ISSUER}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+        if (req.method === 'GET' && url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+        }
+        if (req.method === 'GET' && url.pathname === '/authorize') return authorize(url, res);
+        if (req.method === 'POST' && url.pathname === '/token') return await token(req, res);
+        sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+        console.error('Mock OIDC issuer error:', error);
+        sendJson(res, 500, { error: 'server_error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🔐 Mock OIDC issuer running at ${ISSUER} (client_id ${CLIENT_ID}, user ${DEFAULT_EMAIL})`);
+});
@@ -0,0 +1,348 @@
+/**
+ * Outbound email queue
+ * emailServiceApp.sendEmailAsUser() stores each email in email_outbox (enqueueEmail) and returns straight away;
+ * the outbox worker then delivers due messages one at a time through emailServiceApp.deliverEmail().
+ *
+ * A failed delivery is retried with exponential backoff (EMAIL_OUTBOX_RETRY_BASE_SECONDS, doubling per attempt,
+ * at most MAX_RETRY_DELAY_SECONDS) until EMAIL_OUTBOX_MAX_ATTEMPTS is reached, then the message is FAILED and
+ * waits for an administrator to re-send it. Rejections that can't succeed on retry (bad recipient, message too
+ * large) fail straight away. When Graph throttles the mailbox (429, or 503 with Retry-After) the message is
+ * retried after Retry-After, the attempt doesn't count against it, and the worker pauses until then.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../config/db');
+const { isJobRunning, runWithNamedLock } = require('../lib/jobLock');
+
+const JOB_LOCK_NAME = 'itsupport_email_outbox_job';
+
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+// Without a Retry-After header, throttled messages wait this long
+const DEFAULT_THROTTLE_SECONDS = 60;
+// 4xx responses other than these won't get better by retrying
+const RETRYABLE_CLIENT_STATUSES = [401, 403, 408, 409, 423, 429];
+
+let timer = null;
+let wakeTimer = null;
+let wakeRequested = false;
+let pausedUntil = 0;
+
+function intEnv(name, fallback, min = 1) {
+    const value = parseInt(process.env[name] || String(fallback));
+    return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+function outboxSettings() {
+    return {
+        intervalMs: intEnv('EMAIL_OUTBOX_INTERVAL_SECONDS', 15) * 1000,
+        batchSize: intEnv('EMAIL_OUTBOX_BATCH_SIZE', 20),
+        maxAttempts: intEnv('EMAIL_OUTBOX_MAX_ATTEMPTS', 8),
+        retryBaseSeconds: intEnv('EMAIL_OUTBOX_RETRY_BASE_SECONDS', 30),
+        retentionDays: intEnv('EMAIL_OUTBOX_RETENTION_DAYS', 30, 0)
+    };
+}
+
+function truncate(value, length) {
+    const text = String(value || '');
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+/**
+ * Store a prepared email for delivery
+ * @param {Object} email - { to, toName, subject, body, contentType, saveToSentItems,
+ *   attachments: [{ name, contentType, contentBytes (base64), contentId, isInline }] }
+ * @param {Object} [options] - { createdBy }
+ * @returns {Promise<number>} the email_outbox Id
+ */
+async function enqueueEmail(email, { createdBy = 'System' } = {}) {
+    if (!email || !email.to) throw new Error('Email recipient (to) is required');
+
+    const connection = await getPool().getConnection();
+    let outboxId;
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query('INSERT INTO email_outbox SET ?', {
+            ToAddress: truncate(String(email.to).trim(), 255),
+            ToName: email.toName ? truncate(email.toName, 255) : null,
+            Subject: truncate(email.subject || '(no subject)', 500),
+            Body: email.body || '',
+            ContentType: String(email.contentType || 'HTML').toLowerCase() === 'text' ? 'Text' : 'HTML',
+            SaveToSentItems: email.saveToSentItems === false ? 0 : 1,
+            CreatedBy: createdBy,
+            UpdatedBy: createdBy
+        });
+        outboxId = result.insertId;
+
+        const attachments = (email.attachments || []).filter(Boolean);
+        for (let position = 0; position < attachments.length; position++) {
+            const attachment = attachments[position];
+            const content = Buffer.from(attachment.contentBytes || '', 'base64');
+            const hash = crypto.createHash('sha256').update(content).digest('hex');
+            // Touching LastUsedDate keeps content that is shared with older messages from being purged
+            await connection.query(
+                `INSERT INTO email_attachment_content (ContentHash, Content, Size) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE LastUsedDate = NOW()`,
+                [hash, content, content.length]
+            );
+            await connection.query('INSERT INTO email_outbox_attachment SET ?', {
+                OutboxId: outboxId,
+                Position: position,
+                Name: truncate(attachment.name || 'attachment', 255),
+                ContentType: attachment.contentType || null,
+                ContentId: attachment.contentId || null,
+                IsInline: attachment.isInline ? 1 : 0,
+                ContentHash: hash
+            });
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    wakeEmailOutbox();
+    return outboxId;
+}
+
+/**
+ * The email as emailServiceApp.deliverEmail() expects it, attachments included
+ */
+async function loadOutboxEmail(db, row) {
+    const [attachments] = await db.query(
+        `SELECT a.Name, a.ContentType, a.ContentId, a.IsInline, a.ContentHash, c.Content
+         FROM email_outbox_attachment a
+         LEFT JOIN email_attachment_content c ON a.ContentHash = c.ContentHash
+         WHERE a.OutboxId = ?
+         ORDER BY a.Position ASC`,
+        [row.Id]
+    );
+    const missing = attachments.find(a => !a.Content);
+    if (missing) {
+        const error = new Error(`Attachment content for ${missing.Name} is no longer stored`);
+        error.permanent = true;
+        throw error;
+    }
+    return {
+        to: row.ToAddress,
+        toName: row.ToName,
+        subject: row.Subject,
+        body: row.Body,
+        contentType: row.ContentType,
+        saveToSentItems: row.SaveToSentItems === 1,
+        attachments: attachments.map(a => ({
+            name: a.Name,
+            contentType: a.ContentType,
+            contentBytes: Buffer.from(a.Content).toString('base64'),
+            contentId: a.ContentId || undefined,
+            isInline: a.IsInline === 1
+        }))
+    };
+}
+
+/**
+ * Seconds to wait according to a Retry-After header (delay in seconds or an HTTP date), or null
+ */
+function retryAfterSeconds(error) {
+    const headers = error && error.headers;
+    if (!headers) return null;
+    const value = typeof headers.get === 'function'
+        ? headers.get('retry-after')
+        : headers['retry-after'] || headers['Retry-After'];
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * How a failed delivery is handled: { outcome: 'THROTTLED' | 'RETRY' | 'FAILED', delaySeconds }
+ * @param {Error} error - carries statusCode and headers when Graph answered
+ * @param {number} attempts - delivery attempts so far, including this one
+ */
+function classifyFailure(error, attempts, settings = outboxSettings()) {
+    const status = error && Number.isInteger(error.statusCode) ? error.statusCode : null;
+    const retryAfter = retryAfterSeconds(error);
+
+    if (status === 429 || (status === 503 && retryAfter !== null)) {
+        return { outcome: 'THROTTLED', delaySeconds: retryAfter !== null ? retryAfter : DEFAULT_THROTTLE_SECONDS };
+    }
+    if (error && error.permanent) return { outcome: 'FAILED', delaySeconds: null };
+    if (status !== null && status >= 400 && status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(status)) {
+        return { outcome: 'FAILED', delaySeconds: null };
+    }
+    if (attempts >= settings.maxAttempts) return { outcome: 'FAILED', delaySeconds: null };
+
+    const backoff = Math.min(settings.retryBaseSeconds * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_SECONDS);
+    // A little jitter so messages that failed together don't all retry in the same second
+    const jitter = Math.floor(Math.random() * Math.max(1, backoff * 0.1));
+    return { outcome: 'RETRY', delaySeconds: Math.max(retryAfter || 0, backoff + jitter) };
+}
+
+async function recordAttempt(db, row, outcome, error, delaySeconds) {
+    const statusCode = error && Number.isInteger(error.statusCode) ? error.statusCode : null;
+    const message = error ? truncate(error.message || error, 1000) : null;
+    await db.query(
+        'INSERT INTO email_outbox_attempt (OutboxId, Outcome, StatusCode, Error) VALUES (?, ?, ?, ?)',
+        [row.Id, outcome, statusCode, message]
+    );
+
+    if (outcome === 'SENT') {
+        await db.query(
+            `UPDATE email_outbox SET Status = 'SENT', Attempts = Attempts + 1, SentDate = NOW(), NextAttemptDate = NULL,
+                    LastStatusCode = NULL, LastError = NULL, UpdatedBy = 'System'
+             WHERE Id = ?`,
+            [row.Id]
+        );
+    } else if (outcome === 'FAILED') {
+        await db.query(
+            `UPDATE email_outbox SET Status = 'FAILED', Attempts = Attempts + 1, NextAttemptDate = NULL,
+                    LastStatusCode = ?, LastError = ?, UpdatedBy = 'System'
+             WHERE Id = ?`,
+            [statusCode, message, row.Id]
+        );
+    } else {
+        // Throttling is the mailbox's state, not the message's, so it doesn't use up an attempt
+        await db.query(
+            `UPDATE email_outbox SET Attempts = Attempts + ?, NextAttemptDate = DATE_ADD(NOW(), INTERVAL ? SECOND),
+                    LastStatusCode = ?, LastError = ?, UpdatedBy = 'System'
+             WHERE Id = ?`,
+            [outcome === 'THROTTLED' ? 0 : 1, delaySeconds, statusCode, message, row.Id]
+        );
+    }
+}
+
+async function purgeSentEmails(db, retentionDays) {
+    if (retentionDays <= 0) return;
+    await db.query(
+        "DELETE FROM email_outbox WHERE Status = 'SENT' AND SentDate < DATE_SUB(NOW(), INTERVAL ? DAY)",
+        [retentionDays]
+    );
+    await db.query(
+        `DELETE c FROM email_attachment_content c
+         LEFT JOIN email_outbox_attachment a ON a.ContentHash = c.ContentHash
+         WHERE a.ContentHash IS NULL AND c.LastUsedDate < DATE_SUB(NOW(), INTERVAL 1 DAY)`
+    );
+}
+
+/**
+ * Deliver the messages that are due (one batch)
+ * @returns {Promise<{ sent, retrying, failed, throttled }>}
+ */
+async function runEmailOutbox() {
+    const emailServiceApp = require('./emailServiceApp');
+    const pool = getPool();
+    const settings = outboxSettings();
+    const counts = { sent: 0, retrying: 0, failed: 0, throttled: 0 };
+
+    const [due] = await pool.query(
+        `SELECT Id, ToAddress, ToName, Subject, Body, ContentType, SaveToSentItems, Attempts
+         FROM email_outbox
+         WHERE Status = 'PENDING' AND NextAttemptDate <= NOW()
+         ORDER BY NextAttemptDate ASC, Id ASC
+         LIMIT ?`,
+        [settings.batchSize]
+    );
+
+    for (const row of due) {
+        const attempts = row.Attempts + 1;
+        try {
+            const email = await loadOutboxEmail(pool, row);
+            await emailServiceApp.deliverEmail(email);
+            await recordAttempt(pool, row, 'SENT', null);
+            counts.sent++;
+        } catch (error) {
+            const { outcome, delaySeconds } = classifyFailure(error, attempts, settings);
+            await recordAttempt(pool, row, outcome, error, delaySeconds);
+            if (outcome === 'THROTTLED') {
+                counts.throttled++;
+                pausedUntil = Date.now() + delaySeconds * 1000;
+                console.warn(`⏸️ Email outbox throttled by Microsoft Graph; pausing for ${delaySeconds}s`);
+                break;
+            }
+            if (outcome === 'FAILED') {
+                counts.failed++;
+                console.error(`❌ Email ${row.Id} to ${row.ToAddress} failed after ${attempts} attempt(s):`, error.message || error);
+            } else {
+                counts.retrying++;
+                console.warn(`🔁 Email ${row.Id} to ${row.ToAddress} will be retried in ${delaySeconds}s:`, error.message || error);
+            }
+        }
+    }
+
+    await purgeSentEmails(pool, settings.retentionDays);
+    return counts;
+}
+
+async function runLocked() {
+    // An email queued during a run is delivered by another run straight after it
+    if (isJobRunning(JOB_LOCK_NAME)) {
+        wakeRequested = true;
+        return;
+    }
+    if (Date.now() < pausedUntil) return;
+    wakeRequested = false;
+    try {
+        const counts = await runWithNamedLock(JOB_LOCK_NAME, runEmailOutbox);
+        if (counts && counts.sent + counts.failed > 0) {
+            console.log(`📤 Email outbox: ${counts.sent} sent, ${counts.failed} failed, ${counts.retrying} to retry`);
+        }
+    } catch (err) {
+        console.error('❌ Email outbox job failed:', err.message || err);
+    } finally {
+        if (wakeRequested) wakeEmailOutbox();
+    }
+}
+
+/**
+ * Deliver soon instead of waiting for the next interval (called after an email is queued)
+ */
+function wakeEmailOutbox() {
+    if (!timer || wakeTimer) return;
+    wakeTimer = setTimeout(() => {
+        wakeTimer = null;
+        runLocked();
+    }, 200);
+    wakeTimer.unref();
+}
+
+/**
+ * Start the outbox worker (call after the database is initialized).
+ * Disabled with EMAIL_OUTBOX_ENABLED=false (queued email then waits for an instance that runs it);
+ * polls every EMAIL_OUTBOX_INTERVAL_SECONDS (default 15) and right after an email is queued.
+ */
+function startEmailOutboxScheduler() {
+    if (process.env.EMAIL_OUTBOX_ENABLED === 'false') {
+        console.log('ℹ️ Email outbox worker disabled (EMAIL_OUTBOX_ENABLED=false)');
+        return;
+    }
+    if (timer) return;
+
+    const { intervalMs } = outboxSettings();
+    timer = setInterval(runLocked, intervalMs);
+    timer.unref();
+    console.log(`⏱️ Email outbox worker scheduled every ${intervalMs / 1000} second(s)`);
+    runLocked();
+}
+
+function stopEmailOutboxScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    if (wakeTimer) {
+        clearTimeout(wakeTimer);
+        wakeTimer = null;
+    }
+}
+
+module.exports = {
+    enqueueEmail,
+    wakeEmailOutbox,
+    runEmailOutbox,
+    startEmailOutboxScheduler,
+    stopEmailOutboxScheduler
+};
@@ -6,12 +6,24 @@
 const { Client } = require('@microsoft/microsoft-graph-client');
 const { PublicClientApplication, ConfidentialClientApplication } = require('@azure/msal-node');
 const emailConfig = require('../config/emailConfig');
+const { renderEmailTemplate, getTemplateDefinition, recipientVariables } = require('./emailTemplateService');
 
 class EmailService {
     constructor() {
-        // Initialize MSAL clients
-        this.publicClientApp = new PublicClientApplication(emailConfig.publicClientConfig());
-        this.confidentialClientApp = new ConfidentialClientApplication(emailConfig.confidentialClientConfig());
+        // MSAL clients are created on first use, so the app can start without Azure credentials
+        // (MAIL_TRANSPORT other than graph); these features then fail when called instead
+        this._publicClientApp = null;
+        this._confidentialClientApp = null;
+    }
+
+    get publicClientApp() {
+        if (!this._publicClientApp) this._publicClientApp = new PublicClientApplication(emailConfig.publicClientConfig());
+        return this._publicClientApp;
+    }
+
+    get confidentialClientApp() {
+        if (!this._confidentialClientApp) this._confidentialClientApp = new ConfidentialClientApplication(emailConfig.confidentialClientConfig());
+        return this._confidentialClientApp;
     }
 
     /**
@@ -177,14 +189,22 @@ class EmailService {
 
     /**
      * Get user's email messages
-     * @param {string} accessToken - User access token
+     * @param {string} accessToken - User access token (or an application token when options.mailbox is set)
      * @param {number} [count=10] - Number of messages to retrieve
+     * @param {Object} [options]
+     * @param {string} [options.mailbox] - Read this mailbox's inbox instead of the signed-in user's messages
+     * @param {boolean} [options.unreadOnly] - Only unread messages, oldest first
+     * @param {string[]} [options.select] - Message properties to return
      * @returns {Promise<Array>} Array of email messages
      */
-    async getEmails(accessToken, count = 10) {
+    async getEmails(accessToken, count = 10, options = {}) {
         try {
             const client = this.createGraphClient(accessToken);
-            const messages = await client.api('/me/messages').top(count).get();
+            const path = options.mailbox ? `/users/${encodeURIComponent(options.mailbox)}/mailFolders/inbox/messages` : '/me/messages';
+            let request = client.api(path).top(count);
+            if (options.unreadOnly) request = request.filter('isRead eq false').orderby('receivedDateTime asc');
+            if (options.select) request = request.select(options.select.join(','));
+            const messages = await request.get();
             return messages.value || [];
         } catch (error) {
             console.error('Error fetching emails:', error);
@@ -192,16 +212,55 @@ class EmailService {
         }
     }
 
+    /**
+     * Get the file attachments of a message
+     * @param {string} accessToken
+     * @param {string} messageId - Graph message id
+     * @param {Object} [options] - { mailbox } as for getEmails
+     * @returns {Promise<Array>} [{ name, contentType, contentBytes (base64), size, isInline }]
+     */
+    async getEmailAttachments(accessToken, messageId, options = {}) {
+        try {
+            const client = this.createGraphClient(accessToken);
+            const base = options.mailbox ? `/users/${encodeURIComponent(options.mailbox)}` : '/me';
+            const attachments = await client.api(`${base}/messages/${encodeURIComponent(messageId)}/attachments`).get();
+            return (attachments.value || []).filter(a => a['@odata.type'] === '#microsoft.graph.fileAttachment');
+        } catch (error) {
+            console.error('Error fetching email attachments:', error);
+            throw new Error(`Failed to fetch email attachments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark a message as read
+     * @param {string} accessToken
+     * @param {string} messageId - Graph message id
+     * @param {Object} [options] - { mailbox } as for getEmails
+     */
+    async markEmailRead(accessToken, messageId, options = {}) {
+        try {
+            const client = this.createGraphClient(accessToken);
+            const base = options.mailbox ? `/users/${encodeURIComponent(options.mailbox)}` : '/me';
+            await client.api(`${base}/messages/${encodeURIComponent(messageId)}`).patch({ isRead: true });
+        } catch (error) {
+            console.error('Error marking email as read:', error);
+            throw new Error(`Failed to mark email as read: ${error.message}`);
+        }
+    }
+
     /**
      * Send email with template support
      * @param {string} accessToken - User access token
-     * @param {string} template - Email template name
+     * @param {string} template - Email template name (see GET /api/email/templates)
      * @param {Object} data - Template data and email configuration
      * @returns {Promise<Object>} Send result
      */
     async sendTemplateEmail(accessToken, template, data) {
         try {
-            let emailContent = this.getEmailTemplate(template, data);
+            // Unknown names send data.subject / data.body as they are
+            const emailContent = getTemplateDefinition(template)
+                ? await renderEmailTemplate(template, { ...data, recipient: recipientVariables(null, data.toName || data.userName, data.to) })
+                : { subject: data.subject || 'IT Support Notification', body: data.body || 'This is a notification from IT Support System.' };
             
             const emailData = {
                 to: data.to,
@@ -220,105 +279,6 @@ class EmailService {
             throw new Error(`Failed to send template email: ${error.message}`);
         }
     }
-
-    /**
-     * Get email templates (can be expanded to load from files or database)
-     * @param {string} template - Template name
-     * @param {Object} data - Template data
-     * @returns {Object} Email content with subject and body
-     */
-    getEmailTemplate(template, data) {
-        const templates = {
-            'ticket-created': {
-                subject: `IT Support Ticket #${data.ticketId || 'N/A'} - ${data.title || 'New Ticket'}`,
-                body: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #2c3e50;">IT Support Ticket Created</h2>
-                        <p>Dear ${data.userName || 'User'},</p>
-                        <p>Your IT support ticket has been created successfully.</p>
-                        
-                        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                            <h3 style="margin-top: 0; color: #495057;">Ticket Information</h3>
-                            <p><strong>Ticket ID:</strong> #${data.ticketId || 'N/A'}</p>
-                            <p><strong>Category:</strong> ${data.category || data.title || 'N/A'}</p>
-                            <p><strong>Severity Level:</strong> <span style="background:#fef3c7; color:#92400e; padding:2px 8px; border-radius:4px; font-size:12px;">${data.severityLevel || 'N/A'}</span></p>
-                            <p><strong>Request Type:</strong> ${data.requestType || 'N/A'}</p>
-                            <p><strong>Assigned Team:</strong> ${data.assignedTeam || 'N/A'}</p>
-                            <p><strong>Assigned To:</strong> ${data.assignedTo || 'Unassigned'}</p>
-                            ${data.assignedToEmail ? `<p><strong>Assignee Email:</strong> ${data.assignedToEmail}</p>` : ''}
-                            <p><strong>Status:</strong> ${data.status || 'Open'}</p>
-                            <p><strong>Created:</strong> ${data.createdAt || new Date().toLocaleString()}</p>
-                        </div>
-                        
-                        <p>We will review your ticket and respond within our standard response time.</p>
-                        
-                        <p>Best regards,<br>
-                        <strong>${emailConfig.senderName}</strong></p>
-                    </div>
-                `
-            },
-            'ticket-updated': {
-                subject: `IT Support Ticket #${data.ticketId || 'N/A'} - Status Updated`,
-                body: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #2c3e50;">Ticket Status Updated</h2>
-                        <p>Dear ${data.userName || 'User'},</p>
-                        <p>Your IT support ticket has been updated.</p>
-                        
-                        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                            <h3 style="margin-top: 0; color: #495057;">Ticket Information</h3>
-                            <p><strong>Ticket ID:</strong> #${data.ticketId || 'N/A'}</p>
-                            <p><strong>Category:</strong> ${data.category || data.title || 'N/A'}</p>
-                            <p><strong>Severity Level:</strong> <span style="background:#fef3c7; color:#92400e; padding:2px 8px; border-radius:4px; font-size:12px;">${data.severityLevel || 'N/A'}</span></p>
-                            <p><strong>Request Type:</strong> ${data.requestType || 'N/A'}</p>
-                            <p><strong>Assigned Team:</strong> ${data.assignedTeam || 'N/A'}</p>
-                            <p><strong>Assigned To:</strong> ${data.assignedTo || 'Unassigned'}</p>
-                            ${data.assignedToEmail ? `<p><strong>Assignee Email:</strong> ${data.assignedToEmail}</p>` : ''}
-                            <p><strong>Status:</strong> ${data.status || 'N/A'}</p>
-                            <p><strong>Update Time:</strong> ${data.updatedAt || new Date().toLocaleString()}</p>
-                        </div>
-                        
-                        ${data.comments ? `<div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                            <h4 style="margin-top: 0; color: #1976d2;">Comments:</h4>
-                            <p>${data.comments}</p>
-                        </div>` : ''}
-                        
-                        <p>Best regards,<br>
-                        <strong>${emailConfig.senderName}</strong></p>
-                    </div>
-                `
-            },
-            'welcome': {
-                subject: `Welcome to IT Support System - ${data.userName || 'User'}`,
-                body: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #2c3e50;">Welcome to IT Support System</h2>
-                        <p>Dear ${data.userName || 'User'},</p>
-                        <p>Welcome to our IT Support System! Your account has been created successfully.</p>
-                        
-                        <div style="background-color: #d4edda; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #28a745;">
-                            <h3 style="margin-top: 0; color: #155724;">Getting Started:</h3>
-                            <ul style="color: #155724;">
-                                <li>You can now create and track support tickets</li>
-                                <li>Access your account using your email address</li>
-                                <li>Check ticket status and history anytime</li>
-                            </ul>
-                        </div>
-                        
-                        <p>If you have any questions, please don't hesitate to contact us.</p>
-                        
-                        <p>Best regards,<br>
-                        <strong>${emailConfig.senderName}</strong></p>
-                    </div>
-                `
-            }
-        };
-
-        return templates[template] || {
-            subject: data.subject || 'IT Support Notification',
-            body: data.body || 'This is a notification from IT Support System.'
-        };
-    }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * Email templates
+ * Every email is rendered from a named template: renderEmailTemplate(name, variables) returns { subject, body }.
+ * The built-in templates (templates/email) are the defaults. Administrators edit templates through
+ * /api/email/templates: each save adds a version to email_template_version and makes it active, and
+ * email_template.ActiveVersion can point back at any earlier version, or 0 for the built-in default.
+ *
+ * Active templates are cached for a minute, so a change made on another app instance shows up within a minute.
+ * When the database can't be read, or a stored template doesn't parse, the built-in default is used so the
+ * email still goes out.
+ */
+
+const { getPool } = require('../config/db');
+const emailConfigApp = require('../config/emailConfigApp');
+const { compile, render, variableNames } = require('../lib/templateEngine');
+const { TEMPLATES, COMMON_VARIABLES, ticketVariables, recipientVariables } = require('../templates/email');
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_SUBJECT_LENGTH = 500;
+const MAX_BODY_LENGTH = 1024 * 1024;
+const MAX_COMMENT_LENGTH = 255;
+
+const definitions = new Map(TEMPLATES.map(definition => [definition.name, definition]));
+// name -> { loadedAt, template }
+let cache = new Map();
+
+/**
+ * Parse a subject and body
+ * @returns {{ subject: Array, body: Array } | { error: string }}
+ */
+function compileTemplate(subject, body) {
+    const compiledSubject = compile(subject);
+    if (compiledSubject.error) return { error: `Subject: ${compiledSubject.error}` };
+    const compiledBody = compile(body);
+    if (compiledBody.error) return { error: `Body: ${compiledBody.error}` };
+    return { subject: compiledSubject.template, body: compiledBody.template };
+}
+
+// The built-in defaults must always parse, so a broken one stops the server at startup
+const builtIns = new Map(TEMPLATES.map(definition => {
+    const compiled = compileTemplate(definition.subject, definition.body);
+    if (compiled.error) throw new Error(`Built-in email template '${definition.name}' is invalid. ${compiled.error}`);
+    return [definition.name, { version: 0, subject: definition.subject, body: definition.body, compiled }];
+}));
+
+function getTemplateDefinition(name) {
+    return definitions.get(name) || null;
+}
+
+// Call after changing a template so the change applies immediately on this instance
+function clearTemplateCache(name) {
+    if (name) cache.delete(name);
+    else cache = new Map();
+}
+
+async function loadActiveTemplate(name) {
+    const cached = cache.get(name);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.template;
+
+    const [rows] = await getPool().query(
+        `SELECT t.ActiveVersion, v.Subject, v.Body
+         FROM email_template t
+         LEFT JOIN email_template_version v ON v.TemplateName = t.Name AND v.Version = t.ActiveVersion
+         WHERE t.Name = ?`,
+        [name]
+    );
+
+    let template = builtIns.get(name);
+    const row = rows[0];
+    if (row && row.ActiveVersion > 0 && row.Subject !== null) {
+        const compiled = compileTemplate(row.Subject, row.Body);
+        if (compiled.error) {
+            console.error(`⚠️ Email template '${name}' version ${row.ActiveVersion} is invalid, using the built-in default. ${compiled.error}`);
+        } else {
+            template = { version: row.ActiveVersion, subject: row.Subject, body: row.Body, compiled };
+        }
+    }
+    cache.set(name, { loadedAt: Date.now(), template });
+    return template;
+}
+
+/**
+ * Variables every template gets (see COMMON_VARIABLES); recipient is added by the caller
+ */
+function commonVariables() {
+    const senderName = emailConfigApp.senderName || 'IT Support';
+    return {
+        senderName,
+        senderEmail: emailConfigApp.senderEmail || '',
+        senderInitials: senderName.split(' ').map(n => n[0]).join('').slice(0, 2),
+        appUrl: process.env.APP_URL || 'http://10.1.1.57:3001',
+        now: new Date().toLocaleString()
+    };
+}
+
+function renderCompiled(compiled, variables) {
+    const data = { ...commonVariables(), ...variables };
+    return {
+        subject: render(compiled.subject, data, { mode: 'text' }).trim(),
+        body: render(compiled.body, data)
+    };
+}
+
+/**
+ * Render the active version of a template
+ * @param {string} name - template name (templates/email)
+ * @param {Object} variables
+ * @returns {Promise<{ subject: string, body: string, version: number }>}
+ */
+async function renderEmailTemplate(name, variables = {}) {
+    if (!definitions.has(name)) throw new Error(`Unknown email template '${name}'`);
+
+    let template;
+    try {
+        template = await loadActiveTemplate(name);
+    } catch (error) {
+        console.error(`⚠️ Could not load email template '${name}', using the built-in default:`, error.message);
+        template = builtIns.get(name);
+    }
+    return { ...renderCompiled(template.compiled, variables), version: template.version };
+}
+
+/**
+ * Every template with the version in use
+ * @returns {Promise<Array<{ name, description, activeVersion, latestVersion, isDefault, updatedBy, updatedAt }>>}
+ */
+async function listEmailTemplates() {
+    const [rows] = await getPool().query(
+        `SELECT t.Name, t.ActiveVersion, t.UpdatedBy, t.UpdatedDate, MAX(v.Version) as LatestVersion
+         FROM email_template t
+         LEFT JOIN email_template_version v ON v.TemplateName = t.Name
+         GROUP BY t.Name, t.ActiveVersion, t.UpdatedBy, t.UpdatedDate`
+    );
+    const stored = new Map(rows.map(row => [row.Name, row]));
+
+    return TEMPLATES.map(definition => {
+        const row = stored.get(definition.name);
+        return {
+            name: definition.name,
+            description: definition.description,
+            activeVersion: row ? row.ActiveVersion : 0,
+            latestVersion: row && row.LatestVersion ? row.LatestVersion : 0,
+            isDefault: !row || row.ActiveVersion === 0,
+            updatedBy: row ? row.UpdatedBy : null,
+            updatedAt: row ? row.UpdatedDate : null
+        };
+    });
+}
+
+/**
+ * One version of a template (the active one by default; 0 is the built-in default)
+ * @returns {Promise<Object|null>} null when the version doesn't exist
+ */
+async function getEmailTemplate(name, version = null) {
+    const definition = definitions.get(name);
+    if (!definition) return null;
+
+    const pool = getPool();
+    const [templateRows] = await pool.query('SELECT ActiveVersion FROM email_template WHERE Name = ?', [name]);
+    const activeVersion = templateRows.length > 0 ? templateRows[0].ActiveVersion : 0;
+    const wanted = version === null ? activeVersion : version;
+
+    let template = { version: 0, subject: definition.subject, body: definition.body, createdBy: null, createdAt: null, comment: null };
+    if (wanted > 0) {
+        const [rows] = await pool.query(
+            'SELECT Version, Subject, Body, Comment, CreatedBy, CreatedDate FROM email_template_version WHERE TemplateName = ? AND Version = ?',
+            [name, wanted]
+        );
+        if (rows.length === 0) return null;
+        template = {
+            version: rows[0].Version,
+            subject: rows[0].Subject,
+            body: rows[0].Body,
+            comment: rows[0].Comment,
+            createdBy: rows[0].CreatedBy,
+            createdAt: rows[0].CreatedDate
+        };
+    }
+
+    return {
+        name,
+        description: definition.description,
+        ...template,
+        isDefault: template.version === 0,
+        isActive: template.version === activeVersion,
+        activeVersion,
+        variables: { ...COMMON_VARIABLES, ...definition.variables }
+    };
+}
+
+/**
+ * Version history, newest first, ending with the built-in default (version 0)
+ */
+async function getEmailTemplateVersions(name) {
+    const [templateRows] = await getPool().query('SELECT ActiveVersion FROM email_template WHERE Name = ?', [name]);
+    const activeVersion = templateRows.length > 0 ? templateRows[0].ActiveVersion : 0;
+    const [rows] = await getPool().query(
+        `SELECT Version, Subject, Comment, CreatedBy, CreatedDate
+         FROM email_template_version WHERE TemplateName = ? ORDER BY Version DESC`,
+        [name]
+    );
+
+    return rows.map(row => ({
+        version: row.Version,
+        subject: row.Subject,
+        comment: row.Comment,
+        createdBy: row.CreatedBy,
+        createdAt: row.CreatedDate,
+        isActive: row.Version === activeVersion
+    })).concat({
+        version: 0,
+        subject: definitions.get(name).subject,
+        comment: 'Built-in default',
+        createdBy: null,
+        createdAt: null,
+        isActive: activeVersion === 0
+    });
+}
+
+/**
+ * Check a subject and body before saving
+ * @returns {{ warnings: string[] } | { error: string }} warnings list variables the template doesn't receive
+ */
+function validateTemplate(name, { subject, body, comment }) {
+    if (typeof subject !== 'string' || !subject.trim()) return { error: 'subject is required' };
+    if (subject.length > MAX_SUBJECT_LENGTH) return { error: `subject must be at most ${MAX_SUBJECT_LENGTH} characters` };
+    if (typeof body !== 'string' || !body.trim()) return { error: 'body is required' };
+    if (body.length > MAX_BODY_LENGTH) return { error: `body must be at most ${MAX_BODY_LENGTH} characters` };
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+        return { error: `comment must be text of at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    const compiled = compileTemplate(subject, body);
+    if (compiled.error) return { error: compiled.error };
+
+    const definition = definitions.get(name);
+    const known = new Set([...Object.keys(COMMON_VARIABLES), ...Object.keys(definition.variables), ...Object.keys(definition.sample)]);
+    const unknown = [...new Set([...variableNames(compiled.subject), ...variableNames(compiled.body)])].filter(v => !known.has(v));
+    return { warnings: unknown.map(v => `{{${v}}} is not a variable of this template and will render empty`) };
+}
+
+/**
+ * Save a new version of a template and start using it
+ * @returns {Promise<{ version: number, warnings: string[] } | { status: number, error: string }>}
+ */
+async function saveEmailTemplateVersion(name, { subject, body, comment }, actor = 'System') {
+    if (!definitions.has(name)) return { status: 404, error: `Unknown email template '${name}'` };
+    const validation = validateTemplate(name, { subject, body, comment });
+    if (validation.error) return { status: 400, error: validation.error };
+
+    const connection = await getPool().getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query(
+            `INSERT INTO email_template (Name, ActiveVersion, CreatedBy, UpdatedBy) VALUES (?, 0, ?, ?)
+             ON DUPLICATE KEY UPDATE Name = Name`,
+            [name, actor, actor]
+        );
+        // Lock the template row so concurrent saves get consecutive version numbers
+        await connection.query('SELECT Name FROM email_template WHERE Name = ? FOR UPDATE', [name]);
+        const [[{ latest }]] = await connection.query(
+            'SELECT COALESCE(MAX(Version), 0) as latest FROM email_template_version WHERE TemplateName = ?',
+            [name]
+        );
+        const version = latest + 1;
+
+        await connection.query('INSERT INTO email_template_version SET ?', {
+            TemplateName: name,
+            Version: version,
+            Subject: subject,
+            Body: body,
+            Comment: comment || null,
+            CreatedBy: actor
+        });
+        await connection.query('UPDATE email_template SET ActiveVersion = ?, UpdatedBy = ? WHERE Name = ?', [version, actor, name]);
+        await connection.commit();
+
+        clearTemplateCache(name);
+        return { version, warnings: validation.warnings };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Switch a template to an earlier version (0 = the built-in default)
+ * @returns {Promise<{ version: number } | { status: number, error: string }>}
+ */
+async function activateEmailTemplateVersion(name, version, actor = 'System') {
+    if (!definitions.has(name)) return { status: 404, error: `Unknown email template '${name}'` };
+
+    const pool = getPool();
+    if (version > 0) {
+        const [rows] = await pool.query(
+            'SELECT Subject, Body FROM email_template_version WHERE TemplateName = ? AND Version = ?',
+            [name, version]
+        );
+        if (rows.length === 0) return { status: 404, error: `Template '${name}' has no version ${version}` };
+        const compiled = compileTemplate(rows[0].Subject, rows[0].Body);
+        if (compiled.error) return { status: 400, error: `Version ${version} can't be used. ${compiled.error}` };
+    }
+
+    await pool.query(
+        `INSERT INTO email_template (Name, ActiveVersion, CreatedBy, UpdatedBy) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE ActiveVersion = VALUES(ActiveVersion), UpdatedBy = VALUES(UpdatedBy)`,
+        [name, version, actor, actor]
+    );
+    clearTemplateCache(name);
+    return { version };
+}
+
+/**
+ * Render a template version with its sample variables (for previews)
+ * @returns {Promise<{ subject, body, version } | { status, error } | null>} null when the version doesn't exist
+ */
+async function previewEmailTemplate(name, version = null) {
+    const template = await getEmailTemplate(name, version);
+    if (!template) return null;
+    const compiled = compileTemplate(template.subject, template.body);
+    if (compiled.error) return { status: 400, error: compiled.error };
+    return { ...renderCompiled(compiled, definitions.get(name).sample), version: template.version };
+}
+
+module.exports = {
+    renderEmailTemplate,
+    ticketVariables,
+    recipientVariables,
+    getTemplateDefinition,
+    listEmailTemplates,
+    getEmailTemplate,
+    getEmailTemplateVersions,
+    saveEmailTemplateVersion,
+    activateEmailTemplateVersion,
+    previewEmailTemplate,
+    clearTemplateCache
+};
@@ -0,0 +1,306 @@
+/**
+ * Ticket escalation job
+ * Periodically checks open tickets against the escalation_rule table (status, severity, time in
+ * status or SLA state) and escalates matching tickets: notify IT Heads, bump severity or reassign.
+ * Every escalation is stored in ticket_escalation, so a rule fires at most once per ticket.
+ */
+
+const { getPool } = require('../config/db');
+const { loadCalendar, businessMinutesBetween } = require('../lib/businessHours');
+const { applySlaPolicy, slaStateCondition } = require('../lib/sla');
+const { TICKET_EVENT_TYPES, recordTicketEvent } = require('../lib/ticketEvents');
+const { formatSeverityForFrontend } = require('../lib/severity');
+const { onBehalfNote, getActiveDelegate, redirectRecipients } = require('../lib/delegation');
+const { runWithNamedLock } = require('../lib/jobLock');
+
+const SEVERITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const CLOSED_STATUSES = ['COMPLETED', 'CLOSED', 'REJECTED'];
+const ESCALATION_ACTOR = { name: 'Escalation job', createdBy: 'System' };
+
+const JOB_LOCK_NAME = 'itsupport_escalation_job';
+
+// Tickets escalated per rule per run (and the page size when looking for them); anything left over is
+// picked up on the next run
+const BATCH_SIZE = 100;
+
+let timer = null;
+
+function intervalMs() {
+    const minutes = parseInt(process.env.ESCALATION_INTERVAL_MINUTES || '5');
+    return (Number.isInteger(minutes) && minutes > 0 ? minutes : 5) * 60 * 1000;
+}
+
+// One page of candidates in CreatedDate order; after is the last ticket of the previous page
+async function findCandidates(pool, rule, after = null) {
+    const conditions = [
+        't.IsActive = 1',
+        `t.Status NOT IN (${CLOSED_STATUSES.map(() => '?').join(',')})`,
+        'NOT EXISTS (SELECT 1 FROM ticket_escalation x WHERE x.TicketId = t.Id AND x.RuleId = ?)'
+    ];
+    const params = [...CLOSED_STATUSES, rule.Id];
+
+    if (rule.Status) {
+        conditions.push('t.Status = ?');
+        params.push(rule.Status);
+    }
+    if (rule.SeverityLevel) {
+        conditions.push('t.SeverityLevel = ?');
+        params.push(rule.SeverityLevel);
+    }
+    if (rule.TriggerType === 'SLA_BREACHED') conditions.push(slaStateCondition('breached'));
+    if (rule.TriggerType === 'SLA_AT_RISK') conditions.push(slaStateCondition('at_risk'));
+    if (after) {
+        conditions.push('(t.CreatedDate > ? OR (t.CreatedDate = ? AND t.Id > ?))');
+        params.push(after.CreatedDate, after.CreatedDate, after.Id);
+    }
+
+    // Business minutes never exceed wall-clock minutes, so the wall-clock age is a safe pre-filter
+    let having = '';
+    if (rule.TriggerType === 'AGE') {
+        having = 'HAVING StatusSince <= DATE_SUB(NOW(), INTERVAL ? MINUTE)';
+        params.push(rule.AgeMinutes || 0);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT t.Id, t.Status, t.SeverityLevel, t.CategoryId, t.AssignerId, t.CreatedDate, t.SlaPausedAt,
+                COALESCE(
+                    (SELECT MAX(e.CreatedDate) FROM ticket_event e
+                     WHERE e.TicketId = t.Id AND e.EventType IN ('CREATED', 'STATUS_CHANGED', 'APPROVED', 'REJECTED')),
+                    t.CreatedDate
+                ) AS StatusSince
+         FROM ticket t
+         WHERE ${conditions.join(' AND ')}
+         ${having}
+         ORDER BY t.CreatedDate ASC, t.Id ASC
+         LIMIT ${BATCH_SIZE}`,
+        params
+    );
+    return rows;
+}
+
+function describeTrigger(rule, ticket, calendar) {
+    if (rule.TriggerType === 'SLA_BREACHED') return 'The ticket has breached its SLA.';
+    if (rule.TriggerType === 'SLA_AT_RISK') return 'The ticket is close to breaching its SLA.';
+    const minutes = businessMinutesBetween(calendar, ticket.StatusSince, new Date());
+    const hours = Math.floor(minutes / 60);
+    return `The ticket has been ${ticket.Status} for ${hours ? `${hours}h ` : ''}${minutes % 60}m of business time.`;
+}
+
+async function applyAction(pool, rule, ticket) {
+    if (rule.Action === 'BUMP_SEVERITY') {
+        const index = SEVERITY_ORDER.indexOf(ticket.SeverityLevel);
+        if (index < 0 || index === SEVERITY_ORDER.length - 1) return 'Severity already at highest level';
+        const newSeverity = SEVERITY_ORDER[index + 1];
+
+        await pool.query(
+            "UPDATE ticket SET SeverityLevel = ?, UpdatedBy = 'System', UpdatedDate = NOW() WHERE Id = ?",
+            [newSeverity, ticket.Id]
+        );
+        await recordTicketEvent(pool, {
+            ticketId: ticket.Id,
+            eventType: TICKET_EVENT_TYPES.SEVERITY_CHANGED,
+            oldValue: ticket.SeverityLevel,
+            newValue: newSeverity,
+            note: `Escalation rule: ${rule.Name}`,
+            actor: ESCALATION_ACTOR
+        });
+        // Re-plan the SLA with the tighter targets (paused tickets keep theirs until they resume)
+        if (!ticket.SlaPausedAt) {
+            await applySlaPolicy(pool, ticket.Id, { severityLevel: newSeverity, categoryId: ticket.CategoryId, startDate: ticket.CreatedDate });
+        }
+        ticket.SeverityLevel = newSeverity;
+        return `Severity raised to ${formatSeverityForFrontend(newSeverity)}`;
+    }
+
+    if (rule.Action === 'REASSIGN') {
+        if (!rule.ReassignToUserId) return null;
+        const [userRows] = await pool.query('SELECT Id, Name FROM user WHERE Id = ? AND IsActive = 1', [rule.ReassignToUserId]);
+        if (userRows.length === 0) return null;
+
+        // Route to the delegate while the rule's user is out of office
+        const delegation = await getActiveDelegate(pool, rule.ReassignToUserId);
+        const assigneeId = delegation ? delegation.id : rule.ReassignToUserId;
+        const assigneeName = delegation ? delegation.name : userRows[0].Name;
+        if (assigneeId === ticket.AssignerId) return null;
+
+        await pool.query(
+            "UPDATE ticket SET AssignerId = ?, UpdatedBy = 'System', UpdatedDate = NOW() WHERE Id = ?",
+            [assigneeId, ticket.Id]
+        );
+        await recordTicketEvent(pool, {
+            ticketId: ticket.Id,
+            eventType: TICKET_EVENT_TYPES.ASSIGNED,
+            oldValue: ticket.AssignerId,
+            newValue: assigneeId,
+            note: delegation
+                ? `Escalation rule: ${rule.Name}. Assigned to ${assigneeName} ${onBehalfNote(delegation.onBehalfOf)}`
+                : `Escalation rule: ${rule.Name}`,
+            actor: ESCALATION_ACTOR
+        });
+        ticket.AssignerId = assigneeId;
+        return delegation ? `Reassigned to ${assigneeName} ${onBehalfNote(delegation.onBehalfOf)}` : `Reassigned to ${assigneeName}`;
+    }
+
+    return null;
+}
+
+async function notifyEscalation(pool, rule, ticket, reason, actionTaken) {
+    try {
+        const emailServiceApp = require('./emailServiceApp');
+
+        const [detailsRows] = await pool.query(`
+            SELECT
+                CONCAT('TK-', YEAR(t.CreatedDate), '-', LPAD(t.Id, 3, '0')) as ticketNumber,
+                t.Name as fullName,
+                t.Description,
+                t.Status,
+                t.SeverityLevel,
+                t.CreatedDate,
+                c.Name as categoryName,
+                u.Name as assignedToName,
+                u.email as assignedToEmail
+            FROM ticket t
+            LEFT JOIN category c ON t.CategoryId = c.Id AND c.IsActive = 1
+            LEFT JOIN user u ON t.AssignerId = u.Id AND u.IsActive = 1
+            WHERE t.Id = ?
+        `, [ticket.Id]);
+        const info = detailsRows[0] || {};
+
+        const ticketData = {
+            ticketId: info.ticketNumber,
+            category: info.categoryName || 'General',
+            severityLevel: formatSeverityForFrontend(info.SeverityLevel),
+            status: info.Status,
+            assignedTo: info.assignedToName || 'Unassigned',
+            requesterName: info.fullName,
+            createdDate: info.CreatedDate,
+            description: info.Description
+        };
+
+        const [itHeads] = await pool.query(
+            `SELECT DISTINCT u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3`
+        );
+        const recipients = await redirectRecipients(pool, itHeads.map(h => ({ email: h.email, name: h.name })));
+        if (rule.Action === 'REASSIGN' && info.assignedToEmail && !recipients.some(r => r.email === info.assignedToEmail)) {
+            recipients.push({ email: info.assignedToEmail, name: info.assignedToName });
+        }
+
+        for (const recipient of recipients) {
+            try {
+                await emailServiceApp.sendTicketEscalationEmail(ticketData, recipient.email, recipient.name, {
+                    ruleName: rule.Name,
+                    reason,
+                    actionTaken
+                });
+            } catch (emailError) {
+                console.error(`❌ Failed to send escalation email to ${recipient.email}:`, emailError.message);
+            }
+        }
+        console.log(`📧 Escalation for ticket ${ticketData.ticketId} sent to ${recipients.length} recipient(s)`);
+    } catch (err) {
+        console.error(`❌ Error sending escalation notifications for ticket ${ticket.Id}:`, err.message || err);
+    }
+}
+
+async function escalateTicket(pool, rule, ticket, calendar) {
+    // Claim the (ticket, rule) pair first; if the row already exists it was escalated before
+    const [claim] = await pool.query(
+        'INSERT IGNORE INTO ticket_escalation (TicketId, RuleId, Action) VALUES (?, ?, ?)',
+        [ticket.Id, rule.Id, rule.Action]
+    );
+    if (claim.affectedRows === 0) return false;
+
+    const reason = describeTrigger(rule, ticket, calendar);
+    const actionTaken = await applyAction(pool, rule, ticket);
+    const details = [reason, actionTaken].filter(Boolean).join(' ');
+
+    await pool.query('UPDATE ticket_escalation SET Details = ? WHERE Id = ?', [details.slice(0, 500), claim.insertId]);
+    await recordTicketEvent(pool, {
+        ticketId: ticket.Id,
+        eventType: TICKET_EVENT_TYPES.ESCALATED,
+        newValue: rule.Name,
+        note: details,
+        actor: ESCALATION_ACTOR
+    });
+    await notifyEscalation(pool, rule, ticket, reason, actionTaken);
+    return true;
+}
+
+/**
+ * Run one escalation pass over all active rules
+ * @returns {Promise<number>} number of tickets escalated
+ */
+async function runEscalationCheck() {
+    const pool = getPool();
+    const [rules] = await pool.query('SELECT * FROM escalation_rule WHERE IsActive = 1 ORDER BY Id ASC');
+    if (rules.length === 0) return 0;
+
+    const calendar = await loadCalendar(pool);
+    const now = new Date();
+    let escalated = 0;
+
+    for (const rule of rules) {
+        try {
+            // AGE candidates are only old enough by the clock; the ones that aren't by business time are
+            // skipped and paged past, so they can't hold back newer tickets that qualify
+            let handled = 0;
+            let after = null;
+            while (handled < BATCH_SIZE) {
+                const candidates = await findCandidates(pool, rule, after);
+                for (const ticket of candidates) {
+                    if (rule.TriggerType === 'AGE' && businessMinutesBetween(calendar, ticket.StatusSince, now) < (rule.AgeMinutes || 0)) {
+                        continue;
+                    }
+                    handled++;
+                    if (await escalateTicket(pool, rule, ticket, calendar)) escalated++;
+                }
+                if (candidates.length < BATCH_SIZE) break;
+                after = candidates[candidates.length - 1];
+            }
+        } catch (err) {
+            console.error(`❌ Escalation rule "${rule.Name}" failed:`, err.message || err);
+        }
+    }
+
+    return escalated;
+}
+
+async function runLocked() {
+    try {
+        const escalated = await runWithNamedLock(JOB_LOCK_NAME, runEscalationCheck);
+        if (escalated > 0) console.log(`⚠️ Escalation job escalated ${escalated} ticket(s)`);
+    } catch (err) {
+        console.error('❌ Escalation job failed:', err.message || err);
+    }
+}
+
+/**
+ * Start the escalation scheduler (call after the database is initialized).
+ * Disabled with ESCALATION_JOB_ENABLED=false; interval set with ESCALATION_INTERVAL_MINUTES (default 5).
+ */
+function startEscalationScheduler() {
+    if (process.env.ESCALATION_JOB_ENABLED === 'false') {
+        console.log('ℹ️ Escalation job disabled (ESCALATION_JOB_ENABLED=false)');
+        return;
+    }
+    if (timer) return;
+
+    const every = intervalMs();
+    timer = setInterval(runLocked, every);
+    timer.unref();
+    console.log(`⏱️ Escalation job scheduled every ${every / 60000} minute(s)`);
+    runLocked();
+}
+
+function stopEscalationScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runEscalationCheck,
+    startEscalationScheduler,
+    stopEscalationScheduler
+};
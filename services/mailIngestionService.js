@@ -0,0 +1,473 @@
+/**
+ * Email-to-ticket ingestion job
+ * Periodically reads new messages from the configured mail source (services/mailSources) and
+ *  - threads replies whose subject carries a ticket number (TK-YYYY-NNN) into comments on that ticket,
+ *    when the sender can see the ticket;
+ *  - opens a ticket for every other message, with the sender mapped to a user or to requester fields.
+ * Attachments are kept on the ticket. Every message is logged in inbound_email, so it is never
+ * ingested twice; messages that keep failing are set aside after MAX_ATTEMPTS.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getPool } = require('../config/db');
+const { createMailSource } = require('./mailSources');
+const { TICKET_EVENT_TYPES, recordTicketEvent } = require('../lib/ticketEvents');
+const { applySlaPolicy, recordFirstResponse } = require('../lib/sla');
+const { getTicketScope, canViewTicket } = require('../lib/ticketVisibility');
+const { redirectRecipients } = require('../lib/delegation');
+const { notificationAudience } = require('../lib/notificationPreferences');
+const { UPLOADS_DIRECTORY, storedFileName, attachmentDisplayName } = require('../lib/attachmentFiles');
+const { runWithNamedLock } = require('../lib/jobLock');
+
+const JOB_LOCK_NAME = 'itsupport_mail_ingestion_job';
+
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 3;
+const MAX_ATTACHMENTS = 10;
+const TICKET_NUMBER_PATTERN = /\bTK-(\d{4})-(\d{3,})\b/i;
+
+let timer = null;
+
+function intervalMs() {
+    const minutes = parseInt(process.env.MAIL_INGEST_INTERVAL_MINUTES || '2');
+    return (Number.isInteger(minutes) && minutes > 0 ? minutes : 2) * 60 * 1000;
+}
+
+function maxAttachmentBytes() {
+    const mb = parseInt(process.env.MAIL_INGEST_MAX_ATTACHMENT_MB || '10');
+    return (Number.isInteger(mb) && mb > 0 ? mb : 10) * 1024 * 1024;
+}
+
+// Auto-replies, bounces and our own notifications must not open tickets (or loop back into comments)
+function ignoreReason(message) {
+    const address = message.from && message.from.address;
+    if (!address) return 'No sender address';
+
+    const ownAddresses = [process.env.SENDER_EMAIL, process.env.MAIL_INGEST_MAILBOX]
+        .filter(Boolean)
+        .map(a => a.toLowerCase());
+    if (ownAddresses.includes(address)) return 'Sent by the IT Support System itself';
+
+    const headers = message.headers || {};
+    const autoSubmitted = String(headers['auto-submitted'] || 'no').toLowerCase();
+    if (autoSubmitted !== 'no') return `Automatic message (Auto-Submitted: ${autoSubmitted})`;
+    if (/^(bulk|junk|list|auto_reply)$/i.test(String(headers.precedence || '').trim())) return `Automatic message (Precedence: ${headers.precedence})`;
+    if (headers['x-autoreply'] || headers['x-autorespond']) return 'Automatic reply';
+    if (/^(mailer-daemon|postmaster)@/i.test(address)) return 'Delivery status notification';
+    return null;
+}
+
+// Keep what the sender wrote, not the quoted conversation below it
+function stripQuotedReply(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const kept = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^On .+wrote:\s*$/.test(line.trim())) break;
+        if (/^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim())) break;
+        if (/^_{10,}$/.test(line.trim())) break;
+        // Outlook header block of the quoted message
+        if (/^From:\s.+/i.test(line) && /^(Sent|Date):\s.+/i.test(lines[i + 1] || '')) break;
+        if (line.startsWith('>')) continue;
+        kept.push(line);
+    }
+    const reply = kept.join('\n').trim();
+    return reply || String(text || '').trim();
+}
+
+async function resolveSender(db, from) {
+    const [rows] = await db.query(
+        `SELECT Id, uid, name, email, roleId, departmentId
+         FROM user WHERE LOWER(email) = ? AND IsActive = 1 LIMIT 1`,
+        [from.address]
+    );
+    const user = rows[0] || null;
+    return {
+        user,
+        name: (user && user.name) || from.name || from.address,
+        email: (user && user.email) || from.address,
+        createdBy: (user && user.uid) || from.address,
+        actor: {
+            id: user ? user.Id : null,
+            uid: user ? user.uid : null,
+            name: (user && user.name) || from.name || from.address,
+            createdBy: (user && user.uid) || from.address
+        }
+    };
+}
+
+// The ticket a reply belongs to, when the subject names one the sender is allowed to see
+async function findThreadTicket(db, subject, sender) {
+    const match = TICKET_NUMBER_PATTERN.exec(subject || '');
+    if (!match) return null;
+
+    const [rows] = await db.query(
+        `SELECT Id, Status, CreatedBy, AssignerId, CONCAT('TK-', YEAR(CreatedDate), '-', LPAD(Id, 3, '0')) as ticketNumber
+         FROM ticket WHERE Id = ? AND YEAR(CreatedDate) = ? AND IsActive = 1`,
+        [parseInt(match[2], 10), parseInt(match[1], 10)]
+    );
+    if (rows.length === 0) return null;
+
+    const scope = await getTicketScope(db, sender.user
+        ? { uid: sender.user.uid, email: sender.user.email, roleId: sender.user.roleId }
+        : { email: sender.email });
+    if (!(await canViewTicket(db, scope, rows[0].Id))) {
+        console.log(`ℹ️ ${sender.email} replied about ${rows[0].ticketNumber} but can't see it; opening a new ticket instead`);
+        return null;
+    }
+    return rows[0];
+}
+
+// Store attachments the same way as uploads from the ticket form (uploads/ + attachments row)
+/**
+ * Store an email's attachments on a ticket (files in uploads/, rows in attachments)
+ * @param {Array<string>} writtenFiles - receives the path of every file written, so the caller can delete them
+ *   if its transaction is rolled back
+ */
+async function saveAttachments(db, ticketId, attachments, createdBy, writtenFiles) {
+    const limit = maxAttachmentBytes();
+    const accepted = attachments.filter(a => a.content.length > 0 && a.content.length <= limit).slice(0, MAX_ATTACHMENTS);
+    if (accepted.length < attachments.length) {
+        console.log(`⚠️ Skipped ${attachments.length - accepted.length} attachment(s) on ticket ${ticketId} (empty, over ${limit / 1024 / 1024}MB or more than ${MAX_ATTACHMENTS})`);
+    }
+    if (accepted.length === 0) return [];
+
+    await fs.mkdir(UPLOADS_DIRECTORY, { recursive: true });
+
+    const saved = [];
+    for (const attachment of accepted) {
+        // Stored under a neutral extension (lib/attachmentFiles.js): senders can be anyone, so an .html or .svg
+        // from an email must never be something the server would render
+        const uniqueName = storedFileName(attachment.filename);
+        const safeName = attachmentDisplayName(uniqueName);
+        const filePath = path.join(UPLOADS_DIRECTORY, uniqueName);
+        writtenFiles.push(filePath);
+        await fs.writeFile(filePath, attachment.content);
+        await db.query(
+            `INSERT INTO attachments (Path, TicketId, CreatedBy, CreatedDate, IsActive) VALUES (?, ?, ?, NOW(), 1)`,
+            [`/uploads/${uniqueName}`, ticketId, createdBy]
+        );
+        saved.push({
+            name: safeName,
+            contentType: attachment.contentType || 'application/octet-stream',
+            contentBytes: attachment.content.toString('base64'),
+            size: attachment.content.length
+        });
+    }
+    return saved;
+}
+
+// Files written for a transaction that was rolled back; nothing points at them, and the message is retried
+async function removeFiles(filePaths) {
+    for (const filePath of filePaths) {
+        try {
+            await fs.unlink(filePath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`❌ Could not remove ${filePath}:`, err.message || err);
+        }
+    }
+}
+
+async function logInbound(db, sourceName, message, { outcome, ticketId = null, commentId = null, error = null, attempts = 1 }) {
+    await db.query(
+        `INSERT INTO inbound_email (Source, MessageId, FromAddress, Subject, Outcome, TicketId, CommentId, Error, Attempts, ReceivedDate)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE Outcome = VALUES(Outcome), TicketId = VALUES(TicketId), CommentId = VALUES(CommentId),
+                                 Error = VALUES(Error), Attempts = VALUES(Attempts)`,
+        [
+            sourceName,
+            String(message.messageId).slice(0, 255),
+            message.from && message.from.address ? message.from.address.slice(0, 255) : null,
+            (message.subject || '').slice(0, 255),
+            outcome,
+            ticketId,
+            commentId,
+            error ? String(error).slice(0, 500) : null,
+            attempts,
+            message.receivedAt || null
+        ]
+    );
+}
+
+async function notifyTicketCreated(pool, ticketId, sender, message, emailAttachments) {
+    const emailServiceApp = require('./emailServiceApp');
+    const [rows] = await pool.query(
+        `SELECT CONCAT('TK-', YEAR(t.CreatedDate), '-', LPAD(t.Id, 3, '0')) as ticketNumber, t.CategoryId,
+                c.Name as categoryName, d.Name as departmentName, t.Description, t.CreatedDate
+         FROM ticket t
+         LEFT JOIN category c ON t.CategoryId = c.Id AND c.IsActive = 1
+         LEFT JOIN department d ON t.DepartmentId = d.Id AND d.IsActive = 1
+         WHERE t.Id = ?`,
+        [ticketId]
+    );
+    const ticket = rows[0];
+
+    // Acknowledge with the ticket number in the subject, so replies are threaded into the ticket
+    try {
+        await emailServiceApp.sendTemplateEmail('email-ticket-received', {
+            ticketId: ticket.ticketNumber,
+            originalSubject: message.subject || 'Your IT Support request'
+        }, { to: sender.email, toName: sender.name });
+    } catch (err) {
+        console.error(`📧 Failed to acknowledge email ticket ${ticket.ticketNumber}:`, err.message || err);
+    }
+
+    // Same audience as tickets created through the form, filtered by notification preferences
+    const [teamRows] = ticket.CategoryId
+        ? await pool.query(`SELECT DISTINCT u.Id, u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.categoryId = ?`, [ticket.CategoryId])
+        : [[]];
+    const [itHeadRows] = await pool.query(`SELECT DISTINCT u.Id, u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 3`);
+    const [roleOneRows] = await pool.query(`SELECT DISTINCT u.email, u.name FROM user u WHERE u.IsActive = 1 AND u.email IS NOT NULL AND u.email != '' AND u.roleId = 1`);
+
+    const audience = notificationAudience(pool, { ticketId, ticketNumber: ticket.ticketNumber });
+    const createdMessage = `New ticket ${ticket.ticketNumber} from an email by ${sender.name}`;
+    const notSender = list => list.filter(u => u.email && u.email.toLowerCase() !== sender.email.toLowerCase());
+    const teamUsers = await audience.filter(notSender(await redirectRecipients(pool, teamRows)), 'TICKET_CREATED', createdMessage);
+    const itHeadUsers = await audience.filter(notSender(await redirectRecipients(pool, itHeadRows)), 'TICKET_CREATED', createdMessage);
+    const roleOneUsers = await audience.filter(notSender(roleOneRows), 'TICKET_CREATED', createdMessage);
+
+    const now = new Date().toLocaleDateString() + ' ' + new Date().toLocaleTimeString();
+    const ticketData = {
+        ticketId: ticket.ticketNumber,
+        category: ticket.categoryName || 'Uncategorized',
+        assignedTeam: ticket.categoryName || 'General',
+        requesterName: sender.name,
+        requesterContact: 'N/A',
+        requesterEmail: sender.email,
+        requesterDepartment: ticket.departmentName || 'N/A',
+        requesterCompany: 'N/A',
+        issueType: 'N/A',
+        requestType: 'N/A',
+        assignedTo: 'Unassigned',
+        assignedDate: now,
+        createdDate: now,
+        lastUpdated: now,
+        title: sender.name,
+        description: ticket.Description || 'No description provided',
+        severityLevel: 'Low',
+        status: 'NEW'
+    };
+    try {
+        await emailServiceApp.sendTicketCreationEmail(ticketData, teamUsers, itHeadUsers, null, emailAttachments, roleOneUsers, null);
+    } catch (err) {
+        console.error(`📧 Failed to send ticket creation emails for ${ticket.ticketNumber}:`, err.message || err);
+    }
+}
+
+async function createTicketFromMessage(pool, sourceName, message, sender) {
+    const subject = (message.subject || '').trim();
+    const body = (message.text || '').trim();
+    const description = [subject, body].filter(Boolean).join('\n\n').slice(0, 60000) || '(empty email)';
+    const categoryId = parseInt(process.env.MAIL_INGEST_CATEGORY_ID) || null;
+
+    const connection = await pool.getConnection();
+    let ticketId;
+    let emailAttachments;
+    const writtenFiles = [];
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            `INSERT INTO ticket (
+                Name, Email, DepartmentId, Description, CategoryId, Status, ApprovalStatus,
+                SeverityLevel, CreatedBy, CreatedDate, IsActive
+             ) VALUES (?, ?, ?, ?, ?, 'NEW', 'Pending', 'LOW', ?, NOW(), 1)`,
+            [
+                sender.name.slice(0, 150),
+                sender.email,
+                (sender.user && sender.user.departmentId) || null,
+                description,
+                categoryId,
+                sender.createdBy
+            ]
+        );
+        ticketId = result.insertId;
+
+        await recordTicketEvent(connection, {
+            ticketId,
+            eventType: TICKET_EVENT_TYPES.CREATED,
+            newValue: 'NEW',
+            note: `Created from an email by ${sender.email}`,
+            actor: sender.actor
+        });
+        try {
+            await applySlaPolicy(connection, ticketId, { severityLevel: 'LOW', categoryId });
+        } catch (slaError) {
+            console.error('Error applying SLA policy to email ticket:', slaError.message);
+        }
+        emailAttachments = await saveAttachments(connection, ticketId, message.attachments || [], sender.createdBy, writtenFiles);
+        await logInbound(connection, sourceName, message, { outcome: 'TICKET_CREATED', ticketId });
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        await removeFiles(writtenFiles);
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📥 Ticket ${ticketId} created from email "${subject}" by ${sender.email}`);
+    try {
+        await notifyTicketCreated(pool, ticketId, sender, message, emailAttachments);
+    } catch (err) {
+        console.error(`📧 Failed to send notifications for email ticket ${ticketId}:`, err.message || err);
+    }
+    return { outcome: 'TICKET_CREATED', ticketId };
+}
+
+async function addReplyComment(pool, sourceName, message, sender, ticket) {
+    const reply = stripQuotedReply(message.text).slice(0, 60000) || '(empty reply)';
+
+    const connection = await pool.getConnection();
+    let commentId;
+    const writtenFiles = [];
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            `INSERT INTO comment (TicketId, Comment, UserId, Name, CreatedBy, CreatedDate, IsActive)
+             VALUES (?, ?, ?, ?, ?, NOW(), 1)`,
+            [ticket.Id, reply, sender.user ? sender.user.Id : null, sender.name, sender.createdBy]
+        );
+        commentId = result.insertId;
+
+        await recordTicketEvent(connection, {
+            ticketId: ticket.Id,
+            eventType: TICKET_EVENT_TYPES.COMMENT_ADDED,
+            newValue: commentId,
+            note: 'Added from an email reply',
+            actor: sender.actor
+        });
+        // A reply from anyone other than the requester counts as the first response for the SLA
+        if (ticket.CreatedBy !== sender.createdBy) {
+            await recordFirstResponse(connection, ticket.Id);
+        }
+        await saveAttachments(connection, ticket.Id, message.attachments || [], sender.createdBy, writtenFiles);
+        await logInbound(connection, sourceName, message, { outcome: 'COMMENT_ADDED', ticketId: ticket.Id, commentId });
+        await connection.commit();
+    } catch (err) {
+        await connection.rollback();
+        await removeFiles(writtenFiles);
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📥 Email reply from ${sender.email} added as comment ${commentId} on ${ticket.ticketNumber}`);
+
+    // Same in-app/digest notification as a comment added through the API
+    try {
+        const [involvedUsers] = await pool.query(
+            `SELECT a.email, a.name FROM ticket t JOIN user a ON t.AssignerId = a.Id AND a.IsActive = 1 WHERE t.Id = ?
+             UNION
+             SELECT email, name FROM user WHERE IsActive = 1 AND (uid = ? OR email = ?)`,
+            [ticket.Id, ticket.CreatedBy, ticket.CreatedBy]
+        );
+        await notificationAudience(pool, { ticketId: ticket.Id, ticketNumber: ticket.ticketNumber }).filter(
+            involvedUsers.filter(u => u.email && u.email.toLowerCase() !== sender.email.toLowerCase()),
+            'COMMENT_ADDED',
+            `${sender.name} replied by email on ${ticket.ticketNumber}: ${reply.slice(0, 200)}`
+        );
+    } catch (err) {
+        console.error(`❌ Failed to record comment notifications for ${ticket.ticketNumber}:`, err.message || err);
+    }
+    return { outcome: 'COMMENT_ADDED', ticketId: ticket.Id, commentId };
+}
+
+async function ingestMessage(pool, source, message) {
+    const [existingRows] = await pool.query('SELECT Outcome, Attempts FROM inbound_email WHERE MessageId = ?', [String(message.messageId).slice(0, 255)]);
+    const existing = existingRows[0] || null;
+    if (existing && existing.Outcome !== 'FAILED') {
+        await source.markProcessed(message);
+        return 'DUPLICATE';
+    }
+
+    let result;
+    try {
+        const reason = ignoreReason(message);
+        const sender = reason ? null : await resolveSender(pool, message.from);
+        if (reason) {
+            result = { outcome: 'IGNORED', error: reason };
+        } else if (!sender.user && process.env.MAIL_INGEST_ALLOW_UNKNOWN_SENDERS === 'false') {
+            result = { outcome: 'IGNORED', error: 'Sender is not a registered user' };
+        }
+        if (result) {
+            await logInbound(pool, source.name, message, result);
+            console.log(`ℹ️ Ignored email "${message.subject}" from ${message.from?.address || 'unknown sender'}: ${result.error}`);
+        } else {
+            const ticket = await findThreadTicket(pool, message.subject, sender);
+            result = ticket
+                ? await addReplyComment(pool, source.name, message, sender, ticket)
+                : await createTicketFromMessage(pool, source.name, message, sender);
+        }
+    } catch (err) {
+        const attempts = (existing ? existing.Attempts : 0) + 1;
+        console.error(`❌ Failed to ingest email "${message.subject}" (attempt ${attempts} of ${MAX_ATTEMPTS}):`, err.message || err);
+        await logInbound(pool, source.name, message, { outcome: 'FAILED', error: err.message || String(err), attempts });
+        if (attempts >= MAX_ATTEMPTS) await source.markProcessed(message, { failed: true });
+        return 'FAILED';
+    }
+
+    // Already logged as handled, so if this fails the next run only marks it again
+    await source.markProcessed(message);
+    return result.outcome;
+}
+
+/**
+ * Read one batch from the mail source
+ * @returns {Promise<Object>} counts per outcome, e.g. { TICKET_CREATED: 2, COMMENT_ADDED: 1 }
+ */
+async function runMailIngestion(source = createMailSource({ batchSize: BATCH_SIZE })) {
+    const pool = getPool();
+    const messages = await source.fetchMessages();
+    const counts = {};
+    for (const message of messages) {
+        try {
+            const outcome = await ingestMessage(pool, source, message);
+            counts[outcome] = (counts[outcome] || 0) + 1;
+        } catch (err) {
+            // Logging the failure itself failed (e.g. database down); the message stays in the source for the next run
+            console.error(`❌ Email "${message.subject}" left in the mailbox:`, err.message || err);
+        }
+    }
+    return counts;
+}
+
+async function runLocked() {
+    try {
+        const counts = await runWithNamedLock(JOB_LOCK_NAME, runMailIngestion);
+        if (counts && Object.keys(counts).length > 0) console.log('📥 Mail ingestion:', counts);
+    } catch (err) {
+        console.error('❌ Mail ingestion job failed:', err.message || err);
+    }
+}
+
+/**
+ * Start the mail ingestion scheduler (call after the database is initialized).
+ * Off unless MAIL_INGEST_ENABLED=true; interval set with MAIL_INGEST_INTERVAL_MINUTES (default 2).
+ */
+function startMailIngestionScheduler() {
+    if (process.env.MAIL_INGEST_ENABLED !== 'true') {
+        console.log('ℹ️ Mail ingestion job disabled (set MAIL_INGEST_ENABLED=true to create tickets from email)');
+        return;
+    }
+    if (timer) return;
+
+    const every = intervalMs();
+    timer = setInterval(runLocked, every);
+    timer.unref();
+    console.log(`⏱️ Mail ingestion job (${process.env.MAIL_INGEST_SOURCE || 'graph'}) scheduled every ${every / 60000} minute(s)`);
+    runLocked();
+}
+
+function stopMailIngestionScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runMailIngestion,
+    startMailIngestionScheduler,
+    stopMailIngestionScheduler
+};
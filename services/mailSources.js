@@ -0,0 +1,151 @@
+/**
+ * Mail sources for the email-to-ticket ingestion job
+ *
+ * A source lists new messages in one shape and is told once each message has been handled:
+ *   { name, fetchMessages(): Promise<Array<InboundMessage>>, markProcessed(message, { failed }): Promise<void> }
+ * InboundMessage: { sourceRef, messageId, from: { name, address }, subject, receivedAt, text, headers,
+ *                   attachments: [{ filename, contentType, content: Buffer }] }
+ * headers holds lower-cased header names; only the ones needed to spot auto-replies are guaranteed.
+ *
+ * Sources: "graph" polls the IT mailbox through Microsoft Graph, "directory" reads .eml files from a
+ * drop directory (for local testing: save a message from any mail client into the directory).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseEml, htmlToText } = require('../lib/mime');
+
+function graphMailbox() {
+    return process.env.MAIL_INGEST_MAILBOX || process.env.SENDER_EMAIL;
+}
+
+function dropDirectory() {
+    return path.resolve(process.env.MAIL_INGEST_DIRECTORY || path.join(__dirname, '..', 'mail-drop'));
+}
+
+/**
+ * Unread messages in the inbox of MAIL_INGEST_MAILBOX (default SENDER_EMAIL), via the application token.
+ * Handled messages are marked as read.
+ */
+function createGraphMailSource({ batchSize }) {
+    const emailService = require('./emailService');
+    const emailServiceApp = require('./emailServiceApp');
+    const mailbox = graphMailbox();
+    let accessToken = null;
+
+    return {
+        name: 'graph',
+
+        async fetchMessages() {
+            if (!mailbox) throw new Error('MAIL_INGEST_MAILBOX (or SENDER_EMAIL) must be set to read mail from Microsoft Graph');
+            accessToken = await emailServiceApp.acquireAppToken();
+            const messages = await emailService.getEmails(accessToken, batchSize, {
+                mailbox,
+                unreadOnly: true,
+                select: ['id', 'internetMessageId', 'from', 'subject', 'receivedDateTime', 'body', 'hasAttachments', 'internetMessageHeaders']
+            });
+
+            const inbound = [];
+            for (const message of messages) {
+                const attachments = message.hasAttachments
+                    ? await emailService.getEmailAttachments(accessToken, message.id, { mailbox })
+                    : [];
+                const headers = {};
+                (message.internetMessageHeaders || []).forEach(h => {
+                    const name = String(h.name || '').toLowerCase();
+                    if (!(name in headers)) headers[name] = h.value;
+                });
+                const body = message.body || {};
+                inbound.push({
+                    sourceRef: message.id,
+                    messageId: message.internetMessageId || `graph:${message.id}`,
+                    from: {
+                        name: message.from?.emailAddress?.name || null,
+                        address: (message.from?.emailAddress?.address || '').toLowerCase() || null
+                    },
+                    subject: message.subject || '',
+                    receivedAt: message.receivedDateTime ? new Date(message.receivedDateTime) : new Date(),
+                    text: String(body.contentType || '').toLowerCase() === 'html' ? htmlToText(body.content) : (body.content || ''),
+                    headers,
+                    attachments: attachments
+                        .filter(a => !a.isInline)
+                        .map(a => ({
+                            filename: a.name || 'attachment',
+                            contentType: a.contentType || 'application/octet-stream',
+                            content: Buffer.from(a.contentBytes || '', 'base64')
+                        }))
+                });
+            }
+            return inbound;
+        },
+
+        async markProcessed(message) {
+            await emailService.markEmailRead(accessToken, message.sourceRef, { mailbox });
+        }
+    };
+}
+
+/**
+ * .eml files in MAIL_INGEST_DIRECTORY (default ./mail-drop), oldest name first.
+ * Handled files are moved to processed/ (or failed/ when they could not be ingested).
+ */
+function createDirectoryMailSource({ batchSize }) {
+    const directory = dropDirectory();
+
+    return {
+        name: 'directory',
+
+        async fetchMessages() {
+            await fs.mkdir(directory, { recursive: true });
+            const files = (await fs.readdir(directory, { withFileTypes: true }))
+                .filter(entry => entry.isFile() && /\.eml$/i.test(entry.name))
+                .map(entry => entry.name)
+                .sort()
+                .slice(0, batchSize);
+
+            const inbound = [];
+            for (const file of files) {
+                const raw = await fs.readFile(path.join(directory, file));
+                const parsed = parseEml(raw);
+                inbound.push({
+                    sourceRef: file,
+                    // Files without a Message-ID are identified by their content
+                    messageId: parsed.messageId || `<${crypto.createHash('sha256').update(raw).digest('hex')}@mail-drop>`,
+                    from: parsed.from,
+                    subject: parsed.subject,
+                    receivedAt: parsed.date || new Date(),
+                    text: parsed.text !== null ? parsed.text : htmlToText(parsed.html),
+                    headers: parsed.headers,
+                    attachments: parsed.attachments
+                        .filter(a => !a.inline)
+                        .map(a => ({ filename: a.filename, contentType: a.contentType, content: a.content }))
+                });
+            }
+            return inbound;
+        },
+
+        async markProcessed(message, { failed = false } = {}) {
+            const target = path.join(directory, failed ? 'failed' : 'processed');
+            await fs.mkdir(target, { recursive: true });
+            await fs.rename(path.join(directory, message.sourceRef), path.join(target, `${Date.now()}_${message.sourceRef}`));
+        }
+    };
+}
+
+/**
+ * The source selected by MAIL_INGEST_SOURCE (graph | directory, default graph)
+ */
+function createMailSource(options = {}) {
+    const type = (process.env.MAIL_INGEST_SOURCE || 'graph').toLowerCase();
+    const batchSize = options.batchSize || 25;
+    if (type === 'graph') return createGraphMailSource({ batchSize });
+    if (type === 'directory') return createDirectoryMailSource({ batchSize });
+    throw new Error(`Unknown MAIL_INGEST_SOURCE '${type}'. Use graph or directory.`);
+}
+
+module.exports = {
+    createMailSource,
+    createGraphMailSource,
+    createDirectoryMailSource
+};
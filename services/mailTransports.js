@@ -0,0 +1,229 @@
+/**
+ * Mail transports used by emailServiceApp.deliverEmail()
+ *
+ * A transport sends one prepared email and resolves once it has been handed over:
+ *   { name, send(email): Promise<{ messageId, ... }> }
+ * email: { from: { address, name }, to, toName, subject, body, contentType ('HTML' | 'Text'), saveToSentItems,
+ *          attachments: [{ name, contentType, contentBytes (base64), contentId, isInline }] }
+ * A failed send rejects with an error the outbox can classify: statusCode and headers for HTTP answers
+ * (Graph's 429 Retry-After), or permanent = true when retrying can't help.
+ *
+ * Transports (MAIL_TRANSPORT): "graph" sends through Microsoft Graph as SENDER_EMAIL (the default),
+ * "smtp" through any SMTP server with nodemailer, "file" writes each message as an .eml file to
+ * MAIL_CAPTURE_DIRECTORY and "memory" keeps them in transport.messages. The capture transports need no
+ * credentials, so development and CI machines can run every email flow.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Most recent messages kept by the memory transport
+const MEMORY_CAPTURE_LIMIT = 500;
+
+function isTextBody(email) {
+    return String(email.contentType || 'HTML').toLowerCase() === 'text';
+}
+
+/**
+ * The email in nodemailer's message format (SMTP and the capture transports)
+ */
+function toNodemailerMessage(email) {
+    const message = {
+        from: { name: email.from.name || email.from.address, address: email.from.address },
+        to: { name: email.toName || email.to, address: email.to },
+        subject: email.subject,
+        [isTextBody(email) ? 'text' : 'html']: email.body || ''
+    };
+    if (email.attachments && email.attachments.length > 0) {
+        message.attachments = email.attachments.map(a => ({
+            filename: a.name,
+            content: a.contentBytes,
+            encoding: 'base64',
+            contentType: a.contentType || undefined,
+            cid: a.isInline && a.contentId ? a.contentId : undefined,
+            contentDisposition: a.isInline ? 'inline' : 'attachment'
+        }));
+    }
+    return message;
+}
+
+/**
+ * Microsoft Graph sendMail from SENDER_EMAIL's mailbox, with the application token
+ * (requires the Mail.Send application permission)
+ */
+function createGraphMailTransport() {
+    return {
+        name: 'graph',
+
+        async send(email) {
+            const emailServiceApp = require('./emailServiceApp');
+            const token = await emailServiceApp.acquireAppToken();
+            const client = emailServiceApp.createGraphClient(token);
+
+            const message = {
+                subject: email.subject,
+                body: {
+                    contentType: isTextBody(email) ? 'Text' : 'HTML',
+                    content: email.body || '',
+                },
+                toRecipients: [
+                    {
+                        emailAddress: {
+                            address: email.to,
+                            name: email.toName || email.to
+                        },
+                    },
+                ],
+                from: {
+                    emailAddress: {
+                        address: email.from.address,
+                        name: email.from.name
+                    }
+                }
+            };
+
+            // Add attachments if provided (supports inline images via contentId and isInline)
+            if (email.attachments && email.attachments.length > 0) {
+                message.attachments = email.attachments.map(attachment => {
+                    const a = {
+                        '@odata.type': '#microsoft.graph.fileAttachment',
+                        name: attachment.name,
+                        contentType: attachment.contentType,
+                        contentBytes: attachment.contentBytes
+                    };
+                    // Optional inline/CID support
+                    if (attachment.contentId) a.contentId = attachment.contentId;
+                    if (typeof attachment.isInline !== 'undefined') a.isInline = !!attachment.isInline;
+                    return a;
+                });
+                console.log(`📎 Adding ${email.attachments.length} attachment(s) to email`);
+            }
+
+            console.log('📤 Sending email via Graph API...');
+            const response = await client
+                .api(`/users/${email.from.address}/sendMail`)
+                .post({ message, saveToSentItems: email.saveToSentItems !== false });
+            return { messageId: null, response };
+        }
+    };
+}
+
+/**
+ * SMTP through nodemailer: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (true for implicit TLS, e.g. port 465),
+ * SMTP_USER and SMTP_PASSWORD (leave empty for servers that don't need authentication)
+ */
+function createSmtpMailTransport() {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST must be set to send email with MAIL_TRANSPORT=smtp');
+
+    const port = parseInt(process.env.SMTP_PORT || '587');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number.isInteger(port) && port > 0 ? port : 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(email) {
+            try {
+                const info = await transporter.sendMail(toNodemailerMessage(email));
+                return { messageId: info.messageId, response: info.response };
+            } catch (error) {
+                // A 5xx reply about the recipient or the message itself won't change on retry;
+                // connection and authentication problems (and 4xx replies) are worth retrying
+                if (error.responseCode >= 500 && ['EENVELOPE', 'EMESSAGE'].includes(error.code)) {
+                    error.permanent = true;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+// Render the message as it would go over the wire (RFC 5322), without sending it anywhere
+function createRenderer() {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+}
+
+/**
+ * .eml files in MAIL_CAPTURE_DIRECTORY (default ./mail-capture); open them with any mail client
+ */
+function createFileMailTransport() {
+    const directory = path.resolve(process.env.MAIL_CAPTURE_DIRECTORY || path.join(__dirname, '..', 'mail-capture'));
+    const renderer = createRenderer();
+    let sequence = 0;
+
+    return {
+        name: 'file',
+        directory,
+
+        async send(email) {
+            const info = await renderer.sendMail(toNodemailerMessage(email));
+            const recipient = String(email.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+            const file = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}_${++sequence}_${recipient}.eml`);
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(file, info.message);
+            console.log(`📝 Email to ${email.to} written to ${file}`);
+            return { messageId: info.messageId, file };
+        }
+    };
+}
+
+/**
+ * Messages kept in memory, newest last: [{ messageId, to, subject, body, attachments, raw, sentAt }]
+ * For tests that run the app in-process; only the last MEMORY_CAPTURE_LIMIT messages are kept.
+ */
+function createMemoryMailTransport() {
+    const renderer = createRenderer();
+    const messages = [];
+
+    return {
+        name: 'memory',
+        messages,
+
+        async send(email) {
+            const info = await renderer.sendMail(toNodemailerMessage(email));
+            messages.push({
+                messageId: info.messageId,
+                from: email.from.address,
+                to: email.to,
+                toName: email.toName || null,
+                subject: email.subject,
+                contentType: isTextBody(email) ? 'Text' : 'HTML',
+                body: email.body || '',
+                attachments: (email.attachments || []).map(a => ({ name: a.name, contentType: a.contentType, inline: !!a.isInline })),
+                raw: info.message.toString('utf8'),
+                sentAt: new Date()
+            });
+            if (messages.length > MEMORY_CAPTURE_LIMIT) messages.splice(0, messages.length - MEMORY_CAPTURE_LIMIT);
+            return { messageId: info.messageId };
+        },
+
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+/**
+ * The transport selected by MAIL_TRANSPORT (graph | smtp | file | memory, default graph)
+ */
+function createMailTransport() {
+    const type = (process.env.MAIL_TRANSPORT || 'graph').toLowerCase();
+    if (type === 'graph') return createGraphMailTransport();
+    if (type === 'smtp') return createSmtpMailTransport();
+    if (type === 'file') return createFileMailTransport();
+    if (type === 'memory') return createMemoryMailTransport();
+    throw new Error(`Unknown MAIL_TRANSPORT '${type}'. Use graph, smtp, file or memory.`);
+}
+
+module.exports = {
+    createMailTransport,
+    createGraphMailTransport,
+    createSmtpMailTransport,
+    createFileMailTransport,
+    createMemoryMailTransport
+};
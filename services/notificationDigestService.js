@@ -0,0 +1,137 @@
+/**
+ * Notification digest job
+ * Periodically mails every user who chose the DIGEST channel a single summary of the ticket
+ * notifications collected since their last digest. Entries are marked as sent (DigestSentAt)
+ * only once the email went out, so a failed send is retried on the next run.
+ * The time of the last run is kept in scheduled_job_run, so the job runs when it is due even if
+ * the app restarts more often than the interval.
+ */
+
+const { getPool } = require('../config/db');
+const { runWithNamedLock } = require('../lib/jobLock');
+
+const JOB_LOCK_NAME = 'itsupport_notification_digest_job';
+
+// Entries per digest email; anything left over goes out in the next digest
+const MAX_DIGEST_ENTRIES = 100;
+
+// How often the scheduler checks whether a digest is due (capped at the interval)
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+
+function intervalMs() {
+    const hours = parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_HOURS || '24');
+    return (Number.isInteger(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+async function sendDigestFor(pool, user) {
+    const emailServiceApp = require('./emailServiceApp');
+    const [entries] = await pool.query(
+        `SELECT n.Id, n.EventType, n.Message, n.CreatedDate,
+                CONCAT('TK-', YEAR(t.CreatedDate), '-', LPAD(t.Id, 3, '0')) as ticketNumber
+         FROM notification n
+         LEFT JOIN ticket t ON n.TicketId = t.Id
+         WHERE n.UserId = ? AND n.Channel = 'DIGEST' AND n.DigestSentAt IS NULL
+         ORDER BY n.CreatedDate ASC, n.Id ASC
+         LIMIT ${MAX_DIGEST_ENTRIES}`,
+        [user.Id]
+    );
+    if (entries.length === 0) return false;
+
+    await emailServiceApp.sendNotificationDigestEmail(user.email, user.name, entries.map(entry => ({
+        ticketNumber: entry.ticketNumber,
+        eventType: entry.EventType,
+        message: entry.Message,
+        createdAt: entry.CreatedDate
+    })));
+    await pool.query('UPDATE notification SET DigestSentAt = NOW() WHERE Id IN (?)', [entries.map(e => e.Id)]);
+    return true;
+}
+
+async function runNotificationDigest() {
+    const pool = getPool();
+    const [users] = await pool.query(
+        `SELECT DISTINCT u.Id, u.email, u.name
+         FROM notification n
+         JOIN user u ON n.UserId = u.Id AND u.IsActive = 1 AND u.email IS NOT NULL AND u.email != ''
+         WHERE n.Channel = 'DIGEST' AND n.DigestSentAt IS NULL`
+    );
+
+    let sent = 0;
+    for (const user of users) {
+        try {
+            if (await sendDigestFor(pool, user)) sent++;
+        } catch (err) {
+            console.error(`❌ Notification digest for ${user.email} failed:`, err.message || err);
+        }
+    }
+    return sent;
+}
+
+// Due when the job never ran or its last run is at least one interval ago (by the database clock)
+async function isDue(db) {
+    const [rows] = await db.query(
+        'SELECT LastRunDate <= NOW() - INTERVAL ? SECOND AS due FROM scheduled_job_run WHERE JobName = ?',
+        [Math.floor(intervalMs() / 1000), JOB_LOCK_NAME]
+    );
+    return rows.length === 0 || rows[0].due === 1;
+}
+
+async function recordRun(db) {
+    await db.query(
+        `INSERT INTO scheduled_job_run (JobName, LastRunDate) VALUES (?, NOW())
+         ON DUPLICATE KEY UPDATE LastRunDate = VALUES(LastRunDate)`,
+        [JOB_LOCK_NAME]
+    );
+}
+
+// null when the digest isn't due yet
+async function runDigestIfDue() {
+    const pool = getPool();
+    if (!(await isDue(pool))) return null;
+    const sent = await runNotificationDigest();
+    await recordRun(pool);
+    return sent;
+}
+
+async function runLocked() {
+    try {
+        const sent = await runWithNamedLock(JOB_LOCK_NAME, runDigestIfDue);
+        if (sent > 0) console.log(`📬 Notification digest sent to ${sent} user(s)`);
+    } catch (err) {
+        console.error('❌ Notification digest job failed:', err.message || err);
+    }
+}
+
+/**
+ * Start the digest scheduler (call after the database is initialized).
+ * Disabled with NOTIFICATION_DIGEST_ENABLED=false; interval set with NOTIFICATION_DIGEST_INTERVAL_HOURS (default 24).
+ * Checks right away and then every 15 minutes; a digest only goes out once the last recorded run is an interval old.
+ */
+function startNotificationDigestScheduler() {
+    if (process.env.NOTIFICATION_DIGEST_ENABLED === 'false') {
+        console.log('ℹ️ Notification digest job disabled (NOTIFICATION_DIGEST_ENABLED=false)');
+        return;
+    }
+    if (timer) return;
+
+    const every = intervalMs();
+    timer = setInterval(runLocked, Math.min(every, CHECK_INTERVAL_MS));
+    timer.unref();
+    console.log(`⏱️ Notification digest job scheduled every ${every / 3600000} hour(s)`);
+    runLocked();
+}
+
+function stopNotificationDigestScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runNotificationDigest,
+    startNotificationDigestScheduler,
+    stopNotificationDigestScheduler
+};
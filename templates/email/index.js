@@ -0,0 +1,382 @@
+// Built-in email templates
+//
+// Every email the system sends is rendered from one of these templates (see services/emailTemplateService.js).
+// The subject and body here are the defaults; administrators can replace them with versions stored in the
+// database and roll back to any earlier version, or to these defaults. Bodies live next to this file as
+// <name>.html and use the template language in lib/templateEngine.js.
+//
+// variables documents what each template receives, on top of COMMON_VARIABLES. Ticket templates get the
+// ticketData object the sending code already builds (ticketVariables() below adds the derived flags), so
+// {{ticketId}}, {{category}}, {{requesterName}}, ... mean the same in every ticket email.
+// sample holds the variables the preview endpoint renders with.
+
+const fs = require('fs');
+const path = require('path');
+const { richText } = require('../../lib/html');
+
+const COMMON_VARIABLES = {
+    senderName: 'Display name of the sending mailbox (SENDER_NAME)',
+    senderEmail: 'Address of the sending mailbox (SENDER_EMAIL)',
+    senderInitials: 'Up to two initials of senderName',
+    appUrl: 'Base URL of the web app (APP_URL)',
+    now: 'Current date and time',
+    recipient: 'The person the email goes to: recipient.name, recipient.email and, for ticket emails, one of recipient.isRequester, isCreator, isAssignee, isTeamMember, isItHead, isUser'
+};
+
+const TICKET_VARIABLES = {
+    ticketId: 'Ticket number, e.g. TK-2025-042',
+    category: 'Category name',
+    assignedTeam: 'Team (category) the ticket is assigned to',
+    assignedTo: 'Name of the assignee ("Unassigned" when nobody is)',
+    assignedToEmail: 'Email address of the assignee',
+    requesterName: 'Name from the ticket form',
+    requesterContact: 'Contact number from the ticket form',
+    requesterEmail: 'Email address from the ticket form',
+    requestType: 'Request type',
+    issueType: 'Issue type',
+    hasRequestType: 'True when the ticket has a request type',
+    hasIssueType: 'True when the ticket has an issue type',
+    severityLevel: 'Severity level',
+    status: 'Current status',
+    isPendingApproval: 'True while the ticket is PENDING APPROVAL',
+    description: 'Ticket description (basic formatting such as bold, lists and links is kept; other markup is removed)',
+    createdDate: 'When the ticket was created',
+    assignedDate: 'When the ticket was assigned',
+    lastUpdated: 'When the ticket was last updated',
+    approvalStatus: 'APPROVED or REJECTED once an IT Head has decided',
+    isApproved: 'True when approvalStatus is APPROVED',
+    approverName: 'IT Head who approved or rejected the ticket',
+    approvalDate: 'When the ticket was approved or rejected',
+    approvalComments: 'Comments given with the approval',
+    rejectionReason: 'Reason given with the rejection'
+};
+
+const SAMPLE_TICKET = {
+    ticketId: 'TK-2025-042',
+    category: 'Hardware',
+    assignedTeam: 'Hardware',
+    assignedTo: 'Kasun Silva',
+    assignedToEmail: 'kasun.silva@example.com',
+    requesterName: 'Nimali Fernando',
+    requesterContact: '+94 77 123 4567',
+    requesterEmail: 'nimali.fernando@example.com',
+    requestType: 'N/A',
+    issueType: 'Laptop not starting',
+    severityLevel: 'HIGH',
+    status: 'NEW',
+    description: 'My laptop shuts down a few seconds after the logo appears.\nThe charger light is on.',
+    createdDate: '1/15/2025 9:12:04 AM',
+    assignedDate: '1/15/2025 9:12:04 AM',
+    lastUpdated: '1/15/2025 9:12:04 AM'
+};
+
+function isProvided(value) {
+    return !!value && String(value).trim().toLowerCase() !== 'n/a';
+}
+
+/**
+ * Template variables for a ticketData object: its fields (defaults filled in) plus the derived flags.
+ * The description is rich text, sanitised to the allowlisted tags of lib/html.js richText()
+ */
+function ticketVariables(ticketData = {}) {
+    const { approvalToken, ...fields } = ticketData;
+    return {
+        ...fields,
+        category: fields.category || 'N/A',
+        assignedTeam: fields.assignedTeam || 'N/A',
+        assignedTo: fields.assignedTo || 'Unassigned',
+        requestType: fields.requestType || 'N/A',
+        severityLevel: fields.severityLevel || 'N/A',
+        description: richText(fields.description),
+        hasRequestType: isProvided(fields.requestType),
+        hasIssueType: isProvided(fields.issueType),
+        isPendingApproval: String(fields.status || '').trim().toUpperCase() === 'PENDING APPROVAL',
+        isApproved: fields.approvalStatus === 'APPROVED',
+        approverName: fields.approverName || 'IT Head',
+        approvalDate: fields.approvalDate || new Date().toLocaleDateString(),
+        approvalComments: fields.approvalComments || fields.approval_comments || '',
+        rejectionReason: fields.rejectionReason || fields.rejection_reason || ''
+    };
+}
+
+/**
+ * The recipient variable; type is requester, creator, assignee, teamMember, itHead or user
+ */
+function recipientVariables(type, name, email) {
+    return {
+        name: name || 'there',
+        email: email || '',
+        type: type || null,
+        isRequester: type === 'requester',
+        isCreator: type === 'creator',
+        isAssignee: type === 'assignee',
+        isTeamMember: type === 'teamMember',
+        isItHead: type === 'itHead',
+        isUser: type === 'user'
+    };
+}
+
+function ticketSample(recipientType, extra = {}) {
+    return {
+        ...ticketVariables(SAMPLE_TICKET),
+        recipient: recipientVariables(recipientType, 'Kasun Silva', 'kasun.silva@example.com'),
+        ...extra
+    };
+}
+
+const STATUS_VARIABLES = {
+    previousStatus: 'Status before the change',
+    newStatus: 'Status after the change',
+    isProcessing: 'True when newStatus is PROCESSING',
+    isCompleted: 'True when newStatus is COMPLETED',
+    statusColor: 'Colour for newStatus (hex)',
+    statusMessage: 'Short headline for newStatus',
+    useLogoIcon: 'True when the header shows the logo instead of an icon',
+    updatedBy: 'Who changed the status',
+    updatedDate: 'When the status changed'
+};
+
+const STATUS_SAMPLE = {
+    status: 'PROCESSING',
+    previousStatus: 'NEW',
+    newStatus: 'PROCESSING',
+    isProcessing: true,
+    isCompleted: false,
+    statusColor: '#f59e0b',
+    statusMessage: 'Ticket In Progress',
+    useLogoIcon: true,
+    updatedBy: 'Kasun Silva',
+    updatedDate: '1/15/2025 10:40:18 AM',
+    showTicketButton: false
+};
+
+const TEMPLATES = [
+    {
+        name: 'new-ticket',
+        description: 'New ticket: sent to the category team, the assignee, the person who logged it and Ticket Creator users',
+        subject: '{{#if recipient.isCreator}}Ticket Created Successfully - {{ticketId}} ({{category}}){{else}}{{#if recipient.isAssignee}}New Ticket Assigned - {{ticketId}} ({{category}}){{else}}{{#if recipient.isTeamMember}}New Ticket in {{category}} - {{ticketId}}{{else}}New Ticket Created - {{ticketId}} ({{category}}){{/if}}{{/if}}{{/if}}',
+        variables: TICKET_VARIABLES,
+        sample: ticketSample('teamMember')
+    },
+    {
+        name: 'new-ticket-it-head',
+        description: 'New ticket: sent to IT Heads, with approve/reject buttons for change management requests',
+        subject: 'New Ticket Created - {{ticketId}} ({{category}}) - Assigned to {{assignedTo}}',
+        variables: {
+            ...TICKET_VARIABLES,
+            requiresApproval: 'True for change management requests waiting for approval',
+            approveUrl: 'Link that approves the ticket (for this IT Head)',
+            rejectUrl: 'Link that rejects the ticket (for this IT Head)',
+            onBehalfOf: 'Set when the email goes to a delegate: onBehalfOf.name is the IT Head who is out of office'
+        },
+        sample: ticketSample('itHead', {
+            requestType: 'Change Management Requests',
+            hasRequestType: true,
+            status: 'PENDING APPROVAL',
+            isPendingApproval: true,
+            requiresApproval: true,
+            approveUrl: 'http://localhost:3001/api/tickets/42/approve?token=sample&itHeadId=3',
+            rejectUrl: 'http://localhost:3001/api/tickets/42/reject?token=sample&itHeadId=3',
+            onBehalfOf: null
+        })
+    },
+    {
+        name: 'new-ticket-confirmation',
+        description: 'New ticket: confirmation sent to the email address given on the ticket form',
+        subject: 'Ticket Created Successfully - {{ticketId}}',
+        variables: TICKET_VARIABLES,
+        sample: ticketSample('requester')
+    },
+    {
+        name: 'ticket-assigned',
+        description: 'Ticket (re)assigned: sent to the new assignee',
+        subject: 'Ticket Assigned to You: {{ticketId}}',
+        variables: {
+            ...TICKET_VARIABLES,
+            attachmentCount: 'Number of files attached to the ticket',
+            onBehalfOf: 'Set when the assignee is covering for a colleague who is out of office: onBehalfOf.name'
+        },
+        sample: ticketSample('assignee', { attachmentCount: 2, onBehalfOf: null })
+    },
+    {
+        name: 'ticket-status-changed',
+        description: 'Status change: sent to the assignee, the category team, IT Heads and Ticket Creator users',
+        subject: '{{#if recipient.isAssignee}}Ticket Assignment Update - {{ticketId}} ({{newStatus}}){{else}}{{#if recipient.isItHead}}Ticket Status Update - {{ticketId}} ({{category}}) - {{newStatus}}{{else}}Ticket Status Update - {{ticketId}} ({{newStatus}}){{/if}}{{/if}}',
+        variables: { ...TICKET_VARIABLES, ...STATUS_VARIABLES },
+        sample: ticketSample('teamMember', STATUS_SAMPLE)
+    },
+    {
+        name: 'ticket-status-changed-requester',
+        description: 'Status change: sent to the requester and the person who logged the ticket',
+        subject: 'Your Ticket Update - {{ticketId}} ({{newStatus}})',
+        variables: {
+            ...TICKET_VARIABLES,
+            ...STATUS_VARIABLES,
+            showTicketButton: 'False for PROCESSING and COMPLETED, when the "View Your Ticket" button is hidden'
+        },
+        sample: ticketSample('requester', STATUS_SAMPLE)
+    },
+    {
+        name: 'ticket-approved',
+        description: 'Change management request approved: sent to IT Heads, the assignee and the requester',
+        subject: 'Ticket Approved by {{approverName}} - {{ticketId}} ({{category}})',
+        variables: TICKET_VARIABLES,
+        sample: ticketSample('requester', {
+            requestType: 'Change Management Requests',
+            status: 'APPROVED',
+            approverName: 'Ruwan Jayasinghe',
+            approvalComments: 'Approved for the Saturday maintenance window.'
+        })
+    },
+    {
+        name: 'ticket-rejected',
+        description: 'Change management request rejected: sent to IT Heads, the assignee and the requester',
+        subject: 'Ticket Rejected by {{rejectorName}} - {{ticketId}} ({{category}})',
+        variables: { ...TICKET_VARIABLES, rejectorName: 'IT Head who rejected the ticket' },
+        sample: ticketSample('requester', {
+            requestType: 'Change Management Requests',
+            status: 'REJECTED',
+            rejectorName: 'Ruwan Jayasinghe',
+            rejectionReason: 'Please raise this again with a rollback plan.'
+        })
+    },
+    {
+        name: 'ticket-escalated',
+        description: 'Escalation rule fired: sent to IT Heads and the new assignee',
+        subject: 'Ticket Escalated - {{ticketId}} ({{severityLevel}})',
+        variables: {
+            ...TICKET_VARIABLES,
+            ruleName: 'Name of the escalation rule',
+            reason: 'Why the rule fired',
+            actionTaken: 'What the escalation job did (reassigned, raised severity, ...)'
+        },
+        sample: ticketSample('itHead', {
+            ruleName: 'High severity not picked up',
+            reason: 'Ticket has been NEW for more than 4 business hours.',
+            actionTaken: 'Reassigned to Kasun Silva'
+        })
+    },
+    {
+        name: 'email-ticket-received',
+        description: 'Acknowledgement for a ticket opened from an inbound email. Keep [{{ticketId}}] in the subject: replies are matched to the ticket by it',
+        subject: '[{{ticketId}}] {{originalSubject}}',
+        variables: { ticketId: 'Number of the new ticket', originalSubject: 'Subject of the email that opened the ticket' },
+        sample: { ticketId: 'TK-2025-042', originalSubject: 'Printer on 3rd floor jams', recipient: recipientVariables('requester', 'Nimali Fernando', 'nimali.fernando@example.com') }
+    },
+    {
+        name: 'welcome',
+        description: 'Welcome email for new accounts, with a set-password link for invitations',
+        subject: 'Welcome to IT Support System - {{userName}}',
+        variables: {
+            userName: 'Name of the new user',
+            role: 'Role name',
+            isTicketCreatorRole: 'True for Ticket Creators',
+            isTeamMemberRole: 'True for IT Team Members',
+            isItHeadRole: 'True for IT Heads',
+            categories: 'List of assigned category names',
+            setPasswordUrl: 'Single-use invitation link (empty when an administrator set the password)',
+            expiresAt: 'When the invitation link expires',
+            loginUrl: 'Sign-in page'
+        },
+        sample: {
+            userName: 'Kasun Silva',
+            role: 'IT Team Member',
+            isTicketCreatorRole: false,
+            isTeamMemberRole: true,
+            isItHeadRole: false,
+            categories: ['Hardware', 'Network'],
+            setPasswordUrl: 'http://localhost:3001/set-password?token=sample',
+            expiresAt: '1/22/2025 9:00:00 AM',
+            loginUrl: 'http://localhost:3001/login',
+            recipient: recipientVariables(null, 'Kasun Silva', 'kasun.silva@example.com')
+        }
+    },
+    {
+        name: 'password-reset',
+        description: 'Password reset link requested with "Forgot Password"',
+        subject: 'IT Support System - Password Reset Request',
+        variables: { userName: 'Name of the user', resetLink: 'Single-use reset link' },
+        sample: { userName: 'Kasun Silva', resetLink: 'http://localhost:3001/reset-password?token=sample' }
+    },
+    {
+        name: 'account-locked',
+        description: 'Account locked after too many failed sign-in attempts',
+        subject: 'IT Support System - Account Locked',
+        variables: {
+            userName: 'Name of the user',
+            failedAttempts: 'Number of failed attempts',
+            lockedUntil: 'When the lock expires',
+            ipAddress: 'IP address of the last attempt',
+            resetLink: 'Forgot-password page'
+        },
+        sample: {
+            userName: 'Kasun Silva',
+            failedAttempts: 5,
+            lockedUntil: '1/15/2025 9:42:00 AM',
+            ipAddress: '203.0.113.24',
+            resetLink: 'http://localhost:3001/forgot-password'
+        }
+    },
+    {
+        name: 'notification-digest',
+        description: 'Daily digest of ticket notifications for users who chose DIGEST delivery',
+        subject: 'IT Support System - {{entryCount}} ticket update{{#unless isSingleEntry}}s{{/unless}}',
+        variables: {
+            userName: 'Name of the user',
+            entries: 'List of updates, oldest first; each has ticketNumber, eventType, message and createdAt',
+            entryCount: 'Number of entries',
+            isSingleEntry: 'True when there is exactly one entry',
+            settingsUrl: 'Profile page where preferences are changed'
+        },
+        sample: {
+            userName: 'Kasun Silva',
+            entries: [
+                { ticketNumber: 'TK-2025-041', eventType: 'STATUS_CHANGED', message: 'TK-2025-041 is now PROCESSING', createdAt: '1/15/2025 8:02:11 AM' },
+                { ticketNumber: 'TK-2025-042', eventType: 'TICKET_CREATED', message: 'New ticket TK-2025-042 in Hardware', createdAt: '1/15/2025 9:12:04 AM' }
+            ],
+            entryCount: 2,
+            isSingleEntry: false,
+            settingsUrl: 'http://localhost:3001/profile'
+        }
+    },
+    {
+        name: 'ticket-created',
+        description: 'Generic new-ticket notice sent with POST /api/email/send-template and /api/email/ticket-notification',
+        subject: 'IT Support Ticket #{{#if ticketId}}{{ticketId}}{{else}}N/A{{/if}} - {{#if title}}{{title}}{{else}}New Ticket{{/if}}',
+        variables: {
+            userName: 'Recipient name', ticketId: 'Ticket number', title: 'Ticket title', category: 'Category',
+            severityLevel: 'Severity level', requestType: 'Request type', assignedTeam: 'Assigned team',
+            assignedTo: 'Assignee', assignedToEmail: 'Assignee email', status: 'Status', createdAt: 'Created'
+        },
+        sample: {
+            userName: 'Nimali Fernando', ticketId: 'TK-2025-042', title: 'Laptop not starting', category: 'Hardware',
+            severityLevel: 'HIGH', assignedTeam: 'Hardware', assignedTo: 'Kasun Silva', status: 'NEW'
+        }
+    },
+    {
+        name: 'ticket-updated',
+        description: 'Generic ticket-update notice sent with POST /api/email/send-template and /api/email/ticket-notification',
+        subject: 'IT Support Ticket #{{#if ticketId}}{{ticketId}}{{else}}N/A{{/if}} - Status Updated',
+        variables: {
+            userName: 'Recipient name', ticketId: 'Ticket number', title: 'Ticket title', category: 'Category',
+            severityLevel: 'Severity level', requestType: 'Request type', assignedTeam: 'Assigned team',
+            assignedTo: 'Assignee', assignedToEmail: 'Assignee email', status: 'Status', updatedAt: 'Updated',
+            comments: 'Comments about the update'
+        },
+        sample: {
+            userName: 'Nimali Fernando', ticketId: 'TK-2025-042', category: 'Hardware', severityLevel: 'HIGH',
+            assignedTeam: 'Hardware', assignedTo: 'Kasun Silva', status: 'PROCESSING', comments: 'Replacement charger ordered.'
+        }
+    }
+];
+
+TEMPLATES.forEach(template => {
+    template.body = fs.readFileSync(path.join(__dirname, `${template.name}.html`), 'utf8');
+});
+
+module.exports = {
+    TEMPLATES,
+    COMMON_VARIABLES,
+    ticketVariables,
+    recipientVariables
+};